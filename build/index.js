@@ -1 +1,6 @@
-(()=>{"use strict";var e,t={886(){const e=window.wp.blocks,t=window.wp.i18n,l=window.wp.element,o=window.wp.blockEditor,i=window.wp.components,r=window.wp.primitives,a=window.ReactJSXRuntime;var n=(0,a.jsx)(r.SVG,{viewBox:"0 0 24 24",xmlns:"http://www.w3.org/2000/svg",children:(0,a.jsx)(r.Path,{d:"M6.5 12.4L12 8l5.5 4.4-.9 1.2L12 10l-4.5 3.6-1-1.2z"})}),b=(0,a.jsx)(r.SVG,{viewBox:"0 0 24 24",xmlns:"http://www.w3.org/2000/svg",children:(0,a.jsx)(r.Path,{d:"M17.5 11.6L12 16l-5.5-4.4.9-1.2L12 14l4.5-3.6 1 1.2z"})});const s=JSON.parse('{"UU":"glitter-bomb/glitter-bomb"}');(0,e.registerBlockType)(s.UU,{edit:function({attributes:e,setAttributes:r}){const{experienceMode:s,colorPalette:c,particleOpacity:g,particleSize:m,particleSizeMobile:_,animationDuration:d,enableButtonText:p,disableButtonText:u,buttonPosition:h,customColor:x,maxParticles:C,enabledByDefault:f,enableButtonTextColor:v,enableButtonBackgroundColor:j,enableButtonGradientStart:S,enableButtonGradientEnd:w,disableButtonTextColor:B,disableButtonBackgroundColor:y,disableButtonGradientStart:P,disableButtonGradientEnd:k,displayBehavior:T,fieldColorPalette:M,fieldParticleCount:E,fieldParticleSize:O,fieldParticleSizeMobile:D,fieldMouseAttraction:z,fieldSpreadStrength:G,fieldClickExplosion:R,disableOnMobile:N}=e,A="sprinkle-trail"===s,F="particle-field"===s,[L,U]=(0,l.useState)(!1);return(0,a.jsxs)(a.Fragment,{children:[(0,a.jsxs)(o.InspectorControls,{children:[(0,a.jsx)(i.PanelBody,{title:(0,t.__)("Particle Experience","glitter-bomb"),initialOpen:!0,children:(0,a.jsx)(i.SelectControl,{label:(0,t.__)("Experience Mode","glitter-bomb"),value:s,options:[{label:(0,t.__)("Sprinkle Trail","glitter-bomb"),value:"sprinkle-trail"},{label:(0,t.__)("Particle Field","glitter-bomb"),value:"particle-field"}],onChange:e=>r({experienceMode:e}),help:"sprinkle-trail"===s?(0,t.__)("Particles follow cursor with optional scatter or compact trail effect","glitter-bomb"):(0,t.__)("Magical full-screen field of shimmering glitter particles with physics-based movement","glitter-bomb")})}),(0,a.jsxs)(i.PanelBody,{title:(0,t.__)("Mobile Settings","glitter-bomb"),initialOpen:!1,children:[(0,a.jsx)(i.ToggleControl,{label:(0,t.__)("Disable on Mobile","glitter-bomb"),help:(0,t.__)("Turn off particle effects entirely on mobile devices. Recommended for optimal performance on lower-end mobile devices.","glitter-bomb"),checked:N,onChange:e=>r({disableOnMobile:e})}),(0,a.jsx)(i.Notice,{status:"info",isDismissible:!1,children:(0,t.__)("💡 Mobile Performance: This block is optimized for mobile with reduced canvas resolution, touch event throttling, and particle culling. However, disabling on mobile can further improve performance on older devices.","glitter-bomb")})]}),(0,a.jsxs)(i.PanelBody,{title:(0,t.__)("Button Settings","glitter-bomb"),initialOpen:!1,children:[(0,a.jsx)(i.ToggleControl,{label:(0,t.__)("Enable by default","glitter-bomb"),help:(0,t.__)("When enabled, effects will be active when the page loads. Users can still toggle them off.","glitter-bomb"),checked:f,onChange:e=>r({enabledByDefault:e})}),(0,a.jsx)(i.TextControl,{label:(0,t.__)("Enable Button Text","glitter-bomb"),value:p,onChange:e=>r({enableButtonText:e}),help:(0,t.__)("Text shown when effects are disabled","glitter-bomb")}),(0,a.jsx)(o.PanelColorSettings,{title:(0,t.__)("Enable Button Colors","glitter-bomb"),colorSettings:[{value:v,onChange:e=>r({enableButtonTextColor:e}),label:(0,t.__)("Text Color","glitter-bomb")},{value:j,onChange:e=>r({enableButtonBackgroundColor:e}),label:(0,t.__)("Background Color","glitter-bomb")}]}),(0,a.jsx)(o.PanelColorSettings,{title:(0,t.__)("Enable Button Gradient (Optional)","glitter-bomb"),colorSettings:[{value:S,onChange:e=>r({enableButtonGradientStart:e}),label:(0,t.__)("Gradient Start","glitter-bomb")},{value:w,onChange:e=>r({enableButtonGradientEnd:e}),label:(0,t.__)("Gradient End","glitter-bomb")}]}),(0,a.jsx)(i.TextControl,{label:(0,t.__)("Disable Button Text","glitter-bomb"),value:u,onChange:e=>r({disableButtonText:e}),help:(0,t.__)("Text shown when effects are enabled","glitter-bomb")}),(0,a.jsx)(o.PanelColorSettings,{title:(0,t.__)("Disable Button Colors","glitter-bomb"),colorSettings:[{value:B,onChange:e=>r({disableButtonTextColor:e}),label:(0,t.__)("Text Color","glitter-bomb")},{value:y,onChange:e=>r({disableButtonBackgroundColor:e}),label:(0,t.__)("Background Color","glitter-bomb")}]}),(0,a.jsx)(o.PanelColorSettings,{title:(0,t.__)("Disable Button Gradient (Optional)","glitter-bomb"),colorSettings:[{value:P,onChange:e=>r({disableButtonGradientStart:e}),label:(0,t.__)("Gradient Start","glitter-bomb")},{value:k,onChange:e=>r({disableButtonGradientEnd:e}),label:(0,t.__)("Gradient End","glitter-bomb")}]}),(0,a.jsx)(i.SelectControl,{label:(0,t.__)("Button Position","glitter-bomb"),value:h,options:[{label:(0,t.__)("Top Left","glitter-bomb"),value:"top-left"},{label:(0,t.__)("Top Right","glitter-bomb"),value:"top-right"},{label:(0,t.__)("Bottom Left","glitter-bomb"),value:"bottom-left"},{label:(0,t.__)("Bottom Right","glitter-bomb"),value:"bottom-right"}],onChange:e=>r({buttonPosition:e}),help:(0,t.__)("Choose where to display the toggle button","glitter-bomb")})]}),A&&(0,a.jsxs)(i.PanelBody,{title:(0,t.__)("Sprinkle Trail Settings","glitter-bomb"),initialOpen:!0,children:[(0,a.jsx)(i.SelectControl,{label:(0,t.__)("Display Behavior","glitter-bomb"),value:T,options:[{label:(0,t.__)("Scattered","glitter-bomb"),value:"scattered"},{label:(0,t.__)("Compact","glitter-bomb"),value:"compact"}],onChange:e=>r({displayBehavior:e}),help:(0,t.__)("Scattered: particles drift outward as they fade. Compact: particles stay close to cursor path with faster fade.","glitter-bomb")}),(0,a.jsx)(i.SelectControl,{label:(0,t.__)("Color Palette","glitter-bomb"),value:c,options:[{label:(0,t.__)("Rainbow (cycling)","glitter-bomb"),value:"rainbow-cycling"},{label:(0,t.__)("Metallic (cycling)","glitter-bomb"),value:"metallic"},{label:(0,t.__)("Neutral Spectrum (cycling)","glitter-bomb"),value:"neutral-spectrum"},{label:(0,t.__)("Warm Sunset (cycling)","glitter-bomb"),value:"warm-sunset"},{label:(0,t.__)("Cool Ocean (cycling)","glitter-bomb"),value:"cool-ocean"},{label:(0,t.__)("Custom Color","glitter-bomb"),value:"custom"}],onChange:e=>r({colorPalette:e}),help:(0,t.__)("Choose a color palette for the particles. All palettes except Custom cycle through colors automatically.","glitter-bomb")}),"custom"===c&&(0,a.jsx)(o.PanelColorSettings,{title:(0,t.__)("Custom Particle Color","glitter-bomb"),colorSettings:[{value:x,onChange:e=>r({customColor:e}),label:(0,t.__)("Particle Color","glitter-bomb")}]}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Particle Opacity","glitter-bomb"),value:g,onChange:e=>r({particleOpacity:e}),min:.1,max:1,step:.1,help:(0,t.__)("Adjust the transparency of the particles","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Particle Size - Desktop (px)","glitter-bomb"),value:m,onChange:e=>r({particleSize:e}),min:4,max:30,step:.5,help:(0,t.__)("Set the size of each particle on desktop devices","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Particle Size - Mobile (px)","glitter-bomb"),value:_,onChange:e=>r({particleSizeMobile:e}),min:3,max:20,step:.5,help:(0,t.__)("Set the size of each particle on mobile devices","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Animation Duration (ms)","glitter-bomb"),value:d,onChange:e=>r({animationDuration:e}),min:500,max:5e3,step:100,help:(0,t.__)("How long particles take to fade out","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Maximum Particles","glitter-bomb"),value:C,onChange:e=>r({maxParticles:e}),min:10,max:100,step:5,help:(0,t.__)("Limit the number of particles for performance (max 100)","glitter-bomb")})]}),F&&(0,a.jsxs)(i.PanelBody,{title:(0,t.__)("Particle Field Settings","glitter-bomb"),initialOpen:!0,children:[(0,a.jsx)(i.SelectControl,{label:(0,t.__)("Color Palette","glitter-bomb"),value:M,options:[{label:(0,t.__)("Metallic (cycling)","glitter-bomb"),value:"metallic"},{label:(0,t.__)("Rainbow (cycling)","glitter-bomb"),value:"rainbow-cycling"},{label:(0,t.__)("Neutral Spectrum (cycling)","glitter-bomb"),value:"neutral-spectrum"},{label:(0,t.__)("Warm Sunset (cycling)","glitter-bomb"),value:"warm-sunset"},{label:(0,t.__)("Cool Ocean (cycling)","glitter-bomb"),value:"cool-ocean"},{label:(0,t.__)("Custom Color","glitter-bomb"),value:"custom"}],onChange:e=>r({fieldColorPalette:e}),help:(0,t.__)("Choose a color palette for the glitter particles","glitter-bomb")}),"custom"===M&&(0,a.jsx)(o.PanelColorSettings,{title:(0,t.__)("Custom Particle Color","glitter-bomb"),colorSettings:[{value:x,onChange:e=>r({customColor:e}),label:(0,t.__)("Particle Color","glitter-bomb")}]}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Particle Count","glitter-bomb"),value:E,onChange:e=>r({fieldParticleCount:e}),min:50,max:500,step:25,help:(0,t.__)("Number of glitter particles in the field","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Particle Size - Desktop (px)","glitter-bomb"),value:O,onChange:e=>r({fieldParticleSize:e}),min:2,max:12,step:.5,help:(0,t.__)("Set the base size of each glitter particle on desktop devices","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Particle Size - Mobile (px)","glitter-bomb"),value:D,onChange:e=>r({fieldParticleSizeMobile:e}),min:1.5,max:8,step:.5,help:(0,t.__)("Set the base size of each glitter particle on mobile devices","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Mouse Attraction","glitter-bomb"),value:z,onChange:e=>r({fieldMouseAttraction:e}),min:0,max:1,step:.1,help:(0,t.__)("How strongly particles are attracted to cursor","glitter-bomb")}),(0,a.jsx)(i.RangeControl,{label:(0,t.__)("Spread Strength","glitter-bomb"),value:G,onChange:e=>r({fieldSpreadStrength:e}),min:0,max:1,step:.1,help:(0,t.__)("How much particles spread apart from each other","glitter-bomb")}),(0,a.jsx)(i.ToggleControl,{label:(0,t.__)("Click Explosion Effect","glitter-bomb"),help:(0,t.__)("Enable sparkle explosion burst on mouse click","glitter-bomb"),checked:R,onChange:e=>r({fieldClickExplosion:e})})]}),(0,a.jsxs)(i.PanelBody,{title:(0,t.__)("Accessibility","glitter-bomb"),initialOpen:!1,children:[(0,a.jsx)(i.Notice,{status:"info",isDismissible:!1,children:(0,t.__)("This block is WCAG 2.2 AA compliant with full keyboard navigation, screen reader support, and reduced motion respect.","glitter-bomb")}),(0,a.jsx)("p",{children:(0,t.__)("Accessibility features:","glitter-bomb")}),(0,a.jsxs)("ul",{children:[(0,a.jsx)("li",{children:(0,t.__)("✓ Keyboard activation (Enter/Space)","glitter-bomb")}),(0,a.jsx)("li",{children:(0,t.__)("✓ Screen reader announcements","glitter-bomb")}),(0,a.jsx)("li",{children:(0,t.__)("✓ Visible focus indicators","glitter-bomb")}),(0,a.jsx)("li",{children:(0,t.__)("✓ Minimum 44x44px touch targets","glitter-bomb")}),(0,a.jsx)("li",{children:(0,t.__)("✓ Respects prefers-reduced-motion","glitter-bomb")})]})]})]}),(0,a.jsx)("div",{...(0,o.useBlockProps)({className:"glitter-bomb-editor-placeholder"}),children:(0,a.jsxs)("div",{className:"glitter-bomb-placeholder-content",children:[(0,a.jsxs)("button",{className:"glitter-bomb-collapse-toggle",onClick:()=>U(!L),"aria-expanded":L,children:[(0,a.jsxs)("div",{className:"glitter-bomb-placeholder-header",children:[(0,a.jsx)("span",{className:"glitter-bomb-placeholder-emoji",children:"✨💎✨"}),(0,a.jsx)("h3",{className:"glitter-bomb-placeholder-title",children:(0,t.__)("Glitter Bomb","glitter-bomb")}),(0,a.jsx)(i.Button,{icon:L?n:b,className:"glitter-bomb-toggle-icon",label:L?(0,t.__)("Collapse settings","glitter-bomb"):(0,t.__)("Expand settings","glitter-bomb")})]}),(0,a.jsxs)("p",{className:"glitter-bomb-placeholder-summary",children:["sprinkle-trail"===s?(0,t.__)("✨ Sprinkle Trail Mode","glitter-bomb"):(0,t.__)("💫 Particle Field Mode","glitter-bomb")," • ",f?(0,t.__)("Enabled by default","glitter-bomb"):(0,t.__)("Disabled by default","glitter-bomb"),N?" • "+(0,t.__)("Disabled on mobile","glitter-bomb"):""]})]}),L&&(0,a.jsxs)(a.Fragment,{children:[(0,a.jsx)("p",{className:"glitter-bomb-placeholder-description",children:(0,t.__)("Magical particle effects will sparkle on your frontend! 🎆","glitter-bomb")}),(0,a.jsxs)("div",{className:"glitter-bomb-placeholder-settings",children:[(0,a.jsx)("p",{children:(0,a.jsx)("strong",{children:(0,t.__)("✨ Current Settings:","glitter-bomb")})}),(0,a.jsxs)("ul",{children:[(0,a.jsxs)("li",{children:[(0,t.__)("🎨 Experience: ","glitter-bomb"),"sprinkle-trail"===s?(0,t.__)("Sprinkle Trail","glitter-bomb"):(0,t.__)("Particle Field","glitter-bomb")]}),(0,a.jsxs)("li",{children:[(0,t.__)("⚡ Default state: ","glitter-bomb"),f?(0,t.__)("Enabled","glitter-bomb"):(0,t.__)("Disabled","glitter-bomb")]}),(0,a.jsxs)("li",{children:[(0,t.__)("📱 Mobile: ","glitter-bomb"),N?(0,t.__)("Disabled","glitter-bomb"):(0,t.__)("Enabled","glitter-bomb")]}),A&&(0,a.jsxs)(a.Fragment,{children:[(0,a.jsxs)("li",{children:[(0,t.__)("🌈 Display: ","glitter-bomb"),"scattered"===T?(0,t.__)("Scattered","glitter-bomb"):(0,t.__)("Compact","glitter-bomb")]}),(0,a.jsxs)("li",{children:[(0,t.__)("🎨 Colors: ","glitter-bomb"),"custom"===c?(0,t.__)("Custom","glitter-bomb"):`${c} (cycling)`]}),(0,a.jsxs)("li",{children:[(0,t.__)("🔢 Max particles: ","glitter-bomb"),C]}),(0,a.jsxs)("li",{children:[(0,t.__)("📏 Size: Desktop ","glitter-bomb"),m,"px / Mobile ",_,"px"]})]}),F&&(0,a.jsxs)(a.Fragment,{children:[(0,a.jsxs)("li",{children:[(0,t.__)("🎨 Colors: ","glitter-bomb"),"custom"===M?(0,t.__)("Custom","glitter-bomb"):`${M} (cycling)`]}),(0,a.jsxs)("li",{children:[(0,t.__)("🔢 Particle count: ","glitter-bomb"),E]}),(0,a.jsxs)("li",{children:[(0,t.__)("📏 Size: Desktop ","glitter-bomb"),O,"px / Mobile ",D,"px"]}),(0,a.jsxs)("li",{children:[(0,t.__)("💥 Click explosions: ","glitter-bomb"),R?(0,t.__)("Enabled","glitter-bomb"):(0,t.__)("Disabled","glitter-bomb")]})]}),(0,a.jsxs)("li",{children:[(0,t.__)("📍 Button position: ","glitter-bomb"),h]})]})]}),(0,a.jsx)("p",{className:"glitter-bomb-placeholder-tip",children:(0,t.__)("💡 Tip: Use the settings panel on the right to customize your sparkle experience!","glitter-bomb")})]})]})})]})}})}},l={};function o(e){var i=l[e];if(void 0!==i)return i.exports;var r=l[e]={exports:{}};return t[e](r,r.exports,o),r.exports}o.m=t,e=[],o.O=(t,l,i,r)=>{if(!l){var a=1/0;for(c=0;c<e.length;c++){for(var[l,i,r]=e[c],n=!0,b=0;b<l.length;b++)(!1&r||a>=r)&&Object.keys(o.O).every(e=>o.O[e](l[b]))?l.splice(b--,1):(n=!1,r<a&&(a=r));if(n){e.splice(c--,1);var s=i();void 0!==s&&(t=s)}}return t}r=r||0;for(var c=e.length;c>0&&e[c-1][2]>r;c--)e[c]=e[c-1];e[c]=[l,i,r]},o.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),(()=>{var e={57:0,350:0};o.O.j=t=>0===e[t];var t=(t,l)=>{var i,r,[a,n,b]=l,s=0;if(a.some(t=>0!==e[t])){for(i in n)o.o(n,i)&&(o.m[i]=n[i]);if(b)var c=b(o)}for(t&&t(l);s<a.length;s++)r=a[s],o.o(e,r)&&e[r]&&e[r][0](),e[r]=0;return o.O(c)},l=globalThis.webpackChunkglitter_bomb=globalThis.webpackChunkglitter_bomb||[];l.forEach(t.bind(null,0)),l.push=t.bind(null,l.push.bind(l))})();var i=o.O(void 0,[350],()=>o(886));i=o.O(i)})();
\ No newline at end of file
+(()=>{"use strict";var e,t={118(e,t,i){const r=window.wp.blocks,o=window.wp.i18n,s=window.wp.element,l=window.wp.date,a=window.wp.blockEditor,n=window.wp.components,c=window.wp.primitives,h=window.ReactJSXRuntime;var d=(0,h.jsx)(c.SVG,{viewBox:"0 0 24 24",xmlns:"http://www.w3.org/2000/svg",children:(0,h.jsx)(c.Path,{d:"M6.5 12.4L12 8l5.5 4.4-.9 1.2L12 10l-4.5 3.6-1-1.2z"})}),g=(0,h.jsx)(c.SVG,{viewBox:"0 0 24 24",xmlns:"http://www.w3.org/2000/svg",children:(0,h.jsx)(c.Path,{d:"M17.5 11.6L12 16l-5.5-4.4.9-1.2L12 14l4.5-3.6 1 1.2z"})});class b{constructor(e){this.cellSize=e,this.cols=0,this.rows=0,this.cells=[],this.usedCells=[],this.neighborCells=[]}resize(e,t){const i=Math.max(1,Math.ceil(e/this.cellSize)),r=Math.max(1,Math.ceil(t/this.cellSize));if(i!==this.cols||r!==this.rows){this.cols=i,this.rows=r,this.cells=[];for(let e=0;e<i*r;e++)this.cells.push([]);this.usedCells.length=0}}clear(){for(let e=0;e<this.usedCells.length;e++)this.usedCells[e].length=0;this.usedCells.length=0}getColumn(e){return Math.min(this.cols-1,Math.max(0,Math.floor(e/this.cellSize)))}getRow(e){return Math.min(this.rows-1,Math.max(0,Math.floor(e/this.cellSize)))}insert(e){const t=this.cells[this.getRow(e.y)*this.cols+this.getColumn(e.x)];0===t.length&&this.usedCells.push(t),t.push(e)}getNeighborCells(e,t){const i=this.getColumn(e),r=this.getRow(t),o=this.neighborCells;o.length=0;for(let e=r-1;e<=r+1;e++)if(!(e<0||e>=this.rows))for(let t=i-1;t<=i+1;t++){if(t<0||t>=this.cols)continue;const i=this.cells[e*this.cols+t];i.length>0&&o.push(i)}return o}}const u={circle:{extent:1,draw(e,t){e.beginPath(),e.arc(0,0,t,0,2*Math.PI),e.fill()}},sparkle:{extent:1.5,draw(e,t){const i=t/1.5;for(let t=0;t<5;t++){const r=2*Math.PI*t/5,o=1.5*i;e.beginPath(),e.moveTo(0,0),e.lineTo(Math.cos(r)*o,Math.sin(r)*o),e.lineTo(Math.cos(r+.1)*(.5*o),Math.sin(r+.1)*(.5*o)),e.closePath(),e.fill()}e.beginPath(),e.arc(0,0,.5*i,0,2*Math.PI),e.fill()}},star:{extent:1.3,draw(e,t){e.beginPath();for(let i=0;i<10;i++){const r=Math.PI*i/5-Math.PI/2,o=i%2==0?t:.45*t;e.lineTo(Math.cos(r)*o,Math.sin(r)*o)}e.closePath(),e.fill()}},heart:{extent:1.2,draw(e,t){e.beginPath(),e.moveTo(0,.9*t),e.bezierCurveTo(1.2*-t,.1*t,.75*-t,-t,0,.45*-t),e.bezierCurveTo(.75*t,-t,1.2*t,.1*t,0,.9*t),e.closePath(),e.fill()}},diamond:{extent:1.3,draw(e,t){e.beginPath(),e.moveTo(0,-t),e.lineTo(.65*t,0),e.lineTo(0,t),e.lineTo(.65*-t,0),e.closePath(),e.fill()}},confetti:{extent:1.2,draw(e,t){e.fillRect(-t,.45*-t,2*t,.9*t)}},ring:{extent:1,draw(e,t){e.beginPath(),e.arc(0,0,t,0,2*Math.PI),e.arc(0,0,.6*t,0,2*Math.PI,!0),e.fill()}},twinkle:{extent:1.4,draw(e,t){const i=.15*t;e.beginPath(),e.moveTo(0,-t),e.quadraticCurveTo(i,-i,t,0),e.quadraticCurveTo(i,i,0,t),e.quadraticCurveTo(-i,i,-t,0),e.quadraticCurveTo(-i,-i,0,-t),e.closePath(),e.fill()}},snowflake:{extent:1.3,draw(e,t){const i=.14*t,r=.38*t;for(let o=0;o<6;o++)e.save(),e.rotate(Math.PI*o/3),e.fillRect(-i/2,-t,i,t),e.translate(0,.6*-t),e.rotate(Math.PI/4),e.fillRect(-i/2,-r,i,r),e.rotate(-Math.PI/2),e.fillRect(-i/2,-r,i,r),e.restore()}},petal:{extent:1.3,draw(e,t){e.beginPath(),e.moveTo(0,-t),e.bezierCurveTo(.75*t,.35*-t,.7*t,t,0,t),e.bezierCurveTo(.7*-t,t,.75*-t,.35*-t,0,-t),e.closePath(),e.fill()}}},p=Object.keys(u);function m(e,t){if(null==e)return t;const i=Array.isArray(e)?e:String(e).split(","),r=[];return i.forEach(function(e){e=String(e).trim(),u.hasOwnProperty(e)&&-1===r.indexOf(e)&&r.push(e)}),r.length>0?r:t}function f(e,t){return t=t||Math.random,1===e.length?e[0]:e[Math.floor(t()*e.length)]}function _(e,t){if("undefined"!=typeof OffscreenCanvas)return new OffscreenCanvas(e,t);const i=document.createElement("canvas");return i.width=e,i.height=t,i}const v={};p.forEach(function(e,t){v[e]=t});const x=["attribute vec2 aCorner;","attribute vec4 aTransform;","attribute vec4 aColor;","attribute float aShape;","uniform vec2 uResolution;","uniform float uShapeCount;","uniform float uMaskFill;","varying vec2 vUv;","varying vec4 vColor;","void main() {","\tvec2 local = aCorner * aTransform.z;","\tfloat c = cos(aTransform.w);","\tfloat s = sin(aTransform.w);","\tvec2 world = aTransform.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);","\tgl_Position = vec4(world.x / uResolution.x * 2.0 - 1.0, 1.0 - world.y / uResolution.y * 2.0, 0.0, 1.0);","\tvUv = vec2((aShape + 0.5 + aCorner.x * 0.5 * uMaskFill) / uShapeCount, 0.5 + aCorner.y * 0.5 * uMaskFill);","\tvColor = aColor;","}"].join("\n"),y=["precision mediump float;","uniform sampler2D uShapes;","varying vec2 vUv;","varying vec4 vColor;","void main() {","\tfloat alpha = texture2D(uShapes, vUv).a * vColor.a;","\tif (alpha <= 0.0) {","\t\tdiscard;","\t}","\tgl_FragColor = vec4(vColor.rgb * alpha, alpha);","}"].join("\n");function w(e,t,i){const r=e.createShader(t);return e.shaderSource(r,i),e.compileShader(r),e.getShaderParameter(r,e.COMPILE_STATUS)?r:(e.deleteShader(r),null)}class C{static create(e){const t={alpha:!0,premultipliedAlpha:!0,antialias:!1,preserveDrawingBuffer:!1,desynchronized:!0};try{let i=e.getContext("webgl2",t),r=null;if(i)r={vertexAttribDivisor:(e,t)=>i.vertexAttribDivisor(e,t),drawArraysInstanced:(e,t,r,o)=>i.drawArraysInstanced(e,t,r,o)};else{i=e.getContext("webgl",t);const o=i&&i.getExtension("ANGLE_instanced_arrays");if(!o)return null;r={vertexAttribDivisor:(e,t)=>o.vertexAttribDivisorANGLE(e,t),drawArraysInstanced:(e,t,i,r)=>o.drawArraysInstancedANGLE(e,t,i,r)}}const o=new C(i,r);return o.program?o:null}catch(e){return null}}constructor(e,t){this.gl=e,this.instancing=t,this.width=0,this.height=0,this.instanceData=new Float32Array(2304),this.program=this.createProgram(),this.program&&(this.setupBuffers(),this.setupShapeMask())}createProgram(){const e=this.gl,t=w(e,e.VERTEX_SHADER,x),i=w(e,e.FRAGMENT_SHADER,y);if(!t||!i)return null;const r=e.createProgram();return e.attachShader(r,t),e.attachShader(r,i),e.linkProgram(r),e.getProgramParameter(r,e.LINK_STATUS)?r:null}setupBuffers(){const e=this.gl,t=this.program;e.useProgram(t),this.resolutionLocation=e.getUniformLocation(t,"uResolution"),this.cornerBuffer=e.createBuffer(),e.bindBuffer(e.ARRAY_BUFFER,this.cornerBuffer),e.bufferData(e.ARRAY_BUFFER,new Float32Array([-1,-1,1,-1,-1,1,1,1]),e.STATIC_DRAW);const i=e.getAttribLocation(t,"aCorner");e.enableVertexAttribArray(i),e.vertexAttribPointer(i,2,e.FLOAT,!1,0,0),this.instanceBuffer=e.createBuffer(),e.bindBuffer(e.ARRAY_BUFFER,this.instanceBuffer),e.bufferData(e.ARRAY_BUFFER,this.instanceData.byteLength,e.DYNAMIC_DRAW),[{name:"aTransform",size:4,offset:0},{name:"aColor",size:4,offset:4},{name:"aShape",size:1,offset:8}].forEach(i=>{const r=e.getAttribLocation(t,i.name);e.enableVertexAttribArray(r),e.vertexAttribPointer(r,i.size,e.FLOAT,!1,36,4*i.offset),this.instancing.vertexAttribDivisor(r,1)}),e.uniform1f(e.getUniformLocation(t,"uShapeCount"),p.length),e.uniform1f(e.getUniformLocation(t,"uMaskFill"),62/64),e.enable(e.BLEND),e.blendFunc(e.ONE,e.ONE_MINUS_SRC_ALPHA),e.clearColor(0,0,0,0)}setupShapeMask(){const e=this.gl,t=_(128*p.length,128),i=t.getContext("2d");i.fillStyle="#ffffff",p.forEach(function(e,t){i.setTransform(1,0,0,1,128*t+64,64),u[e].draw(i,62)}),this.shapeTexture=e.createTexture(),e.activeTexture(e.TEXTURE0),e.bindTexture(e.TEXTURE_2D,this.shapeTexture),e.texParameteri(e.TEXTURE_2D,e.TEXTURE_WRAP_S,e.CLAMP_TO_EDGE),e.texParameteri(e.TEXTURE_2D,e.TEXTURE_WRAP_T,e.CLAMP_TO_EDGE),e.texParameteri(e.TEXTURE_2D,e.TEXTURE_MIN_FILTER,e.LINEAR),e.texParameteri(e.TEXTURE_2D,e.TEXTURE_MAG_FILTER,e.LINEAR),e.texImage2D(e.TEXTURE_2D,0,e.RGBA,e.RGBA,e.UNSIGNED_BYTE,t),e.uniform1i(e.getUniformLocation(this.program,"uShapes"),0)}resize(e,t){const i=this.gl;this.width=e,this.height=t,i.viewport(0,0,i.drawingBufferWidth,i.drawingBufferHeight),i.uniform2f(this.resolutionLocation,e,t)}clear(){this.gl.clear(this.gl.COLOR_BUFFER_BIT)}ensureCapacity(e){if(this.instanceData.length>=9*e)return;let t=this.instanceData.length;for(;t<9*e;)t*=2;this.instanceData=new Float32Array(t);const i=this.gl;i.bindBuffer(i.ARRAY_BUFFER,this.instanceBuffer),i.bufferData(i.ARRAY_BUFFER,this.instanceData.byteLength,i.DYNAMIC_DRAW)}writeInstance(e,t,i){const r=this.instanceData,o=9*e;r[o]=t.drawX,r[o+1]=t.drawY,r[o+2]=t.size*u[t.shape].extent,r[o+3]=t.rotation,r[o+4]=i.r/255,r[o+5]=i.g/255,r[o+6]=i.b/255,r[o+7]=t.opacity,r[o+8]=v[t.shape]}flush(e){const t=this.gl;this.clear(),0!==e&&(t.bindBuffer(t.ARRAY_BUFFER,this.instanceBuffer),t.bufferSubData(t.ARRAY_BUFFER,0,this.instanceData.subarray(0,9*e)),this.instancing.drawArraysInstanced(t.TRIANGLE_STRIP,0,4,e))}drawField(e){const t=e.particlePool.getActive();this.ensureCapacity(t.length);for(let i=0;i<t.length;i++){const r=t[i];this.writeInstance(i,r,e.getParticleRgb(r))}this.flush(t.length)}drawSprinkle(e){const t=e.particlePool.getActive();this.ensureCapacity(t.length);for(let e=0;e<t.length;e++){const i=t[e];this.writeInstance(e,i,i.rgb)}this.flush(t.length)}}const P=[8,16,32,64];function S(e){return[parseInt(e.slice(1,3),16),parseInt(e.slice(3,5),16),parseInt(e.slice(5,7),16)]}function k(e,t,i){const r=S(e),o=S(t);return"rgb("+Math.round(r[0]+(o[0]-r[0])*i)+", "+Math.round(r[1]+(o[1]-r[1])*i)+", "+Math.round(r[2]+(o[2]-r[2])*i)+")"}class M{constructor(){this.sheets=new Map,this.scale=1,this.maxExtent=1/0}getSheet(e,t){const i=t&&e.length>1?3:1,r=i+"|"+e.join(",");let o=this.sheets.get(r);return o||(this.sheets.size>=8&&this.sheets.clear(),o={colors:e.slice(),steps:i,tintCount:e.length*i,grids:{}},this.sheets.set(r,o)),o}createGrid(e,t){const i=P[P.length-1],r=e.tintCount*(2*i+2),o=[];let s=0;P.forEach(e=>{const t=2*e+2;o.push({extent:e,cell:t,y:s}),s+=t});const l=_(r,s),a=l.getContext("2d"),n=e.colors;for(let i=0;i<e.tintCount;i++){const r=Math.floor(i/e.steps),s=n[(r+1)%n.length];a.fillStyle=k(n[r],s,i%e.steps/e.steps),o.forEach(e=>{a.setTransform(1,0,0,1,i*e.cell+e.cell/2,e.y+e.cell/2),u[t].draw(a,e.extent)})}return{canvas:l,rows:o}}getTint(e,t){return Math.floor(t*e.steps)%e.tintCount}draw(e,t,i,r,o){const s=t.grids[i]||(t.grids[i]=this.createGrid(t,i)),l=this.scale,a=o.size*u[i].extent,n=Math.min(a*l,this.maxExtent);let c=s.rows[s.rows.length-1];for(let e=0;e<s.rows.length;e++)if(s.rows[e].extent>=n){c=s.rows[e];break}const h=Math.cos(o.rotation)*l,d=Math.sin(o.rotation)*l;e.setTransform(h,d,-d,h,o.drawX*l,o.drawY*l),e.globalAlpha=o.opacity;const g=a*(c.cell/2)/c.extent;e.drawImage(s.canvas,r%t.tintCount*c.cell,c.y,c.cell,c.cell,-g,-g,2*g,2*g)}resetTransform(e){e.setTransform(this.scale,0,0,this.scale,0,0),e.globalAlpha=1}}function T(e){if(!((e=Math.floor(Number(e)))>0))return Math.random;let t=e>>>0;return function(){t=t+1831565813>>>0;let e=t;return e=Math.imul(e^e>>>15,1|e),e^=e+Math.imul(e^e>>>7,61|e),((e^e>>>14)>>>0)/4294967296}}const B={"rainbow-cycling":["#FF0000","#FF7F00","#FFFF00","#00FF00","#0000FF","#4B0082","#9400D3"],metallic:["#C0C0C0","#D4AF37","#E5E4E2","#B87333","#AAA9AD","#CD7F32","#CFCFCF"],"neutral-spectrum":["#8B8B8B","#A9A9A9","#C0C0C0","#D3D3D3","#E0E0E0"],"warm-sunset":["#FF6B6B","#FFA07A","#FFD700","#FF8C00","#FF4500"],"cool-ocean":["#00CED1","#20B2AA","#48D1CC","#40E0D0","#00FFFF"]},E=Object.keys(B).concat(["custom","theme"]),j={experienceMode:"particle-field",colorPalette:"rainbow-cycling",enableButtonText:"✨ Enable Sparkles",disableButtonText:"✨ Disable Sparkles",buttonPosition:"bottom-right",customColor:"#ff69b4",customColors:[],themeColors:[],themePalette:[],enabledByDefault:!1,enableButtonTextColor:"#ffffff",enableButtonBgColor:"#667eea",enableButtonGradientStart:"",enableButtonGradientEnd:"",disableButtonTextColor:"#ffffff",disableButtonBgColor:"#f093fb",disableButtonGradientStart:"",disableButtonGradientEnd:"",fieldColorPalette:"metallic",disableOnMobile:!1};function F(e,t,i,r){const o=parseFloat(e);return isFinite(o)?Math.min(void 0===r?1/0:r,Math.max(void 0===i?-1/0:i,o)):t}function A(e,t,i){return-1!==t.indexOf(e)?e:i}function z(e,t){return null==e?t:!0===e||"true"===e}function R(e,t){const i="string"==typeof e&&/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(e);if(!i)return t;let r=i[1];return 3===r.length&&(r=r[0]+r[0]+r[1]+r[1]+r[2]+r[2]),"#"+r}function O(e,t){if(null==e)return t;let i=e;if("string"==typeof e)try{i=JSON.parse(e)}catch(e){return t}if(!Array.isArray(i))return t;const r=[];return i.forEach(function(e){const t=e&&R(e.color,null);t&&r.push({color:t,weight:Math.max(.01,F(e.weight,1))})}),r}function L(e,t){if(null==e)return t;let i=e;if("string"==typeof e)try{i=JSON.parse(e)}catch(e){return t}return Array.isArray(i)?i.filter(function(e,t){return"string"==typeof e&&/^[A-Za-z0-9_-]+$/.test(e)&&i.indexOf(e)===t}):t}function I(e,t){return"custom"===t?e.customColors.length>0?e.customColors.map(function(e){return e.color}):[e.customColor]:"theme"===t&&e.themePalette.length>0?e.themePalette:B[t]||B["rainbow-cycling"]}const D={low:{maxScale:1,particles:.4,spriteExtent:16,separationEvery:0},balanced:{maxScale:1.5,particles:.7,spriteExtent:32,separationEvery:2},high:{maxScale:1/0,particles:1,spriteExtent:1/0,separationEvery:1}},N={snow:{shapes:["snowflake","circle"],colors:["#FFFFFF","#F0F8FF","#DDEEFF","#E8F4FF"],size:6,speed:1.2,sway:.6,spin:.01},petals:{shapes:["petal"],colors:["#FFB7C5","#FFC0CB","#FF9EB5","#FFE4EC","#F8A5C2"],size:8,speed:1.4,sway:1.4,spin:.04},"glitter-rain":{shapes:["sparkle","twinkle"],colors:null,size:4,speed:5,sway:.15,spin:.02}},H={peony:{shape:"circle",speed:4,drag:.96,gravity:.04,decay:.015},willow:{shape:"circle",speed:3,drag:.94,gravity:.03,decay:.006},ring:{shape:"circle",speed:4,drag:.96,gravity:.03,decay:.016},crossette:{shape:"twinkle",speed:3.5,drag:.96,gravity:.035,decay:.014}},G=Object.assign({},j,{particleOpacity:.9,particleSize:10,particleSizeMobile:7.5,animationDuration:1500,customPaletteMode:"cycle",maxParticles:50,displayBehavior:"compact",trailSpeedSensitivity:0,trailPressureSensitivity:0,fieldParticleCount:200,fieldParticleSize:6,fieldParticleSizeMobile:3,fieldMouseAttraction:.5,fieldSpreadStrength:.3,fieldClickExplosion:!1,keyboardInteraction:!1,keyboardBurstKey:"g",renderInWorker:!1,renderer:"auto",particleShape:["circle"],fieldParticleShape:["sparkle"],confettiOrigin:"bottom-corners",confettiBurstSize:150,confettiGravity:.25,confettiRepeat:1,confettiShape:["confetti"],fallingPreset:"snow",fallingDensity:120,fallingSpeed:1,fallingWind:.2,fallingGusts:!0,fallingCursorGust:0,fireworksFrequency:.8,fireworksBurstSize:80,fireworksPatterns:["peony","willow","ring","crossette"],fireworksClickLaunch:!0,seed:0,quality:"auto"});function W(e,t,i){if(null==e)return i;const r=(Array.isArray(e)?e:String(e).split(",")).filter(function(e,i,r){return t.hasOwnProperty(e)&&r.indexOf(e)===i});return r.length>0?r:i}function q(e,t){return t=t||G,Object.assign(function(e,t){return t=t||j,{experienceMode:A(e.experienceMode,["sprinkle-trail","particle-field","confetti","falling","fireworks"],t.experienceMode),colorPalette:A(e.colorPalette,E,t.colorPalette),enableButtonText:e.enableButtonText||t.enableButtonText,disableButtonText:e.disableButtonText||t.disableButtonText,buttonPosition:A(e.buttonPosition,["top-left","top-right","bottom-left","bottom-right"],t.buttonPosition),customColor:R(e.customColor,t.customColor),customColors:O(e.customColors,t.customColors),themeColors:L(e.themeColors,t.themeColors),themePalette:t.themePalette,enabledByDefault:z(e.enabledByDefault,t.enabledByDefault),enableButtonTextColor:R(e.enableButtonTextColor,t.enableButtonTextColor),enableButtonBgColor:R(e.enableButtonBgColor||e.enableButtonBackgroundColor,t.enableButtonBgColor),enableButtonGradientStart:R(e.enableButtonGradientStart,t.enableButtonGradientStart),enableButtonGradientEnd:R(e.enableButtonGradientEnd,t.enableButtonGradientEnd),disableButtonTextColor:R(e.disableButtonTextColor,t.disableButtonTextColor),disableButtonBgColor:R(e.disableButtonBgColor||e.disableButtonBackgroundColor,t.disableButtonBgColor),disableButtonGradientStart:R(e.disableButtonGradientStart,t.disableButtonGradientStart),disableButtonGradientEnd:R(e.disableButtonGradientEnd,t.disableButtonGradientEnd),fieldColorPalette:A(e.fieldColorPalette,E,t.fieldColorPalette),disableOnMobile:z(e.disableOnMobile,t.disableOnMobile)}}(e,t),{particleOpacity:F(e.particleOpacity,t.particleOpacity),particleSize:F(e.particleSize,t.particleSize),particleSizeMobile:F(e.particleSizeMobile,t.particleSizeMobile),animationDuration:F(e.animationDuration,t.animationDuration),customPaletteMode:A(e.customPaletteMode,["cycle","random"],t.customPaletteMode),maxParticles:F(e.maxParticles,t.maxParticles,10,100),displayBehavior:A(e.displayBehavior,["scattered","compact"],t.displayBehavior),trailSpeedSensitivity:F(e.trailSpeedSensitivity,t.trailSpeedSensitivity),trailPressureSensitivity:F(e.trailPressureSensitivity,t.trailPressureSensitivity),fieldParticleCount:F(e.fieldParticleCount,t.fieldParticleCount,50,1e3),fieldParticleSize:F(e.fieldParticleSize,t.fieldParticleSize),fieldParticleSizeMobile:F(e.fieldParticleSizeMobile,t.fieldParticleSizeMobile),fieldMouseAttraction:F(e.fieldMouseAttraction,t.fieldMouseAttraction),fieldSpreadStrength:F(e.fieldSpreadStrength,t.fieldSpreadStrength),fieldClickExplosion:z(e.fieldClickExplosion,t.fieldClickExplosion),keyboardInteraction:z(e.keyboardInteraction,t.keyboardInteraction),keyboardBurstKey:(i=e.keyboardBurstKey,r=t.keyboardBurstKey,"string"==typeof i&&1===Array.from(i).length?i:r),renderInWorker:z(e.renderInWorker,t.renderInWorker),renderer:A(e.renderer,["auto","canvas"],t.renderer),particleShape:m(e.particleShape,t.particleShape),fieldParticleShape:m(e.fieldParticleShape,t.fieldParticleShape),confettiOrigin:A(e.confettiOrigin,["bottom-corners","top-edge"],t.confettiOrigin),confettiBurstSize:F(e.confettiBurstSize,t.confettiBurstSize,20,500),confettiGravity:F(e.confettiGravity,t.confettiGravity),confettiRepeat:F(e.confettiRepeat,t.confettiRepeat,1,10),confettiShape:m(e.confettiShape,t.confettiShape),fallingPreset:N.hasOwnProperty(e.fallingPreset)?e.fallingPreset:t.fallingPreset,fallingDensity:F(e.fallingDensity,t.fallingDensity,20,500),fallingSpeed:F(e.fallingSpeed,t.fallingSpeed),fallingWind:F(e.fallingWind,t.fallingWind),fallingGusts:z(e.fallingGusts,t.fallingGusts),fallingCursorGust:F(e.fallingCursorGust,t.fallingCursorGust),fireworksFrequency:F(e.fireworksFrequency,t.fireworksFrequency,.2,3),fireworksBurstSize:F(e.fireworksBurstSize,t.fireworksBurstSize,20,200),fireworksPatterns:W(e.fireworksPatterns,H,t.fireworksPatterns),fireworksClickLaunch:z(e.fireworksClickLaunch,t.fireworksClickLaunch),seed:F(e.seed,t.seed),quality:A(e.quality,["auto"].concat(Object.keys(D)),t.quality)});var i,r}const U=1e3/60,V=["low","balanced","high"],Y=.97;class X{constructor(e){e=e||100,this.pool=[],this.activeParticles=[];for(let t=0;t<e;t++)this.pool.push(this.createParticleObject())}createParticleObject(){return{x:0,y:0,prevX:0,prevY:0,drawX:0,drawY:0,hasPrevious:!1,homX:0,homY:0,vx:0,vy:0,baseSize:0,size:0,opacity:0,color:"",birthTime:0,maxLife:0,shimmerPhase:0,shimmerSpeed:0,twinkle:0,rotation:0,rotationSpeed:0,colorIndex:0,colorCycleSpeed:0,isExplosion:!1,explosionLife:0,driftAngle:0,driftSpeed:0,driftPhase:0,rgb:{r:0,g:0,b:0},tint:0,shape:"circle",depth:1,kind:"",pattern:"",decay:0,drag:1,stage:0,active:!1}}acquire(){let e;return e=this.pool.length>0?this.pool.pop():this.createParticleObject(),e.active=!0,e.hasPrevious=!1,this.activeParticles.push(e),e}release(e){const t=this.activeParticles.indexOf(e);t>-1&&this.activeParticles.splice(t,1),e.active=!1,this.pool.push(e)}releaseAll(){for(;this.activeParticles.length>0;){const e=this.activeParticles.pop();e.active=!1,this.pool.push(e)}}getActive(){return this.activeParticles}getPoolSize(){return this.pool.length}getActiveCount(){return this.activeParticles.length}}class K{constructor(e,t){t=t||{},this.config=e,this.isMobile=!!t.isMobile,this.isContained=!!t.isContained,this.hasFixedRandom=!!t.random,this.random=t.random||T(e.seed),this.stepTime=0,this.now=t.headless?()=>this.stepTime:()=>performance.now(),this.ctx=null,this.renderer=null,this.spriteAtlas=null,this.scratchRgb={r:0,g:0,b:0},this.lastUpdateTime=0,this.stepAccumulator=0,this.interpolation=1,this.paletteIndex=0,this.trailCycle=0,this.pointers=[],this.lastParticleX=0,this.lastParticleY=0,this.logicalWidth=0,this.logicalHeight=0,this.colorPalettes=Object.assign({custom:[],theme:[]},B),this.customPaletteEnds=[],this.updateCustomPalette(),this.updateThemePalette(),this.qualityLevel=this.getStartQuality(),this.qualityFrameTotal=0,this.qualityWorkTotal=0,this.qualityHeadroom=0,this.qualityHeadroomNeeded=3,this.separationTick=0;let i=Math.max(this.config.maxParticles+20,70);"particle-field"===this.config.experienceMode?i=Math.max(this.config.fieldParticleCount+100,300):"confetti"===this.config.experienceMode?i=this.config.confettiBurstSize+20:"falling"===this.config.experienceMode?i=this.config.fallingDensity+20:"fireworks"===this.config.experienceMode&&(i=Math.max(4*this.config.fireworksBurstSize+100,300)),this.particlePool=new X(i),this.isCelebrating=!1,this.confettiBurstsLeft=0,this.confettiBurstTimer=0,this.fallingSpawnCredit=0,this.gust=0,this.gustTarget=0,this.gustTimer=0,this.fireworkLaunchTimer=0,this.spatialHash=new b(30)}attachCanvas(e){this.renderer="canvas"===this.config.renderer?null:C.create(e),this.renderer||(this.ctx=e.getContext("2d",{alpha:!0,willReadFrequently:!1,desynchronized:!0}),this.spriteAtlas=new M,this.spriteAtlas.maxExtent=D[this.qualityLevel].spriteExtent)}applyCanvasScale(e){this.renderer?this.renderer.resize(this.logicalWidth,this.logicalHeight):this.ctx&&(this.ctx.scale(e,e),this.spriteAtlas.scale=e)}clearCanvas(){this.renderer?this.renderer.clear():this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight)}setConfig(e){this.hasFixedRandom||e.seed===this.config.seed||(this.random=T(e.seed));const t=this.config.quality;this.config=e,this.updateCustomPalette(),this.updateThemePalette(),e.quality!==t&&(this.qualityHeadroomNeeded=3,this.setQualityLevel(this.getStartQuality()))}getStartQuality(){return"auto"!==this.config.quality?this.config.quality:this.isMobile?"balanced":"high"}setQualityLevel(e){e!==this.qualityLevel&&(this.qualityLevel=e,this.spriteAtlas&&(this.spriteAtlas.maxExtent=D[e].spriteExtent),this.fitFieldToBudget(),this.onQualityChange())}onQualityChange(){}getCanvasScale(e){return Math.min(e,D[this.qualityLevel].maxScale)}getParticleBudget(e){return Math.max(1,Math.round(e*D[this.qualityLevel].particles))}fitFieldToBudget(){if("particle-field"!==this.config.experienceMode)return;const e=this.particlePool.getActive();let t=0;for(let i=0;i<e.length;i++)e[i].isExplosion||t++;if(0===t)return;const i=this.getParticleBudget(this.config.fieldParticleCount);for(let r=e.length-1;r>=0&&t>i;r--)e[r].isExplosion||(this.particlePool.release(e[r]),t--);for(;t<i;t++)this.createFieldParticle()}measureFrameLoad(e,t){if(e<=0||e>250)return;if(this.qualityFrameTotal+=e,this.qualityWorkTotal+=t,this.qualityFrameTotal<1e3)return;const i=this.qualityWorkTotal/this.qualityFrameTotal,r=V.indexOf(this.qualityLevel);this.qualityFrameTotal=0,this.qualityWorkTotal=0,i>.5?(this.qualityHeadroom=0,r>0&&(this.qualityHeadroomNeeded=Math.min(48,2*this.qualityHeadroomNeeded),this.setQualityLevel(V[r-1]))):i<.25?(this.qualityHeadroom++,this.qualityHeadroom>=this.qualityHeadroomNeeded&&r<V.length-1&&(this.qualityHeadroom=0,this.setQualityLevel(V[r+1]))):this.qualityHeadroom=0}updateThemePalette(){this.colorPalettes.theme=I(this.config,"theme")}updateCustomPalette(){const e=this.config.customColors.length>0?this.config.customColors:[{color:this.config.customColor,weight:1}];let t=0;e.forEach(function(e){t+=e.weight});let i=0;this.colorPalettes.custom=e.map(function(e){return e.color}),this.customPaletteEnds=e.map(function(e){return i+=e.weight/t,i})}getPalettePosition(e,t){if("custom"!==e)return t*this.colorPalettes[e].length;const i=this.customPaletteEnds;let r=0;for(;r<i.length-1&&t>=i[r];)r++;const o=r>0?i[r-1]:0;return r+Math.min(.999,(t-o)/(i[r]-o))}isPaletteCycling(e){return"custom"!==e||"random"!==this.config.customPaletteMode}pickColorCycle(e){const t=this.random();if(this.isPaletteCycling(e))return t;const i=Math.floor(this.getPalettePosition(e,t));return i>0?this.customPaletteEnds[i-1]:0}pickFixedTint(){const e=this.getFixedPalette();return e===this.colorPalettes.custom?Math.floor(this.getPalettePosition("custom",this.random())):Math.floor(this.random()*e.length)}initializeParticleField(){this.particlePool.releaseAll();const e=this.getParticleBudget(this.config.fieldParticleCount);for(let t=0;t<e;t++)this.createFieldParticle()}createFieldParticle(){const e=this.isMobile?this.config.fieldParticleSizeMobile:this.config.fieldParticleSize,t=this.random()*this.logicalWidth,i=this.random()*this.logicalHeight,r=this.particlePool.acquire();r.x=t,r.y=i,r.homeX=t,r.homeY=i,r.vx=.5*(this.random()-.5),r.vy=.5*(this.random()-.5),r.baseSize=e*(.7+.6*this.random()),r.size=r.baseSize,r.opacity=.6+.4*this.random(),r.shimmerPhase=this.random()*Math.PI*2,r.shimmerSpeed=.02+.03*this.random(),r.rotation=this.random()*Math.PI*2,r.rotationSpeed=.02*(this.random()-.5),r.shape=f(this.config.fieldParticleShape,this.random),r.colorIndex=this.pickColorCycle(this.config.fieldColorPalette),r.colorCycleSpeed=.001+.002*this.random(),r.isExplosion=!1,r.explosionLife=0,r.driftAngle=this.random()*Math.PI*2,r.driftSpeed=.2+.3*this.random(),r.driftPhase=this.random()*Math.PI*2}createExplosion(e,t){this.particlePool.getActive().forEach(function(i){if(i.isExplosion)return;const r=i.x-e,o=i.y-t,s=Math.sqrt(r*r+o*o);if(s<250&&s>0){const e=8*(1-s/250),t=Math.atan2(o,r);i.vx+=Math.cos(t)*e,i.vy+=Math.sin(t)*e}});const i=this.isMobile?this.config.fieldParticleSizeMobile:this.config.fieldParticleSize;for(let r=0;r<40;r++){const o=2*Math.PI*r/40,s=3+5*this.random(),l=this.particlePool.acquire();l.x=e,l.y=t,l.homeX=e,l.homeY=t,l.vx=Math.cos(o)*s,l.vy=Math.sin(o)*s,l.baseSize=i*(1+.8*this.random()),l.size=l.baseSize,l.opacity=1,l.shimmerPhase=this.random()*Math.PI*2,l.shimmerSpeed=.05+.05*this.random(),l.rotation=this.random()*Math.PI*2,l.rotationSpeed=.1*(this.random()-.5),l.shape=f(this.config.fieldParticleShape,this.random),l.colorIndex=this.pickColorCycle(this.config.fieldColorPalette),l.colorCycleSpeed=.002,l.isExplosion=!0,l.explosionLife=1,l.driftAngle=0,l.driftSpeed=0,l.driftPhase=0}}getParticleColor(e){if("particle-field"===this.config.experienceMode&&e){const t=this.getParticleRgb(e);return"rgba("+t.r+", "+t.g+", "+t.b+", "+e.opacity+")"}return this.hexToRgba(this.nextTrailColor(),this.config.particleOpacity)}getParticleRgb(e){const t=this.scratchRgb,i=this.config.fieldColorPalette,r=this.colorPalettes[i],o=r.length,s=this.getPalettePosition(i,e.colorIndex),l=Math.floor(s)%o,a=(l+1)%o,n=s%1,c=this.hexToRgb(r[l]),h=this.hexToRgb(r[a]);return t.r=Math.round(c.r+(h.r-c.r)*n),t.g=Math.round(c.g+(h.g-c.g)*n),t.b=Math.round(c.b+(h.b-c.b)*n),t}getFixedPalette(){if("falling"===this.config.experienceMode){const e=N[this.config.fallingPreset];if(e.colors)return e.colors}return this.colorPalettes[this.config.colorPalette]}nextTrailColor(){const e=this.config.colorPalette,t=this.colorPalettes[e];return this.isPaletteCycling(e)?(this.trailCycle=(this.trailCycle+.05/t.length)%1,this.paletteIndex=this.getPalettePosition(e,this.trailCycle)):this.paletteIndex=this.getPalettePosition(e,this.random()),t[Math.floor(this.paletteIndex)]}hexToRgb(e,t){return(t=t||{}).r=parseInt(e.slice(1,3),16),t.g=parseInt(e.slice(3,5),16),t.b=parseInt(e.slice(5,7),16),t}hexToRgba(e,t){const i=this.hexToRgb(e);return"rgba("+i.r+", "+i.g+", "+i.b+", "+t+")"}getPointer(e){for(let t=0;t<this.pointers.length;t++)if(this.pointers[t].id===e)return this.pointers[t];return null}updatePointer(e,t,i,r){const o=this.now();let s=this.getPointer(e);s||(s={id:e,x:t,y:i,lastParticleX:-1/0,lastParticleY:-1/0,speed:0,moveTime:o,pressure:.5},this.pointers.push(s));const l=o-s.moveTime;if(l>0){const e=t-s.x,r=i-s.y;s.speed+=.3*(Math.sqrt(e*e+r*r)/l-s.speed),s.moveTime=o}s.x=t,s.y=i,s.pressure="number"==typeof r?r:.5}removePointer(e){const t=this.getPointer(e);t&&this.pointers.splice(this.pointers.indexOf(t),1)}createParticle(e,t,i){const r=this.getPointer(i),o=r||this;let s=0,l=0,a=1;if(r){const e=this.config.trailSpeedSensitivity;s=e*Math.min(1,Math.max(0,(r.speed-.15)/1.35)),l=e*Math.max(0,1-r.speed/.15),a=Math.max(.25,1+2*(r.pressure-.5)*this.config.trailPressureSensitivity)}const n=e-o.lastParticleX,c=t-o.lastParticleY,h=Math.sqrt(n*n+c*c),d=(this.isMobile?12:8)*(1-.6*l);if(h<d)return;const g=s>0&&isFinite(h)?Math.min(6,Math.floor(h/d)):1,b=Math.atan2(c,n),u=(this.isMobile?this.config.particleSizeMobile:this.config.particleSize)*(1-.5*s)*a,p=this.config.animationDuration*(1-.6*s+.5*l);for(let i=g-1;i>=0;i--)this.emitTrailParticle(e-n*i/g,t-c*i/g,u,p,b,s,l);o.lastParticleX=e,o.lastParticleY=t}emitTrailParticle(e,t,i,r,o,s,l){const a=this.particlePool.getActive();a.length>=this.getParticleBudget(this.config.maxParticles)&&this.particlePool.release(a[0]);const n="compact"===this.config.displayBehavior,c=this.now(),h=this.particlePool.acquire();h.x=e,h.y=t,h.size=i;const d=this.nextTrailColor();this.hexToRgb(d,h.rgb),h.color=this.hexToRgba(d,this.config.particleOpacity),h.tint=Math.floor(this.paletteIndex),h.shape=f(this.config.particleShape,this.random),h.rotation=(this.random()-.5)*Math.PI*.5*(1-s)+o*s,h.opacity=this.config.particleOpacity,h.birthTime=c,h.maxLife=r,h.twinkle=l,h.shimmerPhase=this.random()*Math.PI*2,h.vx=n?0:2*(this.random()-.5),h.vy=n?0:2*(this.random()-.5)}updateSprinkleParticles(e){const t="compact"===this.config.displayBehavior,i=this.particlePool.getActive(),r=i.length;for(let o=i.length-1;o>=0;o--){const s=i[o],l=e-s.birthTime,a=Math.max(0,1-l/s.maxLife);t||(s.x+=s.vx,s.y+=s.vy);const n=r>1?(o+1)/r:1;s.opacity=this.config.particleOpacity*Math.min(a,n),s.twinkle>0&&(s.opacity*=1-.6*s.twinkle*(.5+.5*Math.sin(.012*l+s.shimmerPhase))),(l>=s.maxLife||s.opacity<=.01||this.isOutOfBounds(s))&&this.particlePool.release(s)}}isOutOfBounds(e){if(this.isContained){const t=2*e.size;return e.x<-t||e.x>this.logicalWidth+t||e.y<-t||e.y>this.logicalHeight+t}return Math.abs(e.x)>2*this.logicalWidth||Math.abs(e.y)>2*this.logicalHeight}updateFieldParticles(){const e=this.particlePool.getActive(),t=D[this.qualityLevel].separationEvery,i=t>0&&this.separationTick++%t===0?.05*this.config.fieldSpreadStrength*.5*t:0,r=this.spatialHash;if(r.clear(),i>0){r.resize(this.logicalWidth,this.logicalHeight);for(let t=0;t<e.length;t++)e[t].isExplosion||r.insert(e[t])}for(let t=e.length-1;t>=0;t--){const o=e[t];if(this.isPaletteCycling(this.config.fieldColorPalette)&&(o.colorIndex=(o.colorIndex+o.colorCycleSpeed)%1),o.isExplosion){if(o.explosionLife-=.02,o.opacity=Math.max(0,o.explosionLife),o.x+=o.vx,o.y+=o.vy,o.vx*=.95,o.vy*=.95,o.explosionLife<=0||this.isContained&&this.isOutOfBounds(o)){this.particlePool.release(o);continue}}else{o.driftPhase+=.015;const e=Math.cos(o.driftAngle+o.driftPhase)*o.driftSpeed,t=Math.sin(o.driftAngle+.7*o.driftPhase)*o.driftSpeed;if(o.vx+=.03*e,o.vy+=.03*t,this.pointers.length>0)for(let e=0;e<this.pointers.length;e++)this.applyPointerAttraction(o,this.pointers[e],this.config.fieldMouseAttraction);else{const e=o.homeX,t=o.homeY,i=e-o.x,r=t-o.y,s=Math.sqrt(i*i+r*r);if(s>1){const e=.002;o.vx+=i/s*e*s*.05,o.vy+=r/s*e*s*.05}}if(i>0){const e=r.getNeighborCells(o.x,o.y);for(let t=0;t<e.length;t++){const r=e[t];for(let e=0;e<r.length;e++){const t=r[e];if(t===o)continue;const s=t.x-o.x,l=t.y-o.y,a=Math.sqrt(s*s+l*l);if(a>0&&a<30){const e=(30-a)/30*i;o.vx-=s/a*e,o.vy-=l/a*e}}}}}o.x+=o.vx,o.y+=o.vy,o.isExplosion||(o.vx*=.95,o.vy*=.95),o.x<0&&(o.x=this.logicalWidth),o.x>this.logicalWidth&&(o.x=0),o.y<0&&(o.y=this.logicalHeight),o.y>this.logicalHeight&&(o.y=0),o.shimmerPhase+=o.shimmerSpeed;const s=(Math.sin(o.shimmerPhase)+1)/2;o.size=o.baseSize*(.7+.3*s),o.rotation+=o.rotationSpeed}}applyPointerAttraction(e,t,i){const r=t.x-e.x,o=t.y-e.y,s=Math.sqrt(r*r+o*o),l=Math.max(this.logicalWidth,this.logicalHeight);if(s>0&&s<l){const t=s/l,a=Math.pow(1-t,3)*i*.08;e.vx+=r/s*a,e.vy+=o/s*a}}startCelebration(){this.particlePool.releaseAll(),this.isCelebrating=!0,this.confettiBurstsLeft=Math.max(1,Math.round(this.config.confettiRepeat)),this.confettiBurstTimer=0}celebrationEnded(){return!(!this.isCelebrating||"confetti"!==this.config.experienceMode||this.confettiBurstsLeft>0||this.particlePool.getActiveCount()>0||(this.isCelebrating=!1,0))}launchConfetti(){const e=this.getParticleBudget(this.config.confettiBurstSize),t=this.logicalWidth,i=this.logicalHeight;if("top-edge"===this.config.confettiOrigin){for(let r=0;r<e;r++)this.createConfettiPiece(this.random()*t,-this.random()*i*.2,4*(this.random()-.5),3*this.random());return}const r=this.getConfettiLaunchSpeed(.75*i);for(let o=0;o<e;o++){const e=o%2==0,s=-Math.PI/2+(e?1:-1)*(.2+.5*this.random()),l=r*(.75+.45*this.random());this.createConfettiPiece(e?0:t,i,Math.cos(s)*l,Math.sin(s)*l)}}getConfettiLaunchSpeed(e){const t=Math.max(.01,this.config.confettiGravity);let i=0,r=e;for(let o=0;o<20;o++){const o=(i+r)/2;let s=-o,l=0;for(;s<0;)s=(s+t)*Y,l-=s;l<e?i=o:r=o}return r}createConfettiPiece(e,t,i,r){const o=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,s=this.getFixedPalette(),l=this.pickFixedTint(),a=this.particlePool.acquire();a.x=e,a.y=t,a.vx=i,a.vy=r,a.baseSize=o*(.6+.6*this.random()),a.size=a.baseSize,a.opacity=this.config.particleOpacity,a.rotation=this.random()*Math.PI*2,a.rotationSpeed=.3*(this.random()-.5),a.shimmerPhase=this.random()*Math.PI*2,a.shimmerSpeed=.08+.1*this.random(),a.shape=f(this.config.confettiShape,this.random),a.tint=l,this.hexToRgb(s[l],a.rgb)}updateConfettiParticles(){this.confettiBurstsLeft>0&&(this.confettiBurstTimer<=0?(this.launchConfetti(),this.confettiBurstsLeft--,this.confettiBurstTimer=90):this.confettiBurstTimer--);const e=Math.max(.01,this.config.confettiGravity),t=this.particlePool.getActive();for(let i=t.length-1;i>=0;i--){const r=t[i];r.vy+=e,r.vx*=Y,r.vy*=Y,r.shimmerPhase+=r.shimmerSpeed,r.x+=r.vx+.8*Math.sin(r.shimmerPhase),r.y+=r.vy,r.rotation+=r.rotationSpeed,r.size=r.baseSize*(.55+.45*Math.abs(Math.cos(r.shimmerPhase))),(r.y>this.logicalHeight+2*r.baseSize||r.x<.5*-this.logicalWidth||r.x>1.5*this.logicalWidth)&&this.particlePool.release(r)}}startFalling(){this.particlePool.releaseAll(),this.fallingSpawnCredit=0,this.gust=0,this.gustTarget=0,this.gustTimer=0}createFallingParticle(){const e=this.particlePool.acquire();this.spawnFallingParticle(e),e.x=this.random()*this.logicalWidth}spawnFallingParticle(e){const t=N[this.config.fallingPreset],i=this.getFixedPalette(),r=this.pickFixedTint(),o=.3+.7*this.random(),s=t.size*(this.isMobile?.75:1);e.depth=o,e.baseSize=s*o*(.8+.4*this.random()),e.size=e.baseSize,e.y=2*-e.baseSize,e.vx=this.getWindSpeed()*o,e.vy=0,e.driftSpeed=t.speed*o*(.8+.4*this.random()),e.driftPhase=this.random()*Math.PI*2,e.shimmerSpeed=.01+.03*this.random(),e.opacity=this.config.particleOpacity*(.5+.5*o),e.rotation=this.random()*Math.PI*2,e.rotationSpeed=2*(this.random()-.5)*t.spin,e.shape=f(t.shapes,this.random),e.tint=r,this.hexToRgb(i[r],e.rgb)}getWindSpeed(){return 2*(this.config.fallingWind+this.gust)}updateGust(){--this.gustTimer<=0&&(this.gustTarget=this.config.fallingGusts?.6*(2*this.random()-1):0,this.gustTimer=120+240*this.random()),this.gust+=.01*(this.gustTarget-this.gust)}updateFallingParticles(){const e=N[this.config.fallingPreset],t=this.getParticleBudget(this.config.fallingDensity),i=this.logicalHeight,r=this.logicalWidth,o=this.particlePool.getActive();this.updateGust();const s=this.getWindSpeed();if(o.length<t&&i>0)for(this.fallingSpawnCredit+=t*e.speed*.65*this.config.fallingSpeed/i;this.fallingSpawnCredit>=1&&o.length<t;)this.createFallingParticle(),this.fallingSpawnCredit--;const l=this.config.fallingCursorGust;for(let a=o.length-1;a>=0;a--){const n=o[a];if(n.vx+=.02*(s*n.depth-n.vx),l>0)for(let e=0;e<this.pointers.length;e++)this.applyPointerAttraction(n,this.pointers[e],l);n.vy*=.95,n.driftPhase+=n.shimmerSpeed,n.x+=n.vx+Math.sin(n.driftPhase)*e.sway*n.depth,n.y+=n.driftSpeed*this.config.fallingSpeed+n.vy,n.rotation+=n.rotationSpeed;const c=2*n.baseSize;n.x<-c&&(n.x=r+c),n.x>r+c&&(n.x=-c),n.y>i+c&&(o.length>t?this.particlePool.release(n):this.spawnFallingParticle(n))}}startFireworks(){this.particlePool.releaseAll(),this.fireworkLaunchTimer=0}launchRocket(e,t){const i=this.logicalWidth,r=this.logicalHeight;void 0!==e&&void 0!==t||(e=i*(.15+.7*this.random()),t=r*(.15+.3*this.random()));const o=Math.min(i,Math.max(0,e+(this.random()-.5)*i*.3)),s=Math.max(20,r-t),l=-Math.sqrt(.12*s),a=-l/.06,n=this.getFixedPalette(),c=this.pickFixedTint(),h=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,d=this.config.fireworksPatterns,g=this.particlePool.acquire();g.kind="rocket",g.pattern=d[Math.floor(this.random()*d.length)],g.x=o,g.y=r,g.vx=(e-o)/a,g.vy=l,g.baseSize=.4*h,g.size=g.baseSize,g.opacity=this.config.particleOpacity,g.rotation=0,g.rotationSpeed=0,g.shape="circle",g.tint=c,this.hexToRgb(n[c],g.rgb)}createFireworkSpark(e,t,i,r,o){const s=H[e.pattern],l=this.getFixedPalette(),a=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,n="trail"===r;o%=l.length;const c=this.particlePool.acquire();return c.kind=r,c.pattern=e.pattern,c.stage=0,c.x=e.x,c.y=e.y,c.vx=t,c.vy=i,c.drag=n?.9:s.drag,c.decay=n?.04+.03*this.random():s.decay*(.8+.4*this.random()),c.explosionLife=1,c.isExplosion=!0,c.baseSize=a*(n?.25:.35+.15*this.random()),c.size=c.baseSize,c.opacity=this.config.particleOpacity,c.rotation=this.random()*Math.PI*2,c.rotationSpeed=.2*(this.random()-.5),c.shape=n?"circle":s.shape,c.tint=o,this.hexToRgb(l[o],c.rgb),c}burstFirework(e){const t=H[e.pattern],i=this.getParticleBudget(this.config.fireworksBurstSize),r=Math.min(1.5,Math.max(.5,Math.min(this.logicalWidth,this.logicalHeight)/800)),o=t.speed*r;switch(e.pattern){case"ring":{const t=.3+.7*this.random(),r=this.random()*Math.PI,s=Math.cos(r),l=Math.sin(r);for(let r=0;r<i;r++){const a=2*Math.PI*r/i,n=Math.cos(a)*o,c=Math.sin(a)*o*t;this.createFireworkSpark(e,n*s-c*l,n*l+c*s,"spark",e.tint+r%2)}break}case"crossette":{const t=Math.max(6,Math.round(i/10));for(let i=0;i<t;i++){const r=2*Math.PI*(i+.5*this.random())/t;this.createFireworkSpark(e,Math.cos(r)*o,Math.sin(r)*o,"spark",e.tint).stage=1}break}default:{const t="willow"===e.pattern?Math.round(.6*i):i;for(let i=0;i<t;i++){const t=this.random()*Math.PI*2,i=o*("willow"===e.pattern?.3+.7*this.random():.6+.4*this.random());this.createFireworkSpark(e,Math.cos(t)*i,Math.sin(t)*i,"spark",e.tint)}}}}splitCrossette(e){const t=this.random()*Math.PI/2,i=Math.sqrt(e.vx*e.vx+e.vy*e.vy)+1.5;for(let r=0;r<4;r++){const o=t+Math.PI*r/2;this.createFireworkSpark(e,e.vx+Math.cos(o)*i,e.vy+Math.sin(o)*i,"spark",e.tint+1).explosionLife=e.explosionLife}}updateFireworkParticles(){this.config.fireworksFrequency>0&&(this.fireworkLaunchTimer<=0?(this.launchRocket(),this.fireworkLaunchTimer=60/this.config.fireworksFrequency*(.7+.6*this.random())):this.fireworkLaunchTimer--);const e=this.particlePool.getActive();for(let t=e.length-1;t>=0;t--){const i=e[t];if("rocket"===i.kind){i.vy+=.06,i.x+=i.vx,i.y+=i.vy,this.createFireworkSpark(i,.6*(this.random()-.5),.8*this.random(),"trail",i.tint),i.vy>=0&&(this.burstFirework(i),this.particlePool.release(i));continue}const r=H[i.pattern];if(i.vy+="trail"===i.kind?0:r.gravity,i.vx*=i.drag,i.vy*=i.drag,i.x+=i.vx,i.y+=i.vy,i.rotation+=i.rotationSpeed,i.explosionLife-=i.decay,1===i.stage&&i.explosionLife<.6){this.splitCrossette(i),this.particlePool.release(i);continue}const o=Math.max(0,i.explosionLife);i.opacity=this.config.particleOpacity*("willow"===i.pattern?Math.sqrt(o):o),i.size=i.baseSize*(.5+.5*o),(i.explosionLife<=0||i.y>this.logicalHeight+2*i.baseSize)&&this.particlePool.release(i)}}updateParticles(e){switch(this.config.experienceMode){case"sprinkle-trail":this.updateSprinkleParticles(e);break;case"confetti":this.updateConfettiParticles();break;case"falling":this.updateFallingParticles();break;case"fireworks":this.updateFireworkParticles();break;default:this.updateFieldParticles()}}drawParticles(){"particle-field"===this.config.experienceMode?this.drawFieldParticles():this.drawSprinkleParticles()}drawSprinkleParticles(){if(this.updateDrawPositions(),this.renderer)return void this.renderer.drawSprinkle(this);this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight);const e=this.spriteAtlas,t=e.getSheet(this.getFixedPalette(),!1);this.particlePool.getActive().forEach(i=>{e.draw(this.ctx,t,i.shape,i.tint,i)}),e.resetTransform(this.ctx)}drawFieldParticles(){if(this.updateDrawPositions(),this.renderer)return void this.renderer.drawField(this);this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight);const e=this.spriteAtlas,t=this.config.fieldColorPalette,i=e.getSheet(this.colorPalettes[t],!0);this.particlePool.getActive().forEach(r=>{const o=e.getTint(i,this.getPalettePosition(t,r.colorIndex));e.draw(this.ctx,i,r.shape,o,r)}),e.resetTransform(this.ctx)}step(e){for(let t=0;t<e;t++)this.stepTime+=U,this.physicsStep(this.stepTime);this.interpolation=1}physicsStep(e){const t=this.particlePool.getActive();for(let e=0;e<t.length;e++){const i=t[e];i.prevX=i.x,i.prevY=i.y,i.hasPrevious=!0}this.updateParticles(e)}updateDrawPositions(){const e=this.interpolation,t=this.particlePool.getActive();for(let i=0;i<t.length;i++){const r=t[i],o=r.x-r.prevX,s=r.y-r.prevY;r.hasPrevious&&Math.abs(o)<100&&Math.abs(s)<100?(r.drawX=r.prevX+o*e,r.drawY=r.prevY+s*e):(r.drawX=r.x,r.drawY=r.y)}}renderFrame(e){const t=e-this.lastUpdateTime;this.stepAccumulator+=Math.max(0,t),this.lastUpdateTime=e;let i=0;for(;this.stepAccumulator>=U&&i<4;)this.physicsStep(e),this.stepAccumulator-=U,i++;return this.stepAccumulator>=U&&(this.stepAccumulator%=U),this.interpolation=this.stepAccumulator/U,this.drawParticles(),"auto"===this.config.quality&&this.measureFrameLoad(t,this.now()-e),i>0}}const $=window.matchMedia&&window.matchMedia("(prefers-reduced-motion: reduce)").matches,Z=/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(window.navigator.userAgent)||window.innerWidth<768;function Q(e,t){if(0===t.length)return[];const i=e.ownerDocument.defaultView.getComputedStyle(e),r=document.createElement("canvas").getContext("2d"),o=[];return t.forEach(function(e){const t=i.getPropertyValue(function(e){return"--wp--preset--color--"+e.replace(/([a-z])([A-Z])/g,"$1-$2").replace(/([A-Za-z])([0-9])/g,"$1-$2").replace(/([0-9])([A-Za-z])/g,"$1-$2").replace(/_/g,"-").toLowerCase()}(e)).trim();if(!t||!window.CSS||!window.CSS.supports("color",t))return;r.fillStyle="#000000",r.fillStyle=t;const s=r.fillStyle;if("#"===s.charAt(0))return void o.push(s);const l=s.match(/\d+(\.\d+)?/g);l&&l.length>=3&&o.push("#"+l.slice(0,3).map(function(e){return("0"+Math.round(Number(e)).toString(16)).slice(-2)}).join(""))}),o}const J={"particle-field":"Magical glitter field activated.",confetti:"Confetti celebration launched.",falling:"Falling particles started.",fireworks:"Fireworks display started."};class ee{constructor(e,t,i){this.config=e,this.onToggle=i;const r=document.createElement("button");r.className="glitter-bomb-toggle position-"+e.buttonPosition,r.setAttribute("type","button");const o=document.createElement("div");o.className="glitter-bomb-sr-only",o.setAttribute("role","status"),o.setAttribute("aria-live","polite"),o.id="glitter-bomb-announcement",document.body.appendChild(o),this.button=r,this.srAnnouncement=o,r.addEventListener("click",()=>this.onToggle()),r.addEventListener("keydown",e=>{"Enter"!==e.key&&" "!==e.key||(e.preventDefault(),this.onToggle())}),(t||document.body).appendChild(r)}setConfig(e){this.config=e,this.button.className="glitter-bomb-toggle position-"+e.buttonPosition}update(e){this.button.setAttribute("aria-pressed",e),this.button.textContent=e?this.config.disableButtonText:this.config.enableButtonText,this.applyStyles(e)}announce(e){this.srAnnouncement.textContent=e?"Sparkle effects enabled. "+(J[this.config.experienceMode]||"Particles will follow your cursor."):"Sparkle effects disabled."}announceFailure(){this.srAnnouncement.textContent="Sparkle effects could not be loaded. Please try again."}getPaletteGradient(){const e="particle-field"===this.config.experienceMode?this.config.fieldColorPalette:this.config.colorPalette,t=I(this.config,e);return{start:t[0],end:t[t.length-1]}}applyStyles(e){const t=this.config,i=e?t.disableButtonTextColor:t.enableButtonTextColor,r=e?t.disableButtonBgColor:t.enableButtonBgColor;let o=e?t.disableButtonGradientStart:t.enableButtonGradientStart,s=e?t.disableButtonGradientEnd:t.enableButtonGradientEnd;if(this.button.style.color=i,!o&&!s){const e=this.getPaletteGradient();o=e.start,s=e.end}this.button.style.background=o&&s?"linear-gradient(135deg, "+o+", "+s+")":r}destroy(){this.button.parentNode&&this.button.parentNode.removeChild(this.button),this.srAnnouncement.parentNode&&this.srAnnouncement.parentNode.removeChild(this.srAnnouncement)}}const te="touch",ie="focus";function re(e){return e>1?Math.min(1,Math.max(0,(e-10)/40)):.5}function oe(e){return"pen"===e.pointerType&&e.buttons>0?e.pressure:"touch"===e.pointerType?re(Math.max(e.width||0,e.height||0)):.5}function se(e){return void 0===e.pointerId?"mouse":e.pointerId}function le(e){return e.pointerType||"mouse"}function ae(e){return re(2*Math.max(e.radiusX||0,e.radiusY||0))}class ne extends K{constructor(e,t){const i=q((t=t||{}).config||e.dataset);i.themePalette=Q(e,i.themeColors),super(i,{isMobile:Z,isContained:!!t.container}),this.blockElement=e,this.container=t.container||null,this.isPreview=!!t.preview,this.resizeObserver=null,this.canvas=null,this.isActive=!1,this.animationFrameId=null,this.lastFrameTime=0,this.tapStarts={},this.focusedElement=null,this.isTabVisible=!document.hidden,this.isInitialized=!1,this.toggleButton=t.toggleButton||null,this.startActive=!!t.active,this.worker=null,this.supportsOffscreenCanvas=!!t.supportsOffscreenCanvas,this.useWorker=this.config.renderInWorker&&this.supportsOffscreenCanvas&&!this.isPreview,this.fadeFrameId=null,this.lastTouchTime=0,this.canvasScale=1,this.isResizing=!1,this.resizeDebounceTimer=null,this.lastResizeTime=0,this.canvasOpacity=1,this.targetOpacity=1,this.isFading=!1,this.init()}init(){this.isPreview?this.initPreview():Z&&this.config.disableOnMobile||(this.createCanvas(),this.toggleButton||(this.toggleButton=new ee(this.config,this.container)),this.toggleButton.onToggle=()=>this.toggle(),this.setupEventListeners(),this.isActive=this.startActive,this.updateButtonUI(),this.isActive&&(this.initializeParticles(),this.start(),this.dispatch("enabled")))}initPreview(){this.createCanvas(),this.setupEventListeners(),$?this.renderStillFrame():(this.isActive=!0,this.initializeParticles(),this.start())}renderStillFrame(){this.clearParticles(),"particle-field"===this.config.experienceMode&&(this.initializeParticleField(),this.drawFieldParticles())}updateConfig(e){const t=this.config,i=q(e,t);if(i.themePalette=Q(this.blockElement,i.themeColors),this.setConfig(i),this.worker&&this.worker.postMessage({type:"config",config:this.config}),!this.config.keyboardInteraction&&this.focusedElement&&this.releaseFocus(),this.toggleButton&&(this.toggleButton.setConfig(this.config),this.updateButtonUI()),this.canvas)return["renderer","renderInWorker"].some(e=>t[e]!==this.config[e])&&(this.stop(),this.useWorker=this.config.renderInWorker&&this.supportsOffscreenCanvas&&!this.isPreview,this.replaceCanvas(),this.isActive)?(this.initializeParticles(),void this.start()):void(!this.isPreview||this.isActive?["experienceMode","fieldParticleCount","fieldParticleSize","fieldParticleSizeMobile","fieldParticleShape","confettiOrigin","confettiBurstSize","confettiRepeat","fallingPreset","seed"].some(e=>String(t[e])!==String(this.config[e]))&&this.isActive&&(this.clearParticles(),this.initializeParticles()):this.renderStillFrame())}initializeParticles(){"particle-field"===this.config.experienceMode?(this.initializeParticleField(),this.isInitialized=!0):"confetti"===this.config.experienceMode?this.startCelebration():"falling"===this.config.experienceMode?this.startFalling():"fireworks"===this.config.experienceMode&&this.startFireworks()}updateButtonUI(){this.toggleButton&&this.toggleButton.update(this.isActive)}createCanvas(){this.canvas=document.createElement("canvas"),this.canvas.className="glitter-bomb-canvas",this.canvas.setAttribute("aria-hidden","true"),this.container?(this.canvas.classList.add("is-contained"),this.container.appendChild(this.canvas)):document.body.appendChild(this.canvas),this.useWorker&&this.startWorker()||this.attachCanvas(this.canvas),this.calculateCanvasSize()}startWorker(){let e;try{e=new Worker(new URL(i.p+i.u(464),i.b),{name:"particle-worker"});const t=this.canvas.transferControlToOffscreen();e.postMessage({type:"init",canvas:t,config:this.config,isMobile:Z,isContained:this.isContained},[t])}catch(t){return e&&e.terminate(),!1}return e.addEventListener("error",()=>this.fallbackToMainThread()),e.addEventListener("message",e=>{"celebrationEnd"===e.data.type&&this.finishCelebration()}),this.worker=e,!0}fallbackToMainThread(){this.worker&&(this.useWorker=!1,this.replaceCanvas(),this.isActive&&(this.initializeParticles(),this.start()))}replaceCanvas(){this.worker&&(this.worker.terminate(),this.worker=null),this.canvas.parentNode&&this.canvas.parentNode.removeChild(this.canvas),this.createCanvas()}getViewportHeight(){return window.visualViewport?window.visualViewport.height:window.innerHeight}calculateCanvasSize(){const e=this.container?this.container.clientWidth:window.innerWidth,t=this.container?this.container.clientHeight:this.getViewportHeight(),i=window.devicePixelRatio||1;this.logicalWidth=e,this.logicalHeight=t,this.canvasScale=this.getCanvasScale(i),this.worker?this.worker.postMessage({type:"resize",width:e,height:t,pixelRatio:i}):(this.canvas.width=e*this.canvasScale,this.canvas.height=t*this.canvasScale),this.canvas.style.width=this.container?"100%":"100vw",this.canvas.style.height=this.container?"100%":"100vh",this.applyCanvasScale(this.canvasScale)}onQualityChange(){this.canvas&&!this.worker&&this.calculateCanvasSize()}handleResize(){const e=performance.now();this.resizeDebounceTimer&&clearTimeout(this.resizeDebounceTimer),e-this.lastResizeTime<150&&(this.isResizing||(this.isResizing=!0,this.targetOpacity=.3,this.isFading=!0)),this.lastResizeTime=e,this.resizeDebounceTimer=setTimeout(()=>{this.calculateCanvasSize(),"particle-field"===this.config.experienceMode&&this.isActive&&this.initializeParticleField(),this.isResizing=!1,this.targetOpacity=1,this.isFading=!0,this.animateFade()},250),this.animateFade()}animateFade(){if(!this.worker||!this.isFading||this.fadeFrameId)return;const e=()=>{this.updateCanvasOpacity(),this.fadeFrameId=this.isFading?window.requestAnimationFrame(e):null};this.fadeFrameId=window.requestAnimationFrame(e)}updateCanvasOpacity(){if(!this.isFading)return;const e=this.targetOpacity-this.canvasOpacity;Math.abs(e)<.01?(this.canvasOpacity=this.targetOpacity,this.isFading=!1):this.canvasOpacity+=.05*e,this.canvas.style.opacity=this.canvasOpacity.toString()}toLocalPoint(e,t){if(!this.container)return{x:e,y:t};const i=this.container.getBoundingClientRect();return{x:e-i.left,y:t-i.top}}movePointer(e,t,i,r,o){this.updatePointer(e,t,i,o),this.worker?this.worker.postMessage({type:"pointer",action:"move",id:e,x:t,y:i,pressure:o,emitTrail:r&&this.isActive}):r&&this.isActive&&"sprinkle-trail"===this.config.experienceMode&&this.createParticle(t,i,e)}releasePointer(e){this.removePointer(e),delete this.tapStarts[e],this.worker&&this.worker.postMessage({type:"pointer",action:"leave",id:e})}getElementCenter(e){const t=e.getBoundingClientRect();return this.toLocalPoint(t.left+t.width/2,t.top+t.height/2)}moveFocus(e){const t=this.getPointer(ie),i=this.getElementCenter(e);if(this.focusedElement=e,!t||!this.isActive||"sprinkle-trail"!==this.config.experienceMode)return void this.movePointer(ie,i.x,i.y,!1);const r=i.x-t.x,o=i.y-t.y,s=Math.min(40,Math.ceil(Math.sqrt(r*r+o*o)/12)),l=t.x,a=t.y;for(let e=1;e<=s;e++)this.movePointer(ie,l+r*e/s,a+o*e/s,!0)}releaseFocus(){this.focusedElement=null,this.releasePointer(ie)}handleKeyBurst(e){if(!this.isActive)return;const t=this.getElementCenter(e);"particle-field"===this.config.experienceMode?this.createExplosion(t.x,t.y):"fireworks"===this.config.experienceMode&&this.launchRocket(t.x,t.y)}getPointerListeners(){const e=[["touchstart",this.touchStartHandler],["touchmove",this.touchMoveHandler],["touchend",this.touchEndHandler],["touchcancel",this.touchEndHandler]];return window.PointerEvent?e.concat([["pointermove",this.pointerMoveHandler],["pointerdown",this.pointerDownHandler],["pointerup",this.pointerUpHandler],["pointerout",this.pointerOutHandler],["pointercancel",this.pointerCancelHandler]]):e.concat([["mousemove",this.pointerMoveHandler],["mousedown",this.pointerDownHandler],["mouseup",this.pointerUpHandler],["mouseout",this.pointerOutHandler]])}setupEventListeners(){const e="ontouchstart"in window,t=t=>e&&"touch"===le(t);this.pointerMoveHandler=e=>{if(t(e))return;const i=this.toLocalPoint(e.clientX,e.clientY);this.movePointer(se(e),i.x,i.y,!0,oe(e))},this.pointerDownHandler=e=>{if("mouse"===le(e)&&0!==e.button)return;if(this.tapStarts[se(e)]={x:e.clientX,y:e.clientY},t(e))return;const i=this.toLocalPoint(e.clientX,e.clientY);this.movePointer(se(e),i.x,i.y,!1,oe(e))},this.pointerUpHandler=e=>{const i=se(e),r=this.tapStarts[i];delete this.tapStarts[i],r&&Math.abs(e.clientX-r.x)<=10&&Math.abs(e.clientY-r.y)<=10&&this.handleTap(e.clientX,e.clientY),"mouse"===le(e)||t(e)||this.releasePointer(i)},this.pointerOutHandler=e=>{t(e)||e.relatedTarget&&this.inputTarget.contains(e.relatedTarget)||this.releasePointer(se(e))},this.pointerCancelHandler=e=>{t(e)?delete this.tapStarts[e.pointerId]:this.releasePointer(e.pointerId)};const i=(e,t)=>{for(let i=0;i<e.changedTouches.length;i++){const r=e.changedTouches[i],o=this.toLocalPoint(r.clientX,r.clientY);this.movePointer(te+r.identifier,o.x,o.y,t,ae(r))}};this.touchStartHandler=e=>{i(e,!1)},this.touchMoveHandler=e=>{i(e,!0)},this.touchEndHandler=e=>{for(let t=0;t<e.changedTouches.length;t++)this.releasePointer(te+e.changedTouches[t].identifier)},this.focusInHandler=e=>{this.config.keyboardInteraction&&(function(e){try{return e.matches(":focus-visible")}catch(e){return!0}}(e.target)?this.moveFocus(e.target):this.releaseFocus())},this.focusOutHandler=e=>{e.relatedTarget&&this.inputTarget.contains(e.relatedTarget)||this.releaseFocus()},this.keyDownHandler=e=>{var t;!this.config.keyboardInteraction||e.repeat||e.ctrlKey||e.altKey||e.metaKey||e.target!==this.focusedElement||(t=e.target).isContentEditable||"INPUT"===t.tagName||"TEXTAREA"===t.tagName||"SELECT"===t.tagName||"string"==typeof e.key&&e.key.toLowerCase()===this.config.keyboardBurstKey.toLowerCase()&&this.handleKeyBurst(e.target)},this.scrollHandler=()=>{if(this.focusedElement){const e=this.getElementCenter(this.focusedElement);this.movePointer(ie,e.x,e.y,!1)}},this.resizeHandler=()=>{this.handleResize()},this.visibilityChangeHandler=()=>{this.isTabVisible=!document.hidden,this.worker?this.worker.postMessage({type:"visibility",visible:this.isTabVisible}):this.isTabVisible&&this.isActive?this.animationFrameId||(this.lastFrameTime=performance.now(),this.lastUpdateTime=this.lastFrameTime,this.animate()):this.animationFrameId&&(window.cancelAnimationFrame(this.animationFrameId),this.animationFrameId=null)},this.container?window.ResizeObserver&&(this.resizeObserver=new window.ResizeObserver(this.resizeHandler),this.resizeObserver.observe(this.container)):(window.visualViewport&&(this.visualViewportResizeHandler=()=>{this.handleResize()},window.visualViewport.addEventListener("resize",this.visualViewportResizeHandler)),window.addEventListener("resize",this.resizeHandler));const r=this.container||document;this.inputTarget=r,this.getPointerListeners().forEach(([e,t])=>{r.addEventListener(e,t,{passive:!0})}),r.addEventListener("focusin",this.focusInHandler),r.addEventListener("focusout",this.focusOutHandler),r.addEventListener("keydown",this.keyDownHandler),window.addEventListener("scroll",this.scrollHandler,{passive:!0}),document.addEventListener("visibilitychange",this.visibilityChangeHandler)}toggle(){this.setActive(!this.isActive)}setActive(e,t){this.canvas&&e!==this.isActive&&(this.isActive=e,this.isPreview||!1===t||window.sessionStorage.setItem("glitterBombActive",this.isActive.toString()),this.updateButtonUI(),this.toggleButton&&this.toggleButton.announce(this.isActive),this.isActive?(this.initializeParticles(),this.start()):this.stop(),this.dispatch(this.isActive?"enabled":"disabled"))}dispatch(e,t){"function"==typeof window.CustomEvent&&this.blockElement.dispatchEvent(new CustomEvent("glitterbomb:"+e,{bubbles:!0,detail:Object.assign({mode:this.config.experienceMode},t)}))}start(){this.worker?this.worker.postMessage({type:"start"}):!this.animationFrameId&&this.isTabVisible&&(this.lastFrameTime=performance.now(),this.lastUpdateTime=this.lastFrameTime,this.animate())}stop(){if(this.worker)return this.worker.postMessage({type:"stop"}),void(this.isInitialized=!1);this.animationFrameId&&(window.cancelAnimationFrame(this.animationFrameId),this.animationFrameId=null),this.clearParticles(),this.isInitialized=!1}clearParticles(){this.worker?this.worker.postMessage({type:"clear"}):(this.particlePool.releaseAll(),this.clearCanvas())}initializeParticleField(){this.worker?this.worker.postMessage({type:"initField"}):super.initializeParticleField()}startCelebration(){this.worker?this.worker.postMessage({type:"celebrate"}):super.startCelebration()}handleTap(e,t){if(this.isActive)if("particle-field"===this.config.experienceMode&&this.config.fieldClickExplosion){const i=this.toLocalPoint(e,t);this.createExplosion(i.x,i.y)}else if("fireworks"===this.config.experienceMode&&this.config.fireworksClickLaunch){const i=this.toLocalPoint(e,t);this.launchRocket(i.x,i.y)}}startFireworks(){this.worker?this.worker.postMessage({type:"startFireworks"}):super.startFireworks()}launchRocket(e,t){this.worker?this.worker.postMessage({type:"pointer",action:"launch",x:e,y:t}):super.launchRocket(e,t)}startFalling(){this.worker?this.worker.postMessage({type:"startFalling"}):super.startFalling()}finishCelebration(){this.isPreview?this.startCelebration():this.setActive(!1)}createExplosion(e,t){this.worker?this.worker.postMessage({type:"pointer",action:"tap",x:e,y:t}):super.createExplosion(e,t),this.dispatch("explosion",{x:e,y:t})}burst(e,t){if(!this.isActive||"particle-field"!==this.config.experienceMode)return!1;const i=this.toLocalPoint(e,t);return this.createExplosion(i.x,i.y),!0}animate(){this.isTabVisible&&this.isActive?(this.renderFrame(performance.now())&&this.updateCanvasOpacity(),this.celebrationEnded()&&this.finishCelebration(),this.animationFrameId=window.requestAnimationFrame(()=>this.animate())):this.animationFrameId=null}destroy(){if(this.resizeDebounceTimer&&clearTimeout(this.resizeDebounceTimer),!this.canvas)return;this.fadeFrameId&&(window.cancelAnimationFrame(this.fadeFrameId),this.fadeFrameId=null);const e=this.inputTarget;this.getPointerListeners().forEach(([t,i])=>{e.removeEventListener(t,i)}),e.removeEventListener("focusin",this.focusInHandler),e.removeEventListener("focusout",this.focusOutHandler),e.removeEventListener("keydown",this.keyDownHandler),window.removeEventListener("scroll",this.scrollHandler),window.removeEventListener("resize",this.resizeHandler),document.removeEventListener("visibilitychange",this.visibilityChangeHandler),window.visualViewport&&this.visualViewportResizeHandler&&window.visualViewport.removeEventListener("resize",this.visualViewportResizeHandler),this.resizeObserver&&(this.resizeObserver.disconnect(),this.resizeObserver=null),this.isActive=!1,this.stop(),this.worker&&(this.worker.terminate(),this.worker=null),this.canvas&&this.canvas.parentNode&&this.canvas.parentNode.removeChild(this.canvas),this.toggleButton&&(this.toggleButton.destroy(),this.toggleButton=null)}}const ce={circle:(0,o.__)("Circle","glitter-bomb"),sparkle:(0,o.__)("Sparkle","glitter-bomb"),star:(0,o.__)("Star","glitter-bomb"),heart:(0,o.__)("Heart","glitter-bomb"),diamond:(0,o.__)("Diamond","glitter-bomb"),confetti:(0,o.__)("Confetti","glitter-bomb"),ring:(0,o.__)("Ring","glitter-bomb"),twinkle:(0,o.__)("Twinkle (four-point)","glitter-bomb"),snowflake:(0,o.__)("Snowflake","glitter-bomb"),petal:(0,o.__)("Petal","glitter-bomb")};function he({label:e,value:t,fallback:i,help:r,onChange:o}){const s=m(t,[i]);return(0,h.jsxs)("fieldset",{className:"glitter-bomb-shape-picker",children:[(0,h.jsx)("legend",{className:"glitter-bomb-shape-picker__label",children:e}),p.map(e=>(0,h.jsx)(n.CheckboxControl,{label:ce[e],checked:-1!==s.indexOf(e),disabled:1===s.length&&s[0]===e,onChange:t=>((e,t)=>{const i=p.filter(i=>i===e?t:-1!==s.indexOf(i));i.length>0&&o(i.join(","))})(e,t)},e)),r&&(0,h.jsx)("p",{className:"glitter-bomb-shape-picker__help",children:r})]})}const de={scroll:(0,o.__)("Element scrolls into view","glitter-bomb"),time:(0,o.__)("Time on page","glitter-bomb"),"exit-intent":(0,o.__)("Exit intent","glitter-bomb"),click:(0,o.__)("Click on an element","glitter-bomb"),event:(0,o.__)("DOM event","glitter-bomb")},ge={scroll:"",time:10,"exit-intent":"",click:"",event:""};function be({trigger:e,onChange:t}){switch(e.type){case"scroll":case"click":return(0,h.jsx)(n.TextControl,{label:(0,o.__)("CSS Selector","glitter-bomb"),value:e.value,placeholder:"#signup, .cta-button",onChange:t,help:"scroll"===e.type?(0,o.__)("Starts each time a matching element comes into view.","glitter-bomb"):(0,o.__)("Starts when a matching element (or anything inside it) is clicked.","glitter-bomb")});case"time":return(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Seconds on Page","glitter-bomb"),value:Number(e.value)||0,onChange:t,min:0,max:600,step:1});case"event":return(0,h.jsx)(n.TextControl,{label:(0,o.__)("Event Name","glitter-bomb"),value:e.value,placeholder:"wpcf7mailsent",onChange:t,help:(0,o.__)("Starts when this event is dispatched on the document or bubbles up to it, for example a form plugin’s success event.","glitter-bomb")});default:return(0,h.jsx)("p",{className:"glitter-bomb-trigger__help",children:(0,o.__)("Starts once when the pointer leaves through the top of the window. Desktop only.","glitter-bomb")})}}function ue({value:e,onChange:t}){const i=Array.isArray(e)?e:[],r=(e,r)=>{t(i.map((t,i)=>i===e?{...t,...r}:t))};return(0,h.jsxs)("div",{className:"glitter-bomb-trigger-list",children:[0===i.length&&(0,h.jsx)("p",{className:"glitter-bomb-trigger__help",children:(0,o.__)("No triggers yet. Without any, the effect only starts by default or from the toggle button.","glitter-bomb")}),i.map((e,s)=>(0,h.jsxs)("fieldset",{className:"glitter-bomb-trigger",children:[(0,h.jsx)("legend",{className:"glitter-bomb-trigger__label",children:(0,o.sprintf)(/* translators: %d: Trigger number. */ /* translators: %d: Trigger number. */
+(0,o.__)("Trigger %d","glitter-bomb"),s+1)}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Start When","glitter-bomb"),value:e.type,options:Object.keys(de).map(e=>({label:de[e],value:e})),onChange:e=>r(s,{type:e,value:ge[e]})}),(0,h.jsx)(be,{trigger:e,onChange:e=>r(s,{value:e})}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Run For (seconds)","glitter-bomb"),value:e.duration||0,onChange:e=>r(s,{duration:e}),min:0,max:600,step:1,help:(0,o.__)("0 keeps the effect running until the visitor turns it off.","glitter-bomb")}),(0,h.jsx)(n.Button,{variant:"link",isDestructive:!0,onClick:()=>(e=>{t(i.filter((t,i)=>i!==e))})(s),children:(0,o.__)("Remove trigger","glitter-bomb")})]},s)),i.length<10&&(0,h.jsx)(n.Button,{variant:"secondary",onClick:()=>{t([...i,{type:"scroll",value:"",duration:0}])},children:(0,o.__)("Add trigger","glitter-bomb")})]})}var pe=(0,h.jsx)(c.SVG,{xmlns:"http://www.w3.org/2000/svg",viewBox:"0 0 24 24",children:(0,h.jsx)(c.Path,{d:"m13.06 12 6.47-6.47-1.06-1.06L12 10.94 5.53 4.47 4.47 5.53 10.94 12l-6.47 6.47 1.06 1.06L12 13.06l6.47 6.47 1.06-1.06L13.06 12Z"})});function me({value:e,fallback:t,mode:i,onChange:r,onModeChange:s}){const l=Array.isArray(e)&&e.length>0?e:[{color:t,weight:1}],a=(e,t)=>{r(l.map((i,r)=>r===e?{...i,...t}:i))},c=(e,t)=>{const i=l.slice();i.splice(e+t,0,i.splice(e,1)[0]),r(i)};return(0,h.jsxs)("fieldset",{className:"glitter-bomb-shape-picker glitter-bomb-palette-builder",children:[(0,h.jsx)("legend",{className:"glitter-bomb-shape-picker__label",children:(0,o.__)("Custom Palette","glitter-bomb")}),l.map((e,t)=>(0,h.jsxs)("div",{className:"glitter-bomb-palette-builder__row",children:[(0,h.jsx)(n.Dropdown,{popoverProps:{placement:"left-start"},renderToggle:({isOpen:i,onToggle:r})=>(0,h.jsx)(n.Button,{className:"glitter-bomb-palette-builder__swatch",onClick:r,"aria-expanded":i,label:(0,o.sprintf)(/* translators: 1: Color number, 2: Hex color. */ /* translators: 1: Color number, 2: Hex color. */
+(0,o.__)("Edit color %1$d (%2$s)","glitter-bomb"),t+1,e.color),children:(0,h.jsx)(n.ColorIndicator,{colorValue:e.color})}),renderContent:()=>(0,h.jsx)(n.ColorPicker,{color:e.color,onChange:e=>a(t,{color:e})})}),(0,h.jsx)(n.RangeControl,{className:"glitter-bomb-palette-builder__weight",label:(0,o.__)("Weight","glitter-bomb"),hideLabelFromVision:!0,value:e.weight||1,onChange:e=>a(t,{weight:e||1}),min:1,max:10,step:1}),(0,h.jsx)(n.Button,{icon:d,size:"small",label:(0,o.__)("Move up","glitter-bomb"),disabled:0===t,onClick:()=>c(t,-1)}),(0,h.jsx)(n.Button,{icon:g,size:"small",label:(0,o.__)("Move down","glitter-bomb"),disabled:t===l.length-1,onClick:()=>c(t,1)}),(0,h.jsx)(n.Button,{icon:pe,size:"small",label:(0,o.__)("Remove color","glitter-bomb"),disabled:1===l.length,onClick:()=>(e=>{r(l.filter((t,i)=>i!==e))})(t)})]},t)),l.length<20&&(0,h.jsx)(n.Button,{variant:"secondary",onClick:()=>{r([...l,{color:l[l.length-1].color,weight:1}])},children:(0,o.__)("Add color","glitter-bomb")}),(0,h.jsx)("p",{className:"glitter-bomb-shape-picker__help",children:(0,o.__)("A color with weight 2 shows up twice as often as one with weight 1.","glitter-bomb")}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Color Order","glitter-bomb"),value:i,options:[{label:(0,o.__)("Cycle through the colors","glitter-bomb"),value:"cycle"},{label:(0,o.__)("Random color per particle","glitter-bomb"),value:"random"}],onChange:s,help:(0,o.__)("Cycling blends from each color into the next; random gives every particle one color for its whole life.","glitter-bomb")})]})}const fe=a.useSettings?()=>(0,a.useSettings)("color.palette.theme","color.palette.custom"):()=>[(0,a.useSetting)("color.palette.theme"),(0,a.useSetting)("color.palette.custom")];function _e(){const[e,t]=fe(),i=[];return[e,t].forEach(e=>{(e||[]).forEach(e=>{const t=i.findIndex(t=>t.slug===e.slug);-1===t?i.push(e):i[t]=e})}),i}function ve({value:e,onChange:t}){const i=_e(),r=!Array.isArray(e)||0===e.length;if(0===i.length)return(0,h.jsx)("p",{className:"glitter-bomb-shape-picker__help",children:(0,o.__)("The active theme has no color presets, so the Rainbow palette is used instead.","glitter-bomb")});const s=t=>r||e.includes(t),l=i.filter(e=>s(e.slug)).length;return(0,h.jsxs)("fieldset",{className:"glitter-bomb-shape-picker glitter-bomb-theme-palette",children:[(0,h.jsx)("legend",{className:"glitter-bomb-shape-picker__label",children:(0,o.__)("Theme Colors","glitter-bomb")}),i.map(e=>{const r=s(e.slug);return(0,h.jsx)(n.CheckboxControl,{label:(0,h.jsxs)(h.Fragment,{children:[(0,h.jsx)(n.ColorIndicator,{colorValue:e.color}),e.name||e.slug]}),checked:r,disabled:r&&1===l,onChange:r=>((e,r)=>{const o=i.map(e=>e.slug).filter(t=>t===e?r:s(t));o.length===i.length?t([]):o.length>0&&t(o)})(e.slug,r)},e.slug)}),(0,h.jsx)("p",{className:"glitter-bomb-shape-picker__help",children:(0,o.__)("Colors are read from the theme on the page, so the particles follow along when the brand colors change. With every color checked, colors added to the theme later are included too.","glitter-bomb")})]})}function xe(e,t,i){return t<=i?e>=t&&e<i:e>=t||e<i}function ye(e){return!!(e.scheduleStart||e.scheduleEnd||e.scheduleTimeStart||e.scheduleTimeEnd||e.scheduleDays&&e.scheduleDays.length>0)}const we=[(0,o.__)("Sunday","glitter-bomb"),(0,o.__)("Monday","glitter-bomb"),(0,o.__)("Tuesday","glitter-bomb"),(0,o.__)("Wednesday","glitter-bomb"),(0,o.__)("Thursday","glitter-bomb"),(0,o.__)("Friday","glitter-bomb"),(0,o.__)("Saturday","glitter-bomb")],Ce={scheduleStart:"",scheduleEnd:"",scheduleYearly:!1,scheduleDays:[],scheduleTimeStart:"",scheduleTimeEnd:""};function Pe({attributes:e,setAttributes:t}){const i=e.scheduleDays||[],r=0===i.length,s=(0,l.getSettings)().timezone;return(0,h.jsxs)(h.Fragment,{children:[(0,h.jsx)(n.TextControl,{type:"datetime-local",label:(0,o.__)("Start","glitter-bomb"),value:e.scheduleStart,onChange:e=>t({scheduleStart:e})}),(0,h.jsx)(n.TextControl,{type:"datetime-local",label:(0,o.__)("End","glitter-bomb"),value:e.scheduleEnd,onChange:e=>t({scheduleEnd:e})}),(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Repeat every year","glitter-bomb"),checked:e.scheduleYearly,onChange:e=>t({scheduleYearly:e}),help:(0,o.__)("Only the month, day and time of the start and end are used, so a window from December 1 to January 6 comes back every holiday season.","glitter-bomb")}),(0,h.jsxs)("fieldset",{className:"glitter-bomb-shape-picker",children:[(0,h.jsx)("legend",{className:"glitter-bomb-shape-picker__label",children:(0,o.__)("Days of the Week","glitter-bomb")}),we.map((e,o)=>{const s=r||i.includes(o);return(0,h.jsx)(n.CheckboxControl,{label:e,checked:s,disabled:s&&1===i.length,onChange:e=>((e,o)=>{const s=we.map((e,t)=>t).filter(t=>t===e?o:r||i.includes(t));s.length===we.length?t({scheduleDays:[]}):s.length>0&&t({scheduleDays:s})})(o,e)},o)})]}),(0,h.jsxs)("div",{className:"glitter-bomb-schedule__times",children:[(0,h.jsx)(n.TextControl,{type:"time",label:(0,o.__)("Daily From","glitter-bomb"),value:e.scheduleTimeStart,onChange:e=>t({scheduleTimeStart:e})}),(0,h.jsx)(n.TextControl,{type:"time",label:(0,o.__)("Daily Until","glitter-bomb"),value:e.scheduleTimeEnd,onChange:e=>t({scheduleTimeEnd:e})})]}),(0,h.jsx)("p",{className:"glitter-bomb-panel-description",children:(0,o.sprintf)(/* translators: %s: Site timezone, for example "Europe/Berlin" or "UTC+2". */ /* translators: %s: Site timezone, for example "Europe/Berlin" or "UTC+2". */
+(0,o.__)("All times are in the site timezone (%s). A daily window that ends before it starts runs past midnight.","glitter-bomb"),s.string||s.abbr||"UTC")}),ye(e)&&(0,h.jsx)(n.Button,{variant:"secondary",onClick:()=>t(Ce),children:(0,o.__)("Clear schedule","glitter-bomb")})]})}const Se=window.wp.apiFetch;var ke=i.n(Se);function Me({attributes:e,setAttributes:t}){const[i,r]=(0,s.useState)(null),[l,a]=(0,s.useState)(""),[c,d]=(0,s.useState)(""),[g,b]=(0,s.useState)(!1),[u,p]=(0,s.useState)(null);(0,s.useEffect)(()=>{ke()({path:"/glitter-bomb/v1/presets"}).then(r).catch(()=>r([]))},[]);const m=(i||[]).find(e=>e.id===l),f=(e,t)=>{b(!0),p(null),ke()(e).then(e=>p({status:"success",message:t(e)})).catch(e=>p({status:"error",message:e.message||(0,o.__)("The presets could not be updated.","glitter-bomb")})).finally(()=>b(!1))};return null===i?(0,h.jsx)(n.Spinner,{}):(0,h.jsxs)("div",{className:"glitter-bomb-presets",children:[u&&(0,h.jsx)(n.Notice,{status:u.status,onRemove:()=>p(null),children:u.message}),i.length>0&&(0,h.jsxs)(h.Fragment,{children:[(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Saved Presets","glitter-bomb"),value:l,options:[{label:(0,o.__)("Choose a preset","glitter-bomb"),value:""},...i.map(e=>({label:e.name,value:e.id}))],onChange:a}),(0,h.jsxs)("div",{className:"glitter-bomb-presets__actions",children:[(0,h.jsx)(n.Button,{variant:"secondary",onClick:()=>{t(m.attributes),p({status:"success",message:(0,o.sprintf)(/* translators: %s: Preset name. */ /* translators: %s: Preset name. */
+(0,o.__)("Applied “%s”.","glitter-bomb"),m.name)})},disabled:!m||g,children:(0,o.__)("Apply","glitter-bomb")}),(0,h.jsx)(n.Button,{variant:"tertiary",isDestructive:!0,onClick:()=>{f({path:`/glitter-bomb/v1/presets/${l}`,method:"DELETE"},e=>(r(e),a(""),(0,o.__)("Preset deleted.","glitter-bomb")))},disabled:!m||g,children:(0,o.__)("Delete","glitter-bomb")})]})]}),(0,h.jsx)(n.TextControl,{label:(0,o.__)("Preset Name","glitter-bomb"),value:c,onChange:d,help:(0,o.__)("Saves this block’s settings for reuse on other blocks. A preset with the same name is replaced. The effect area, triggers and schedule are not included.","glitter-bomb")}),(0,h.jsx)("div",{className:"glitter-bomb-presets__actions",children:(0,h.jsx)(n.Button,{variant:"secondary",onClick:()=>{f({path:"/glitter-bomb/v1/presets",method:"POST",data:{name:c.trim(),attributes:e}},e=>(r(e),d(""),(0,o.__)("Preset saved.","glitter-bomb")))},disabled:!c.trim()||g,isBusy:g,children:(0,o.__)("Save as Preset","glitter-bomb")})}),(0,h.jsxs)("div",{className:"glitter-bomb-presets__actions",children:[(0,h.jsx)(n.Button,{variant:"tertiary",onClick:()=>function(e){const t=new window.Blob([JSON.stringify({glitterBombPresets:1,presets:e.map(({name:e,attributes:t})=>({name:e,attributes:t}))},null,2)],{type:"application/json"}),i=window.URL.createObjectURL(t),r=document.createElement("a");r.href=i,r.download="glitter-bomb-presets.json",r.click(),window.URL.revokeObjectURL(i)}(i),disabled:0===i.length,children:(0,o.__)("Export","glitter-bomb")}),(0,h.jsx)(n.FormFileUpload,{variant:"tertiary",accept:"application/json,.json",onChange:e=>{const t=e.target.files[0];e.target.value="",t&&t.text().then(e=>{const t=JSON.parse(e);if(!t||1!==t.glitterBombPresets||!Array.isArray(t.presets))throw new Error;f({path:"/glitter-bomb/v1/presets/import",method:"POST",data:{presets:t.presets}},e=>(r(e.presets),(0,o.sprintf)(/* translators: %d: Number of imported presets. */ /* translators: %d: Number of imported presets. */
+(0,o._n)("Imported %d preset.","Imported %d presets.",e.imported,"glitter-bomb"),e.imported)))}).catch(()=>p({status:"error",message:(0,o.__)("This file is not a Glitter Bomb presets export.","glitter-bomb")}))},disabled:g,children:(0,o.__)("Import","glitter-bomb")})]})]})}const Te=JSON.parse('{"UU":"glitter-bomb/glitter-bomb"}');var Be=(0,h.jsx)(c.SVG,{xmlns:"http://www.w3.org/2000/svg",viewBox:"0 0 24 24",children:(0,h.jsx)(c.Path,{d:"M18.7 3H5.3C4 3 3 4 3 5.3v13.4C3 20 4 21 5.3 21h13.4c1.3 0 2.3-1 2.3-2.3V5.3C21 4 20 3 18.7 3zm.8 15.7c0 .4-.4.8-.8.8H5.3c-.4 0-.8-.4-.8-.8V5.3c0-.4.4-.8.8-.8h6.2v8.9l2.5-3.1 2.5 3.1V4.5h2.2c.4 0 .8.4.8.8v13.4z"})}),Ee=(0,h.jsx)(c.SVG,{xmlns:"http://www.w3.org/2000/svg",viewBox:"0 0 24 24",children:(0,h.jsx)(c.Path,{d:"M15.333 4C16.6677 4 17.75 5.0823 17.75 6.41699V6.75C17.75 7.20058 17.6394 7.62468 17.4473 8H18.5C19.2767 8 19.9154 8.59028 19.9922 9.34668L20 9.5V18.5C20 19.3284 19.3284 20 18.5 20H5.5C4.72334 20 4.08461 19.4097 4.00781 18.6533L4 18.5V9.5L4.00781 9.34668C4.07949 8.64069 4.64069 8.07949 5.34668 8.00781L5.5 8H6.55273C6.36065 7.62468 6.25 7.20058 6.25 6.75V6.41699C6.25 5.0823 7.3323 4 8.66699 4C10.0436 4.00011 11.2604 4.68183 12 5.72559C12.7396 4.68183 13.9564 4.00011 15.333 4ZM5.5 18.5H11.25V9.5H5.5V18.5ZM12.75 18.5H18.5V9.5H12.75V18.5ZM8.66699 5.5C8.16073 5.5 7.75 5.91073 7.75 6.41699V6.75C7.75 7.44036 8.30964 8 9 8H11.2461C11.2021 6.61198 10.0657 5.50017 8.66699 5.5ZM15.333 5.5C13.9343 5.50017 12.7979 6.61198 12.7539 8H15C15.6904 8 16.25 7.44036 16.25 6.75V6.41699C16.25 5.91073 15.8393 5.5 15.333 5.5Z"})}),je=(0,h.jsx)(c.SVG,{xmlns:"http://www.w3.org/2000/svg",viewBox:"0 0 24 24",children:(0,h.jsx)(c.Path,{d:"M11.776 4.454a.25.25 0 01.448 0l2.069 4.192a.25.25 0 00.188.137l4.626.672a.25.25 0 01.139.426l-3.348 3.263a.25.25 0 00-.072.222l.79 4.607a.25.25 0 01-.362.263l-4.138-2.175a.25.25 0 00-.232 0l-4.138 2.175a.25.25 0 01-.363-.263l.79-4.607a.25.25 0 00-.071-.222L4.754 9.881a.25.25 0 01.139-.426l4.626-.672a.25.25 0 00.188-.137l2.069-4.192z"})});const Fe=(0,h.jsx)(c.SVG,{xmlns:"http://www.w3.org/2000/svg",viewBox:"0 0 24 24",children:(0,h.jsx)(c.Path,{d:"M3 6.5C4.6 6.5 5.4 5 7.5 5s2.9 1.5 4.5 1.5S14.4 5 16.5 5s2.9 1.5 4.5 1.5V8c-1.6 0-2.4-1.5-4.5-1.5S13.6 8 12 8s-2.4-1.5-4.5-1.5S4.6 8 3 8V6.5Zm0 5C4.6 11.5 5.4 10 7.5 10s2.9 1.5 4.5 1.5 2.4-1.5 4.5-1.5 2.9 1.5 4.5 1.5V13c-1.6 0-2.4-1.5-4.5-1.5S13.6 13 12 13s-2.4-1.5-4.5-1.5S4.6 13 3 13v-1.5Zm0 5C4.6 16.5 5.4 15 7.5 15s2.9 1.5 4.5 1.5 2.4-1.5 4.5-1.5 2.9 1.5 4.5 1.5V18c-1.6 0-2.4-1.5-4.5-1.5S13.6 18 12 18s-2.4-1.5-4.5-1.5S4.6 18 3 18v-1.5Z"})}),Ae=[{name:"hero-shimmer",title:(0,o.__)("Subtle Hero Shimmer","glitter-bomb"),description:(0,o.__)("A light, slow metallic twinkle confined to its own box. Nest a cover or group inside for a hero section that sparkles without stealing the show.","glitter-bomb"),icon:Be,attributes:{experienceMode:"particle-field",scope:"container",fieldColorPalette:"neutral-spectrum",fieldParticleShape:"twinkle,sparkle",fieldParticleCount:120,fieldParticleSize:4,fieldParticleSizeMobile:2.5,fieldMouseAttraction:.3,fieldSpreadStrength:.2,fieldClickExplosion:!1},isActive:["experienceMode","fieldColorPalette","scope"],scope:["inserter","block","transform"]},{name:"birthday-sprinkle",title:(0,o.__)("Birthday Sprinkle","glitter-bomb"),description:(0,o.__)("Rainbow confetti, stars and hearts that follow the cursor or a finger around the page.","glitter-bomb"),icon:Ee,attributes:{experienceMode:"sprinkle-trail",colorPalette:"rainbow-cycling",particleShape:"confetti,star,heart,circle",displayBehavior:"scattered",particleSize:12,particleSizeMobile:9,maxParticles:80,animationDuration:1800},isActive:["experienceMode","colorPalette"],scope:["inserter","block","transform"]},{name:"new-years-burst",title:(0,o.__)("New Year’s Burst","glitter-bomb"),description:(0,o.__)("Gold and silver fireworks in every burst pattern, with an extra rocket wherever visitors click.","glitter-bomb"),icon:je,attributes:{experienceMode:"fireworks",colorPalette:"metallic",fireworksPatterns:"peony,willow,ring,crossette",fireworksFrequency:1.2,fireworksBurstSize:120,fireworksClickLaunch:!0},isActive:["experienceMode","colorPalette"],scope:["inserter","block","transform"]},{name:"ocean-calm",title:(0,o.__)("Ocean Calm","glitter-bomb"),description:(0,o.__)("Sparse blue and teal bubbles drifting slowly across the page, barely reacting to the cursor.","glitter-bomb"),icon:Fe,attributes:{experienceMode:"particle-field",scope:"viewport",fieldColorPalette:"cool-ocean",fieldParticleShape:"circle,ring",fieldParticleCount:150,fieldParticleSize:5,fieldParticleSizeMobile:3,fieldMouseAttraction:.15,fieldSpreadStrength:.1,fieldClickExplosion:!1},isActive:["experienceMode","fieldColorPalette"],scope:["inserter","block","transform"]}];(0,r.registerBlockType)(Te.UU,{edit:function({attributes:e,setAttributes:t}){const{experienceMode:i,colorPalette:r,particleOpacity:c,particleSize:b,particleSizeMobile:u,animationDuration:p,enableButtonText:m,disableButtonText:f,buttonPosition:_,customColor:v,customColors:x,customPaletteMode:y,themeColors:w,maxParticles:C,enabledByDefault:P,enableButtonTextColor:S,enableButtonBackgroundColor:k,enableButtonGradientStart:M,enableButtonGradientEnd:T,disableButtonTextColor:B,disableButtonBackgroundColor:E,disableButtonGradientStart:j,disableButtonGradientEnd:F,displayBehavior:A,trailSpeedSensitivity:z,trailPressureSensitivity:R,fieldColorPalette:O,fieldParticleCount:L,fieldParticleSize:I,fieldParticleSizeMobile:D,fieldMouseAttraction:N,fieldSpreadStrength:H,fieldClickExplosion:G,keyboardInteraction:W,keyboardBurstKey:q,disableOnMobile:U,renderInWorker:V,seed:Y,renderer:X,quality:K,scope:$,triggers:Z,particleShape:Q,fieldParticleShape:J,confettiOrigin:ee,confettiBurstSize:te,confettiGravity:ie,confettiRepeat:re,confettiShape:oe,fallingPreset:se,fallingDensity:le,fallingSpeed:ae,fallingWind:ce,fallingGusts:de,fallingCursorGust:ge,fireworksFrequency:be,fireworksBurstSize:pe,fireworksPatterns:fe,fireworksClickLaunch:we}=e,Ce="sprinkle-trail"===i,Se="particle-field"===i,ke="confetti"===i,Te="falling"===i,Be="fireworks"===i,Ee={"sprinkle-trail":(0,o.__)("Sprinkle Trail","glitter-bomb"),"particle-field":(0,o.__)("Particle Field","glitter-bomb"),confetti:(0,o.__)("Confetti Celebration","glitter-bomb"),falling:(0,o.__)("Falling (Snow, Petals, Glitter Rain)","glitter-bomb"),fireworks:(0,o.__)("Fireworks","glitter-bomb")},je={"sprinkle-trail":(0,o.__)("Particles follow cursor with optional scatter or compact trail effect","glitter-bomb"),"particle-field":(0,o.__)("Magical full-screen field of shimmering glitter particles with physics-based movement","glitter-bomb"),confetti:(0,o.__)("One-shot burst of confetti that flutters down and falls off the screen, then switches itself off","glitter-bomb"),falling:(0,o.__)("Weather-style particles that keep falling from the top of the screen, drifting with the wind","glitter-bomb"),fireworks:(0,o.__)("Rockets launch from the bottom of the screen and burst into sparks at the top of their flight","glitter-bomb")},Fe={"sprinkle-trail":(0,o.__)("✨ Sprinkle Trail Mode","glitter-bomb"),"particle-field":(0,o.__)("💫 Particle Field Mode","glitter-bomb"),confetti:(0,o.__)("🎉 Confetti Celebration Mode","glitter-bomb"),falling:(0,o.__)("❄️ Falling Mode","glitter-bomb"),fireworks:(0,o.__)("🎆 Fireworks Mode","glitter-bomb")},Ae={snow:(0,o.__)("Snow","glitter-bomb"),petals:(0,o.__)("Petals","glitter-bomb"),"glitter-rain":(0,o.__)("Glitter Rain","glitter-bomb")},ze={peony:(0,o.__)("Peony (sphere of sparks)","glitter-bomb"),willow:(0,o.__)("Willow (drooping, long-lasting)","glitter-bomb"),ring:(0,o.__)("Ring","glitter-bomb"),crossette:(0,o.__)("Crossette (stars that split in four)","glitter-bomb")},Re=(fe||"").split(",").filter(e=>ze.hasOwnProperty(e)),Oe=(0,h.jsx)(me,{value:x,fallback:v,mode:y,onChange:e=>t({customColors:e}),onModeChange:e=>t({customPaletteMode:e})}),Le=(0,h.jsx)(ve,{value:w,onChange:e=>t({themeColors:e})}),Ie=function(e,t,i){if(!ye(e))return"always";const r=(e.scheduleStart||"").slice(0,16),o=(e.scheduleEnd||"").slice(0,16);if(e.scheduleYearly){if(!xe(t.slice(5),r?r.slice(5):"01-01T00:00",o?o.slice(5):"12-31T24:00"))return"waiting"}else{if(o&&t>=o)return"ended";if(r&&t<r)return"waiting"}const s=e.scheduleDays||[];return s.length>0&&-1===s.indexOf(i)?"waiting":!e.scheduleTimeStart&&!e.scheduleTimeEnd||xe(t.slice(11,16),e.scheduleTimeStart||"00:00",e.scheduleTimeEnd||"24:00")?"live":"waiting"}(e,(0,l.date)("Y-m-d\\TH:i"),Number((0,l.date)("w"))),De={live:(0,o.__)("🟢 Live now","glitter-bomb"),waiting:(0,o.__)("🕒 Scheduled, not live right now","glitter-bomb"),ended:(0,o.__)("⏹️ Schedule ended","glitter-bomb")},Ne="random"===y?(0,o.__)("Custom (random)","glitter-bomb"):(0,o.__)("Custom (cycling)","glitter-bomb"),[He,Ge]=(0,s.useState)(!1),[We,qe]=(0,s.useState)(!0),Ue=(0,s.useRef)(),Ve=_e().map(e=>e.slug).join(",");return function(e,t,i){const r=(0,s.useRef)(null);(0,s.useEffect)(()=>{if(!i||!e.current)return;const o=new ne(e.current,{container:e.current,preview:!0,config:t});return r.current=o,()=>{o.destroy(),r.current=null}},[i,t.renderer]),(0,s.useEffect)(()=>{r.current&&r.current.updateConfig(t)},[t])}(Ue,(0,s.useMemo)(()=>w&&w.length>0?e:{...e,themeColors:Ve?Ve.split(","):[]},[e,w,Ve]),We),(0,h.jsxs)(h.Fragment,{children:[(0,h.jsxs)(a.InspectorControls,{children:[(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Particle Experience","glitter-bomb"),initialOpen:!0,children:[(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Experience Mode","glitter-bomb"),value:i,options:Object.keys(Ee).map(e=>({label:Ee[e],value:e})),onChange:e=>t({experienceMode:e}),help:je[i]}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Effect Area","glitter-bomb"),value:$,options:[{label:(0,o.__)("Whole page","glitter-bomb"),value:"viewport"},{label:(0,o.__)("This block only","glitter-bomb"),value:"container"}],onChange:e=>t({scope:e}),help:(0,o.__)("This block only: the effect stays inside the block and the blocks nested in it, e.g. a hero section or cover.","glitter-bomb")}),(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Live Preview","glitter-bomb"),help:"container"===$?(0,o.__)("Run the effect inside this block while editing.","glitter-bomb"):(0,o.__)("Run the effect inside this block while editing. On the frontend it still covers the whole page.","glitter-bomb"),checked:We,onChange:e=>qe(e)})]}),(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Triggers","glitter-bomb"),initialOpen:!1,children:[(0,h.jsx)("p",{className:"glitter-bomb-panel-description",children:(0,o.__)("Start the effect automatically when something happens on the page. Triggered runs are not remembered, and reduced motion turns triggers off.","glitter-bomb")}),(0,h.jsx)(ue,{value:Z,onChange:e=>t({triggers:e})})]}),(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Schedule","glitter-bomb"),initialOpen:!1,children:[(0,h.jsx)("p",{className:"glitter-bomb-panel-description",children:(0,o.__)("Only show the effect during a date window, on certain days or at certain times. Outside the window the effect is left out of the page; nested blocks still show.","glitter-bomb")}),(0,h.jsx)(Pe,{attributes:e,setAttributes:t})]}),(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Mobile Settings","glitter-bomb"),initialOpen:!1,children:[(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Disable on Mobile","glitter-bomb"),help:(0,o.__)("Turn off particle effects entirely on mobile devices. Recommended for optimal performance on lower-end mobile devices.","glitter-bomb"),checked:U,onChange:e=>t({disableOnMobile:e})}),(0,h.jsx)(n.Notice,{status:"info",isDismissible:!1,children:(0,o.__)("💡 Mobile Performance: This block is optimized for mobile with reduced canvas resolution, touch event throttling, and particle culling. However, disabling on mobile can further improve performance on older devices.","glitter-bomb")})]}),(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Performance","glitter-bomb"),initialOpen:!1,children:[(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Renderer","glitter-bomb"),value:X,options:[{label:(0,o.__)("Automatic (WebGL when available)","glitter-bomb"),value:"auto"},{label:(0,o.__)("Canvas 2D","glitter-bomb"),value:"canvas"}],onChange:e=>t({renderer:e}),help:(0,o.__)("WebGL draws every particle in a single pass, which allows much higher particle counts. Devices without WebGL fall back to Canvas 2D automatically.","glitter-bomb")}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Quality","glitter-bomb"),value:K,options:[{label:(0,o.__)("Automatic (adapts to the device)","glitter-bomb"),value:"auto"},{label:(0,o.__)("High","glitter-bomb"),value:"high"},{label:(0,o.__)("Balanced","glitter-bomb"),value:"balanced"},{label:(0,o.__)("Low","glitter-bomb"),value:"low"}],onChange:e=>t({quality:e}),help:(0,o.__)("Lower levels draw at a lower resolution with fewer particles, simpler shapes and less particle spacing work. Automatic watches the frame rate and steps down when frames are missed, then back up once the device keeps up again.","glitter-bomb")}),(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Render in Background Thread","glitter-bomb"),help:(0,o.__)("Runs particle physics and drawing in a Web Worker with OffscreenCanvas, so scrolling and input stay responsive on content-heavy pages. Browsers without OffscreenCanvas automatically use the regular renderer.","glitter-bomb"),checked:V,onChange:e=>t({renderInWorker:e})})]}),(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Button Settings","glitter-bomb"),initialOpen:!1,children:[(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Enable by default","glitter-bomb"),help:(0,o.__)("When enabled, effects will be active when the page loads. Users can still toggle them off.","glitter-bomb"),checked:P,onChange:e=>t({enabledByDefault:e})}),(0,h.jsx)(n.TextControl,{label:(0,o.__)("Enable Button Text","glitter-bomb"),value:m,onChange:e=>t({enableButtonText:e}),help:(0,o.__)("Text shown when effects are disabled","glitter-bomb")}),(0,h.jsx)(a.PanelColorSettings,{title:(0,o.__)("Enable Button Colors","glitter-bomb"),colorSettings:[{value:S,onChange:e=>t({enableButtonTextColor:e}),label:(0,o.__)("Text Color","glitter-bomb")},{value:k,onChange:e=>t({enableButtonBackgroundColor:e}),label:(0,o.__)("Background Color","glitter-bomb")}]}),(0,h.jsx)(a.PanelColorSettings,{title:(0,o.__)("Enable Button Gradient (Optional)","glitter-bomb"),colorSettings:[{value:M,onChange:e=>t({enableButtonGradientStart:e}),label:(0,o.__)("Gradient Start","glitter-bomb")},{value:T,onChange:e=>t({enableButtonGradientEnd:e}),label:(0,o.__)("Gradient End","glitter-bomb")}]}),(0,h.jsx)(n.TextControl,{label:(0,o.__)("Disable Button Text","glitter-bomb"),value:f,onChange:e=>t({disableButtonText:e}),help:(0,o.__)("Text shown when effects are enabled","glitter-bomb")}),(0,h.jsx)(a.PanelColorSettings,{title:(0,o.__)("Disable Button Colors","glitter-bomb"),colorSettings:[{value:B,onChange:e=>t({disableButtonTextColor:e}),label:(0,o.__)("Text Color","glitter-bomb")},{value:E,onChange:e=>t({disableButtonBackgroundColor:e}),label:(0,o.__)("Background Color","glitter-bomb")}]}),(0,h.jsx)(a.PanelColorSettings,{title:(0,o.__)("Disable Button Gradient (Optional)","glitter-bomb"),colorSettings:[{value:j,onChange:e=>t({disableButtonGradientStart:e}),label:(0,o.__)("Gradient Start","glitter-bomb")},{value:F,onChange:e=>t({disableButtonGradientEnd:e}),label:(0,o.__)("Gradient End","glitter-bomb")}]}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Button Position","glitter-bomb"),value:_,options:[{label:(0,o.__)("Top Left","glitter-bomb"),value:"top-left"},{label:(0,o.__)("Top Right","glitter-bomb"),value:"top-right"},{label:(0,o.__)("Bottom Left","glitter-bomb"),value:"bottom-left"},{label:(0,o.__)("Bottom Right","glitter-bomb"),value:"bottom-right"}],onChange:e=>t({buttonPosition:e}),help:(0,o.__)("Choose where to display the toggle button","glitter-bomb")})]}),Ce&&(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Sprinkle Trail Settings","glitter-bomb"),initialOpen:!0,children:[(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Display Behavior","glitter-bomb"),value:A,options:[{label:(0,o.__)("Scattered","glitter-bomb"),value:"scattered"},{label:(0,o.__)("Compact","glitter-bomb"),value:"compact"}],onChange:e=>t({displayBehavior:e}),help:(0,o.__)("Scattered: particles drift outward as they fade. Compact: particles stay close to cursor path with faster fade.","glitter-bomb")}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Color Palette","glitter-bomb"),value:r,options:[{label:(0,o.__)("Rainbow (cycling)","glitter-bomb"),value:"rainbow-cycling"},{label:(0,o.__)("Metallic (cycling)","glitter-bomb"),value:"metallic"},{label:(0,o.__)("Neutral Spectrum (cycling)","glitter-bomb"),value:"neutral-spectrum"},{label:(0,o.__)("Warm Sunset (cycling)","glitter-bomb"),value:"warm-sunset"},{label:(0,o.__)("Cool Ocean (cycling)","glitter-bomb"),value:"cool-ocean"},{label:(0,o.__)("Theme Palette (cycling)","glitter-bomb"),value:"theme"},{label:(0,o.__)("Custom Palette","glitter-bomb"),value:"custom"}],onChange:e=>t({colorPalette:e}),help:(0,o.__)("Choose a color palette for the particles. Built-in palettes cycle through their colors; a custom palette can cycle or pick colors at random.","glitter-bomb")}),"custom"===r&&Oe,"theme"===r&&Le,(0,h.jsx)(he,{label:(0,o.__)("Particle Shape","glitter-bomb"),value:Q,fallback:"circle",onChange:e=>t({particleShape:e}),help:(0,o.__)("Pick one shape, or several for a mixed trail.","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Particle Opacity","glitter-bomb"),value:c,onChange:e=>t({particleOpacity:e}),min:.1,max:1,step:.1,help:(0,o.__)("Adjust the transparency of the particles","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Particle Size - Desktop (px)","glitter-bomb"),value:b,onChange:e=>t({particleSize:e}),min:4,max:30,step:.5,help:(0,o.__)("Set the size of each particle on desktop devices","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Particle Size - Mobile (px)","glitter-bomb"),value:u,onChange:e=>t({particleSizeMobile:e}),min:3,max:20,step:.5,help:(0,o.__)("Set the size of each particle on mobile devices","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Animation Duration (ms)","glitter-bomb"),value:p,onChange:e=>t({animationDuration:e}),min:500,max:5e3,step:100,help:(0,o.__)("How long particles take to fade out","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Speed Sensitivity","glitter-bomb"),value:z,onChange:e=>t({trailSpeedSensitivity:e}),min:0,max:1,step:.1,help:(0,o.__)("How much the trail follows the stroke: fast strokes leave long, thin streaks that fade quickly, slow ones build up dense twinkles. 0 keeps every particle the same.","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Pressure Sensitivity","glitter-bomb"),value:R,onChange:e=>t({trailPressureSensitivity:e}),min:0,max:1,step:.1,help:(0,o.__)("How much pen pressure, or how firmly a finger presses, changes the particle size. Mouse trails are not affected.","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Maximum Particles","glitter-bomb"),value:C,onChange:e=>t({maxParticles:e}),min:10,max:100,step:5,help:(0,o.__)("Limit the number of particles for performance (max 100)","glitter-bomb")})]}),Se&&(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Particle Field Settings","glitter-bomb"),initialOpen:!0,children:[(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Color Palette","glitter-bomb"),value:O,options:[{label:(0,o.__)("Metallic (cycling)","glitter-bomb"),value:"metallic"},{label:(0,o.__)("Rainbow (cycling)","glitter-bomb"),value:"rainbow-cycling"},{label:(0,o.__)("Neutral Spectrum (cycling)","glitter-bomb"),value:"neutral-spectrum"},{label:(0,o.__)("Warm Sunset (cycling)","glitter-bomb"),value:"warm-sunset"},{label:(0,o.__)("Cool Ocean (cycling)","glitter-bomb"),value:"cool-ocean"},{label:(0,o.__)("Theme Palette (cycling)","glitter-bomb"),value:"theme"},{label:(0,o.__)("Custom Palette","glitter-bomb"),value:"custom"}],onChange:e=>t({fieldColorPalette:e}),help:(0,o.__)("Choose a color palette for the glitter particles","glitter-bomb")}),"custom"===O&&Oe,"theme"===O&&Le,(0,h.jsx)(he,{label:(0,o.__)("Particle Shape","glitter-bomb"),value:J,fallback:"sparkle",onChange:e=>t({fieldParticleShape:e}),help:(0,o.__)("Pick one shape, or several for a mixed field.","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Particle Count","glitter-bomb"),value:L,onChange:e=>t({fieldParticleCount:e}),min:50,max:1e3,step:25,help:(0,o.__)("Number of glitter particles in the field","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Particle Size - Desktop (px)","glitter-bomb"),value:I,onChange:e=>t({fieldParticleSize:e}),min:2,max:12,step:.5,help:(0,o.__)("Set the base size of each glitter particle on desktop devices","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Particle Size - Mobile (px)","glitter-bomb"),value:D,onChange:e=>t({fieldParticleSizeMobile:e}),min:1.5,max:8,step:.5,help:(0,o.__)("Set the base size of each glitter particle on mobile devices","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Mouse Attraction","glitter-bomb"),value:N,onChange:e=>t({fieldMouseAttraction:e}),min:0,max:1,step:.1,help:(0,o.__)("How strongly particles are attracted to cursor","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Spread Strength","glitter-bomb"),value:H,onChange:e=>t({fieldSpreadStrength:e}),min:0,max:1,step:.1,help:(0,o.__)("How much particles spread apart from each other","glitter-bomb")}),(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Click Explosion Effect","glitter-bomb"),help:(0,o.__)("Enable sparkle explosion burst on mouse click","glitter-bomb"),checked:G,onChange:e=>t({fieldClickExplosion:e})}),(0,h.jsx)(n.TextControl,{type:"number",label:(0,o.__)("Layout Seed","glitter-bomb"),value:Y||"",min:1,onChange:e=>t({seed:Math.min(2147483647,Math.max(0,parseInt(e,10)||0))}),help:(0,o.__)("Any whole number gives the same layout and movement on every visit. Leave empty for a new layout each time.","glitter-bomb")})]}),ke&&(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Confetti Settings","glitter-bomb"),initialOpen:!0,children:[(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Launch Origin","glitter-bomb"),value:ee,options:[{label:(0,o.__)("Bottom Corners","glitter-bomb"),value:"bottom-corners"},{label:(0,o.__)("Top Edge","glitter-bomb"),value:"top-edge"}],onChange:e=>t({confettiOrigin:e}),help:(0,o.__)("Bottom Corners: fired up and inwards from both lower corners. Top Edge: rains down across the whole width.","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Burst Size","glitter-bomb"),value:te,onChange:e=>t({confettiBurstSize:e}),min:20,max:500,step:10,help:(0,o.__)("Number of confetti pieces in each burst","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Gravity","glitter-bomb"),value:ie,onChange:e=>t({confettiGravity:e}),min:.05,max:1,step:.05,help:(0,o.__)("Lower values make the confetti float down more slowly","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Repeat Count","glitter-bomb"),value:re,onChange:e=>t({confettiRepeat:e}),min:1,max:10,step:1,help:(0,o.__)("Number of bursts per celebration, launched about 1.5 seconds apart","glitter-bomb")}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Color Palette","glitter-bomb"),value:r,options:[{label:(0,o.__)("Rainbow","glitter-bomb"),value:"rainbow-cycling"},{label:(0,o.__)("Metallic","glitter-bomb"),value:"metallic"},{label:(0,o.__)("Neutral Spectrum","glitter-bomb"),value:"neutral-spectrum"},{label:(0,o.__)("Warm Sunset","glitter-bomb"),value:"warm-sunset"},{label:(0,o.__)("Cool Ocean","glitter-bomb"),value:"cool-ocean"},{label:(0,o.__)("Theme Palette","glitter-bomb"),value:"theme"},{label:(0,o.__)("Custom Palette","glitter-bomb"),value:"custom"}],onChange:e=>t({colorPalette:e}),help:(0,o.__)("Each piece gets a random color from the palette","glitter-bomb")}),"custom"===r&&Oe,"theme"===r&&Le,(0,h.jsx)(he,{label:(0,o.__)("Particle Shape","glitter-bomb"),value:oe,fallback:"confetti",onChange:e=>t({confettiShape:e}),help:(0,o.__)("Pick one shape, or several for a mixed burst.","glitter-bomb")})]}),Te&&(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Falling Settings","glitter-bomb"),initialOpen:!0,children:[(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Preset","glitter-bomb"),value:se,options:Object.keys(Ae).map(e=>({label:Ae[e],value:e})),onChange:e=>t({fallingPreset:e}),help:(0,o.__)("Sets the shapes, colors, size and how the particles sway. Glitter Rain uses the color palette below.","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Density","glitter-bomb"),value:le,onChange:e=>t({fallingDensity:e}),min:20,max:500,step:10,help:(0,o.__)("Number of particles on screen at once","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Fall Speed","glitter-bomb"),value:ae,onChange:e=>t({fallingSpeed:e}),min:.2,max:3,step:.1,help:(0,o.__)("Multiplier on the preset speed. Nearer (larger) particles always fall faster.","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Wind","glitter-bomb"),value:ce,onChange:e=>t({fallingWind:e}),min:-1,max:1,step:.1,help:(0,o.__)("Negative values blow to the left, positive values to the right","glitter-bomb")}),(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Gusts","glitter-bomb"),checked:de,onChange:e=>t({fallingGusts:e}),help:(0,o.__)("Let the wind pick up and die down every few seconds","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Cursor Gust","glitter-bomb"),value:ge,onChange:e=>t({fallingCursorGust:e}),min:0,max:1,step:.1,help:(0,o.__)("How strongly particles are drawn towards the cursor. 0 turns it off.","glitter-bomb")}),"glitter-rain"===se&&(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Color Palette","glitter-bomb"),value:r,options:[{label:(0,o.__)("Rainbow","glitter-bomb"),value:"rainbow-cycling"},{label:(0,o.__)("Metallic","glitter-bomb"),value:"metallic"},{label:(0,o.__)("Neutral Spectrum","glitter-bomb"),value:"neutral-spectrum"},{label:(0,o.__)("Warm Sunset","glitter-bomb"),value:"warm-sunset"},{label:(0,o.__)("Cool Ocean","glitter-bomb"),value:"cool-ocean"},{label:(0,o.__)("Theme Palette","glitter-bomb"),value:"theme"},{label:(0,o.__)("Custom Palette","glitter-bomb"),value:"custom"}],onChange:e=>t({colorPalette:e}),help:(0,o.__)("Each drop gets a random color from the palette","glitter-bomb")}),"glitter-rain"===se&&"custom"===r&&Oe,"glitter-rain"===se&&"theme"===r&&Le]}),Be&&(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Fireworks Settings","glitter-bomb"),initialOpen:!0,children:[(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Launch Frequency","glitter-bomb"),value:be,onChange:e=>t({fireworksFrequency:e}),min:.2,max:3,step:.1,help:(0,o.__)("Average number of rockets launched per second","glitter-bomb")}),(0,h.jsx)(n.RangeControl,{label:(0,o.__)("Burst Size","glitter-bomb"),value:pe,onChange:e=>t({fireworksBurstSize:e}),min:20,max:200,step:10,help:(0,o.__)("Number of sparks in each burst","glitter-bomb")}),(0,h.jsxs)("fieldset",{className:"glitter-bomb-shape-picker",children:[(0,h.jsx)("legend",{className:"glitter-bomb-shape-picker__label",children:(0,o.__)("Burst Patterns","glitter-bomb")}),Object.keys(ze).map(e=>(0,h.jsx)(n.CheckboxControl,{label:ze[e],checked:-1!==Re.indexOf(e),disabled:1===Re.length&&Re[0]===e,onChange:i=>((e,i)=>{const r=Object.keys(ze).filter(t=>t===e?i:-1!==Re.indexOf(t));r.length>0&&t({fireworksPatterns:r.join(",")})})(e,i)},e)),(0,h.jsx)("p",{className:"glitter-bomb-shape-picker__help",children:(0,o.__)("Each rocket bursts in one of the selected patterns, picked at random.","glitter-bomb")})]}),(0,h.jsx)(n.SelectControl,{label:(0,o.__)("Color Palette","glitter-bomb"),value:r,options:[{label:(0,o.__)("Rainbow","glitter-bomb"),value:"rainbow-cycling"},{label:(0,o.__)("Metallic","glitter-bomb"),value:"metallic"},{label:(0,o.__)("Neutral Spectrum","glitter-bomb"),value:"neutral-spectrum"},{label:(0,o.__)("Warm Sunset","glitter-bomb"),value:"warm-sunset"},{label:(0,o.__)("Cool Ocean","glitter-bomb"),value:"cool-ocean"},{label:(0,o.__)("Theme Palette","glitter-bomb"),value:"theme"},{label:(0,o.__)("Custom Palette","glitter-bomb"),value:"custom"}],onChange:e=>t({colorPalette:e}),help:(0,o.__)("Each rocket gets a random color from the palette","glitter-bomb")}),"custom"===r&&Oe,"theme"===r&&Le,(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Launch on Click/Tap","glitter-bomb"),checked:we,onChange:e=>t({fireworksClickLaunch:e}),help:(0,o.__)("Clicking or tapping launches a rocket that bursts where you clicked","glitter-bomb")})]}),(0,h.jsx)(n.PanelBody,{title:(0,o.__)("Presets","glitter-bomb"),initialOpen:!1,children:(0,h.jsx)(Me,{attributes:e,setAttributes:t})}),(0,h.jsxs)(n.PanelBody,{title:(0,o.__)("Accessibility","glitter-bomb"),initialOpen:!1,children:[(0,h.jsx)(n.Notice,{status:"info",isDismissible:!1,children:(0,o.__)("This block is WCAG 2.2 AA compliant with full keyboard navigation, screen reader support, and reduced motion respect.","glitter-bomb")}),(0,h.jsx)("p",{children:(0,o.__)("Accessibility features:","glitter-bomb")}),(0,h.jsxs)("ul",{children:[(0,h.jsx)("li",{children:(0,o.__)("✓ Keyboard activation (Enter/Space)","glitter-bomb")}),(0,h.jsx)("li",{children:(0,o.__)("✓ Screen reader announcements","glitter-bomb")}),(0,h.jsx)("li",{children:(0,o.__)("✓ Visible focus indicators","glitter-bomb")}),(0,h.jsx)("li",{children:(0,o.__)("✓ Minimum 44x44px touch targets","glitter-bomb")}),(0,h.jsx)("li",{children:(0,o.__)("✓ Respects prefers-reduced-motion","glitter-bomb")})]}),(0,h.jsx)(n.ToggleControl,{label:(0,o.__)("Keyboard Interaction","glitter-bomb"),help:(0,o.__)("Moving focus with the keyboard draws a sprinkle trail to the focused element, and the particle field is drawn towards it.","glitter-bomb"),checked:W,onChange:e=>t({keyboardInteraction:e})}),W&&(0,h.jsx)(n.TextControl,{label:(0,o.__)("Burst Key","glitter-bomb"),value:q,maxLength:1,onChange:e=>t({keyboardBurstKey:e.trim()}),help:(0,o.__)("Pressing this key sets off a sparkle explosion (Particle Field) or launches a rocket (Fireworks) at the focused element. Ignored while typing in form fields.","glitter-bomb")})]})]}),(0,h.jsxs)("div",{...(0,a.useBlockProps)({ref:Ue,className:"glitter-bomb-editor-placeholder"+(We?" has-live-preview":"")}),children:[(0,h.jsxs)("div",{className:"glitter-bomb-placeholder-content",children:[(0,h.jsxs)("button",{className:"glitter-bomb-collapse-toggle",onClick:()=>Ge(!He),"aria-expanded":He,children:[(0,h.jsxs)("div",{className:"glitter-bomb-placeholder-header",children:[(0,h.jsx)("span",{className:"glitter-bomb-placeholder-emoji",children:"✨💎✨"}),(0,h.jsx)("h3",{className:"glitter-bomb-placeholder-title",children:(0,o.__)("Glitter Bomb","glitter-bomb")}),(0,h.jsx)(n.Button,{icon:He?d:g,className:"glitter-bomb-toggle-icon",label:He?(0,o.__)("Collapse settings","glitter-bomb"):(0,o.__)("Expand settings","glitter-bomb")})]}),(0,h.jsxs)("p",{className:"glitter-bomb-placeholder-summary",children:[Fe[i]," • ",P?(0,o.__)("Enabled by default","glitter-bomb"):(0,o.__)("Disabled by default","glitter-bomb"),U?" • "+(0,o.__)("Disabled on mobile","glitter-bomb"):""]}),"always"!==Ie&&(0,h.jsx)("p",{className:"glitter-bomb-placeholder-schedule is-"+Ie,children:De[Ie]})]}),We&&Ce&&(0,h.jsx)("p",{className:"glitter-bomb-placeholder-hint",children:(0,o.__)("👆 Move your cursor over this block to preview the trail","glitter-bomb")}),We&&Be&&we&&(0,h.jsx)("p",{className:"glitter-bomb-placeholder-hint",children:(0,o.__)("👆 Click inside this block to launch a rocket","glitter-bomb")}),We&&ke&&(0,h.jsx)("p",{className:"glitter-bomb-placeholder-hint",children:(0,o.__)("🔁 The preview replays the celebration; on the frontend it plays once and switches off","glitter-bomb")}),He&&(0,h.jsxs)(h.Fragment,{children:[(0,h.jsx)("p",{className:"glitter-bomb-placeholder-description",children:(0,o.__)("Magical particle effects will sparkle on your frontend! 🎆","glitter-bomb")}),(0,h.jsxs)("div",{className:"glitter-bomb-placeholder-settings",children:[(0,h.jsx)("p",{children:(0,h.jsx)("strong",{children:(0,o.__)("✨ Current Settings:","glitter-bomb")})}),(0,h.jsxs)("ul",{children:[(0,h.jsxs)("li",{children:[(0,o.__)("🎨 Experience: ","glitter-bomb"),Ee[i]]}),(0,h.jsxs)("li",{children:[(0,o.__)("⚡ Default state: ","glitter-bomb"),P?(0,o.__)("Enabled","glitter-bomb"):(0,o.__)("Disabled","glitter-bomb")]}),Z&&Z.length>0&&(0,h.jsxs)("li",{children:[(0,o.__)("⏱️ Triggers: ","glitter-bomb"),Z.length]}),(0,h.jsxs)("li",{children:[(0,o.__)("📱 Mobile: ","glitter-bomb"),U?(0,o.__)("Disabled","glitter-bomb"):(0,o.__)("Enabled","glitter-bomb")]}),Ce&&(0,h.jsxs)(h.Fragment,{children:[(0,h.jsxs)("li",{children:[(0,o.__)("🌈 Display: ","glitter-bomb"),"scattered"===A?(0,o.__)("Scattered","glitter-bomb"):(0,o.__)("Compact","glitter-bomb")]}),(0,h.jsxs)("li",{children:[(0,o.__)("🎨 Colors: ","glitter-bomb"),"custom"===r?Ne:`${r} (cycling)`]}),(0,h.jsxs)("li",{children:[(0,o.__)("🔢 Max particles: ","glitter-bomb"),C]}),(0,h.jsxs)("li",{children:[(0,o.__)("📏 Size: Desktop ","glitter-bomb"),b,"px / Mobile ",u,"px"]})]}),Se&&(0,h.jsxs)(h.Fragment,{children:[(0,h.jsxs)("li",{children:[(0,o.__)("🎨 Colors: ","glitter-bomb"),"custom"===O?Ne:`${O} (cycling)`]}),(0,h.jsxs)("li",{children:[(0,o.__)("🔢 Particle count: ","glitter-bomb"),L]}),(0,h.jsxs)("li",{children:[(0,o.__)("📏 Size: Desktop ","glitter-bomb"),I,"px / Mobile ",D,"px"]}),(0,h.jsxs)("li",{children:[(0,o.__)("💥 Click explosions: ","glitter-bomb"),G?(0,o.__)("Enabled","glitter-bomb"):(0,o.__)("Disabled","glitter-bomb")]})]}),ke&&(0,h.jsxs)(h.Fragment,{children:[(0,h.jsxs)("li",{children:[(0,o.__)("🚀 Launch origin: ","glitter-bomb"),"top-edge"===ee?(0,o.__)("Top Edge","glitter-bomb"):(0,o.__)("Bottom Corners","glitter-bomb")]}),(0,h.jsxs)("li",{children:[(0,o.__)("🎉 Bursts: ","glitter-bomb"),re," × ",te]})]}),Te&&(0,h.jsxs)(h.Fragment,{children:[(0,h.jsxs)("li",{children:[(0,o.__)("🌨️ Preset: ","glitter-bomb"),Ae[se]]}),(0,h.jsxs)("li",{children:[(0,o.__)("🔢 Density: ","glitter-bomb"),le]}),(0,h.jsxs)("li",{children:[(0,o.__)("🌬️ Wind: ","glitter-bomb"),ce,de?(0,o.__)(" with gusts","glitter-bomb"):""]})]}),Be&&(0,h.jsxs)(h.Fragment,{children:[(0,h.jsxs)("li",{children:[(0,o.__)("🚀 Launches per second: ","glitter-bomb"),be]}),(0,h.jsxs)("li",{children:[(0,o.__)("🎆 Patterns: ","glitter-bomb"),Re.join(", ")]}),(0,h.jsxs)("li",{children:[(0,o.__)("👆 Click to launch: ","glitter-bomb"),we?(0,o.__)("Enabled","glitter-bomb"):(0,o.__)("Disabled","glitter-bomb")]})]}),(0,h.jsxs)("li",{children:[(0,o.__)("📍 Button position: ","glitter-bomb"),_]})]})]}),(0,h.jsx)("p",{className:"glitter-bomb-placeholder-tip",children:(0,o.__)("💡 Tip: Use the settings panel on the right to customize your sparkle experience!","glitter-bomb")})]})]}),(0,h.jsx)("div",{className:"glitter-bomb-inner-blocks",children:(0,h.jsx)(a.InnerBlocks,{})})]})]})},save:function(){return(0,h.jsx)(a.InnerBlocks.Content,{})},variations:Ae})}},i={};function r(e){var o=i[e];if(void 0!==o)return o.exports;var s=i[e]={exports:{}};return t[e](s,s.exports,r),s.exports}r.m=t,e=[],r.O=(t,i,o,s)=>{if(!i){var l=1/0;for(h=0;h<e.length;h++){for(var[i,o,s]=e[h],a=!0,n=0;n<i.length;n++)(!1&s||l>=s)&&Object.keys(r.O).every(e=>r.O[e](i[n]))?i.splice(n--,1):(a=!1,s<l&&(l=s));if(a){e.splice(h--,1);var c=o();void 0!==c&&(t=c)}}return t}s=s||0;for(var h=e.length;h>0&&e[h-1][2]>s;h--)e[h]=e[h-1];e[h]=[i,o,s]},r.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return r.d(t,{a:t}),t},r.d=(e,t)=>{for(var i in t)r.o(t,i)&&!r.o(e,i)&&Object.defineProperty(e,i,{enumerable:!0,get:t[i]})},r.u=e=>"particle-worker.js?ver=b996b90cdeae97b88a7e",r.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),(()=>{var e;globalThis.importScripts&&(e=globalThis.location+"");var t=globalThis.document;if(!e&&t&&(t.currentScript&&"SCRIPT"===t.currentScript.tagName.toUpperCase()&&(e=t.currentScript.src),!e)){var i=t.getElementsByTagName("script");if(i.length)for(var o=i.length-1;o>-1&&(!e||!/^http(s?):/.test(e));)e=i[o--].src}if(!e)throw new Error("Automatic publicPath is not supported in this browser");e=e.replace(/^blob:/,"").replace(/#.*$/,"").replace(/\?.*$/,"").replace(/\/[^\/]+$/,"/"),r.p=e})(),(()=>{r.b="undefined"!=typeof document&&document.baseURI||self.location.href;var e={57:0,350:0};r.O.j=t=>0===e[t];var t=(t,i)=>{var o,s,[l,a,n]=i,c=0;if(l.some(t=>0!==e[t])){for(o in a)r.o(a,o)&&(r.m[o]=a[o]);if(n)var h=n(r)}for(t&&t(i);c<l.length;c++)s=l[c],r.o(e,s)&&e[s]&&e[s][0](),e[s]=0;return r.O(h)},i=globalThis.webpackChunkglitter_bomb=globalThis.webpackChunkglitter_bomb||[];i.forEach(t.bind(null,0)),i.push=t.bind(null,i.push.bind(i))})();var o=r.O(void 0,[350],()=>r(118));o=r.O(o)})();
\ No newline at end of file
@@ -0,0 +1 @@
+(()=>{"use strict";class t{constructor(t){this.cellSize=t,this.cols=0,this.rows=0,this.cells=[],this.usedCells=[],this.neighborCells=[]}resize(t,e){const i=Math.max(1,Math.ceil(t/this.cellSize)),s=Math.max(1,Math.ceil(e/this.cellSize));if(i!==this.cols||s!==this.rows){this.cols=i,this.rows=s,this.cells=[];for(let t=0;t<i*s;t++)this.cells.push([]);this.usedCells.length=0}}clear(){for(let t=0;t<this.usedCells.length;t++)this.usedCells[t].length=0;this.usedCells.length=0}getColumn(t){return Math.min(this.cols-1,Math.max(0,Math.floor(t/this.cellSize)))}getRow(t){return Math.min(this.rows-1,Math.max(0,Math.floor(t/this.cellSize)))}insert(t){const e=this.cells[this.getRow(t.y)*this.cols+this.getColumn(t.x)];0===e.length&&this.usedCells.push(e),e.push(t)}getNeighborCells(t,e){const i=this.getColumn(t),s=this.getRow(e),a=this.neighborCells;a.length=0;for(let t=s-1;t<=s+1;t++)if(!(t<0||t>=this.rows))for(let e=i-1;e<=i+1;e++){if(e<0||e>=this.cols)continue;const i=this.cells[t*this.cols+e];i.length>0&&a.push(i)}return a}}const e={circle:{extent:1,draw(t,e){t.beginPath(),t.arc(0,0,e,0,2*Math.PI),t.fill()}},sparkle:{extent:1.5,draw(t,e){const i=e/1.5;for(let e=0;e<5;e++){const s=2*Math.PI*e/5,a=1.5*i;t.beginPath(),t.moveTo(0,0),t.lineTo(Math.cos(s)*a,Math.sin(s)*a),t.lineTo(Math.cos(s+.1)*(.5*a),Math.sin(s+.1)*(.5*a)),t.closePath(),t.fill()}t.beginPath(),t.arc(0,0,.5*i,0,2*Math.PI),t.fill()}},star:{extent:1.3,draw(t,e){t.beginPath();for(let i=0;i<10;i++){const s=Math.PI*i/5-Math.PI/2,a=i%2==0?e:.45*e;t.lineTo(Math.cos(s)*a,Math.sin(s)*a)}t.closePath(),t.fill()}},heart:{extent:1.2,draw(t,e){t.beginPath(),t.moveTo(0,.9*e),t.bezierCurveTo(1.2*-e,.1*e,.75*-e,-e,0,.45*-e),t.bezierCurveTo(.75*e,-e,1.2*e,.1*e,0,.9*e),t.closePath(),t.fill()}},diamond:{extent:1.3,draw(t,e){t.beginPath(),t.moveTo(0,-e),t.lineTo(.65*e,0),t.lineTo(0,e),t.lineTo(.65*-e,0),t.closePath(),t.fill()}},confetti:{extent:1.2,draw(t,e){t.fillRect(-e,.45*-e,2*e,.9*e)}},ring:{extent:1,draw(t,e){t.beginPath(),t.arc(0,0,e,0,2*Math.PI),t.arc(0,0,.6*e,0,2*Math.PI,!0),t.fill()}},twinkle:{extent:1.4,draw(t,e){const i=.15*e;t.beginPath(),t.moveTo(0,-e),t.quadraticCurveTo(i,-i,e,0),t.quadraticCurveTo(i,i,0,e),t.quadraticCurveTo(-i,i,-e,0),t.quadraticCurveTo(-i,-i,0,-e),t.closePath(),t.fill()}},snowflake:{extent:1.3,draw(t,e){const i=.14*e,s=.38*e;for(let a=0;a<6;a++)t.save(),t.rotate(Math.PI*a/3),t.fillRect(-i/2,-e,i,e),t.translate(0,.6*-e),t.rotate(Math.PI/4),t.fillRect(-i/2,-s,i,s),t.rotate(-Math.PI/2),t.fillRect(-i/2,-s,i,s),t.restore()}},petal:{extent:1.3,draw(t,e){t.beginPath(),t.moveTo(0,-e),t.bezierCurveTo(.75*e,.35*-e,.7*e,e,0,e),t.bezierCurveTo(.7*-e,e,.75*-e,.35*-e,0,-e),t.closePath(),t.fill()}}},i=Object.keys(e);function s(t,e){return e=e||Math.random,1===t.length?t[0]:t[Math.floor(e()*t.length)]}function a(t,e){if("undefined"!=typeof OffscreenCanvas)return new OffscreenCanvas(t,e);const i=document.createElement("canvas");return i.width=t,i.height=e,i}const r={};i.forEach(function(t,e){r[t]=e});const o=["attribute vec2 aCorner;","attribute vec4 aTransform;","attribute vec4 aColor;","attribute float aShape;","uniform vec2 uResolution;","uniform float uShapeCount;","uniform float uMaskFill;","varying vec2 vUv;","varying vec4 vColor;","void main() {","\tvec2 local = aCorner * aTransform.z;","\tfloat c = cos(aTransform.w);","\tfloat s = sin(aTransform.w);","\tvec2 world = aTransform.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);","\tgl_Position = vec4(world.x / uResolution.x * 2.0 - 1.0, 1.0 - world.y / uResolution.y * 2.0, 0.0, 1.0);","\tvUv = vec2((aShape + 0.5 + aCorner.x * 0.5 * uMaskFill) / uShapeCount, 0.5 + aCorner.y * 0.5 * uMaskFill);","\tvColor = aColor;","}"].join("\n"),n=["precision mediump float;","uniform sampler2D uShapes;","varying vec2 vUv;","varying vec4 vColor;","void main() {","\tfloat alpha = texture2D(uShapes, vUv).a * vColor.a;","\tif (alpha <= 0.0) {","\t\tdiscard;","\t}","\tgl_FragColor = vec4(vColor.rgb * alpha, alpha);","}"].join("\n");function l(t,e,i){const s=t.createShader(e);return t.shaderSource(s,i),t.compileShader(s),t.getShaderParameter(s,t.COMPILE_STATUS)?s:(t.deleteShader(s),null)}class h{static create(t){const e={alpha:!0,premultipliedAlpha:!0,antialias:!1,preserveDrawingBuffer:!1,desynchronized:!0};try{let i=t.getContext("webgl2",e),s=null;if(i)s={vertexAttribDivisor:(t,e)=>i.vertexAttribDivisor(t,e),drawArraysInstanced:(t,e,s,a)=>i.drawArraysInstanced(t,e,s,a)};else{i=t.getContext("webgl",e);const a=i&&i.getExtension("ANGLE_instanced_arrays");if(!a)return null;s={vertexAttribDivisor:(t,e)=>a.vertexAttribDivisorANGLE(t,e),drawArraysInstanced:(t,e,i,s)=>a.drawArraysInstancedANGLE(t,e,i,s)}}const a=new h(i,s);return a.program?a:null}catch(t){return null}}constructor(t,e){this.gl=t,this.instancing=e,this.width=0,this.height=0,this.instanceData=new Float32Array(2304),this.program=this.createProgram(),this.program&&(this.setupBuffers(),this.setupShapeMask())}createProgram(){const t=this.gl,e=l(t,t.VERTEX_SHADER,o),i=l(t,t.FRAGMENT_SHADER,n);if(!e||!i)return null;const s=t.createProgram();return t.attachShader(s,e),t.attachShader(s,i),t.linkProgram(s),t.getProgramParameter(s,t.LINK_STATUS)?s:null}setupBuffers(){const t=this.gl,e=this.program;t.useProgram(e),this.resolutionLocation=t.getUniformLocation(e,"uResolution"),this.cornerBuffer=t.createBuffer(),t.bindBuffer(t.ARRAY_BUFFER,this.cornerBuffer),t.bufferData(t.ARRAY_BUFFER,new Float32Array([-1,-1,1,-1,-1,1,1,1]),t.STATIC_DRAW);const s=t.getAttribLocation(e,"aCorner");t.enableVertexAttribArray(s),t.vertexAttribPointer(s,2,t.FLOAT,!1,0,0),this.instanceBuffer=t.createBuffer(),t.bindBuffer(t.ARRAY_BUFFER,this.instanceBuffer),t.bufferData(t.ARRAY_BUFFER,this.instanceData.byteLength,t.DYNAMIC_DRAW),[{name:"aTransform",size:4,offset:0},{name:"aColor",size:4,offset:4},{name:"aShape",size:1,offset:8}].forEach(i=>{const s=t.getAttribLocation(e,i.name);t.enableVertexAttribArray(s),t.vertexAttribPointer(s,i.size,t.FLOAT,!1,36,4*i.offset),this.instancing.vertexAttribDivisor(s,1)}),t.uniform1f(t.getUniformLocation(e,"uShapeCount"),i.length),t.uniform1f(t.getUniformLocation(e,"uMaskFill"),62/64),t.enable(t.BLEND),t.blendFunc(t.ONE,t.ONE_MINUS_SRC_ALPHA),t.clearColor(0,0,0,0)}setupShapeMask(){const t=this.gl,s=a(128*i.length,128),r=s.getContext("2d");r.fillStyle="#ffffff",i.forEach(function(t,i){r.setTransform(1,0,0,1,128*i+64,64),e[t].draw(r,62)}),this.shapeTexture=t.createTexture(),t.activeTexture(t.TEXTURE0),t.bindTexture(t.TEXTURE_2D,this.shapeTexture),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_WRAP_S,t.CLAMP_TO_EDGE),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_WRAP_T,t.CLAMP_TO_EDGE),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_MIN_FILTER,t.LINEAR),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_MAG_FILTER,t.LINEAR),t.texImage2D(t.TEXTURE_2D,0,t.RGBA,t.RGBA,t.UNSIGNED_BYTE,s),t.uniform1i(t.getUniformLocation(this.program,"uShapes"),0)}resize(t,e){const i=this.gl;this.width=t,this.height=e,i.viewport(0,0,i.drawingBufferWidth,i.drawingBufferHeight),i.uniform2f(this.resolutionLocation,t,e)}clear(){this.gl.clear(this.gl.COLOR_BUFFER_BIT)}ensureCapacity(t){if(this.instanceData.length>=9*t)return;let e=this.instanceData.length;for(;e<9*t;)e*=2;this.instanceData=new Float32Array(e);const i=this.gl;i.bindBuffer(i.ARRAY_BUFFER,this.instanceBuffer),i.bufferData(i.ARRAY_BUFFER,this.instanceData.byteLength,i.DYNAMIC_DRAW)}writeInstance(t,i,s){const a=this.instanceData,o=9*t;a[o]=i.drawX,a[o+1]=i.drawY,a[o+2]=i.size*e[i.shape].extent,a[o+3]=i.rotation,a[o+4]=s.r/255,a[o+5]=s.g/255,a[o+6]=s.b/255,a[o+7]=i.opacity,a[o+8]=r[i.shape]}flush(t){const e=this.gl;this.clear(),0!==t&&(e.bindBuffer(e.ARRAY_BUFFER,this.instanceBuffer),e.bufferSubData(e.ARRAY_BUFFER,0,this.instanceData.subarray(0,9*t)),this.instancing.drawArraysInstanced(e.TRIANGLE_STRIP,0,4,t))}drawField(t){const e=t.particlePool.getActive();this.ensureCapacity(e.length);for(let i=0;i<e.length;i++){const s=e[i];this.writeInstance(i,s,t.getParticleRgb(s))}this.flush(e.length)}drawSprinkle(t){const e=t.particlePool.getActive();this.ensureCapacity(e.length);for(let t=0;t<e.length;t++){const i=e[t];this.writeInstance(t,i,i.rgb)}this.flush(e.length)}}const c=[8,16,32,64];function d(t){return[parseInt(t.slice(1,3),16),parseInt(t.slice(3,5),16),parseInt(t.slice(5,7),16)]}function f(t,e,i){const s=d(t),a=d(e);return"rgb("+Math.round(s[0]+(a[0]-s[0])*i)+", "+Math.round(s[1]+(a[1]-s[1])*i)+", "+Math.round(s[2]+(a[2]-s[2])*i)+")"}class g{constructor(){this.sheets=new Map,this.scale=1,this.maxExtent=1/0}getSheet(t,e){const i=e&&t.length>1?3:1,s=i+"|"+t.join(",");let a=this.sheets.get(s);return a||(this.sheets.size>=8&&this.sheets.clear(),a={colors:t.slice(),steps:i,tintCount:t.length*i,grids:{}},this.sheets.set(s,a)),a}createGrid(t,i){const s=c[c.length-1],r=t.tintCount*(2*s+2),o=[];let n=0;c.forEach(t=>{const e=2*t+2;o.push({extent:t,cell:e,y:n}),n+=e});const l=a(r,n),h=l.getContext("2d"),d=t.colors;for(let s=0;s<t.tintCount;s++){const a=Math.floor(s/t.steps),r=d[(a+1)%d.length];h.fillStyle=f(d[a],r,s%t.steps/t.steps),o.forEach(t=>{h.setTransform(1,0,0,1,s*t.cell+t.cell/2,t.y+t.cell/2),e[i].draw(h,t.extent)})}return{canvas:l,rows:o}}getTint(t,e){return Math.floor(e*t.steps)%t.tintCount}draw(t,i,s,a,r){const o=i.grids[s]||(i.grids[s]=this.createGrid(i,s)),n=this.scale,l=r.size*e[s].extent,h=Math.min(l*n,this.maxExtent);let c=o.rows[o.rows.length-1];for(let t=0;t<o.rows.length;t++)if(o.rows[t].extent>=h){c=o.rows[t];break}const d=Math.cos(r.rotation)*n,f=Math.sin(r.rotation)*n;t.setTransform(d,f,-f,d,r.drawX*n,r.drawY*n),t.globalAlpha=r.opacity;const g=l*(c.cell/2)/c.extent;t.drawImage(o.canvas,a%i.tintCount*c.cell,c.y,c.cell,c.cell,-g,-g,2*g,2*g)}resetTransform(t){t.setTransform(this.scale,0,0,this.scale,0,0),t.globalAlpha=1}}function p(t){if(!((t=Math.floor(Number(t)))>0))return Math.random;let e=t>>>0;return function(){e=e+1831565813>>>0;let t=e;return t=Math.imul(t^t>>>15,1|t),t^=t+Math.imul(t^t>>>7,61|t),((t^t>>>14)>>>0)/4294967296}}const u={"rainbow-cycling":["#FF0000","#FF7F00","#FFFF00","#00FF00","#0000FF","#4B0082","#9400D3"],metallic:["#C0C0C0","#D4AF37","#E5E4E2","#B87333","#AAA9AD","#CD7F32","#CFCFCF"],"neutral-spectrum":["#8B8B8B","#A9A9A9","#C0C0C0","#D3D3D3","#E0E0E0"],"warm-sunset":["#FF6B6B","#FFA07A","#FFD700","#FF8C00","#FF4500"],"cool-ocean":["#00CED1","#20B2AA","#48D1CC","#40E0D0","#00FFFF"]},m=(Object.keys(u).concat(["custom","theme"]),{experienceMode:"particle-field",colorPalette:"rainbow-cycling",enableButtonText:"✨ Enable Sparkles",disableButtonText:"✨ Disable Sparkles",buttonPosition:"bottom-right",customColor:"#ff69b4",customColors:[],themeColors:[],themePalette:[],enabledByDefault:!1,enableButtonTextColor:"#ffffff",enableButtonBgColor:"#667eea",enableButtonGradientStart:"",enableButtonGradientEnd:"",disableButtonTextColor:"#ffffff",disableButtonBgColor:"#f093fb",disableButtonGradientStart:"",disableButtonGradientEnd:"",fieldColorPalette:"metallic",disableOnMobile:!1}),P={low:{maxScale:1,particles:.4,spriteExtent:16,separationEvery:0},balanced:{maxScale:1.5,particles:.7,spriteExtent:32,separationEvery:2},high:{maxScale:1/0,particles:1,spriteExtent:1/0,separationEvery:1}},x={snow:{shapes:["snowflake","circle"],colors:["#FFFFFF","#F0F8FF","#DDEEFF","#E8F4FF"],size:6,speed:1.2,sway:.6,spin:.01},petals:{shapes:["petal"],colors:["#FFB7C5","#FFC0CB","#FF9EB5","#FFE4EC","#F8A5C2"],size:8,speed:1.4,sway:1.4,spin:.04},"glitter-rain":{shapes:["sparkle","twinkle"],colors:null,size:4,speed:5,sway:.15,spin:.02}},y={peony:{shape:"circle",speed:4,drag:.96,gravity:.04,decay:.015},willow:{shape:"circle",speed:3,drag:.94,gravity:.03,decay:.006},ring:{shape:"circle",speed:4,drag:.96,gravity:.03,decay:.016},crossette:{shape:"twinkle",speed:3.5,drag:.96,gravity:.035,decay:.014}};Object.assign({},m,{particleOpacity:.9,particleSize:10,particleSizeMobile:7.5,animationDuration:1500,customPaletteMode:"cycle",maxParticles:50,displayBehavior:"compact",trailSpeedSensitivity:0,trailPressureSensitivity:0,fieldParticleCount:200,fieldParticleSize:6,fieldParticleSizeMobile:3,fieldMouseAttraction:.5,fieldSpreadStrength:.3,fieldClickExplosion:!1,keyboardInteraction:!1,keyboardBurstKey:"g",renderInWorker:!1,renderer:"auto",particleShape:["circle"],fieldParticleShape:["sparkle"],confettiOrigin:"bottom-corners",confettiBurstSize:150,confettiGravity:.25,confettiRepeat:1,confettiShape:["confetti"],fallingPreset:"snow",fallingDensity:120,fallingSpeed:1,fallingWind:.2,fallingGusts:!0,fallingCursorGust:0,fireworksFrequency:.8,fireworksBurstSize:80,fireworksPatterns:["peony","willow","ring","crossette"],fireworksClickLaunch:!0,seed:0,quality:"auto"});const v=1e3/60,b=["low","balanced","high"],M=.97;class C{constructor(t){t=t||100,this.pool=[],this.activeParticles=[];for(let e=0;e<t;e++)this.pool.push(this.createParticleObject())}createParticleObject(){return{x:0,y:0,prevX:0,prevY:0,drawX:0,drawY:0,hasPrevious:!1,homX:0,homY:0,vx:0,vy:0,baseSize:0,size:0,opacity:0,color:"",birthTime:0,maxLife:0,shimmerPhase:0,shimmerSpeed:0,twinkle:0,rotation:0,rotationSpeed:0,colorIndex:0,colorCycleSpeed:0,isExplosion:!1,explosionLife:0,driftAngle:0,driftSpeed:0,driftPhase:0,rgb:{r:0,g:0,b:0},tint:0,shape:"circle",depth:1,kind:"",pattern:"",decay:0,drag:1,stage:0,active:!1}}acquire(){let t;return t=this.pool.length>0?this.pool.pop():this.createParticleObject(),t.active=!0,t.hasPrevious=!1,this.activeParticles.push(t),t}release(t){const e=this.activeParticles.indexOf(t);e>-1&&this.activeParticles.splice(e,1),t.active=!1,this.pool.push(t)}releaseAll(){for(;this.activeParticles.length>0;){const t=this.activeParticles.pop();t.active=!1,this.pool.push(t)}}getActive(){return this.activeParticles}getPoolSize(){return this.pool.length}getActiveCount(){return this.activeParticles.length}}class S{constructor(e,i){i=i||{},this.config=e,this.isMobile=!!i.isMobile,this.isContained=!!i.isContained,this.hasFixedRandom=!!i.random,this.random=i.random||p(e.seed),this.stepTime=0,this.now=i.headless?()=>this.stepTime:()=>performance.now(),this.ctx=null,this.renderer=null,this.spriteAtlas=null,this.scratchRgb={r:0,g:0,b:0},this.lastUpdateTime=0,this.stepAccumulator=0,this.interpolation=1,this.paletteIndex=0,this.trailCycle=0,this.pointers=[],this.lastParticleX=0,this.lastParticleY=0,this.logicalWidth=0,this.logicalHeight=0,this.colorPalettes=Object.assign({custom:[],theme:[]},u),this.customPaletteEnds=[],this.updateCustomPalette(),this.updateThemePalette(),this.qualityLevel=this.getStartQuality(),this.qualityFrameTotal=0,this.qualityWorkTotal=0,this.qualityHeadroom=0,this.qualityHeadroomNeeded=3,this.separationTick=0;let s=Math.max(this.config.maxParticles+20,70);"particle-field"===this.config.experienceMode?s=Math.max(this.config.fieldParticleCount+100,300):"confetti"===this.config.experienceMode?s=this.config.confettiBurstSize+20:"falling"===this.config.experienceMode?s=this.config.fallingDensity+20:"fireworks"===this.config.experienceMode&&(s=Math.max(4*this.config.fireworksBurstSize+100,300)),this.particlePool=new C(s),this.isCelebrating=!1,this.confettiBurstsLeft=0,this.confettiBurstTimer=0,this.fallingSpawnCredit=0,this.gust=0,this.gustTarget=0,this.gustTimer=0,this.fireworkLaunchTimer=0,this.spatialHash=new t(30)}attachCanvas(t){this.renderer="canvas"===this.config.renderer?null:h.create(t),this.renderer||(this.ctx=t.getContext("2d",{alpha:!0,willReadFrequently:!1,desynchronized:!0}),this.spriteAtlas=new g,this.spriteAtlas.maxExtent=P[this.qualityLevel].spriteExtent)}applyCanvasScale(t){this.renderer?this.renderer.resize(this.logicalWidth,this.logicalHeight):this.ctx&&(this.ctx.scale(t,t),this.spriteAtlas.scale=t)}clearCanvas(){this.renderer?this.renderer.clear():this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight)}setConfig(t){this.hasFixedRandom||t.seed===this.config.seed||(this.random=p(t.seed));const e=this.config.quality;this.config=t,this.updateCustomPalette(),this.updateThemePalette(),t.quality!==e&&(this.qualityHeadroomNeeded=3,this.setQualityLevel(this.getStartQuality()))}getStartQuality(){return"auto"!==this.config.quality?this.config.quality:this.isMobile?"balanced":"high"}setQualityLevel(t){t!==this.qualityLevel&&(this.qualityLevel=t,this.spriteAtlas&&(this.spriteAtlas.maxExtent=P[t].spriteExtent),this.fitFieldToBudget(),this.onQualityChange())}onQualityChange(){}getCanvasScale(t){return Math.min(t,P[this.qualityLevel].maxScale)}getParticleBudget(t){return Math.max(1,Math.round(t*P[this.qualityLevel].particles))}fitFieldToBudget(){if("particle-field"!==this.config.experienceMode)return;const t=this.particlePool.getActive();let e=0;for(let i=0;i<t.length;i++)t[i].isExplosion||e++;if(0===e)return;const i=this.getParticleBudget(this.config.fieldParticleCount);for(let s=t.length-1;s>=0&&e>i;s--)t[s].isExplosion||(this.particlePool.release(t[s]),e--);for(;e<i;e++)this.createFieldParticle()}measureFrameLoad(t,e){if(t<=0||t>250)return;if(this.qualityFrameTotal+=t,this.qualityWorkTotal+=e,this.qualityFrameTotal<1e3)return;const i=this.qualityWorkTotal/this.qualityFrameTotal,s=b.indexOf(this.qualityLevel);this.qualityFrameTotal=0,this.qualityWorkTotal=0,i>.5?(this.qualityHeadroom=0,s>0&&(this.qualityHeadroomNeeded=Math.min(48,2*this.qualityHeadroomNeeded),this.setQualityLevel(b[s-1]))):i<.25?(this.qualityHeadroom++,this.qualityHeadroom>=this.qualityHeadroomNeeded&&s<b.length-1&&(this.qualityHeadroom=0,this.setQualityLevel(b[s+1]))):this.qualityHeadroom=0}updateThemePalette(){var t,e;this.colorPalettes.theme=(t=this.config,"custom"==(e="theme")?t.customColors.length>0?t.customColors.map(function(t){return t.color}):[t.customColor]:t.themePalette.length>0?t.themePalette:u[e]||u["rainbow-cycling"])}updateCustomPalette(){const t=this.config.customColors.length>0?this.config.customColors:[{color:this.config.customColor,weight:1}];let e=0;t.forEach(function(t){e+=t.weight});let i=0;this.colorPalettes.custom=t.map(function(t){return t.color}),this.customPaletteEnds=t.map(function(t){return i+=t.weight/e,i})}getPalettePosition(t,e){if("custom"!==t)return e*this.colorPalettes[t].length;const i=this.customPaletteEnds;let s=0;for(;s<i.length-1&&e>=i[s];)s++;const a=s>0?i[s-1]:0;return s+Math.min(.999,(e-a)/(i[s]-a))}isPaletteCycling(t){return"custom"!==t||"random"!==this.config.customPaletteMode}pickColorCycle(t){const e=this.random();if(this.isPaletteCycling(t))return e;const i=Math.floor(this.getPalettePosition(t,e));return i>0?this.customPaletteEnds[i-1]:0}pickFixedTint(){const t=this.getFixedPalette();return t===this.colorPalettes.custom?Math.floor(this.getPalettePosition("custom",this.random())):Math.floor(this.random()*t.length)}initializeParticleField(){this.particlePool.releaseAll();const t=this.getParticleBudget(this.config.fieldParticleCount);for(let e=0;e<t;e++)this.createFieldParticle()}createFieldParticle(){const t=this.isMobile?this.config.fieldParticleSizeMobile:this.config.fieldParticleSize,e=this.random()*this.logicalWidth,i=this.random()*this.logicalHeight,a=this.particlePool.acquire();a.x=e,a.y=i,a.homeX=e,a.homeY=i,a.vx=.5*(this.random()-.5),a.vy=.5*(this.random()-.5),a.baseSize=t*(.7+.6*this.random()),a.size=a.baseSize,a.opacity=.6+.4*this.random(),a.shimmerPhase=this.random()*Math.PI*2,a.shimmerSpeed=.02+.03*this.random(),a.rotation=this.random()*Math.PI*2,a.rotationSpeed=.02*(this.random()-.5),a.shape=s(this.config.fieldParticleShape,this.random),a.colorIndex=this.pickColorCycle(this.config.fieldColorPalette),a.colorCycleSpeed=.001+.002*this.random(),a.isExplosion=!1,a.explosionLife=0,a.driftAngle=this.random()*Math.PI*2,a.driftSpeed=.2+.3*this.random(),a.driftPhase=this.random()*Math.PI*2}createExplosion(t,e){this.particlePool.getActive().forEach(function(i){if(i.isExplosion)return;const s=i.x-t,a=i.y-e,r=Math.sqrt(s*s+a*a);if(r<250&&r>0){const t=8*(1-r/250),e=Math.atan2(a,s);i.vx+=Math.cos(e)*t,i.vy+=Math.sin(e)*t}});const i=this.isMobile?this.config.fieldParticleSizeMobile:this.config.fieldParticleSize;for(let a=0;a<40;a++){const r=2*Math.PI*a/40,o=3+5*this.random(),n=this.particlePool.acquire();n.x=t,n.y=e,n.homeX=t,n.homeY=e,n.vx=Math.cos(r)*o,n.vy=Math.sin(r)*o,n.baseSize=i*(1+.8*this.random()),n.size=n.baseSize,n.opacity=1,n.shimmerPhase=this.random()*Math.PI*2,n.shimmerSpeed=.05+.05*this.random(),n.rotation=this.random()*Math.PI*2,n.rotationSpeed=.1*(this.random()-.5),n.shape=s(this.config.fieldParticleShape,this.random),n.colorIndex=this.pickColorCycle(this.config.fieldColorPalette),n.colorCycleSpeed=.002,n.isExplosion=!0,n.explosionLife=1,n.driftAngle=0,n.driftSpeed=0,n.driftPhase=0}}getParticleColor(t){if("particle-field"===this.config.experienceMode&&t){const e=this.getParticleRgb(t);return"rgba("+e.r+", "+e.g+", "+e.b+", "+t.opacity+")"}return this.hexToRgba(this.nextTrailColor(),this.config.particleOpacity)}getParticleRgb(t){const e=this.scratchRgb,i=this.config.fieldColorPalette,s=this.colorPalettes[i],a=s.length,r=this.getPalettePosition(i,t.colorIndex),o=Math.floor(r)%a,n=(o+1)%a,l=r%1,h=this.hexToRgb(s[o]),c=this.hexToRgb(s[n]);return e.r=Math.round(h.r+(c.r-h.r)*l),e.g=Math.round(h.g+(c.g-h.g)*l),e.b=Math.round(h.b+(c.b-h.b)*l),e}getFixedPalette(){if("falling"===this.config.experienceMode){const t=x[this.config.fallingPreset];if(t.colors)return t.colors}return this.colorPalettes[this.config.colorPalette]}nextTrailColor(){const t=this.config.colorPalette,e=this.colorPalettes[t];return this.isPaletteCycling(t)?(this.trailCycle=(this.trailCycle+.05/e.length)%1,this.paletteIndex=this.getPalettePosition(t,this.trailCycle)):this.paletteIndex=this.getPalettePosition(t,this.random()),e[Math.floor(this.paletteIndex)]}hexToRgb(t,e){return(e=e||{}).r=parseInt(t.slice(1,3),16),e.g=parseInt(t.slice(3,5),16),e.b=parseInt(t.slice(5,7),16),e}hexToRgba(t,e){const i=this.hexToRgb(t);return"rgba("+i.r+", "+i.g+", "+i.b+", "+e+")"}getPointer(t){for(let e=0;e<this.pointers.length;e++)if(this.pointers[e].id===t)return this.pointers[e];return null}updatePointer(t,e,i,s){const a=this.now();let r=this.getPointer(t);r||(r={id:t,x:e,y:i,lastParticleX:-1/0,lastParticleY:-1/0,speed:0,moveTime:a,pressure:.5},this.pointers.push(r));const o=a-r.moveTime;if(o>0){const t=e-r.x,s=i-r.y;r.speed+=.3*(Math.sqrt(t*t+s*s)/o-r.speed),r.moveTime=a}r.x=e,r.y=i,r.pressure="number"==typeof s?s:.5}removePointer(t){const e=this.getPointer(t);e&&this.pointers.splice(this.pointers.indexOf(e),1)}createParticle(t,e,i){const s=this.getPointer(i),a=s||this;let r=0,o=0,n=1;if(s){const t=this.config.trailSpeedSensitivity;r=t*Math.min(1,Math.max(0,(s.speed-.15)/1.35)),o=t*Math.max(0,1-s.speed/.15),n=Math.max(.25,1+2*(s.pressure-.5)*this.config.trailPressureSensitivity)}const l=t-a.lastParticleX,h=e-a.lastParticleY,c=Math.sqrt(l*l+h*h),d=(this.isMobile?12:8)*(1-.6*o);if(c<d)return;const f=r>0&&isFinite(c)?Math.min(6,Math.floor(c/d)):1,g=Math.atan2(h,l),p=(this.isMobile?this.config.particleSizeMobile:this.config.particleSize)*(1-.5*r)*n,u=this.config.animationDuration*(1-.6*r+.5*o);for(let i=f-1;i>=0;i--)this.emitTrailParticle(t-l*i/f,e-h*i/f,p,u,g,r,o);a.lastParticleX=t,a.lastParticleY=e}emitTrailParticle(t,e,i,a,r,o,n){const l=this.particlePool.getActive();l.length>=this.getParticleBudget(this.config.maxParticles)&&this.particlePool.release(l[0]);const h="compact"===this.config.displayBehavior,c=this.now(),d=this.particlePool.acquire();d.x=t,d.y=e,d.size=i;const f=this.nextTrailColor();this.hexToRgb(f,d.rgb),d.color=this.hexToRgba(f,this.config.particleOpacity),d.tint=Math.floor(this.paletteIndex),d.shape=s(this.config.particleShape,this.random),d.rotation=(this.random()-.5)*Math.PI*.5*(1-o)+r*o,d.opacity=this.config.particleOpacity,d.birthTime=c,d.maxLife=a,d.twinkle=n,d.shimmerPhase=this.random()*Math.PI*2,d.vx=h?0:2*(this.random()-.5),d.vy=h?0:2*(this.random()-.5)}updateSprinkleParticles(t){const e="compact"===this.config.displayBehavior,i=this.particlePool.getActive(),s=i.length;for(let a=i.length-1;a>=0;a--){const r=i[a],o=t-r.birthTime,n=Math.max(0,1-o/r.maxLife);e||(r.x+=r.vx,r.y+=r.vy);const l=s>1?(a+1)/s:1;r.opacity=this.config.particleOpacity*Math.min(n,l),r.twinkle>0&&(r.opacity*=1-.6*r.twinkle*(.5+.5*Math.sin(.012*o+r.shimmerPhase))),(o>=r.maxLife||r.opacity<=.01||this.isOutOfBounds(r))&&this.particlePool.release(r)}}isOutOfBounds(t){if(this.isContained){const e=2*t.size;return t.x<-e||t.x>this.logicalWidth+e||t.y<-e||t.y>this.logicalHeight+e}return Math.abs(t.x)>2*this.logicalWidth||Math.abs(t.y)>2*this.logicalHeight}updateFieldParticles(){const t=this.particlePool.getActive(),e=P[this.qualityLevel].separationEvery,i=e>0&&this.separationTick++%e===0?.05*this.config.fieldSpreadStrength*.5*e:0,s=this.spatialHash;if(s.clear(),i>0){s.resize(this.logicalWidth,this.logicalHeight);for(let e=0;e<t.length;e++)t[e].isExplosion||s.insert(t[e])}for(let e=t.length-1;e>=0;e--){const a=t[e];if(this.isPaletteCycling(this.config.fieldColorPalette)&&(a.colorIndex=(a.colorIndex+a.colorCycleSpeed)%1),a.isExplosion){if(a.explosionLife-=.02,a.opacity=Math.max(0,a.explosionLife),a.x+=a.vx,a.y+=a.vy,a.vx*=.95,a.vy*=.95,a.explosionLife<=0||this.isContained&&this.isOutOfBounds(a)){this.particlePool.release(a);continue}}else{a.driftPhase+=.015;const t=Math.cos(a.driftAngle+a.driftPhase)*a.driftSpeed,e=Math.sin(a.driftAngle+.7*a.driftPhase)*a.driftSpeed;if(a.vx+=.03*t,a.vy+=.03*e,this.pointers.length>0)for(let t=0;t<this.pointers.length;t++)this.applyPointerAttraction(a,this.pointers[t],this.config.fieldMouseAttraction);else{const t=a.homeX,e=a.homeY,i=t-a.x,s=e-a.y,r=Math.sqrt(i*i+s*s);if(r>1){const t=.002;a.vx+=i/r*t*r*.05,a.vy+=s/r*t*r*.05}}if(i>0){const t=s.getNeighborCells(a.x,a.y);for(let e=0;e<t.length;e++){const s=t[e];for(let t=0;t<s.length;t++){const e=s[t];if(e===a)continue;const r=e.x-a.x,o=e.y-a.y,n=Math.sqrt(r*r+o*o);if(n>0&&n<30){const t=(30-n)/30*i;a.vx-=r/n*t,a.vy-=o/n*t}}}}}a.x+=a.vx,a.y+=a.vy,a.isExplosion||(a.vx*=.95,a.vy*=.95),a.x<0&&(a.x=this.logicalWidth),a.x>this.logicalWidth&&(a.x=0),a.y<0&&(a.y=this.logicalHeight),a.y>this.logicalHeight&&(a.y=0),a.shimmerPhase+=a.shimmerSpeed;const r=(Math.sin(a.shimmerPhase)+1)/2;a.size=a.baseSize*(.7+.3*r),a.rotation+=a.rotationSpeed}}applyPointerAttraction(t,e,i){const s=e.x-t.x,a=e.y-t.y,r=Math.sqrt(s*s+a*a),o=Math.max(this.logicalWidth,this.logicalHeight);if(r>0&&r<o){const e=r/o,n=Math.pow(1-e,3)*i*.08;t.vx+=s/r*n,t.vy+=a/r*n}}startCelebration(){this.particlePool.releaseAll(),this.isCelebrating=!0,this.confettiBurstsLeft=Math.max(1,Math.round(this.config.confettiRepeat)),this.confettiBurstTimer=0}celebrationEnded(){return!(!this.isCelebrating||"confetti"!==this.config.experienceMode||this.confettiBurstsLeft>0||this.particlePool.getActiveCount()>0||(this.isCelebrating=!1,0))}launchConfetti(){const t=this.getParticleBudget(this.config.confettiBurstSize),e=this.logicalWidth,i=this.logicalHeight;if("top-edge"===this.config.confettiOrigin){for(let s=0;s<t;s++)this.createConfettiPiece(this.random()*e,-this.random()*i*.2,4*(this.random()-.5),3*this.random());return}const s=this.getConfettiLaunchSpeed(.75*i);for(let a=0;a<t;a++){const t=a%2==0,r=-Math.PI/2+(t?1:-1)*(.2+.5*this.random()),o=s*(.75+.45*this.random());this.createConfettiPiece(t?0:e,i,Math.cos(r)*o,Math.sin(r)*o)}}getConfettiLaunchSpeed(t){const e=Math.max(.01,this.config.confettiGravity);let i=0,s=t;for(let a=0;a<20;a++){const a=(i+s)/2;let r=-a,o=0;for(;r<0;)r=(r+e)*M,o-=r;o<t?i=a:s=a}return s}createConfettiPiece(t,e,i,a){const r=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,o=this.getFixedPalette(),n=this.pickFixedTint(),l=this.particlePool.acquire();l.x=t,l.y=e,l.vx=i,l.vy=a,l.baseSize=r*(.6+.6*this.random()),l.size=l.baseSize,l.opacity=this.config.particleOpacity,l.rotation=this.random()*Math.PI*2,l.rotationSpeed=.3*(this.random()-.5),l.shimmerPhase=this.random()*Math.PI*2,l.shimmerSpeed=.08+.1*this.random(),l.shape=s(this.config.confettiShape,this.random),l.tint=n,this.hexToRgb(o[n],l.rgb)}updateConfettiParticles(){this.confettiBurstsLeft>0&&(this.confettiBurstTimer<=0?(this.launchConfetti(),this.confettiBurstsLeft--,this.confettiBurstTimer=90):this.confettiBurstTimer--);const t=Math.max(.01,this.config.confettiGravity),e=this.particlePool.getActive();for(let i=e.length-1;i>=0;i--){const s=e[i];s.vy+=t,s.vx*=M,s.vy*=M,s.shimmerPhase+=s.shimmerSpeed,s.x+=s.vx+.8*Math.sin(s.shimmerPhase),s.y+=s.vy,s.rotation+=s.rotationSpeed,s.size=s.baseSize*(.55+.45*Math.abs(Math.cos(s.shimmerPhase))),(s.y>this.logicalHeight+2*s.baseSize||s.x<.5*-this.logicalWidth||s.x>1.5*this.logicalWidth)&&this.particlePool.release(s)}}startFalling(){this.particlePool.releaseAll(),this.fallingSpawnCredit=0,this.gust=0,this.gustTarget=0,this.gustTimer=0}createFallingParticle(){const t=this.particlePool.acquire();this.spawnFallingParticle(t),t.x=this.random()*this.logicalWidth}spawnFallingParticle(t){const e=x[this.config.fallingPreset],i=this.getFixedPalette(),a=this.pickFixedTint(),r=.3+.7*this.random(),o=e.size*(this.isMobile?.75:1);t.depth=r,t.baseSize=o*r*(.8+.4*this.random()),t.size=t.baseSize,t.y=2*-t.baseSize,t.vx=this.getWindSpeed()*r,t.vy=0,t.driftSpeed=e.speed*r*(.8+.4*this.random()),t.driftPhase=this.random()*Math.PI*2,t.shimmerSpeed=.01+.03*this.random(),t.opacity=this.config.particleOpacity*(.5+.5*r),t.rotation=this.random()*Math.PI*2,t.rotationSpeed=2*(this.random()-.5)*e.spin,t.shape=s(e.shapes,this.random),t.tint=a,this.hexToRgb(i[a],t.rgb)}getWindSpeed(){return 2*(this.config.fallingWind+this.gust)}updateGust(){--this.gustTimer<=0&&(this.gustTarget=this.config.fallingGusts?.6*(2*this.random()-1):0,this.gustTimer=120+240*this.random()),this.gust+=.01*(this.gustTarget-this.gust)}updateFallingParticles(){const t=x[this.config.fallingPreset],e=this.getParticleBudget(this.config.fallingDensity),i=this.logicalHeight,s=this.logicalWidth,a=this.particlePool.getActive();this.updateGust();const r=this.getWindSpeed();if(a.length<e&&i>0)for(this.fallingSpawnCredit+=e*t.speed*.65*this.config.fallingSpeed/i;this.fallingSpawnCredit>=1&&a.length<e;)this.createFallingParticle(),this.fallingSpawnCredit--;const o=this.config.fallingCursorGust;for(let n=a.length-1;n>=0;n--){const l=a[n];if(l.vx+=.02*(r*l.depth-l.vx),o>0)for(let t=0;t<this.pointers.length;t++)this.applyPointerAttraction(l,this.pointers[t],o);l.vy*=.95,l.driftPhase+=l.shimmerSpeed,l.x+=l.vx+Math.sin(l.driftPhase)*t.sway*l.depth,l.y+=l.driftSpeed*this.config.fallingSpeed+l.vy,l.rotation+=l.rotationSpeed;const h=2*l.baseSize;l.x<-h&&(l.x=s+h),l.x>s+h&&(l.x=-h),l.y>i+h&&(a.length>e?this.particlePool.release(l):this.spawnFallingParticle(l))}}startFireworks(){this.particlePool.releaseAll(),this.fireworkLaunchTimer=0}launchRocket(t,e){const i=this.logicalWidth,s=this.logicalHeight;void 0!==t&&void 0!==e||(t=i*(.15+.7*this.random()),e=s*(.15+.3*this.random()));const a=Math.min(i,Math.max(0,t+(this.random()-.5)*i*.3)),r=Math.max(20,s-e),o=-Math.sqrt(.12*r),n=-o/.06,l=this.getFixedPalette(),h=this.pickFixedTint(),c=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,d=this.config.fireworksPatterns,f=this.particlePool.acquire();f.kind="rocket",f.pattern=d[Math.floor(this.random()*d.length)],f.x=a,f.y=s,f.vx=(t-a)/n,f.vy=o,f.baseSize=.4*c,f.size=f.baseSize,f.opacity=this.config.particleOpacity,f.rotation=0,f.rotationSpeed=0,f.shape="circle",f.tint=h,this.hexToRgb(l[h],f.rgb)}createFireworkSpark(t,e,i,s,a){const r=y[t.pattern],o=this.getFixedPalette(),n=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,l="trail"===s;a%=o.length;const h=this.particlePool.acquire();return h.kind=s,h.pattern=t.pattern,h.stage=0,h.x=t.x,h.y=t.y,h.vx=e,h.vy=i,h.drag=l?.9:r.drag,h.decay=l?.04+.03*this.random():r.decay*(.8+.4*this.random()),h.explosionLife=1,h.isExplosion=!0,h.baseSize=n*(l?.25:.35+.15*this.random()),h.size=h.baseSize,h.opacity=this.config.particleOpacity,h.rotation=this.random()*Math.PI*2,h.rotationSpeed=.2*(this.random()-.5),h.shape=l?"circle":r.shape,h.tint=a,this.hexToRgb(o[a],h.rgb),h}burstFirework(t){const e=y[t.pattern],i=this.getParticleBudget(this.config.fireworksBurstSize),s=Math.min(1.5,Math.max(.5,Math.min(this.logicalWidth,this.logicalHeight)/800)),a=e.speed*s;switch(t.pattern){case"ring":{const e=.3+.7*this.random(),s=this.random()*Math.PI,r=Math.cos(s),o=Math.sin(s);for(let s=0;s<i;s++){const n=2*Math.PI*s/i,l=Math.cos(n)*a,h=Math.sin(n)*a*e;this.createFireworkSpark(t,l*r-h*o,l*o+h*r,"spark",t.tint+s%2)}break}case"crossette":{const e=Math.max(6,Math.round(i/10));for(let i=0;i<e;i++){const s=2*Math.PI*(i+.5*this.random())/e;this.createFireworkSpark(t,Math.cos(s)*a,Math.sin(s)*a,"spark",t.tint).stage=1}break}default:{const e="willow"===t.pattern?Math.round(.6*i):i;for(let i=0;i<e;i++){const e=this.random()*Math.PI*2,i=a*("willow"===t.pattern?.3+.7*this.random():.6+.4*this.random());this.createFireworkSpark(t,Math.cos(e)*i,Math.sin(e)*i,"spark",t.tint)}}}}splitCrossette(t){const e=this.random()*Math.PI/2,i=Math.sqrt(t.vx*t.vx+t.vy*t.vy)+1.5;for(let s=0;s<4;s++){const a=e+Math.PI*s/2;this.createFireworkSpark(t,t.vx+Math.cos(a)*i,t.vy+Math.sin(a)*i,"spark",t.tint+1).explosionLife=t.explosionLife}}updateFireworkParticles(){this.config.fireworksFrequency>0&&(this.fireworkLaunchTimer<=0?(this.launchRocket(),this.fireworkLaunchTimer=60/this.config.fireworksFrequency*(.7+.6*this.random())):this.fireworkLaunchTimer--);const t=this.particlePool.getActive();for(let e=t.length-1;e>=0;e--){const i=t[e];if("rocket"===i.kind){i.vy+=.06,i.x+=i.vx,i.y+=i.vy,this.createFireworkSpark(i,.6*(this.random()-.5),.8*this.random(),"trail",i.tint),i.vy>=0&&(this.burstFirework(i),this.particlePool.release(i));continue}const s=y[i.pattern];if(i.vy+="trail"===i.kind?0:s.gravity,i.vx*=i.drag,i.vy*=i.drag,i.x+=i.vx,i.y+=i.vy,i.rotation+=i.rotationSpeed,i.explosionLife-=i.decay,1===i.stage&&i.explosionLife<.6){this.splitCrossette(i),this.particlePool.release(i);continue}const a=Math.max(0,i.explosionLife);i.opacity=this.config.particleOpacity*("willow"===i.pattern?Math.sqrt(a):a),i.size=i.baseSize*(.5+.5*a),(i.explosionLife<=0||i.y>this.logicalHeight+2*i.baseSize)&&this.particlePool.release(i)}}updateParticles(t){switch(this.config.experienceMode){case"sprinkle-trail":this.updateSprinkleParticles(t);break;case"confetti":this.updateConfettiParticles();break;case"falling":this.updateFallingParticles();break;case"fireworks":this.updateFireworkParticles();break;default:this.updateFieldParticles()}}drawParticles(){"particle-field"===this.config.experienceMode?this.drawFieldParticles():this.drawSprinkleParticles()}drawSprinkleParticles(){if(this.updateDrawPositions(),this.renderer)return void this.renderer.drawSprinkle(this);this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight);const t=this.spriteAtlas,e=t.getSheet(this.getFixedPalette(),!1);this.particlePool.getActive().forEach(i=>{t.draw(this.ctx,e,i.shape,i.tint,i)}),t.resetTransform(this.ctx)}drawFieldParticles(){if(this.updateDrawPositions(),this.renderer)return void this.renderer.drawField(this);this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight);const t=this.spriteAtlas,e=this.config.fieldColorPalette,i=t.getSheet(this.colorPalettes[e],!0);this.particlePool.getActive().forEach(s=>{const a=t.getTint(i,this.getPalettePosition(e,s.colorIndex));t.draw(this.ctx,i,s.shape,a,s)}),t.resetTransform(this.ctx)}step(t){for(let e=0;e<t;e++)this.stepTime+=v,this.physicsStep(this.stepTime);this.interpolation=1}physicsStep(t){const e=this.particlePool.getActive();for(let t=0;t<e.length;t++){const i=e[t];i.prevX=i.x,i.prevY=i.y,i.hasPrevious=!0}this.updateParticles(t)}updateDrawPositions(){const t=this.interpolation,e=this.particlePool.getActive();for(let i=0;i<e.length;i++){const s=e[i],a=s.x-s.prevX,r=s.y-s.prevY;s.hasPrevious&&Math.abs(a)<100&&Math.abs(r)<100?(s.drawX=s.prevX+a*t,s.drawY=s.prevY+r*t):(s.drawX=s.x,s.drawY=s.y)}}renderFrame(t){const e=t-this.lastUpdateTime;this.stepAccumulator+=Math.max(0,e),this.lastUpdateTime=t;let i=0;for(;this.stepAccumulator>=v&&i<4;)this.physicsStep(t),this.stepAccumulator-=v,i++;return this.stepAccumulator>=v&&(this.stepAccumulator%=v),this.interpolation=this.stepAccumulator/v,this.drawParticles(),"auto"===this.config.quality&&this.measureFrameLoad(e,this.now()-t),i>0}}const w=1e3/60,F=self.requestAnimationFrame?t=>self.requestAnimationFrame(t):t=>self.setTimeout(t,w),T=self.cancelAnimationFrame?t=>self.cancelAnimationFrame(t):t=>self.clearTimeout(t);class A extends S{onQualityChange(){R&&B&&_()}}let k=null,E=null,R=0,B=0,z=1,I=!1,L=!0,q=null;function D(){q=null,I&&L&&(k.renderFrame(performance.now()),k.celebrationEnded()&&self.postMessage({type:"celebrationEnd"}),q=F(D))}function _(){if(!R||!B)return;const t=k.getCanvasScale(z);E.width=R*t,E.height=B*t,k.logicalWidth=R,k.logicalHeight=B,k.applyCanvasScale(t)}function O(){!q&&I&&L&&(k.lastUpdateTime=performance.now(),D())}function H(){q&&(T(q),q=null)}function U(){k.particlePool.releaseAll(),k.clearCanvas()}self.onmessage=function(t){const e=t.data;if("init"===e.type)return E=e.canvas,k=new A(e.config,{isMobile:e.isMobile,isContained:e.isContained}),void k.attachCanvas(E);if(k)switch(e.type){case"resize":R=e.width,B=e.height,z=e.pixelRatio,_();break;case"config":k.setConfig(e.config);break;case"initField":k.initializeParticleField();break;case"celebrate":k.startCelebration();break;case"startFalling":k.startFalling();break;case"startFireworks":k.startFireworks();break;case"start":I=!0,O();break;case"stop":I=!1,H(),U();break;case"clear":U();break;case"visibility":L=e.visible,L?O():H();break;case"pointer":!function(t){switch(t.action){case"move":k.updatePointer(t.id,t.x,t.y,t.pressure),t.emitTrail&&"sprinkle-trail"===k.config.experienceMode&&k.createParticle(t.x,t.y,t.id);break;case"leave":k.removePointer(t.id);break;case"tap":k.createExplosion(t.x,t.y);break;case"launch":k.launchRocket(t.x,t.y)}}(e)}}})();
\ No newline at end of file
@@ -0,0 +1 @@
+"use strict";(globalThis.webpackChunkglitter_bomb=globalThis.webpackChunkglitter_bomb||[]).push([[300],{272(t,e,i){i.d(e,{E3:()=>r,md:()=>n,mr:()=>s.mr,o4:()=>c,pI:()=>s.pI,pP:()=>o});var s=i(81),a=i(968);const r={low:{maxScale:1,particles:.4,spriteExtent:16,separationEvery:0},balanced:{maxScale:1.5,particles:.7,spriteExtent:32,separationEvery:2},high:{maxScale:1/0,particles:1,spriteExtent:1/0,separationEvery:1}},o={snow:{shapes:["snowflake","circle"],colors:["#FFFFFF","#F0F8FF","#DDEEFF","#E8F4FF"],size:6,speed:1.2,sway:.6,spin:.01},petals:{shapes:["petal"],colors:["#FFB7C5","#FFC0CB","#FF9EB5","#FFE4EC","#F8A5C2"],size:8,speed:1.4,sway:1.4,spin:.04},"glitter-rain":{shapes:["sparkle","twinkle"],colors:null,size:4,speed:5,sway:.15,spin:.02}},n={peony:{shape:"circle",speed:4,drag:.96,gravity:.04,decay:.015},willow:{shape:"circle",speed:3,drag:.94,gravity:.03,decay:.006},ring:{shape:"circle",speed:4,drag:.96,gravity:.03,decay:.016},crossette:{shape:"twinkle",speed:3.5,drag:.96,gravity:.035,decay:.014}},l=Object.assign({},s.qM,{particleOpacity:.9,particleSize:10,particleSizeMobile:7.5,animationDuration:1500,customPaletteMode:"cycle",maxParticles:50,displayBehavior:"compact",trailSpeedSensitivity:0,trailPressureSensitivity:0,fieldParticleCount:200,fieldParticleSize:6,fieldParticleSizeMobile:3,fieldMouseAttraction:.5,fieldSpreadStrength:.3,fieldClickExplosion:!1,keyboardInteraction:!1,keyboardBurstKey:"g",renderInWorker:!1,renderer:"auto",particleShape:["circle"],fieldParticleShape:["sparkle"],confettiOrigin:"bottom-corners",confettiBurstSize:150,confettiGravity:.25,confettiRepeat:1,confettiShape:["confetti"],fallingPreset:"snow",fallingDensity:120,fallingSpeed:1,fallingWind:.2,fallingGusts:!0,fallingCursorGust:0,fireworksFrequency:.8,fireworksBurstSize:80,fireworksPatterns:["peony","willow","ring","crossette"],fireworksClickLaunch:!0,seed:0,quality:"auto"});function h(t,e,i){if(null==t)return i;const s=(Array.isArray(t)?t:String(t).split(",")).filter(function(t,i,s){return e.hasOwnProperty(t)&&s.indexOf(t)===i});return s.length>0?s:i}function c(t,e){return e=e||l,Object.assign((0,s.Gt)(t,e),{particleOpacity:(0,s.Ro)(t.particleOpacity,e.particleOpacity),particleSize:(0,s.Ro)(t.particleSize,e.particleSize),particleSizeMobile:(0,s.Ro)(t.particleSizeMobile,e.particleSizeMobile),animationDuration:(0,s.Ro)(t.animationDuration,e.animationDuration),customPaletteMode:(0,s.Dj)(t.customPaletteMode,["cycle","random"],e.customPaletteMode),maxParticles:(0,s.Ro)(t.maxParticles,e.maxParticles,10,100),displayBehavior:(0,s.Dj)(t.displayBehavior,["scattered","compact"],e.displayBehavior),trailSpeedSensitivity:(0,s.Ro)(t.trailSpeedSensitivity,e.trailSpeedSensitivity),trailPressureSensitivity:(0,s.Ro)(t.trailPressureSensitivity,e.trailPressureSensitivity),fieldParticleCount:(0,s.Ro)(t.fieldParticleCount,e.fieldParticleCount,50,1e3),fieldParticleSize:(0,s.Ro)(t.fieldParticleSize,e.fieldParticleSize),fieldParticleSizeMobile:(0,s.Ro)(t.fieldParticleSizeMobile,e.fieldParticleSizeMobile),fieldMouseAttraction:(0,s.Ro)(t.fieldMouseAttraction,e.fieldMouseAttraction),fieldSpreadStrength:(0,s.Ro)(t.fieldSpreadStrength,e.fieldSpreadStrength),fieldClickExplosion:(0,s.G4)(t.fieldClickExplosion,e.fieldClickExplosion),keyboardInteraction:(0,s.G4)(t.keyboardInteraction,e.keyboardInteraction),keyboardBurstKey:(i=t.keyboardBurstKey,c=e.keyboardBurstKey,"string"==typeof i&&1===Array.from(i).length?i:c),renderInWorker:(0,s.G4)(t.renderInWorker,e.renderInWorker),renderer:(0,s.Dj)(t.renderer,["auto","canvas"],e.renderer),particleShape:(0,a.EU)(t.particleShape,e.particleShape),fieldParticleShape:(0,a.EU)(t.fieldParticleShape,e.fieldParticleShape),confettiOrigin:(0,s.Dj)(t.confettiOrigin,["bottom-corners","top-edge"],e.confettiOrigin),confettiBurstSize:(0,s.Ro)(t.confettiBurstSize,e.confettiBurstSize,20,500),confettiGravity:(0,s.Ro)(t.confettiGravity,e.confettiGravity),confettiRepeat:(0,s.Ro)(t.confettiRepeat,e.confettiRepeat,1,10),confettiShape:(0,a.EU)(t.confettiShape,e.confettiShape),fallingPreset:o.hasOwnProperty(t.fallingPreset)?t.fallingPreset:e.fallingPreset,fallingDensity:(0,s.Ro)(t.fallingDensity,e.fallingDensity,20,500),fallingSpeed:(0,s.Ro)(t.fallingSpeed,e.fallingSpeed),fallingWind:(0,s.Ro)(t.fallingWind,e.fallingWind),fallingGusts:(0,s.G4)(t.fallingGusts,e.fallingGusts),fallingCursorGust:(0,s.Ro)(t.fallingCursorGust,e.fallingCursorGust),fireworksFrequency:(0,s.Ro)(t.fireworksFrequency,e.fireworksFrequency,.2,3),fireworksBurstSize:(0,s.Ro)(t.fireworksBurstSize,e.fireworksBurstSize,20,200),fireworksPatterns:h(t.fireworksPatterns,n,e.fireworksPatterns),fireworksClickLaunch:(0,s.G4)(t.fireworksClickLaunch,e.fireworksClickLaunch),seed:(0,s.Ro)(t.seed,e.seed),quality:(0,s.Dj)(t.quality,["auto"].concat(Object.keys(r)),e.quality)});var i,c}},807(t,e,i){i.d(e,{GlitterBombParticles:()=>u,parseConfig:()=>s.o4});var s=i(61),a=i(937),r=i(15);const o="touch",n="focus";function l(t){return t>1?Math.min(1,Math.max(0,(t-10)/40)):.5}function h(t){return"pen"===t.pointerType&&t.buttons>0?t.pressure:"touch"===t.pointerType?l(Math.max(t.width||0,t.height||0)):.5}function c(t){return void 0===t.pointerId?"mouse":t.pointerId}function d(t){return t.pointerType||"mouse"}function p(t){return l(2*Math.max(t.radiusX||0,t.radiusY||0))}class u extends s.YB{constructor(t,e){e=e||{};const i=(0,s.o4)(e.config||t.dataset);i.themePalette=(0,a.wB)(t,i.themeColors),super(i,{isMobile:a.Fr,isContained:!!e.container}),this.blockElement=t,this.container=e.container||null,this.isPreview=!!e.preview,this.resizeObserver=null,this.canvas=null,this.isActive=!1,this.animationFrameId=null,this.lastFrameTime=0,this.tapStarts={},this.focusedElement=null,this.isTabVisible=!document.hidden,this.isInitialized=!1,this.toggleButton=e.toggleButton||null,this.startActive=!!e.active,this.worker=null,this.supportsOffscreenCanvas=!!e.supportsOffscreenCanvas,this.useWorker=this.config.renderInWorker&&this.supportsOffscreenCanvas&&!this.isPreview,this.fadeFrameId=null,this.lastTouchTime=0,this.canvasScale=1,this.isResizing=!1,this.resizeDebounceTimer=null,this.lastResizeTime=0,this.canvasOpacity=1,this.targetOpacity=1,this.isFading=!1,this.init()}init(){this.isPreview?this.initPreview():a.Fr&&this.config.disableOnMobile||(this.createCanvas(),this.toggleButton||(this.toggleButton=new r.f(this.config,this.container)),this.toggleButton.onToggle=()=>this.toggle(),this.setupEventListeners(),this.isActive=this.startActive,this.updateButtonUI(),this.isActive&&(this.initializeParticles(),this.start(),this.dispatch("enabled")))}initPreview(){this.createCanvas(),this.setupEventListeners(),a.Oe?this.renderStillFrame():(this.isActive=!0,this.initializeParticles(),this.start())}renderStillFrame(){this.clearParticles(),"particle-field"===this.config.experienceMode&&(this.initializeParticleField(),this.drawFieldParticles())}updateConfig(t){const e=this.config,i=(0,s.o4)(t,e);if(i.themePalette=(0,a.wB)(this.blockElement,i.themeColors),this.setConfig(i),this.worker&&this.worker.postMessage({type:"config",config:this.config}),!this.config.keyboardInteraction&&this.focusedElement&&this.releaseFocus(),this.toggleButton&&(this.toggleButton.setConfig(this.config),this.updateButtonUI()),this.canvas)return["renderer","renderInWorker"].some(t=>e[t]!==this.config[t])&&(this.stop(),this.useWorker=this.config.renderInWorker&&this.supportsOffscreenCanvas&&!this.isPreview,this.replaceCanvas(),this.isActive)?(this.initializeParticles(),void this.start()):void(!this.isPreview||this.isActive?["experienceMode","fieldParticleCount","fieldParticleSize","fieldParticleSizeMobile","fieldParticleShape","confettiOrigin","confettiBurstSize","confettiRepeat","fallingPreset","seed"].some(t=>String(e[t])!==String(this.config[t]))&&this.isActive&&(this.clearParticles(),this.initializeParticles()):this.renderStillFrame())}initializeParticles(){"particle-field"===this.config.experienceMode?(this.initializeParticleField(),this.isInitialized=!0):"confetti"===this.config.experienceMode?this.startCelebration():"falling"===this.config.experienceMode?this.startFalling():"fireworks"===this.config.experienceMode&&this.startFireworks()}updateButtonUI(){this.toggleButton&&this.toggleButton.update(this.isActive)}createCanvas(){this.canvas=document.createElement("canvas"),this.canvas.className="glitter-bomb-canvas",this.canvas.setAttribute("aria-hidden","true"),this.container?(this.canvas.classList.add("is-contained"),this.container.appendChild(this.canvas)):document.body.appendChild(this.canvas),this.useWorker&&this.startWorker()||this.attachCanvas(this.canvas),this.calculateCanvasSize()}startWorker(){let t;try{t=new Worker(new URL(i.p+i.u(464),i.b),{name:"particle-worker"});const e=this.canvas.transferControlToOffscreen();t.postMessage({type:"init",canvas:e,config:this.config,isMobile:a.Fr,isContained:this.isContained},[e])}catch(e){return t&&t.terminate(),!1}return t.addEventListener("error",()=>this.fallbackToMainThread()),t.addEventListener("message",t=>{"celebrationEnd"===t.data.type&&this.finishCelebration()}),this.worker=t,!0}fallbackToMainThread(){this.worker&&(this.useWorker=!1,this.replaceCanvas(),this.isActive&&(this.initializeParticles(),this.start()))}replaceCanvas(){this.worker&&(this.worker.terminate(),this.worker=null),this.canvas.parentNode&&this.canvas.parentNode.removeChild(this.canvas),this.createCanvas()}getViewportHeight(){return window.visualViewport?window.visualViewport.height:window.innerHeight}calculateCanvasSize(){const t=this.container?this.container.clientWidth:window.innerWidth,e=this.container?this.container.clientHeight:this.getViewportHeight(),i=window.devicePixelRatio||1;this.logicalWidth=t,this.logicalHeight=e,this.canvasScale=this.getCanvasScale(i),this.worker?this.worker.postMessage({type:"resize",width:t,height:e,pixelRatio:i}):(this.canvas.width=t*this.canvasScale,this.canvas.height=e*this.canvasScale),this.canvas.style.width=this.container?"100%":"100vw",this.canvas.style.height=this.container?"100%":"100vh",this.applyCanvasScale(this.canvasScale)}onQualityChange(){this.canvas&&!this.worker&&this.calculateCanvasSize()}handleResize(){const t=performance.now();this.resizeDebounceTimer&&clearTimeout(this.resizeDebounceTimer),t-this.lastResizeTime<150&&(this.isResizing||(this.isResizing=!0,this.targetOpacity=.3,this.isFading=!0)),this.lastResizeTime=t,this.resizeDebounceTimer=setTimeout(()=>{this.calculateCanvasSize(),"particle-field"===this.config.experienceMode&&this.isActive&&this.initializeParticleField(),this.isResizing=!1,this.targetOpacity=1,this.isFading=!0,this.animateFade()},250),this.animateFade()}animateFade(){if(!this.worker||!this.isFading||this.fadeFrameId)return;const t=()=>{this.updateCanvasOpacity(),this.fadeFrameId=this.isFading?window.requestAnimationFrame(t):null};this.fadeFrameId=window.requestAnimationFrame(t)}updateCanvasOpacity(){if(!this.isFading)return;const t=this.targetOpacity-this.canvasOpacity;Math.abs(t)<.01?(this.canvasOpacity=this.targetOpacity,this.isFading=!1):this.canvasOpacity+=.05*t,this.canvas.style.opacity=this.canvasOpacity.toString()}toLocalPoint(t,e){if(!this.container)return{x:t,y:e};const i=this.container.getBoundingClientRect();return{x:t-i.left,y:e-i.top}}movePointer(t,e,i,s,a){this.updatePointer(t,e,i,a),this.worker?this.worker.postMessage({type:"pointer",action:"move",id:t,x:e,y:i,pressure:a,emitTrail:s&&this.isActive}):s&&this.isActive&&"sprinkle-trail"===this.config.experienceMode&&this.createParticle(e,i,t)}releasePointer(t){this.removePointer(t),delete this.tapStarts[t],this.worker&&this.worker.postMessage({type:"pointer",action:"leave",id:t})}getElementCenter(t){const e=t.getBoundingClientRect();return this.toLocalPoint(e.left+e.width/2,e.top+e.height/2)}moveFocus(t){const e=this.getPointer(n),i=this.getElementCenter(t);if(this.focusedElement=t,!e||!this.isActive||"sprinkle-trail"!==this.config.experienceMode)return void this.movePointer(n,i.x,i.y,!1);const s=i.x-e.x,a=i.y-e.y,r=Math.min(40,Math.ceil(Math.sqrt(s*s+a*a)/12)),o=e.x,l=e.y;for(let t=1;t<=r;t++)this.movePointer(n,o+s*t/r,l+a*t/r,!0)}releaseFocus(){this.focusedElement=null,this.releasePointer(n)}handleKeyBurst(t){if(!this.isActive)return;const e=this.getElementCenter(t);"particle-field"===this.config.experienceMode?this.createExplosion(e.x,e.y):"fireworks"===this.config.experienceMode&&this.launchRocket(e.x,e.y)}getPointerListeners(){const t=[["touchstart",this.touchStartHandler],["touchmove",this.touchMoveHandler],["touchend",this.touchEndHandler],["touchcancel",this.touchEndHandler]];return window.PointerEvent?t.concat([["pointermove",this.pointerMoveHandler],["pointerdown",this.pointerDownHandler],["pointerup",this.pointerUpHandler],["pointerout",this.pointerOutHandler],["pointercancel",this.pointerCancelHandler]]):t.concat([["mousemove",this.pointerMoveHandler],["mousedown",this.pointerDownHandler],["mouseup",this.pointerUpHandler],["mouseout",this.pointerOutHandler]])}setupEventListeners(){const t="ontouchstart"in window,e=e=>t&&"touch"===d(e);this.pointerMoveHandler=t=>{if(e(t))return;const i=this.toLocalPoint(t.clientX,t.clientY);this.movePointer(c(t),i.x,i.y,!0,h(t))},this.pointerDownHandler=t=>{if("mouse"===d(t)&&0!==t.button)return;if(this.tapStarts[c(t)]={x:t.clientX,y:t.clientY},e(t))return;const i=this.toLocalPoint(t.clientX,t.clientY);this.movePointer(c(t),i.x,i.y,!1,h(t))},this.pointerUpHandler=t=>{const i=c(t),s=this.tapStarts[i];delete this.tapStarts[i],s&&Math.abs(t.clientX-s.x)<=10&&Math.abs(t.clientY-s.y)<=10&&this.handleTap(t.clientX,t.clientY),"mouse"===d(t)||e(t)||this.releasePointer(i)},this.pointerOutHandler=t=>{e(t)||t.relatedTarget&&this.inputTarget.contains(t.relatedTarget)||this.releasePointer(c(t))},this.pointerCancelHandler=t=>{e(t)?delete this.tapStarts[t.pointerId]:this.releasePointer(t.pointerId)};const i=(t,e)=>{for(let i=0;i<t.changedTouches.length;i++){const s=t.changedTouches[i],a=this.toLocalPoint(s.clientX,s.clientY);this.movePointer(o+s.identifier,a.x,a.y,e,p(s))}};this.touchStartHandler=t=>{i(t,!1)},this.touchMoveHandler=t=>{i(t,!0)},this.touchEndHandler=t=>{for(let e=0;e<t.changedTouches.length;e++)this.releasePointer(o+t.changedTouches[e].identifier)},this.focusInHandler=t=>{this.config.keyboardInteraction&&(function(t){try{return t.matches(":focus-visible")}catch(t){return!0}}(t.target)?this.moveFocus(t.target):this.releaseFocus())},this.focusOutHandler=t=>{t.relatedTarget&&this.inputTarget.contains(t.relatedTarget)||this.releaseFocus()},this.keyDownHandler=t=>{var e;!this.config.keyboardInteraction||t.repeat||t.ctrlKey||t.altKey||t.metaKey||t.target!==this.focusedElement||(e=t.target).isContentEditable||"INPUT"===e.tagName||"TEXTAREA"===e.tagName||"SELECT"===e.tagName||"string"==typeof t.key&&t.key.toLowerCase()===this.config.keyboardBurstKey.toLowerCase()&&this.handleKeyBurst(t.target)},this.scrollHandler=()=>{if(this.focusedElement){const t=this.getElementCenter(this.focusedElement);this.movePointer(n,t.x,t.y,!1)}},this.resizeHandler=()=>{this.handleResize()},this.visibilityChangeHandler=()=>{this.isTabVisible=!document.hidden,this.worker?this.worker.postMessage({type:"visibility",visible:this.isTabVisible}):this.isTabVisible&&this.isActive?this.animationFrameId||(this.lastFrameTime=performance.now(),this.lastUpdateTime=this.lastFrameTime,this.animate()):this.animationFrameId&&(window.cancelAnimationFrame(this.animationFrameId),this.animationFrameId=null)},this.container?window.ResizeObserver&&(this.resizeObserver=new window.ResizeObserver(this.resizeHandler),this.resizeObserver.observe(this.container)):(window.visualViewport&&(this.visualViewportResizeHandler=()=>{this.handleResize()},window.visualViewport.addEventListener("resize",this.visualViewportResizeHandler)),window.addEventListener("resize",this.resizeHandler));const s=this.container||document;this.inputTarget=s,this.getPointerListeners().forEach(([t,e])=>{s.addEventListener(t,e,{passive:!0})}),s.addEventListener("focusin",this.focusInHandler),s.addEventListener("focusout",this.focusOutHandler),s.addEventListener("keydown",this.keyDownHandler),window.addEventListener("scroll",this.scrollHandler,{passive:!0}),document.addEventListener("visibilitychange",this.visibilityChangeHandler)}toggle(){this.setActive(!this.isActive)}setActive(t,e){this.canvas&&t!==this.isActive&&(this.isActive=t,this.isPreview||!1===e||window.sessionStorage.setItem("glitterBombActive",this.isActive.toString()),this.updateButtonUI(),this.toggleButton&&this.toggleButton.announce(this.isActive),this.isActive?(this.initializeParticles(),this.start()):this.stop(),this.dispatch(this.isActive?"enabled":"disabled"))}dispatch(t,e){"function"==typeof window.CustomEvent&&this.blockElement.dispatchEvent(new CustomEvent("glitterbomb:"+t,{bubbles:!0,detail:Object.assign({mode:this.config.experienceMode},e)}))}start(){this.worker?this.worker.postMessage({type:"start"}):!this.animationFrameId&&this.isTabVisible&&(this.lastFrameTime=performance.now(),this.lastUpdateTime=this.lastFrameTime,this.animate())}stop(){if(this.worker)return this.worker.postMessage({type:"stop"}),void(this.isInitialized=!1);this.animationFrameId&&(window.cancelAnimationFrame(this.animationFrameId),this.animationFrameId=null),this.clearParticles(),this.isInitialized=!1}clearParticles(){this.worker?this.worker.postMessage({type:"clear"}):(this.particlePool.releaseAll(),this.clearCanvas())}initializeParticleField(){this.worker?this.worker.postMessage({type:"initField"}):super.initializeParticleField()}startCelebration(){this.worker?this.worker.postMessage({type:"celebrate"}):super.startCelebration()}handleTap(t,e){if(this.isActive)if("particle-field"===this.config.experienceMode&&this.config.fieldClickExplosion){const i=this.toLocalPoint(t,e);this.createExplosion(i.x,i.y)}else if("fireworks"===this.config.experienceMode&&this.config.fireworksClickLaunch){const i=this.toLocalPoint(t,e);this.launchRocket(i.x,i.y)}}startFireworks(){this.worker?this.worker.postMessage({type:"startFireworks"}):super.startFireworks()}launchRocket(t,e){this.worker?this.worker.postMessage({type:"pointer",action:"launch",x:t,y:e}):super.launchRocket(t,e)}startFalling(){this.worker?this.worker.postMessage({type:"startFalling"}):super.startFalling()}finishCelebration(){this.isPreview?this.startCelebration():this.setActive(!1)}createExplosion(t,e){this.worker?this.worker.postMessage({type:"pointer",action:"tap",x:t,y:e}):super.createExplosion(t,e),this.dispatch("explosion",{x:t,y:e})}burst(t,e){if(!this.isActive||"particle-field"!==this.config.experienceMode)return!1;const i=this.toLocalPoint(t,e);return this.createExplosion(i.x,i.y),!0}animate(){this.isTabVisible&&this.isActive?(this.renderFrame(performance.now())&&this.updateCanvasOpacity(),this.celebrationEnded()&&this.finishCelebration(),this.animationFrameId=window.requestAnimationFrame(()=>this.animate())):this.animationFrameId=null}destroy(){if(this.resizeDebounceTimer&&clearTimeout(this.resizeDebounceTimer),!this.canvas)return;this.fadeFrameId&&(window.cancelAnimationFrame(this.fadeFrameId),this.fadeFrameId=null);const t=this.inputTarget;this.getPointerListeners().forEach(([e,i])=>{t.removeEventListener(e,i)}),t.removeEventListener("focusin",this.focusInHandler),t.removeEventListener("focusout",this.focusOutHandler),t.removeEventListener("keydown",this.keyDownHandler),window.removeEventListener("scroll",this.scrollHandler),window.removeEventListener("resize",this.resizeHandler),document.removeEventListener("visibilitychange",this.visibilityChangeHandler),window.visualViewport&&this.visualViewportResizeHandler&&window.visualViewport.removeEventListener("resize",this.visualViewportResizeHandler),this.resizeObserver&&(this.resizeObserver.disconnect(),this.resizeObserver=null),this.isActive=!1,this.stop(),this.worker&&(this.worker.terminate(),this.worker=null),this.canvas&&this.canvas.parentNode&&this.canvas.parentNode.removeChild(this.canvas),this.toggleButton&&(this.toggleButton.destroy(),this.toggleButton=null)}}},905(t,e,i){function s(t){if(!((t=Math.floor(Number(t)))>0))return Math.random;let e=t>>>0;return function(){e=e+1831565813>>>0;let t=e;return t=Math.imul(t^t>>>15,1|t),t^=t+Math.imul(t^t>>>7,61|t),((t^t>>>14)>>>0)/4294967296}}i.d(e,{s:()=>s})},968(t,e,i){i.d(e,{EU:()=>r,Nw:()=>n,XY:()=>a,Zo:()=>o,yL:()=>s});const s={circle:{extent:1,draw(t,e){t.beginPath(),t.arc(0,0,e,0,2*Math.PI),t.fill()}},sparkle:{extent:1.5,draw(t,e){const i=e/1.5;for(let e=0;e<5;e++){const s=2*Math.PI*e/5,a=1.5*i;t.beginPath(),t.moveTo(0,0),t.lineTo(Math.cos(s)*a,Math.sin(s)*a),t.lineTo(Math.cos(s+.1)*(.5*a),Math.sin(s+.1)*(.5*a)),t.closePath(),t.fill()}t.beginPath(),t.arc(0,0,.5*i,0,2*Math.PI),t.fill()}},star:{extent:1.3,draw(t,e){t.beginPath();for(let i=0;i<10;i++){const s=Math.PI*i/5-Math.PI/2,a=i%2==0?e:.45*e;t.lineTo(Math.cos(s)*a,Math.sin(s)*a)}t.closePath(),t.fill()}},heart:{extent:1.2,draw(t,e){t.beginPath(),t.moveTo(0,.9*e),t.bezierCurveTo(1.2*-e,.1*e,.75*-e,-e,0,.45*-e),t.bezierCurveTo(.75*e,-e,1.2*e,.1*e,0,.9*e),t.closePath(),t.fill()}},diamond:{extent:1.3,draw(t,e){t.beginPath(),t.moveTo(0,-e),t.lineTo(.65*e,0),t.lineTo(0,e),t.lineTo(.65*-e,0),t.closePath(),t.fill()}},confetti:{extent:1.2,draw(t,e){t.fillRect(-e,.45*-e,2*e,.9*e)}},ring:{extent:1,draw(t,e){t.beginPath(),t.arc(0,0,e,0,2*Math.PI),t.arc(0,0,.6*e,0,2*Math.PI,!0),t.fill()}},twinkle:{extent:1.4,draw(t,e){const i=.15*e;t.beginPath(),t.moveTo(0,-e),t.quadraticCurveTo(i,-i,e,0),t.quadraticCurveTo(i,i,0,e),t.quadraticCurveTo(-i,i,-e,0),t.quadraticCurveTo(-i,-i,0,-e),t.closePath(),t.fill()}},snowflake:{extent:1.3,draw(t,e){const i=.14*e,s=.38*e;for(let a=0;a<6;a++)t.save(),t.rotate(Math.PI*a/3),t.fillRect(-i/2,-e,i,e),t.translate(0,.6*-e),t.rotate(Math.PI/4),t.fillRect(-i/2,-s,i,s),t.rotate(-Math.PI/2),t.fillRect(-i/2,-s,i,s),t.restore()}},petal:{extent:1.3,draw(t,e){t.beginPath(),t.moveTo(0,-e),t.bezierCurveTo(.75*e,.35*-e,.7*e,e,0,e),t.bezierCurveTo(.7*-e,e,.75*-e,.35*-e,0,-e),t.closePath(),t.fill()}}},a=Object.keys(s);function r(t,e){if(null==t)return e;const i=Array.isArray(t)?t:String(t).split(","),a=[];return i.forEach(function(t){t=String(t).trim(),s.hasOwnProperty(t)&&-1===a.indexOf(t)&&a.push(t)}),a.length>0?a:e}function o(t,e){return e=e||Math.random,1===t.length?t[0]:t[Math.floor(e()*t.length)]}function n(t,e){if("undefined"!=typeof OffscreenCanvas)return new OffscreenCanvas(t,e);const i=document.createElement("canvas");return i.width=t,i.height=e,i}},61(t,e,i){i.d(e,{YB:()=>u,o4:()=>l.o4});var s=i(853),a=i(373),r=i(129),o=i(968),n=i(905),l=i(272);const h=1e3/60,c=["low","balanced","high"],d=.97;class p{constructor(t){t=t||100,this.pool=[],this.activeParticles=[];for(let e=0;e<t;e++)this.pool.push(this.createParticleObject())}createParticleObject(){return{x:0,y:0,prevX:0,prevY:0,drawX:0,drawY:0,hasPrevious:!1,homX:0,homY:0,vx:0,vy:0,baseSize:0,size:0,opacity:0,color:"",birthTime:0,maxLife:0,shimmerPhase:0,shimmerSpeed:0,twinkle:0,rotation:0,rotationSpeed:0,colorIndex:0,colorCycleSpeed:0,isExplosion:!1,explosionLife:0,driftAngle:0,driftSpeed:0,driftPhase:0,rgb:{r:0,g:0,b:0},tint:0,shape:"circle",depth:1,kind:"",pattern:"",decay:0,drag:1,stage:0,active:!1}}acquire(){let t;return t=this.pool.length>0?this.pool.pop():this.createParticleObject(),t.active=!0,t.hasPrevious=!1,this.activeParticles.push(t),t}release(t){const e=this.activeParticles.indexOf(t);e>-1&&this.activeParticles.splice(e,1),t.active=!1,this.pool.push(t)}releaseAll(){for(;this.activeParticles.length>0;){const t=this.activeParticles.pop();t.active=!1,this.pool.push(t)}}getActive(){return this.activeParticles}getPoolSize(){return this.pool.length}getActiveCount(){return this.activeParticles.length}}class u{constructor(t,e){e=e||{},this.config=t,this.isMobile=!!e.isMobile,this.isContained=!!e.isContained,this.hasFixedRandom=!!e.random,this.random=e.random||(0,n.s)(t.seed),this.stepTime=0,this.now=e.headless?()=>this.stepTime:()=>performance.now(),this.ctx=null,this.renderer=null,this.spriteAtlas=null,this.scratchRgb={r:0,g:0,b:0},this.lastUpdateTime=0,this.stepAccumulator=0,this.interpolation=1,this.paletteIndex=0,this.trailCycle=0,this.pointers=[],this.lastParticleX=0,this.lastParticleY=0,this.logicalWidth=0,this.logicalHeight=0,this.colorPalettes=Object.assign({custom:[],theme:[]},l.pI),this.customPaletteEnds=[],this.updateCustomPalette(),this.updateThemePalette(),this.qualityLevel=this.getStartQuality(),this.qualityFrameTotal=0,this.qualityWorkTotal=0,this.qualityHeadroom=0,this.qualityHeadroomNeeded=3,this.separationTick=0;let i=Math.max(this.config.maxParticles+20,70);"particle-field"===this.config.experienceMode?i=Math.max(this.config.fieldParticleCount+100,300):"confetti"===this.config.experienceMode?i=this.config.confettiBurstSize+20:"falling"===this.config.experienceMode?i=this.config.fallingDensity+20:"fireworks"===this.config.experienceMode&&(i=Math.max(4*this.config.fireworksBurstSize+100,300)),this.particlePool=new p(i),this.isCelebrating=!1,this.confettiBurstsLeft=0,this.confettiBurstTimer=0,this.fallingSpawnCredit=0,this.gust=0,this.gustTarget=0,this.gustTimer=0,this.fireworkLaunchTimer=0,this.spatialHash=new s.D(30)}attachCanvas(t){this.renderer="canvas"===this.config.renderer?null:a.J.create(t),this.renderer||(this.ctx=t.getContext("2d",{alpha:!0,willReadFrequently:!1,desynchronized:!0}),this.spriteAtlas=new r.R,this.spriteAtlas.maxExtent=l.E3[this.qualityLevel].spriteExtent)}applyCanvasScale(t){this.renderer?this.renderer.resize(this.logicalWidth,this.logicalHeight):this.ctx&&(this.ctx.scale(t,t),this.spriteAtlas.scale=t)}clearCanvas(){this.renderer?this.renderer.clear():this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight)}setConfig(t){this.hasFixedRandom||t.seed===this.config.seed||(this.random=(0,n.s)(t.seed));const e=this.config.quality;this.config=t,this.updateCustomPalette(),this.updateThemePalette(),t.quality!==e&&(this.qualityHeadroomNeeded=3,this.setQualityLevel(this.getStartQuality()))}getStartQuality(){return"auto"!==this.config.quality?this.config.quality:this.isMobile?"balanced":"high"}setQualityLevel(t){t!==this.qualityLevel&&(this.qualityLevel=t,this.spriteAtlas&&(this.spriteAtlas.maxExtent=l.E3[t].spriteExtent),this.fitFieldToBudget(),this.onQualityChange())}onQualityChange(){}getCanvasScale(t){return Math.min(t,l.E3[this.qualityLevel].maxScale)}getParticleBudget(t){return Math.max(1,Math.round(t*l.E3[this.qualityLevel].particles))}fitFieldToBudget(){if("particle-field"!==this.config.experienceMode)return;const t=this.particlePool.getActive();let e=0;for(let i=0;i<t.length;i++)t[i].isExplosion||e++;if(0===e)return;const i=this.getParticleBudget(this.config.fieldParticleCount);for(let s=t.length-1;s>=0&&e>i;s--)t[s].isExplosion||(this.particlePool.release(t[s]),e--);for(;e<i;e++)this.createFieldParticle()}measureFrameLoad(t,e){if(t<=0||t>250)return;if(this.qualityFrameTotal+=t,this.qualityWorkTotal+=e,this.qualityFrameTotal<1e3)return;const i=this.qualityWorkTotal/this.qualityFrameTotal,s=c.indexOf(this.qualityLevel);this.qualityFrameTotal=0,this.qualityWorkTotal=0,i>.5?(this.qualityHeadroom=0,s>0&&(this.qualityHeadroomNeeded=Math.min(48,2*this.qualityHeadroomNeeded),this.setQualityLevel(c[s-1]))):i<.25?(this.qualityHeadroom++,this.qualityHeadroom>=this.qualityHeadroomNeeded&&s<c.length-1&&(this.qualityHeadroom=0,this.setQualityLevel(c[s+1]))):this.qualityHeadroom=0}updateThemePalette(){this.colorPalettes.theme=(0,l.mr)(this.config,"theme")}updateCustomPalette(){const t=this.config.customColors.length>0?this.config.customColors:[{color:this.config.customColor,weight:1}];let e=0;t.forEach(function(t){e+=t.weight});let i=0;this.colorPalettes.custom=t.map(function(t){return t.color}),this.customPaletteEnds=t.map(function(t){return i+=t.weight/e,i})}getPalettePosition(t,e){if("custom"!==t)return e*this.colorPalettes[t].length;const i=this.customPaletteEnds;let s=0;for(;s<i.length-1&&e>=i[s];)s++;const a=s>0?i[s-1]:0;return s+Math.min(.999,(e-a)/(i[s]-a))}isPaletteCycling(t){return"custom"!==t||"random"!==this.config.customPaletteMode}pickColorCycle(t){const e=this.random();if(this.isPaletteCycling(t))return e;const i=Math.floor(this.getPalettePosition(t,e));return i>0?this.customPaletteEnds[i-1]:0}pickFixedTint(){const t=this.getFixedPalette();return t===this.colorPalettes.custom?Math.floor(this.getPalettePosition("custom",this.random())):Math.floor(this.random()*t.length)}initializeParticleField(){this.particlePool.releaseAll();const t=this.getParticleBudget(this.config.fieldParticleCount);for(let e=0;e<t;e++)this.createFieldParticle()}createFieldParticle(){const t=this.isMobile?this.config.fieldParticleSizeMobile:this.config.fieldParticleSize,e=this.random()*this.logicalWidth,i=this.random()*this.logicalHeight,s=this.particlePool.acquire();s.x=e,s.y=i,s.homeX=e,s.homeY=i,s.vx=.5*(this.random()-.5),s.vy=.5*(this.random()-.5),s.baseSize=t*(.7+.6*this.random()),s.size=s.baseSize,s.opacity=.6+.4*this.random(),s.shimmerPhase=this.random()*Math.PI*2,s.shimmerSpeed=.02+.03*this.random(),s.rotation=this.random()*Math.PI*2,s.rotationSpeed=.02*(this.random()-.5),s.shape=(0,o.Zo)(this.config.fieldParticleShape,this.random),s.colorIndex=this.pickColorCycle(this.config.fieldColorPalette),s.colorCycleSpeed=.001+.002*this.random(),s.isExplosion=!1,s.explosionLife=0,s.driftAngle=this.random()*Math.PI*2,s.driftSpeed=.2+.3*this.random(),s.driftPhase=this.random()*Math.PI*2}createExplosion(t,e){this.particlePool.getActive().forEach(function(i){if(i.isExplosion)return;const s=i.x-t,a=i.y-e,r=Math.sqrt(s*s+a*a);if(r<250&&r>0){const t=8*(1-r/250),e=Math.atan2(a,s);i.vx+=Math.cos(e)*t,i.vy+=Math.sin(e)*t}});const i=this.isMobile?this.config.fieldParticleSizeMobile:this.config.fieldParticleSize;for(let s=0;s<40;s++){const a=2*Math.PI*s/40,r=3+5*this.random(),n=this.particlePool.acquire();n.x=t,n.y=e,n.homeX=t,n.homeY=e,n.vx=Math.cos(a)*r,n.vy=Math.sin(a)*r,n.baseSize=i*(1+.8*this.random()),n.size=n.baseSize,n.opacity=1,n.shimmerPhase=this.random()*Math.PI*2,n.shimmerSpeed=.05+.05*this.random(),n.rotation=this.random()*Math.PI*2,n.rotationSpeed=.1*(this.random()-.5),n.shape=(0,o.Zo)(this.config.fieldParticleShape,this.random),n.colorIndex=this.pickColorCycle(this.config.fieldColorPalette),n.colorCycleSpeed=.002,n.isExplosion=!0,n.explosionLife=1,n.driftAngle=0,n.driftSpeed=0,n.driftPhase=0}}getParticleColor(t){if("particle-field"===this.config.experienceMode&&t){const e=this.getParticleRgb(t);return"rgba("+e.r+", "+e.g+", "+e.b+", "+t.opacity+")"}return this.hexToRgba(this.nextTrailColor(),this.config.particleOpacity)}getParticleRgb(t){const e=this.scratchRgb,i=this.config.fieldColorPalette,s=this.colorPalettes[i],a=s.length,r=this.getPalettePosition(i,t.colorIndex),o=Math.floor(r)%a,n=(o+1)%a,l=r%1,h=this.hexToRgb(s[o]),c=this.hexToRgb(s[n]);return e.r=Math.round(h.r+(c.r-h.r)*l),e.g=Math.round(h.g+(c.g-h.g)*l),e.b=Math.round(h.b+(c.b-h.b)*l),e}getFixedPalette(){if("falling"===this.config.experienceMode){const t=l.pP[this.config.fallingPreset];if(t.colors)return t.colors}return this.colorPalettes[this.config.colorPalette]}nextTrailColor(){const t=this.config.colorPalette,e=this.colorPalettes[t];return this.isPaletteCycling(t)?(this.trailCycle=(this.trailCycle+.05/e.length)%1,this.paletteIndex=this.getPalettePosition(t,this.trailCycle)):this.paletteIndex=this.getPalettePosition(t,this.random()),e[Math.floor(this.paletteIndex)]}hexToRgb(t,e){return(e=e||{}).r=parseInt(t.slice(1,3),16),e.g=parseInt(t.slice(3,5),16),e.b=parseInt(t.slice(5,7),16),e}hexToRgba(t,e){const i=this.hexToRgb(t);return"rgba("+i.r+", "+i.g+", "+i.b+", "+e+")"}getPointer(t){for(let e=0;e<this.pointers.length;e++)if(this.pointers[e].id===t)return this.pointers[e];return null}updatePointer(t,e,i,s){const a=this.now();let r=this.getPointer(t);r||(r={id:t,x:e,y:i,lastParticleX:-1/0,lastParticleY:-1/0,speed:0,moveTime:a,pressure:.5},this.pointers.push(r));const o=a-r.moveTime;if(o>0){const t=e-r.x,s=i-r.y;r.speed+=.3*(Math.sqrt(t*t+s*s)/o-r.speed),r.moveTime=a}r.x=e,r.y=i,r.pressure="number"==typeof s?s:.5}removePointer(t){const e=this.getPointer(t);e&&this.pointers.splice(this.pointers.indexOf(e),1)}createParticle(t,e,i){const s=this.getPointer(i),a=s||this;let r=0,o=0,n=1;if(s){const t=this.config.trailSpeedSensitivity;r=t*Math.min(1,Math.max(0,(s.speed-.15)/1.35)),o=t*Math.max(0,1-s.speed/.15),n=Math.max(.25,1+2*(s.pressure-.5)*this.config.trailPressureSensitivity)}const l=t-a.lastParticleX,h=e-a.lastParticleY,c=Math.sqrt(l*l+h*h),d=(this.isMobile?12:8)*(1-.6*o);if(c<d)return;const p=r>0&&isFinite(c)?Math.min(6,Math.floor(c/d)):1,u=Math.atan2(h,l),g=(this.isMobile?this.config.particleSizeMobile:this.config.particleSize)*(1-.5*r)*n,f=this.config.animationDuration*(1-.6*r+.5*o);for(let i=p-1;i>=0;i--)this.emitTrailParticle(t-l*i/p,e-h*i/p,g,f,u,r,o);a.lastParticleX=t,a.lastParticleY=e}emitTrailParticle(t,e,i,s,a,r,n){const l=this.particlePool.getActive();l.length>=this.getParticleBudget(this.config.maxParticles)&&this.particlePool.release(l[0]);const h="compact"===this.config.displayBehavior,c=this.now(),d=this.particlePool.acquire();d.x=t,d.y=e,d.size=i;const p=this.nextTrailColor();this.hexToRgb(p,d.rgb),d.color=this.hexToRgba(p,this.config.particleOpacity),d.tint=Math.floor(this.paletteIndex),d.shape=(0,o.Zo)(this.config.particleShape,this.random),d.rotation=(this.random()-.5)*Math.PI*.5*(1-r)+a*r,d.opacity=this.config.particleOpacity,d.birthTime=c,d.maxLife=s,d.twinkle=n,d.shimmerPhase=this.random()*Math.PI*2,d.vx=h?0:2*(this.random()-.5),d.vy=h?0:2*(this.random()-.5)}updateSprinkleParticles(t){const e="compact"===this.config.displayBehavior,i=this.particlePool.getActive(),s=i.length;for(let a=i.length-1;a>=0;a--){const r=i[a],o=t-r.birthTime,n=Math.max(0,1-o/r.maxLife);e||(r.x+=r.vx,r.y+=r.vy);const l=s>1?(a+1)/s:1;r.opacity=this.config.particleOpacity*Math.min(n,l),r.twinkle>0&&(r.opacity*=1-.6*r.twinkle*(.5+.5*Math.sin(.012*o+r.shimmerPhase))),(o>=r.maxLife||r.opacity<=.01||this.isOutOfBounds(r))&&this.particlePool.release(r)}}isOutOfBounds(t){if(this.isContained){const e=2*t.size;return t.x<-e||t.x>this.logicalWidth+e||t.y<-e||t.y>this.logicalHeight+e}return Math.abs(t.x)>2*this.logicalWidth||Math.abs(t.y)>2*this.logicalHeight}updateFieldParticles(){const t=this.particlePool.getActive(),e=l.E3[this.qualityLevel].separationEvery,i=e>0&&this.separationTick++%e===0?.05*this.config.fieldSpreadStrength*.5*e:0,s=this.spatialHash;if(s.clear(),i>0){s.resize(this.logicalWidth,this.logicalHeight);for(let e=0;e<t.length;e++)t[e].isExplosion||s.insert(t[e])}for(let e=t.length-1;e>=0;e--){const a=t[e];if(this.isPaletteCycling(this.config.fieldColorPalette)&&(a.colorIndex=(a.colorIndex+a.colorCycleSpeed)%1),a.isExplosion){if(a.explosionLife-=.02,a.opacity=Math.max(0,a.explosionLife),a.x+=a.vx,a.y+=a.vy,a.vx*=.95,a.vy*=.95,a.explosionLife<=0||this.isContained&&this.isOutOfBounds(a)){this.particlePool.release(a);continue}}else{a.driftPhase+=.015;const t=Math.cos(a.driftAngle+a.driftPhase)*a.driftSpeed,e=Math.sin(a.driftAngle+.7*a.driftPhase)*a.driftSpeed;if(a.vx+=.03*t,a.vy+=.03*e,this.pointers.length>0)for(let t=0;t<this.pointers.length;t++)this.applyPointerAttraction(a,this.pointers[t],this.config.fieldMouseAttraction);else{const t=a.homeX,e=a.homeY,i=t-a.x,s=e-a.y,r=Math.sqrt(i*i+s*s);if(r>1){const t=.002;a.vx+=i/r*t*r*.05,a.vy+=s/r*t*r*.05}}if(i>0){const t=s.getNeighborCells(a.x,a.y);for(let e=0;e<t.length;e++){const s=t[e];for(let t=0;t<s.length;t++){const e=s[t];if(e===a)continue;const r=e.x-a.x,o=e.y-a.y,n=Math.sqrt(r*r+o*o);if(n>0&&n<30){const t=(30-n)/30*i;a.vx-=r/n*t,a.vy-=o/n*t}}}}}a.x+=a.vx,a.y+=a.vy,a.isExplosion||(a.vx*=.95,a.vy*=.95),a.x<0&&(a.x=this.logicalWidth),a.x>this.logicalWidth&&(a.x=0),a.y<0&&(a.y=this.logicalHeight),a.y>this.logicalHeight&&(a.y=0),a.shimmerPhase+=a.shimmerSpeed;const r=(Math.sin(a.shimmerPhase)+1)/2;a.size=a.baseSize*(.7+.3*r),a.rotation+=a.rotationSpeed}}applyPointerAttraction(t,e,i){const s=e.x-t.x,a=e.y-t.y,r=Math.sqrt(s*s+a*a),o=Math.max(this.logicalWidth,this.logicalHeight);if(r>0&&r<o){const e=r/o,n=Math.pow(1-e,3)*i*.08;t.vx+=s/r*n,t.vy+=a/r*n}}startCelebration(){this.particlePool.releaseAll(),this.isCelebrating=!0,this.confettiBurstsLeft=Math.max(1,Math.round(this.config.confettiRepeat)),this.confettiBurstTimer=0}celebrationEnded(){return!(!this.isCelebrating||"confetti"!==this.config.experienceMode||this.confettiBurstsLeft>0||this.particlePool.getActiveCount()>0||(this.isCelebrating=!1,0))}launchConfetti(){const t=this.getParticleBudget(this.config.confettiBurstSize),e=this.logicalWidth,i=this.logicalHeight;if("top-edge"===this.config.confettiOrigin){for(let s=0;s<t;s++)this.createConfettiPiece(this.random()*e,-this.random()*i*.2,4*(this.random()-.5),3*this.random());return}const s=this.getConfettiLaunchSpeed(.75*i);for(let a=0;a<t;a++){const t=a%2==0,r=-Math.PI/2+(t?1:-1)*(.2+.5*this.random()),o=s*(.75+.45*this.random());this.createConfettiPiece(t?0:e,i,Math.cos(r)*o,Math.sin(r)*o)}}getConfettiLaunchSpeed(t){const e=Math.max(.01,this.config.confettiGravity);let i=0,s=t;for(let a=0;a<20;a++){const a=(i+s)/2;let r=-a,o=0;for(;r<0;)r=(r+e)*d,o-=r;o<t?i=a:s=a}return s}createConfettiPiece(t,e,i,s){const a=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,r=this.getFixedPalette(),n=this.pickFixedTint(),l=this.particlePool.acquire();l.x=t,l.y=e,l.vx=i,l.vy=s,l.baseSize=a*(.6+.6*this.random()),l.size=l.baseSize,l.opacity=this.config.particleOpacity,l.rotation=this.random()*Math.PI*2,l.rotationSpeed=.3*(this.random()-.5),l.shimmerPhase=this.random()*Math.PI*2,l.shimmerSpeed=.08+.1*this.random(),l.shape=(0,o.Zo)(this.config.confettiShape,this.random),l.tint=n,this.hexToRgb(r[n],l.rgb)}updateConfettiParticles(){this.confettiBurstsLeft>0&&(this.confettiBurstTimer<=0?(this.launchConfetti(),this.confettiBurstsLeft--,this.confettiBurstTimer=90):this.confettiBurstTimer--);const t=Math.max(.01,this.config.confettiGravity),e=this.particlePool.getActive();for(let i=e.length-1;i>=0;i--){const s=e[i];s.vy+=t,s.vx*=d,s.vy*=d,s.shimmerPhase+=s.shimmerSpeed,s.x+=s.vx+.8*Math.sin(s.shimmerPhase),s.y+=s.vy,s.rotation+=s.rotationSpeed,s.size=s.baseSize*(.55+.45*Math.abs(Math.cos(s.shimmerPhase))),(s.y>this.logicalHeight+2*s.baseSize||s.x<.5*-this.logicalWidth||s.x>1.5*this.logicalWidth)&&this.particlePool.release(s)}}startFalling(){this.particlePool.releaseAll(),this.fallingSpawnCredit=0,this.gust=0,this.gustTarget=0,this.gustTimer=0}createFallingParticle(){const t=this.particlePool.acquire();this.spawnFallingParticle(t),t.x=this.random()*this.logicalWidth}spawnFallingParticle(t){const e=l.pP[this.config.fallingPreset],i=this.getFixedPalette(),s=this.pickFixedTint(),a=.3+.7*this.random(),r=e.size*(this.isMobile?.75:1);t.depth=a,t.baseSize=r*a*(.8+.4*this.random()),t.size=t.baseSize,t.y=2*-t.baseSize,t.vx=this.getWindSpeed()*a,t.vy=0,t.driftSpeed=e.speed*a*(.8+.4*this.random()),t.driftPhase=this.random()*Math.PI*2,t.shimmerSpeed=.01+.03*this.random(),t.opacity=this.config.particleOpacity*(.5+.5*a),t.rotation=this.random()*Math.PI*2,t.rotationSpeed=2*(this.random()-.5)*e.spin,t.shape=(0,o.Zo)(e.shapes,this.random),t.tint=s,this.hexToRgb(i[s],t.rgb)}getWindSpeed(){return 2*(this.config.fallingWind+this.gust)}updateGust(){--this.gustTimer<=0&&(this.gustTarget=this.config.fallingGusts?.6*(2*this.random()-1):0,this.gustTimer=120+240*this.random()),this.gust+=.01*(this.gustTarget-this.gust)}updateFallingParticles(){const t=l.pP[this.config.fallingPreset],e=this.getParticleBudget(this.config.fallingDensity),i=this.logicalHeight,s=this.logicalWidth,a=this.particlePool.getActive();this.updateGust();const r=this.getWindSpeed();if(a.length<e&&i>0)for(this.fallingSpawnCredit+=e*t.speed*.65*this.config.fallingSpeed/i;this.fallingSpawnCredit>=1&&a.length<e;)this.createFallingParticle(),this.fallingSpawnCredit--;const o=this.config.fallingCursorGust;for(let n=a.length-1;n>=0;n--){const l=a[n];if(l.vx+=.02*(r*l.depth-l.vx),o>0)for(let t=0;t<this.pointers.length;t++)this.applyPointerAttraction(l,this.pointers[t],o);l.vy*=.95,l.driftPhase+=l.shimmerSpeed,l.x+=l.vx+Math.sin(l.driftPhase)*t.sway*l.depth,l.y+=l.driftSpeed*this.config.fallingSpeed+l.vy,l.rotation+=l.rotationSpeed;const h=2*l.baseSize;l.x<-h&&(l.x=s+h),l.x>s+h&&(l.x=-h),l.y>i+h&&(a.length>e?this.particlePool.release(l):this.spawnFallingParticle(l))}}startFireworks(){this.particlePool.releaseAll(),this.fireworkLaunchTimer=0}launchRocket(t,e){const i=this.logicalWidth,s=this.logicalHeight;void 0!==t&&void 0!==e||(t=i*(.15+.7*this.random()),e=s*(.15+.3*this.random()));const a=Math.min(i,Math.max(0,t+(this.random()-.5)*i*.3)),r=Math.max(20,s-e),o=-Math.sqrt(.12*r),n=-o/.06,l=this.getFixedPalette(),h=this.pickFixedTint(),c=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,d=this.config.fireworksPatterns,p=this.particlePool.acquire();p.kind="rocket",p.pattern=d[Math.floor(this.random()*d.length)],p.x=a,p.y=s,p.vx=(t-a)/n,p.vy=o,p.baseSize=.4*c,p.size=p.baseSize,p.opacity=this.config.particleOpacity,p.rotation=0,p.rotationSpeed=0,p.shape="circle",p.tint=h,this.hexToRgb(l[h],p.rgb)}createFireworkSpark(t,e,i,s,a){const r=l.md[t.pattern],o=this.getFixedPalette(),n=this.isMobile?this.config.particleSizeMobile:this.config.particleSize,h="trail"===s;a%=o.length;const c=this.particlePool.acquire();return c.kind=s,c.pattern=t.pattern,c.stage=0,c.x=t.x,c.y=t.y,c.vx=e,c.vy=i,c.drag=h?.9:r.drag,c.decay=h?.04+.03*this.random():r.decay*(.8+.4*this.random()),c.explosionLife=1,c.isExplosion=!0,c.baseSize=n*(h?.25:.35+.15*this.random()),c.size=c.baseSize,c.opacity=this.config.particleOpacity,c.rotation=this.random()*Math.PI*2,c.rotationSpeed=.2*(this.random()-.5),c.shape=h?"circle":r.shape,c.tint=a,this.hexToRgb(o[a],c.rgb),c}burstFirework(t){const e=l.md[t.pattern],i=this.getParticleBudget(this.config.fireworksBurstSize),s=Math.min(1.5,Math.max(.5,Math.min(this.logicalWidth,this.logicalHeight)/800)),a=e.speed*s;switch(t.pattern){case"ring":{const e=.3+.7*this.random(),s=this.random()*Math.PI,r=Math.cos(s),o=Math.sin(s);for(let s=0;s<i;s++){const n=2*Math.PI*s/i,l=Math.cos(n)*a,h=Math.sin(n)*a*e;this.createFireworkSpark(t,l*r-h*o,l*o+h*r,"spark",t.tint+s%2)}break}case"crossette":{const e=Math.max(6,Math.round(i/10));for(let i=0;i<e;i++){const s=2*Math.PI*(i+.5*this.random())/e;this.createFireworkSpark(t,Math.cos(s)*a,Math.sin(s)*a,"spark",t.tint).stage=1}break}default:{const e="willow"===t.pattern?Math.round(.6*i):i;for(let i=0;i<e;i++){const e=this.random()*Math.PI*2,i=a*("willow"===t.pattern?.3+.7*this.random():.6+.4*this.random());this.createFireworkSpark(t,Math.cos(e)*i,Math.sin(e)*i,"spark",t.tint)}}}}splitCrossette(t){const e=this.random()*Math.PI/2,i=Math.sqrt(t.vx*t.vx+t.vy*t.vy)+1.5;for(let s=0;s<4;s++){const a=e+Math.PI*s/2;this.createFireworkSpark(t,t.vx+Math.cos(a)*i,t.vy+Math.sin(a)*i,"spark",t.tint+1).explosionLife=t.explosionLife}}updateFireworkParticles(){this.config.fireworksFrequency>0&&(this.fireworkLaunchTimer<=0?(this.launchRocket(),this.fireworkLaunchTimer=60/this.config.fireworksFrequency*(.7+.6*this.random())):this.fireworkLaunchTimer--);const t=this.particlePool.getActive();for(let e=t.length-1;e>=0;e--){const i=t[e];if("rocket"===i.kind){i.vy+=.06,i.x+=i.vx,i.y+=i.vy,this.createFireworkSpark(i,.6*(this.random()-.5),.8*this.random(),"trail",i.tint),i.vy>=0&&(this.burstFirework(i),this.particlePool.release(i));continue}const s=l.md[i.pattern];if(i.vy+="trail"===i.kind?0:s.gravity,i.vx*=i.drag,i.vy*=i.drag,i.x+=i.vx,i.y+=i.vy,i.rotation+=i.rotationSpeed,i.explosionLife-=i.decay,1===i.stage&&i.explosionLife<.6){this.splitCrossette(i),this.particlePool.release(i);continue}const a=Math.max(0,i.explosionLife);i.opacity=this.config.particleOpacity*("willow"===i.pattern?Math.sqrt(a):a),i.size=i.baseSize*(.5+.5*a),(i.explosionLife<=0||i.y>this.logicalHeight+2*i.baseSize)&&this.particlePool.release(i)}}updateParticles(t){switch(this.config.experienceMode){case"sprinkle-trail":this.updateSprinkleParticles(t);break;case"confetti":this.updateConfettiParticles();break;case"falling":this.updateFallingParticles();break;case"fireworks":this.updateFireworkParticles();break;default:this.updateFieldParticles()}}drawParticles(){"particle-field"===this.config.experienceMode?this.drawFieldParticles():this.drawSprinkleParticles()}drawSprinkleParticles(){if(this.updateDrawPositions(),this.renderer)return void this.renderer.drawSprinkle(this);this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight);const t=this.spriteAtlas,e=t.getSheet(this.getFixedPalette(),!1);this.particlePool.getActive().forEach(i=>{t.draw(this.ctx,e,i.shape,i.tint,i)}),t.resetTransform(this.ctx)}drawFieldParticles(){if(this.updateDrawPositions(),this.renderer)return void this.renderer.drawField(this);this.ctx.clearRect(0,0,this.logicalWidth,this.logicalHeight);const t=this.spriteAtlas,e=this.config.fieldColorPalette,i=t.getSheet(this.colorPalettes[e],!0);this.particlePool.getActive().forEach(s=>{const a=t.getTint(i,this.getPalettePosition(e,s.colorIndex));t.draw(this.ctx,i,s.shape,a,s)}),t.resetTransform(this.ctx)}step(t){for(let e=0;e<t;e++)this.stepTime+=h,this.physicsStep(this.stepTime);this.interpolation=1}physicsStep(t){const e=this.particlePool.getActive();for(let t=0;t<e.length;t++){const i=e[t];i.prevX=i.x,i.prevY=i.y,i.hasPrevious=!0}this.updateParticles(t)}updateDrawPositions(){const t=this.interpolation,e=this.particlePool.getActive();for(let i=0;i<e.length;i++){const s=e[i],a=s.x-s.prevX,r=s.y-s.prevY;s.hasPrevious&&Math.abs(a)<100&&Math.abs(r)<100?(s.drawX=s.prevX+a*t,s.drawY=s.prevY+r*t):(s.drawX=s.x,s.drawY=s.y)}}renderFrame(t){const e=t-this.lastUpdateTime;this.stepAccumulator+=Math.max(0,e),this.lastUpdateTime=t;let i=0;for(;this.stepAccumulator>=h&&i<4;)this.physicsStep(t),this.stepAccumulator-=h,i++;return this.stepAccumulator>=h&&(this.stepAccumulator%=h),this.interpolation=this.stepAccumulator/h,this.drawParticles(),"auto"===this.config.quality&&this.measureFrameLoad(e,this.now()-t),i>0}}},853(t,e,i){i.d(e,{D:()=>s});class s{constructor(t){this.cellSize=t,this.cols=0,this.rows=0,this.cells=[],this.usedCells=[],this.neighborCells=[]}resize(t,e){const i=Math.max(1,Math.ceil(t/this.cellSize)),s=Math.max(1,Math.ceil(e/this.cellSize));if(i!==this.cols||s!==this.rows){this.cols=i,this.rows=s,this.cells=[];for(let t=0;t<i*s;t++)this.cells.push([]);this.usedCells.length=0}}clear(){for(let t=0;t<this.usedCells.length;t++)this.usedCells[t].length=0;this.usedCells.length=0}getColumn(t){return Math.min(this.cols-1,Math.max(0,Math.floor(t/this.cellSize)))}getRow(t){return Math.min(this.rows-1,Math.max(0,Math.floor(t/this.cellSize)))}insert(t){const e=this.cells[this.getRow(t.y)*this.cols+this.getColumn(t.x)];0===e.length&&this.usedCells.push(e),e.push(t)}getNeighborCells(t,e){const i=this.getColumn(t),s=this.getRow(e),a=this.neighborCells;a.length=0;for(let t=s-1;t<=s+1;t++)if(!(t<0||t>=this.rows))for(let e=i-1;e<=i+1;e++){if(e<0||e>=this.cols)continue;const i=this.cells[t*this.cols+e];i.length>0&&a.push(i)}return a}}},129(t,e,i){i.d(e,{R:()=>n});var s=i(968);const a=[8,16,32,64];function r(t){return[parseInt(t.slice(1,3),16),parseInt(t.slice(3,5),16),parseInt(t.slice(5,7),16)]}function o(t,e,i){const s=r(t),a=r(e);return"rgb("+Math.round(s[0]+(a[0]-s[0])*i)+", "+Math.round(s[1]+(a[1]-s[1])*i)+", "+Math.round(s[2]+(a[2]-s[2])*i)+")"}class n{constructor(){this.sheets=new Map,this.scale=1,this.maxExtent=1/0}getSheet(t,e){const i=e&&t.length>1?3:1,s=i+"|"+t.join(",");let a=this.sheets.get(s);return a||(this.sheets.size>=8&&this.sheets.clear(),a={colors:t.slice(),steps:i,tintCount:t.length*i,grids:{}},this.sheets.set(s,a)),a}createGrid(t,e){const i=a[a.length-1],r=t.tintCount*(2*i+2),n=[];let l=0;a.forEach(t=>{const e=2*t+2;n.push({extent:t,cell:e,y:l}),l+=e});const h=(0,s.Nw)(r,l),c=h.getContext("2d"),d=t.colors;for(let i=0;i<t.tintCount;i++){const a=Math.floor(i/t.steps),r=d[(a+1)%d.length];c.fillStyle=o(d[a],r,i%t.steps/t.steps),n.forEach(t=>{c.setTransform(1,0,0,1,i*t.cell+t.cell/2,t.y+t.cell/2),s.yL[e].draw(c,t.extent)})}return{canvas:h,rows:n}}getTint(t,e){return Math.floor(e*t.steps)%t.tintCount}draw(t,e,i,a,r){const o=e.grids[i]||(e.grids[i]=this.createGrid(e,i)),n=this.scale,l=r.size*s.yL[i].extent,h=Math.min(l*n,this.maxExtent);let c=o.rows[o.rows.length-1];for(let t=0;t<o.rows.length;t++)if(o.rows[t].extent>=h){c=o.rows[t];break}const d=Math.cos(r.rotation)*n,p=Math.sin(r.rotation)*n;t.setTransform(d,p,-p,d,r.drawX*n,r.drawY*n),t.globalAlpha=r.opacity;const u=l*(c.cell/2)/c.extent;t.drawImage(o.canvas,a%e.tintCount*c.cell,c.y,c.cell,c.cell,-u,-u,2*u,2*u)}resetTransform(t){t.setTransform(this.scale,0,0,this.scale,0,0),t.globalAlpha=1}}},373(t,e,i){i.d(e,{J:()=>l});var s=i(968);const a={};s.XY.forEach(function(t,e){a[t]=e});const r=["attribute vec2 aCorner;","attribute vec4 aTransform;","attribute vec4 aColor;","attribute float aShape;","uniform vec2 uResolution;","uniform float uShapeCount;","uniform float uMaskFill;","varying vec2 vUv;","varying vec4 vColor;","void main() {","\tvec2 local = aCorner * aTransform.z;","\tfloat c = cos(aTransform.w);","\tfloat s = sin(aTransform.w);","\tvec2 world = aTransform.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);","\tgl_Position = vec4(world.x / uResolution.x * 2.0 - 1.0, 1.0 - world.y / uResolution.y * 2.0, 0.0, 1.0);","\tvUv = vec2((aShape + 0.5 + aCorner.x * 0.5 * uMaskFill) / uShapeCount, 0.5 + aCorner.y * 0.5 * uMaskFill);","\tvColor = aColor;","}"].join("\n"),o=["precision mediump float;","uniform sampler2D uShapes;","varying vec2 vUv;","varying vec4 vColor;","void main() {","\tfloat alpha = texture2D(uShapes, vUv).a * vColor.a;","\tif (alpha <= 0.0) {","\t\tdiscard;","\t}","\tgl_FragColor = vec4(vColor.rgb * alpha, alpha);","}"].join("\n");function n(t,e,i){const s=t.createShader(e);return t.shaderSource(s,i),t.compileShader(s),t.getShaderParameter(s,t.COMPILE_STATUS)?s:(t.deleteShader(s),null)}class l{static create(t){const e={alpha:!0,premultipliedAlpha:!0,antialias:!1,preserveDrawingBuffer:!1,desynchronized:!0};try{let i=t.getContext("webgl2",e),s=null;if(i)s={vertexAttribDivisor:(t,e)=>i.vertexAttribDivisor(t,e),drawArraysInstanced:(t,e,s,a)=>i.drawArraysInstanced(t,e,s,a)};else{i=t.getContext("webgl",e);const a=i&&i.getExtension("ANGLE_instanced_arrays");if(!a)return null;s={vertexAttribDivisor:(t,e)=>a.vertexAttribDivisorANGLE(t,e),drawArraysInstanced:(t,e,i,s)=>a.drawArraysInstancedANGLE(t,e,i,s)}}const a=new l(i,s);return a.program?a:null}catch(t){return null}}constructor(t,e){this.gl=t,this.instancing=e,this.width=0,this.height=0,this.instanceData=new Float32Array(2304),this.program=this.createProgram(),this.program&&(this.setupBuffers(),this.setupShapeMask())}createProgram(){const t=this.gl,e=n(t,t.VERTEX_SHADER,r),i=n(t,t.FRAGMENT_SHADER,o);if(!e||!i)return null;const s=t.createProgram();return t.attachShader(s,e),t.attachShader(s,i),t.linkProgram(s),t.getProgramParameter(s,t.LINK_STATUS)?s:null}setupBuffers(){const t=this.gl,e=this.program;t.useProgram(e),this.resolutionLocation=t.getUniformLocation(e,"uResolution"),this.cornerBuffer=t.createBuffer(),t.bindBuffer(t.ARRAY_BUFFER,this.cornerBuffer),t.bufferData(t.ARRAY_BUFFER,new Float32Array([-1,-1,1,-1,-1,1,1,1]),t.STATIC_DRAW);const i=t.getAttribLocation(e,"aCorner");t.enableVertexAttribArray(i),t.vertexAttribPointer(i,2,t.FLOAT,!1,0,0),this.instanceBuffer=t.createBuffer(),t.bindBuffer(t.ARRAY_BUFFER,this.instanceBuffer),t.bufferData(t.ARRAY_BUFFER,this.instanceData.byteLength,t.DYNAMIC_DRAW),[{name:"aTransform",size:4,offset:0},{name:"aColor",size:4,offset:4},{name:"aShape",size:1,offset:8}].forEach(i=>{const s=t.getAttribLocation(e,i.name);t.enableVertexAttribArray(s),t.vertexAttribPointer(s,i.size,t.FLOAT,!1,36,4*i.offset),this.instancing.vertexAttribDivisor(s,1)}),t.uniform1f(t.getUniformLocation(e,"uShapeCount"),s.XY.length),t.uniform1f(t.getUniformLocation(e,"uMaskFill"),62/64),t.enable(t.BLEND),t.blendFunc(t.ONE,t.ONE_MINUS_SRC_ALPHA),t.clearColor(0,0,0,0)}setupShapeMask(){const t=this.gl,e=(0,s.Nw)(128*s.XY.length,128),i=e.getContext("2d");i.fillStyle="#ffffff",s.XY.forEach(function(t,e){i.setTransform(1,0,0,1,128*e+64,64),s.yL[t].draw(i,62)}),this.shapeTexture=t.createTexture(),t.activeTexture(t.TEXTURE0),t.bindTexture(t.TEXTURE_2D,this.shapeTexture),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_WRAP_S,t.CLAMP_TO_EDGE),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_WRAP_T,t.CLAMP_TO_EDGE),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_MIN_FILTER,t.LINEAR),t.texParameteri(t.TEXTURE_2D,t.TEXTURE_MAG_FILTER,t.LINEAR),t.texImage2D(t.TEXTURE_2D,0,t.RGBA,t.RGBA,t.UNSIGNED_BYTE,e),t.uniform1i(t.getUniformLocation(this.program,"uShapes"),0)}resize(t,e){const i=this.gl;this.width=t,this.height=e,i.viewport(0,0,i.drawingBufferWidth,i.drawingBufferHeight),i.uniform2f(this.resolutionLocation,t,e)}clear(){this.gl.clear(this.gl.COLOR_BUFFER_BIT)}ensureCapacity(t){if(this.instanceData.length>=9*t)return;let e=this.instanceData.length;for(;e<9*t;)e*=2;this.instanceData=new Float32Array(e);const i=this.gl;i.bindBuffer(i.ARRAY_BUFFER,this.instanceBuffer),i.bufferData(i.ARRAY_BUFFER,this.instanceData.byteLength,i.DYNAMIC_DRAW)}writeInstance(t,e,i){const r=this.instanceData,o=9*t;r[o]=e.drawX,r[o+1]=e.drawY,r[o+2]=e.size*s.yL[e.shape].extent,r[o+3]=e.rotation,r[o+4]=i.r/255,r[o+5]=i.g/255,r[o+6]=i.b/255,r[o+7]=e.opacity,r[o+8]=a[e.shape]}flush(t){const e=this.gl;this.clear(),0!==t&&(e.bindBuffer(e.ARRAY_BUFFER,this.instanceBuffer),e.bufferSubData(e.ARRAY_BUFFER,0,this.instanceData.subarray(0,9*t)),this.instancing.drawArraysInstanced(e.TRIANGLE_STRIP,0,4,t))}drawField(t){const e=t.particlePool.getActive();this.ensureCapacity(e.length);for(let i=0;i<e.length;i++){const s=e[i];this.writeInstance(i,s,t.getParticleRgb(s))}this.flush(e.length)}drawSprinkle(t){const e=t.particlePool.getActive();this.ensureCapacity(e.length);for(let t=0;t<e.length;t++){const i=e[t];this.writeInstance(t,i,i.rgb)}this.flush(e.length)}}}}]);
\ No newline at end of file
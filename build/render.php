@@ -4,6 +4,7 @@
  * 
  * Security: This file implements comprehensive input validation, sanitization,
  * and output escaping to prevent XSS, injection attacks, and other vulnerabilities.
+ * The validation helpers live in includes/validation.php, shared with the presets API.
  * 
  * @see https://github.com/WordPress/gutenberg/blob/trunk/docs/reference-guides/block-api/block-metadata.md#render
  * @package GlitterBomb
@@ -16,257 +17,126 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Sanitize and validate color hex value
- * 
- * Security: Validates color format to prevent XSS through color attributes
+ * Check whether the schedule window is open at a moment
+ *
+ * Mirrors getScheduleStatus() in schedule.js, which shows the state in the editor.
  *
- * @param string $color The color value to validate
- * @param string $default The default color to return if invalid
- * @return string Validated hex color
+ * @param array $schedule Schedule from glitter_bomb_sanitize_schedule()
+ * @param DateTimeImmutable $time The moment to check, in the site timezone
+ * @return bool Whether the effect should run
  */
-if ( ! function_exists( 'glitter_bomb_sanitize_color' ) ) {
-	function glitter_bomb_sanitize_color( $color, $default = '#ff69b4' ) {
-		// Remove any whitespace and ensure string type
-		$color = trim( (string) $color );
-		
-		// Validate hex color format (#RGB or #RRGGBB)
-		// This regex prevents XSS by ensuring only valid hex colors
-		if ( preg_match( '/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/', $color ) ) {
-			return $color;
+if ( ! function_exists( 'glitter_bomb_schedule_is_live' ) ) {
+	function glitter_bomb_schedule_is_live( $schedule, $time ) {
+		// Start inclusive, end exclusive; a start after the end wraps around
+		$in_range = function ( $value, $start, $end ) {
+			return $start <= $end ? ( $value >= $start && $value < $end ) : ( $value >= $start || $value < $end );
+		};
+
+		$now = $time->format( 'Y-m-d\TH:i' );
+
+		if ( $schedule['yearly'] ) {
+			// Month, day and time only, so the window comes back every year
+			$start = '' !== $schedule['start'] ? substr( $schedule['start'], 5 ) : '01-01T00:00';
+			$end = '' !== $schedule['end'] ? substr( $schedule['end'], 5 ) : '12-31T24:00';
+			if ( ! $in_range( substr( $now, 5 ), $start, $end ) ) {
+				return false;
+			}
+		} elseif ( ( '' !== $schedule['start'] && $now < $schedule['start'] ) || ( '' !== $schedule['end'] && $now >= $schedule['end'] ) ) {
+			return false;
 		}
-		
-		// Return safe default if validation fails
-		return $default;
-	}
-}
 
-/**
- * Sanitize and validate string from predefined list
- * 
- * Security: Whitelist validation prevents unexpected values
- *
- * @param string $value The value to validate
- * @param array $allowed The allowed values
- * @param string $default The default value
- * @return string Validated string
- */
-if ( ! function_exists( 'glitter_bomb_sanitize_enum' ) ) {
-	function glitter_bomb_sanitize_enum( $value, $allowed, $default ) {
-		// Ensure string type and trim whitespace
-		$value = trim( (string) $value );
-		
-		// Strict comparison for security
-		if ( in_array( $value, $allowed, true ) ) {
-			return $value;
+		if ( ! empty( $schedule['days'] ) && ! in_array( (int) $time->format( 'w' ), $schedule['days'], true ) ) {
+			return false;
 		}
-		
-		// Return safe default if not in whitelist
-		return $default;
+
+		if ( '' !== $schedule['time_start'] || '' !== $schedule['time_end'] ) {
+			$start = '' !== $schedule['time_start'] ? $schedule['time_start'] : '00:00';
+			$end = '' !== $schedule['time_end'] ? $schedule['time_end'] : '24:00';
+			if ( ! $in_range( $time->format( 'H:i' ), $start, $end ) ) {
+				return false;
+			}
+		}
+
+		return true;
 	}
 }
 
 /**
- * Sanitize and validate numeric value with bounds
- * 
- * Security: Enforces min/max bounds to prevent resource exhaustion
+ * Find when the open schedule window closes
+ *
+ * The window can only close at one of its boundaries: the end date (this
+ * year's or next year's for yearly windows), a daily end time or midnight
+ * for weekday rules. Returns the first boundary at which it is closed.
  *
- * @param mixed $value The value to validate
- * @param float $min Minimum allowed value
- * @param float $max Maximum allowed value
- * @param float $default Default value
- * @return float Validated number
+ * @param array $schedule Schedule from glitter_bomb_sanitize_schedule()
+ * @param DateTimeImmutable $now The current time, in the site timezone
+ * @return int Unix timestamp, or 0 if the window doesn't close within the next week
  */
-if ( ! function_exists( 'glitter_bomb_sanitize_number' ) ) {
-	function glitter_bomb_sanitize_number( $value, $min, $max, $default ) {
-		// Type cast to float for numeric validation
-		$value = floatval( $value );
-		
-		// Check for NaN or Infinity
-		if ( ! is_finite( $value ) ) {
-			return $default;
+if ( ! function_exists( 'glitter_bomb_schedule_window_end' ) ) {
+	function glitter_bomb_schedule_window_end( $schedule, $now ) {
+		$boundaries = array();
+		$timezone = $now->getTimezone();
+
+		if ( '' !== $schedule['end'] ) {
+			$end = new DateTimeImmutable( $schedule['end'], $timezone );
+			if ( $schedule['yearly'] ) {
+				$year = (int) $now->format( 'Y' );
+				$boundaries[] = $end->setDate( $year, (int) $end->format( 'm' ), (int) $end->format( 'd' ) );
+				$boundaries[] = $end->setDate( $year + 1, (int) $end->format( 'm' ), (int) $end->format( 'd' ) );
+			} else {
+				$boundaries[] = $end;
+			}
+		}
+
+		for ( $day = 0; $day <= 7; $day++ ) {
+			$date = $now->setTime( 0, 0 )->modify( '+' . $day . ' day' );
+			$boundaries[] = $date->modify( '+1 day' );
+			if ( '' !== $schedule['time_end'] ) {
+				$boundaries[] = $date->setTime( (int) substr( $schedule['time_end'], 0, 2 ), (int) substr( $schedule['time_end'], 3, 2 ) );
+			}
 		}
-		
-		// Enforce bounds to prevent resource exhaustion
-		if ( $value < $min || $value > $max ) {
-			return $default;
+
+		sort( $boundaries );
+		foreach ( $boundaries as $boundary ) {
+			if ( $boundary > $now && ! glitter_bomb_schedule_is_live( $schedule, $boundary ) ) {
+				return $boundary->getTimestamp();
+			}
 		}
-		
-		return $value;
+
+		return 0;
 	}
 }
 
 // =======================
 // INPUT VALIDATION
 // =======================
-
 // Wrap in closure to keep variables out of global scope.
-( function ( $attributes ) {
-
-// Validate experience mode (whitelist)
-$experience_mode = glitter_bomb_sanitize_enum(
-	isset( $attributes['experienceMode'] ) ? $attributes['experienceMode'] : 'particle-field',
-	array( 'sprinkle-trail', 'particle-field' ),
-	'particle-field'
-);
-
-// Validate color palettes (whitelist)
-$color_palette = glitter_bomb_sanitize_enum(
-	isset( $attributes['colorPalette'] ) ? $attributes['colorPalette'] : 'rainbow-cycling',
-	array( 'rainbow-cycling', 'metallic', 'neutral-spectrum', 'warm-sunset', 'cool-ocean', 'custom' ),
-	'rainbow-cycling'
-);
-
-$field_color_palette = glitter_bomb_sanitize_enum(
-	isset( $attributes['fieldColorPalette'] ) ? $attributes['fieldColorPalette'] : 'metallic',
-	array( 'rainbow-cycling', 'metallic', 'neutral-spectrum', 'warm-sunset', 'cool-ocean', 'custom' ),
-	'metallic'
-);
-
-// Validate display behavior (whitelist)
-$display_behavior = glitter_bomb_sanitize_enum(
-	isset( $attributes['displayBehavior'] ) ? $attributes['displayBehavior'] : 'compact',
-	array( 'scattered', 'compact' ),
-	'compact'
-);
-
-// Validate button position (whitelist)
-$button_position = glitter_bomb_sanitize_enum(
-	isset( $attributes['buttonPosition'] ) ? $attributes['buttonPosition'] : 'bottom-right',
-	array( 'top-left', 'top-right', 'bottom-left', 'bottom-right' ),
-	'bottom-right'
-);
-
-// Validate numeric values with strict bounds (DoS prevention)
-$particle_opacity = glitter_bomb_sanitize_number(
-	isset( $attributes['particleOpacity'] ) ? $attributes['particleOpacity'] : 0.9,
-	0.1,
-	1.0,
-	0.9
-);
-
-$particle_size = glitter_bomb_sanitize_number(
-	isset( $attributes['particleSize'] ) ? $attributes['particleSize'] : 10,
-	4,
-	30,
-	10
-);
-
-$particle_size_mobile = glitter_bomb_sanitize_number(
-	isset( $attributes['particleSizeMobile'] ) ? $attributes['particleSizeMobile'] : 7.5,
-	3,
-	20,
-	7.5
-);
-
-$field_particle_size = glitter_bomb_sanitize_number(
-	isset( $attributes['fieldParticleSize'] ) ? $attributes['fieldParticleSize'] : 6,
-	2,
-	12,
-	6
-);
-
-$field_particle_size_mobile = glitter_bomb_sanitize_number(
-	isset( $attributes['fieldParticleSizeMobile'] ) ? $attributes['fieldParticleSizeMobile'] : 3,
-	1.5,
-	8,
-	3
-);
-
-$animation_duration = glitter_bomb_sanitize_number(
-	isset( $attributes['animationDuration'] ) ? $attributes['animationDuration'] : 1500,
-	500,
-	5000,
-	1500
-);
-
-// Enforce maximum particle limits to prevent resource exhaustion
-$max_particles = glitter_bomb_sanitize_number(
-	isset( $attributes['maxParticles'] ) ? $attributes['maxParticles'] : 50,
-	10,
-	100,
-	50
-);
-
-$field_particle_count = glitter_bomb_sanitize_number(
-	isset( $attributes['fieldParticleCount'] ) ? $attributes['fieldParticleCount'] : 200,
-	50,
-	500,
-	200
-);
-
-$field_mouse_attraction = glitter_bomb_sanitize_number(
-	isset( $attributes['fieldMouseAttraction'] ) ? $attributes['fieldMouseAttraction'] : 0.5,
-	0,
-	1,
-	0.5
-);
-
-$field_spread_strength = glitter_bomb_sanitize_number(
-	isset( $attributes['fieldSpreadStrength'] ) ? $attributes['fieldSpreadStrength'] : 0.3,
-	0,
-	1,
-	0.3
-);
-
-// Validate colors (XSS prevention)
-$custom_color = glitter_bomb_sanitize_color(
-	isset( $attributes['customColor'] ) ? $attributes['customColor'] : '#ff69b4',
-	'#ff69b4'
-);
-
-$enable_button_text_color = glitter_bomb_sanitize_color(
-	isset( $attributes['enableButtonTextColor'] ) ? $attributes['enableButtonTextColor'] : '#000000',
-	'#000000'
-);
-
-$enable_button_bg_color = glitter_bomb_sanitize_color(
-	isset( $attributes['enableButtonBackgroundColor'] ) ? $attributes['enableButtonBackgroundColor'] : '#D4AF37',
-	'#D4AF37'
-);
-
-$enable_button_gradient_start = glitter_bomb_sanitize_color(
-	isset( $attributes['enableButtonGradientStart'] ) ? $attributes['enableButtonGradientStart'] : '#D4AF37',
-	'#D4AF37'
-);
-
-$enable_button_gradient_end = glitter_bomb_sanitize_color(
-	isset( $attributes['enableButtonGradientEnd'] ) ? $attributes['enableButtonGradientEnd'] : '#B87333',
-	'#B87333'
-);
-
-$disable_button_text_color = glitter_bomb_sanitize_color(
-	isset( $attributes['disableButtonTextColor'] ) ? $attributes['disableButtonTextColor'] : '#000000',
-	'#000000'
-);
-
-$disable_button_bg_color = glitter_bomb_sanitize_color(
-	isset( $attributes['disableButtonBackgroundColor'] ) ? $attributes['disableButtonBackgroundColor'] : '#E5E4E2',
-	'#E5E4E2'
-);
-
-$disable_button_gradient_start = glitter_bomb_sanitize_color(
-	isset( $attributes['disableButtonGradientStart'] ) ? $attributes['disableButtonGradientStart'] : '#E5E4E2',
-	'#E5E4E2'
-);
+( function ( $attributes, $content ) {
+
+// Outside the schedule window the effect is left out; nested blocks still show
+$schedule = glitter_bomb_sanitize_schedule( $attributes );
+$now = current_datetime();
+if ( ! glitter_bomb_schedule_is_live( $schedule, $now ) ) {
+	echo $content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+	return;
+}
 
-$disable_button_gradient_end = glitter_bomb_sanitize_color(
-	isset( $attributes['disableButtonGradientEnd'] ) ? $attributes['disableButtonGradientEnd'] : '#C0C0C0',
-	'#C0C0C0'
-);
+// When the window closes during the visit, view.js stops the effect
+$schedule_end = glitter_bomb_schedule_window_end( $schedule, $now );
 
-// Validate text fields with length limits and sanitization (XSS prevention)
-$enable_button_text = isset( $attributes['enableButtonText'] ) 
-	? esc_html( substr( trim( (string) $attributes['enableButtonText'] ), 0, 100 ) )
-	: '✨ Enable Sparkles';
+// This block runs the effect, so the site-wide one stays out of its way (includes/settings.php)
+glitter_bomb_block_rendered( true );
 
-$disable_button_text = isset( $attributes['disableButtonText'] )
-	? esc_html( substr( trim( (string) $attributes['disableButtonText'] ), 0, 100 ) )
-	: '✨ Disable Sparkles';
+// Validate every attribute (includes/validation.php); invalid values fall back to the defaults
+$valid = glitter_bomb_validate_attributes( $attributes );
 
-// Validate boolean values (type safety)
-$enabled_by_default = isset( $attributes['enabledByDefault'] ) && $attributes['enabledByDefault'] === true;
-$field_click_explosion = isset( $attributes['fieldClickExplosion'] ) && $attributes['fieldClickExplosion'] === true;
-$disable_on_mobile = isset( $attributes['disableOnMobile'] ) && $attributes['disableOnMobile'] === true;
+// Theme palette presets, only looked up when a theme palette is in use; none selected means all of them
+$theme_colors = array();
+if ( 'theme' === $valid['colorPalette'] || 'theme' === $valid['fieldColorPalette'] ) {
+	$theme_colors = empty( $valid['themeColors'] )
+		? glitter_bomb_sanitize_theme_colors( glitter_bomb_get_theme_color_slugs() )
+		: $valid['themeColors'];
+}
 
 // =======================
 // OUTPUT ESCAPING
@@ -275,40 +145,76 @@ $disable_on_mobile = isset( $attributes['disableOnMobile'] ) && $attributes['dis
 // Build wrapper attributes with comprehensive escaping
 $wrapper_attributes = get_block_wrapper_attributes( array(
 	// All values are escaped with esc_attr() for XSS prevention
-	'data-experience-mode' => esc_attr( $experience_mode ),
-	'data-color-palette' => esc_attr( $color_palette ),
-	'data-particle-opacity' => esc_attr( $particle_opacity ),
-	'data-particle-size' => esc_attr( $particle_size ),
-	'data-particle-size-mobile' => esc_attr( $particle_size_mobile ),
-	'data-animation-duration' => esc_attr( $animation_duration ),
-	'data-enable-button-text' => esc_attr( $enable_button_text ),
-	'data-disable-button-text' => esc_attr( $disable_button_text ),
-	'data-button-position' => esc_attr( $button_position ),
-	'data-custom-color' => esc_attr( $custom_color ),
-	'data-max-particles' => esc_attr( $max_particles ),
-	'data-enabled-by-default' => esc_attr( $enabled_by_default ? 'true' : 'false' ),
-	'data-enable-button-text-color' => esc_attr( $enable_button_text_color ),
-	'data-enable-button-bg-color' => esc_attr( $enable_button_bg_color ),
-	'data-enable-button-gradient-start' => esc_attr( $enable_button_gradient_start ),
-	'data-enable-button-gradient-end' => esc_attr( $enable_button_gradient_end ),
-	'data-disable-button-text-color' => esc_attr( $disable_button_text_color ),
-	'data-disable-button-bg-color' => esc_attr( $disable_button_bg_color ),
-	'data-disable-button-gradient-start' => esc_attr( $disable_button_gradient_start ),
-	'data-disable-button-gradient-end' => esc_attr( $disable_button_gradient_end ),
-	'data-display-behavior' => esc_attr( $display_behavior ),
-	'data-field-color-palette' => esc_attr( $field_color_palette ),
-	'data-field-particle-count' => esc_attr( $field_particle_count ),
-	'data-field-particle-size' => esc_attr( $field_particle_size ),
-	'data-field-particle-size-mobile' => esc_attr( $field_particle_size_mobile ),
-	'data-field-mouse-attraction' => esc_attr( $field_mouse_attraction ),
-	'data-field-spread-strength' => esc_attr( $field_spread_strength ),
-	'data-field-click-explosion' => esc_attr( $field_click_explosion ? 'true' : 'false' ),
-	'data-disable-on-mobile' => esc_attr( $disable_on_mobile ? 'true' : 'false' ),
+	'class' => esc_attr( 'is-scope-' . $valid['scope'] ),
+	'data-scope' => esc_attr( $valid['scope'] ),
+	'data-experience-mode' => esc_attr( $valid['experienceMode'] ),
+	'data-color-palette' => esc_attr( $valid['colorPalette'] ),
+	'data-particle-opacity' => esc_attr( $valid['particleOpacity'] ),
+	'data-particle-size' => esc_attr( $valid['particleSize'] ),
+	'data-particle-size-mobile' => esc_attr( $valid['particleSizeMobile'] ),
+	'data-animation-duration' => esc_attr( $valid['animationDuration'] ),
+	'data-enable-button-text' => esc_attr( $valid['enableButtonText'] ),
+	'data-disable-button-text' => esc_attr( $valid['disableButtonText'] ),
+	'data-button-position' => esc_attr( $valid['buttonPosition'] ),
+	'data-custom-color' => esc_attr( $valid['customColor'] ),
+	'data-custom-colors' => esc_attr( wp_json_encode( $valid['customColors'] ) ),
+	'data-custom-palette-mode' => esc_attr( $valid['customPaletteMode'] ),
+	'data-theme-colors' => esc_attr( wp_json_encode( $theme_colors ) ),
+	'data-max-particles' => esc_attr( $valid['maxParticles'] ),
+	'data-enabled-by-default' => esc_attr( $valid['enabledByDefault'] ? 'true' : 'false' ),
+	'data-enable-button-text-color' => esc_attr( $valid['enableButtonTextColor'] ),
+	'data-enable-button-bg-color' => esc_attr( $valid['enableButtonBackgroundColor'] ),
+	'data-enable-button-gradient-start' => esc_attr( $valid['enableButtonGradientStart'] ),
+	'data-enable-button-gradient-end' => esc_attr( $valid['enableButtonGradientEnd'] ),
+	'data-disable-button-text-color' => esc_attr( $valid['disableButtonTextColor'] ),
+	'data-disable-button-bg-color' => esc_attr( $valid['disableButtonBackgroundColor'] ),
+	'data-disable-button-gradient-start' => esc_attr( $valid['disableButtonGradientStart'] ),
+	'data-disable-button-gradient-end' => esc_attr( $valid['disableButtonGradientEnd'] ),
+	'data-display-behavior' => esc_attr( $valid['displayBehavior'] ),
+	'data-trail-speed-sensitivity' => esc_attr( $valid['trailSpeedSensitivity'] ),
+	'data-trail-pressure-sensitivity' => esc_attr( $valid['trailPressureSensitivity'] ),
+	'data-field-color-palette' => esc_attr( $valid['fieldColorPalette'] ),
+	'data-field-particle-count' => esc_attr( $valid['fieldParticleCount'] ),
+	'data-field-particle-size' => esc_attr( $valid['fieldParticleSize'] ),
+	'data-field-particle-size-mobile' => esc_attr( $valid['fieldParticleSizeMobile'] ),
+	'data-field-mouse-attraction' => esc_attr( $valid['fieldMouseAttraction'] ),
+	'data-field-spread-strength' => esc_attr( $valid['fieldSpreadStrength'] ),
+	'data-field-click-explosion' => esc_attr( $valid['fieldClickExplosion'] ? 'true' : 'false' ),
+	'data-keyboard-interaction' => esc_attr( $valid['keyboardInteraction'] ? 'true' : 'false' ),
+	'data-keyboard-burst-key' => esc_attr( $valid['keyboardBurstKey'] ),
+	'data-disable-on-mobile' => esc_attr( $valid['disableOnMobile'] ? 'true' : 'false' ),
+	'data-render-in-worker' => esc_attr( $valid['renderInWorker'] ? 'true' : 'false' ),
+	'data-renderer' => esc_attr( $valid['renderer'] ),
+	'data-seed' => esc_attr( $valid['seed'] ),
+	'data-quality' => esc_attr( $valid['quality'] ),
+	'data-particle-shape' => esc_attr( $valid['particleShape'] ),
+	'data-field-particle-shape' => esc_attr( $valid['fieldParticleShape'] ),
+	'data-confetti-origin' => esc_attr( $valid['confettiOrigin'] ),
+	'data-confetti-burst-size' => esc_attr( $valid['confettiBurstSize'] ),
+	'data-confetti-gravity' => esc_attr( $valid['confettiGravity'] ),
+	'data-confetti-repeat' => esc_attr( $valid['confettiRepeat'] ),
+	'data-confetti-shape' => esc_attr( $valid['confettiShape'] ),
+	'data-falling-preset' => esc_attr( $valid['fallingPreset'] ),
+	'data-falling-density' => esc_attr( $valid['fallingDensity'] ),
+	'data-falling-speed' => esc_attr( $valid['fallingSpeed'] ),
+	'data-falling-wind' => esc_attr( $valid['fallingWind'] ),
+	'data-falling-gusts' => esc_attr( $valid['fallingGusts'] ? 'true' : 'false' ),
+	'data-falling-cursor-gust' => esc_attr( $valid['fallingCursorGust'] ),
+	'data-fireworks-frequency' => esc_attr( $valid['fireworksFrequency'] ),
+	'data-fireworks-burst-size' => esc_attr( $valid['fireworksBurstSize'] ),
+	'data-fireworks-patterns' => esc_attr( $valid['fireworksPatterns'] ),
+	'data-fireworks-click-launch' => esc_attr( $valid['fireworksClickLaunch'] ? 'true' : 'false' ),
+	'data-triggers' => esc_attr( wp_json_encode( $valid['triggers'] ) ),
+	'data-schedule-end' => esc_attr( $schedule_end ),
 ) );
 ?>
 
 <div <?php echo wp_kses_data( $wrapper_attributes ); ?>>
 	<!-- Glitter Bomb will be rendered via JavaScript -->
 	<!-- All rendering happens client-side for security isolation -->
+	<?php
+	// Nested blocks, already rendered (and escaped) by core like any other block content
+	echo $content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+	?>
 </div>
-<?php } )( $attributes );
\ No newline at end of file
+<?php } )( $attributes, $content );
\ No newline at end of file
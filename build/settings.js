@@ -0,0 +1,2 @@
+(()=>{"use strict";var e={n:t=>{var l=t&&t.__esModule?()=>t.default:()=>t;return e.d(l,{a:l}),l},d:(t,l)=>{for(var o in l)e.o(l,o)&&!e.o(t,o)&&Object.defineProperty(t,o,{enumerable:!0,get:l[o]})},o:(e,t)=>Object.prototype.hasOwnProperty.call(e,t)};const t=window.wp.element,l=window.wp.i18n,o=window.wp.apiFetch;var a=e.n(o);const i=window.wp.components,r=JSON.parse('{"uK":{"experienceMode":{"type":"string","default":"particle-field"},"colorPalette":{"type":"string","default":"rainbow-cycling"},"particleOpacity":{"type":"number","default":0.9},"particleSize":{"type":"number","default":10},"particleSizeMobile":{"type":"number","default":7.5},"animationDuration":{"type":"number","default":1500},"enableButtonText":{"type":"string","default":"✨ Enable Sparkles"},"disableButtonText":{"type":"string","default":"✨ Disable Sparkles"},"buttonPosition":{"type":"string","default":"bottom-right"},"customColor":{"type":"string","default":"#ff69b4"},"customColors":{"type":"array","default":[]},"customPaletteMode":{"type":"string","default":"cycle"},"themeColors":{"type":"array","default":[]},"maxParticles":{"type":"number","default":50},"enabledByDefault":{"type":"boolean","default":true},"enableButtonTextColor":{"type":"string","default":"#000000"},"enableButtonBackgroundColor":{"type":"string","default":"#D4AF37"},"enableButtonGradientStart":{"type":"string","default":"#D4AF37"},"enableButtonGradientEnd":{"type":"string","default":"#B87333"},"disableButtonTextColor":{"type":"string","default":"#000000"},"disableButtonBackgroundColor":{"type":"string","default":"#E5E4E2"},"disableButtonGradientStart":{"type":"string","default":"#E5E4E2"},"disableButtonGradientEnd":{"type":"string","default":"#C0C0C0"},"displayBehavior":{"type":"string","default":"compact"},"trailSpeedSensitivity":{"type":"number","default":0},"trailPressureSensitivity":{"type":"number","default":0},"fieldColorPalette":{"type":"string","default":"metallic"},"fieldParticleCount":{"type":"number","default":200},"fieldParticleSize":{"type":"number","default":6},"fieldParticleSizeMobile":{"type":"number","default":3},"fieldMouseAttraction":{"type":"number","default":0.5},"fieldSpreadStrength":{"type":"number","default":0.3},"fieldClickExplosion":{"type":"boolean","default":true},"keyboardInteraction":{"type":"boolean","default":false},"keyboardBurstKey":{"type":"string","default":"g"},"disableOnMobile":{"type":"boolean","default":false},"renderInWorker":{"type":"boolean","default":false},"renderer":{"type":"string","default":"auto"},"seed":{"type":"integer","default":0},"quality":{"type":"string","default":"auto"},"scope":{"type":"string","default":"viewport"},"triggers":{"type":"array","default":[]},"scheduleStart":{"type":"string","default":""},"scheduleEnd":{"type":"string","default":""},"scheduleYearly":{"type":"boolean","default":false},"scheduleDays":{"type":"array","default":[]},"scheduleTimeStart":{"type":"string","default":""},"scheduleTimeEnd":{"type":"string","default":""},"particleShape":{"type":"string","default":"circle"},"fieldParticleShape":{"type":"string","default":"sparkle"},"confettiOrigin":{"type":"string","default":"bottom-corners"},"confettiBurstSize":{"type":"number","default":150},"confettiGravity":{"type":"number","default":0.25},"confettiRepeat":{"type":"number","default":1},"confettiShape":{"type":"string","default":"confetti"},"fallingPreset":{"type":"string","default":"snow"},"fallingDensity":{"type":"number","default":120},"fallingSpeed":{"type":"number","default":1},"fallingWind":{"type":"number","default":0.2},"fallingGusts":{"type":"boolean","default":true},"fallingCursorGust":{"type":"number","default":0},"fireworksFrequency":{"type":"number","default":0.8},"fireworksBurstSize":{"type":"number","default":80},"fireworksPatterns":{"type":"string","default":"peony,willow,ring,crossette"},"fireworksClickLaunch":{"type":"boolean","default":true}}}'),n=window.wp.primitives,s=window.ReactJSXRuntime;var b=(0,s.jsx)(n.SVG,{viewBox:"0 0 24 24",xmlns:"http://www.w3.org/2000/svg",children:(0,s.jsx)(n.Path,{d:"M6.5 12.4L12 8l5.5 4.4-.9 1.2L12 10l-4.5 3.6-1-1.2z"})}),c=(0,s.jsx)(n.SVG,{viewBox:"0 0 24 24",xmlns:"http://www.w3.org/2000/svg",children:(0,s.jsx)(n.Path,{d:"M17.5 11.6L12 16l-5.5-4.4.9-1.2L12 14l4.5-3.6 1 1.2z"})}),u=(0,s.jsx)(n.SVG,{xmlns:"http://www.w3.org/2000/svg",viewBox:"0 0 24 24",children:(0,s.jsx)(n.Path,{d:"m13.06 12 6.47-6.47-1.06-1.06L12 10.94 5.53 4.47 4.47 5.53 10.94 12l-6.47 6.47 1.06 1.06L12 13.06l6.47 6.47 1.06-1.06L13.06 12Z"})});function d({value:e,fallback:t,mode:o,onChange:a,onModeChange:r}){const n=Array.isArray(e)&&e.length>0?e:[{color:t,weight:1}],d=(e,t)=>{a(n.map((l,o)=>o===e?{...l,...t}:l))},g=(e,t)=>{const l=n.slice();l.splice(e+t,0,l.splice(e,1)[0]),a(l)};return(0,s.jsxs)("fieldset",{className:"glitter-bomb-shape-picker glitter-bomb-palette-builder",children:[(0,s.jsx)("legend",{className:"glitter-bomb-shape-picker__label",children:(0,l.__)("Custom Palette","glitter-bomb")}),n.map((e,t)=>(0,s.jsxs)("div",{className:"glitter-bomb-palette-builder__row",children:[(0,s.jsx)(i.Dropdown,{popoverProps:{placement:"left-start"},renderToggle:({isOpen:o,onToggle:a})=>(0,s.jsx)(i.Button,{className:"glitter-bomb-palette-builder__swatch",onClick:a,"aria-expanded":o,label:(0,l.sprintf)(/* translators: 1: Color number, 2: Hex color. */ /* translators: 1: Color number, 2: Hex color. */
+(0,l.__)("Edit color %1$d (%2$s)","glitter-bomb"),t+1,e.color),children:(0,s.jsx)(i.ColorIndicator,{colorValue:e.color})}),renderContent:()=>(0,s.jsx)(i.ColorPicker,{color:e.color,onChange:e=>d(t,{color:e})})}),(0,s.jsx)(i.RangeControl,{className:"glitter-bomb-palette-builder__weight",label:(0,l.__)("Weight","glitter-bomb"),hideLabelFromVision:!0,value:e.weight||1,onChange:e=>d(t,{weight:e||1}),min:1,max:10,step:1}),(0,s.jsx)(i.Button,{icon:b,size:"small",label:(0,l.__)("Move up","glitter-bomb"),disabled:0===t,onClick:()=>g(t,-1)}),(0,s.jsx)(i.Button,{icon:c,size:"small",label:(0,l.__)("Move down","glitter-bomb"),disabled:t===n.length-1,onClick:()=>g(t,1)}),(0,s.jsx)(i.Button,{icon:u,size:"small",label:(0,l.__)("Remove color","glitter-bomb"),disabled:1===n.length,onClick:()=>(e=>{a(n.filter((t,l)=>l!==e))})(t)})]},t)),n.length<20&&(0,s.jsx)(i.Button,{variant:"secondary",onClick:()=>{a([...n,{color:n[n.length-1].color,weight:1}])},children:(0,l.__)("Add color","glitter-bomb")}),(0,s.jsx)("p",{className:"glitter-bomb-shape-picker__help",children:(0,l.__)("A color with weight 2 shows up twice as often as one with weight 1.","glitter-bomb")}),(0,s.jsx)(i.SelectControl,{label:(0,l.__)("Color Order","glitter-bomb"),value:o,options:[{label:(0,l.__)("Cycle through the colors","glitter-bomb"),value:"cycle"},{label:(0,l.__)("Random color per particle","glitter-bomb"),value:"random"}],onChange:r,help:(0,l.__)("Cycling blends from each color into the next; random gives every particle one color for its whole life.","glitter-bomb")})]})}const g={circle:{extent:1,draw(e,t){e.beginPath(),e.arc(0,0,t,0,2*Math.PI),e.fill()}},sparkle:{extent:1.5,draw(e,t){const l=t/1.5;for(let t=0;t<5;t++){const o=2*Math.PI*t/5,a=1.5*l;e.beginPath(),e.moveTo(0,0),e.lineTo(Math.cos(o)*a,Math.sin(o)*a),e.lineTo(Math.cos(o+.1)*(.5*a),Math.sin(o+.1)*(.5*a)),e.closePath(),e.fill()}e.beginPath(),e.arc(0,0,.5*l,0,2*Math.PI),e.fill()}},star:{extent:1.3,draw(e,t){e.beginPath();for(let l=0;l<10;l++){const o=Math.PI*l/5-Math.PI/2,a=l%2==0?t:.45*t;e.lineTo(Math.cos(o)*a,Math.sin(o)*a)}e.closePath(),e.fill()}},heart:{extent:1.2,draw(e,t){e.beginPath(),e.moveTo(0,.9*t),e.bezierCurveTo(1.2*-t,.1*t,.75*-t,-t,0,.45*-t),e.bezierCurveTo(.75*t,-t,1.2*t,.1*t,0,.9*t),e.closePath(),e.fill()}},diamond:{extent:1.3,draw(e,t){e.beginPath(),e.moveTo(0,-t),e.lineTo(.65*t,0),e.lineTo(0,t),e.lineTo(.65*-t,0),e.closePath(),e.fill()}},confetti:{extent:1.2,draw(e,t){e.fillRect(-t,.45*-t,2*t,.9*t)}},ring:{extent:1,draw(e,t){e.beginPath(),e.arc(0,0,t,0,2*Math.PI),e.arc(0,0,.6*t,0,2*Math.PI,!0),e.fill()}},twinkle:{extent:1.4,draw(e,t){const l=.15*t;e.beginPath(),e.moveTo(0,-t),e.quadraticCurveTo(l,-l,t,0),e.quadraticCurveTo(l,l,0,t),e.quadraticCurveTo(-l,l,-t,0),e.quadraticCurveTo(-l,-l,0,-t),e.closePath(),e.fill()}},snowflake:{extent:1.3,draw(e,t){const l=.14*t,o=.38*t;for(let a=0;a<6;a++)e.save(),e.rotate(Math.PI*a/3),e.fillRect(-l/2,-t,l,t),e.translate(0,.6*-t),e.rotate(Math.PI/4),e.fillRect(-l/2,-o,l,o),e.rotate(-Math.PI/2),e.fillRect(-l/2,-o,l,o),e.restore()}},petal:{extent:1.3,draw(e,t){e.beginPath(),e.moveTo(0,-t),e.bezierCurveTo(.75*t,.35*-t,.7*t,t,0,t),e.bezierCurveTo(.7*-t,t,.75*-t,.35*-t,0,-t),e.closePath(),e.fill()}}},p=Object.keys(g),m={circle:(0,l.__)("Circle","glitter-bomb"),sparkle:(0,l.__)("Sparkle","glitter-bomb"),star:(0,l.__)("Star","glitter-bomb"),heart:(0,l.__)("Heart","glitter-bomb"),diamond:(0,l.__)("Diamond","glitter-bomb"),confetti:(0,l.__)("Confetti","glitter-bomb"),ring:(0,l.__)("Ring","glitter-bomb"),twinkle:(0,l.__)("Twinkle (four-point)","glitter-bomb"),snowflake:(0,l.__)("Snowflake","glitter-bomb"),petal:(0,l.__)("Petal","glitter-bomb")};function h({label:e,value:t,fallback:l,help:o,onChange:a}){const r=function(e,t){if(null==e)return t;const l=Array.isArray(e)?e:String(e).split(","),o=[];return l.forEach(function(e){e=String(e).trim(),g.hasOwnProperty(e)&&-1===o.indexOf(e)&&o.push(e)}),o.length>0?o:t}(t,[l]);return(0,s.jsxs)("fieldset",{className:"glitter-bomb-shape-picker",children:[(0,s.jsx)("legend",{className:"glitter-bomb-shape-picker__label",children:e}),p.map(e=>(0,s.jsx)(i.CheckboxControl,{label:m[e],checked:-1!==r.indexOf(e),disabled:1===r.length&&r[0]===e,onChange:t=>((e,t)=>{const l=p.filter(l=>l===e?t:-1!==r.indexOf(l));l.length>0&&a(l.join(","))})(e,t)},e)),o&&(0,s.jsx)("p",{className:"glitter-bomb-shape-picker__help",children:o})]})}const f={post_type:(0,l.__)("Post type","glitter-bomb"),template:(0,l.__)("Template","glitter-bomb"),url:(0,l.__)("URL pattern","glitter-bomb"),role:(0,l.__)("User role","glitter-bomb")};function _({label:e,help:t,value:o,options:a,onChange:r}){const n=Array.isArray(o)?o:[],b={post_type:a.postTypes,template:a.templates,role:a.roles},c=e=>b[e]&&b[e].length>0?b[e][0].value:"",u=(e,t)=>{r(n.map((l,o)=>o===e?{...l,...t}:l))};return(0,s.jsxs)("fieldset",{className:"glitter-bomb-rule-list",children:[(0,s.jsx)("legend",{className:"glitter-bomb-rule-list__label",children:e}),(0,s.jsx)("p",{className:"glitter-bomb-rule-list__help",children:t}),n.map((e,t)=>(0,s.jsxs)("div",{className:"glitter-bomb-rule",children:[(0,s.jsx)(i.SelectControl,{label:(0,l.__)("Rule type","glitter-bomb"),hideLabelFromVision:!0,value:e.type,options:Object.keys(f).map(e=>({label:f[e],value:e})),onChange:e=>u(t,{type:e,value:c(e)})}),"url"===e.type?(0,s.jsx)(i.TextControl,{label:(0,l.__)("URL pattern","glitter-bomb"),hideLabelFromVision:!0,value:e.value,placeholder:"/shop/*",onChange:e=>u(t,{value:e})}):(0,s.jsx)(i.SelectControl,{label:f[e.type],hideLabelFromVision:!0,value:e.value,options:b[e.type]||[],onChange:e=>u(t,{value:e})}),(0,s.jsx)(i.Button,{variant:"link",isDestructive:!0,onClick:()=>(e=>{r(n.filter((t,l)=>l!==e))})(t),children:(0,l.__)("Remove","glitter-bomb")})]},t)),n.length<50&&(0,s.jsx)(i.Button,{variant:"secondary",onClick:()=>{r([...n,{type:"post_type",value:c("post_type")}])},children:(0,l.__)("Add rule","glitter-bomb")})]})}const y={"sprinkle-trail":(0,l.__)("Sprinkle Trail","glitter-bomb"),"particle-field":(0,l.__)("Particle Field","glitter-bomb"),confetti:(0,l.__)("Confetti Celebration","glitter-bomb"),falling:(0,l.__)("Falling (Snow, Petals, Glitter Rain)","glitter-bomb"),fireworks:(0,l.__)("Fireworks","glitter-bomb")},x=[{label:(0,l.__)("Rainbow","glitter-bomb"),value:"rainbow-cycling"},{label:(0,l.__)("Metallic","glitter-bomb"),value:"metallic"},{label:(0,l.__)("Neutral Spectrum","glitter-bomb"),value:"neutral-spectrum"},{label:(0,l.__)("Warm Sunset","glitter-bomb"),value:"warm-sunset"},{label:(0,l.__)("Cool Ocean","glitter-bomb"),value:"cool-ocean"},{label:(0,l.__)("Theme Palette","glitter-bomb"),value:"theme"},{label:(0,l.__)("Custom Palette","glitter-bomb"),value:"custom"}],v={"sprinkle-trail":"particleShape","particle-field":"fieldParticleShape",confetti:"confettiShape"},w={particleShape:"circle",fieldParticleShape:"sparkle",confettiShape:"confetti"};function C({settings:e,options:o}){const[n,b]=(0,t.useState)(e),[c,u]=(0,t.useState)(!1),[g,p]=(0,t.useState)(null),m=e=>{b({...n,...e})},f=e=>void 0!==n.attributes[e]?n.attributes[e]:r.uK[e].default,C=e=>{m({attributes:{...n.attributes,...e}})},P=f("experienceMode"),j="particle-field"===P?"fieldColorPalette":"colorPalette",k=v[P];return(0,s.jsxs)("div",{className:"glitter-bomb-settings",children:[g&&(0,s.jsx)(i.Notice,{status:g.status,onRemove:()=>p(null),children:g.message}),(0,s.jsxs)(i.Panel,{children:[(0,s.jsx)(i.PanelBody,{title:(0,l.__)("Site-wide Effect","glitter-bomb"),children:(0,s.jsx)(i.ToggleControl,{label:(0,l.__)("Show the effect across the site","glitter-bomb"),checked:n.enabled,onChange:e=>m({enabled:e}),help:(0,l.__)("Pages with their own Glitter Bomb block use that block’s settings instead.","glitter-bomb")})}),(0,s.jsxs)(i.PanelBody,{title:(0,l.__)("Effect","glitter-bomb"),children:[(0,s.jsx)(i.SelectControl,{label:(0,l.__)("Experience Mode","glitter-bomb"),value:P,options:Object.keys(y).map(e=>({label:y[e],value:e})),onChange:e=>C({experienceMode:e})}),(0,s.jsx)(i.SelectControl,{label:(0,l.__)("Color Palette","glitter-bomb"),value:f(j),options:x,onChange:e=>C({[j]:e})}),"custom"===f(j)&&(0,s.jsx)(d,{value:f("customColors"),fallback:f("customColor"),mode:f("customPaletteMode"),onChange:e=>C({customColors:e}),onModeChange:e=>C({customPaletteMode:e})}),k&&(0,s.jsx)(h,{label:(0,l.__)("Particle Shape","glitter-bomb"),value:f(k),fallback:w[k],onChange:e=>C({[k]:e})}),(0,s.jsx)(i.ToggleControl,{label:(0,l.__)("Enabled by default","glitter-bomb"),checked:f("enabledByDefault"),onChange:e=>C({enabledByDefault:e}),help:(0,l.__)("Visitors can always turn the effect off with the toggle button.","glitter-bomb")}),(0,s.jsx)(i.ToggleControl,{label:(0,l.__)("Disable on mobile","glitter-bomb"),checked:f("disableOnMobile"),onChange:e=>C({disableOnMobile:e})}),(0,s.jsx)(i.SelectControl,{label:(0,l.__)("Button Position","glitter-bomb"),value:f("buttonPosition"),options:[{label:(0,l.__)("Top Left","glitter-bomb"),value:"top-left"},{label:(0,l.__)("Top Right","glitter-bomb"),value:"top-right"},{label:(0,l.__)("Bottom Left","glitter-bomb"),value:"bottom-left"},{label:(0,l.__)("Bottom Right","glitter-bomb"),value:"bottom-right"}],onChange:e=>C({buttonPosition:e})}),(0,s.jsx)(i.TextControl,{label:(0,l.__)("Enable Button Text","glitter-bomb"),value:f("enableButtonText"),onChange:e=>C({enableButtonText:e})}),(0,s.jsx)(i.TextControl,{label:(0,l.__)("Disable Button Text","glitter-bomb"),value:f("disableButtonText"),onChange:e=>C({disableButtonText:e})})]}),(0,s.jsxs)(i.PanelBody,{title:(0,l.__)("Where It Runs","glitter-bomb"),children:[(0,s.jsx)(_,{label:(0,l.__)("Only show on","glitter-bomb"),help:(0,l.__)("Leave empty to show the effect everywhere. With rules, a page has to match at least one.","glitter-bomb"),value:n.include,options:o,onChange:e=>m({include:e})}),(0,s.jsx)(_,{label:(0,l.__)("Never show on","glitter-bomb"),help:(0,l.__)("A page that matches any of these rules never shows the site-wide effect.","glitter-bomb"),value:n.exclude,options:o,onChange:e=>m({exclude:e})})]})]}),(0,s.jsx)(i.Button,{variant:"primary",className:"glitter-bomb-settings__save",onClick:()=>{u(!0),p(null),a()({path:"/wp/v2/settings",method:"POST",data:{glitter_bomb_settings:n}}).then(e=>{b(e.glitter_bomb_settings),p({status:"success",message:(0,l.__)("Settings saved.","glitter-bomb")})}).catch(e=>{p({status:"error",message:e.message||(0,l.__)("The settings could not be saved.","glitter-bomb")})}).finally(()=>u(!1))},isBusy:c,disabled:c,children:(0,l.__)("Save Settings","glitter-bomb")})]})}const P=document.getElementById("glitter-bomb-settings"),j=window.glitterBombSettingsPage;if(P&&j){const e=(0,s.jsx)(C,{settings:j.settings,options:{postTypes:j.postTypes,templates:j.templates,roles:j.roles}});t.createRoot?(0,t.createRoot)(P).render(e):(0,t.render)(e,P)}})();
\ No newline at end of file
@@ -0,0 +1 @@
+"use strict";(globalThis.webpackChunkglitter_bomb=globalThis.webpackChunkglitter_bomb||[]).push([[432],{635(e,t,n){n.d(t,{setupScheduleEnd:()=>u,setupTriggers:()=>i});var r=n(937);function c(e){try{return document.querySelector(e),!0}catch(e){return!1}}function i(e,t){const n=function(e){try{const t=JSON.parse(e.dataset.triggers||"[]");return Array.isArray(t)?t:[]}catch(e){return[]}}(e),i=[];let u=!1,o=null;if(0===n.length||r.Oe||(0,r.Mm)())return function(){};function s(e){if(t.isActive&&!u)return;if(!t.isActive){if(t.setActive(!0,!1),!t.isActive)return;u=!0}clearTimeout(o),o=null;const n=parseFloat(e.duration)||0;n>0&&(o=setTimeout(function(){o=null,t.setActive(!1,!1)},1e3*n))}function a(){u=!1,clearTimeout(o),o=null}function l(e,t){document.addEventListener(e,t),i.push(function(){document.removeEventListener(e,t)})}return e.addEventListener("glitterbomb:disabled",a),i.push(function(){e.removeEventListener("glitterbomb:disabled",a),clearTimeout(o)}),n.forEach(function(e){switch(e.type){case"scroll":{if(!window.IntersectionObserver||!c(e.value))break;const t=new window.IntersectionObserver(function(t){t.some(function(e){return e.isIntersecting})&&s(e)});document.querySelectorAll(e.value).forEach(function(e){t.observe(e)}),i.push(function(){t.disconnect()});break}case"time":{const t=setTimeout(function(){s(e)},1e3*(parseFloat(e.value)||0));i.push(function(){clearTimeout(t)});break}case"exit-intent":{let t=!1;l("mouseout",function(n){!t&&!n.relatedTarget&&n.clientY<=0&&(t=!0,s(e))});break}case"click":if(!c(e.value))break;l("click",function(t){t.target.closest&&t.target.closest(e.value)&&s(e)});break;case"event":l(e.value,function(){s(e)})}}),function(){i.forEach(function(e){e()})}}function u(e,t){const n=parseInt(e.dataset.scheduleEnd,10),r=Math.max(0,1e3*n-Date.now());if(!n||r>=2147483647)return function(){};const c=setTimeout(t,r);return function(){clearTimeout(c)}}}}]);
\ No newline at end of file
@@ -1 +1 @@
-<?php return array('dependencies' => array(), 'version' => '02d16a5cbc0fddaa0aff');
+<?php return array('dependencies' => array(), 'version' => '46f8dea631475dda3169');
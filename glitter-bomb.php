@@ -26,6 +26,15 @@ define( 'GLITTER_BOMB_VERSION', '1.0.1' );
 define( 'GLITTER_BOMB_PLUGIN_DIR', plugin_dir_path( __FILE__ ) );
 define( 'GLITTER_BOMB_PLUGIN_URL', plugin_dir_url( __FILE__ ) );
 
+// Attribute validation shared by render.php and the presets API
+require_once GLITTER_BOMB_PLUGIN_DIR . 'includes/validation.php';
+
+// Site-wide effect and its settings screen
+require_once GLITTER_BOMB_PLUGIN_DIR . 'includes/settings.php';
+
+// Saved presets and their REST API
+require_once GLITTER_BOMB_PLUGIN_DIR . 'includes/presets.php';
+
 /**
  * Registers the block using the metadata loaded from the `block.json` file.
  * Behind the scenes, it registers also all assets so they can be enqueued
@@ -53,6 +62,16 @@ function glitter_bomb_plugin_action_links( $links ) {
 	);
 	
 	array_unshift( $links, $settings_link );
+
+	// Site-wide effect settings
+	array_unshift(
+		$links,
+		sprintf(
+			'<a href="%s">%s</a>',
+			admin_url( 'options-general.php?page=glitter-bomb' ),
+			__( 'Settings', 'glitter-bomb' )
+		)
+	);
 	
 	return $links;
 }
@@ -0,0 +1,277 @@
+<?php
+/**
+ * Saved presets and their REST API
+ *
+ * A preset is a named set of block attributes, stored site-wide so it can be
+ * applied to any Glitter Bomb block and moved between sites as JSON. Saved
+ * and imported presets are validated with glitter_bomb_validate_attributes(),
+ * the same bounds render.php applies on output.
+ *
+ * @package GlitterBomb
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly.
+}
+
+/**
+ * Attributes that belong to one placement of the block and are left out of presets.
+ *
+ * @return array Attribute names.
+ */
+function glitter_bomb_preset_excluded_attributes() {
+	return array( 'scope', 'triggers', 'scheduleStart', 'scheduleEnd', 'scheduleYearly', 'scheduleDays', 'scheduleTimeStart', 'scheduleTimeEnd' );
+}
+
+/**
+ * Saved presets.
+ *
+ * @return array Presets with id, name and attributes.
+ */
+function glitter_bomb_get_presets() {
+	$presets = get_option( 'glitter_bomb_presets', array() );
+	return is_array( $presets ) ? array_values( $presets ) : array();
+}
+
+/**
+ * Save the presets. The option is not autoloaded, since only the editor reads it.
+ *
+ * @param array $presets Presets with id, name and attributes.
+ */
+function glitter_bomb_update_presets( $presets ) {
+	update_option( 'glitter_bomb_presets', array_values( $presets ), false );
+}
+
+/**
+ * Validate a submitted preset.
+ *
+ * Only attributes the preset sets are kept, each validated like render.php
+ * does, so applying it leaves the block's other attributes alone.
+ *
+ * @param mixed $preset Preset with name and attributes.
+ * @return array|WP_Error Preset with name and attributes, or an error.
+ */
+function glitter_bomb_sanitize_preset( $preset ) {
+	if ( ! is_array( $preset ) ) {
+		return new WP_Error( 'glitter_bomb_invalid_preset', __( 'The preset is not valid.', 'glitter-bomb' ), array( 'status' => 400 ) );
+	}
+
+	$name = isset( $preset['name'] ) ? substr( sanitize_text_field( (string) $preset['name'] ), 0, 100 ) : '';
+	if ( '' === $name ) {
+		return new WP_Error( 'glitter_bomb_invalid_preset', __( 'A preset needs a name.', 'glitter-bomb' ), array( 'status' => 400 ) );
+	}
+
+	$attributes = isset( $preset['attributes'] ) && is_array( $preset['attributes'] ) ? $preset['attributes'] : array();
+	$attributes = array_diff_key(
+		array_intersect_key( glitter_bomb_validate_attributes( $attributes ), $attributes ),
+		array_flip( glitter_bomb_preset_excluded_attributes() )
+	);
+
+	if ( empty( $attributes ) ) {
+		return new WP_Error( 'glitter_bomb_invalid_preset', __( 'The preset has no Glitter Bomb settings.', 'glitter-bomb' ), array( 'status' => 400 ) );
+	}
+
+	return array(
+		'name' => $name,
+		'attributes' => $attributes,
+	);
+}
+
+/**
+ * Add a preset, replacing a saved preset with the same name.
+ *
+ * @param array $presets Saved presets.
+ * @param array $preset  Validated preset with name and attributes.
+ * @return array Presets with the new one.
+ */
+function glitter_bomb_add_preset( $presets, $preset ) {
+	foreach ( $presets as $index => $saved ) {
+		if ( $saved['name'] === $preset['name'] ) {
+			$presets[ $index ]['attributes'] = $preset['attributes'];
+			return $presets;
+		}
+	}
+
+	$presets[] = array(
+		'id' => wp_generate_uuid4(),
+		'name' => $preset['name'],
+		'attributes' => $preset['attributes'],
+	);
+
+	return $presets;
+}
+
+/**
+ * Register the presets REST routes.
+ *
+ * Anyone who can edit posts can list and apply presets; saving, deleting
+ * and importing change them for everyone, so those need editor rights.
+ */
+function glitter_bomb_register_preset_routes() {
+	$can_read = function () {
+		return current_user_can( 'edit_posts' );
+	};
+	$can_edit = function () {
+		return current_user_can( 'edit_others_posts' );
+	};
+
+	register_rest_route(
+		'glitter-bomb/v1',
+		'/presets',
+		array(
+			array(
+				'methods' => WP_REST_Server::READABLE,
+				'callback' => 'glitter_bomb_rest_get_presets',
+				'permission_callback' => $can_read,
+			),
+			array(
+				'methods' => WP_REST_Server::CREATABLE,
+				'callback' => 'glitter_bomb_rest_create_preset',
+				'permission_callback' => $can_edit,
+				'args' => array(
+					'name' => array(
+						'type' => 'string',
+						'required' => true,
+					),
+					'attributes' => array(
+						'type' => 'object',
+						'required' => true,
+					),
+				),
+			),
+		)
+	);
+
+	register_rest_route(
+		'glitter-bomb/v1',
+		'/presets/import',
+		array(
+			'methods' => WP_REST_Server::CREATABLE,
+			'callback' => 'glitter_bomb_rest_import_presets',
+			'permission_callback' => $can_edit,
+			'args' => array(
+				'presets' => array(
+					'type' => 'array',
+					'required' => true,
+				),
+			),
+		)
+	);
+
+	register_rest_route(
+		'glitter-bomb/v1',
+		'/presets/(?P<id>[a-f0-9-]+)',
+		array(
+			'methods' => WP_REST_Server::DELETABLE,
+			'callback' => 'glitter_bomb_rest_delete_preset',
+			'permission_callback' => $can_edit,
+		)
+	);
+}
+add_action( 'rest_api_init', 'glitter_bomb_register_preset_routes' );
+
+/**
+ * List the saved presets.
+ *
+ * @return WP_REST_Response Presets.
+ */
+function glitter_bomb_rest_get_presets() {
+	return rest_ensure_response( glitter_bomb_get_presets() );
+}
+
+/**
+ * Save a preset from the editor.
+ *
+ * @param WP_REST_Request $request Request with name and attributes.
+ * @return WP_REST_Response|WP_Error All presets, or an error.
+ */
+function glitter_bomb_rest_create_preset( $request ) {
+	$preset = glitter_bomb_sanitize_preset(
+		array(
+			'name' => $request['name'],
+			'attributes' => $request['attributes'],
+		)
+	);
+	if ( is_wp_error( $preset ) ) {
+		return $preset;
+	}
+
+	$presets = glitter_bomb_add_preset( glitter_bomb_get_presets(), $preset );
+
+	// Limit the count to keep the option small
+	if ( count( $presets ) > 100 ) {
+		return new WP_Error( 'glitter_bomb_too_many_presets', __( 'Delete a preset before saving another one; up to 100 can be saved.', 'glitter-bomb' ), array( 'status' => 400 ) );
+	}
+
+	glitter_bomb_update_presets( $presets );
+
+	return rest_ensure_response( $presets );
+}
+
+/**
+ * Import presets from an exported JSON file.
+ *
+ * Presets that fail validation are skipped; one with the name of a saved
+ * preset replaces it.
+ *
+ * @param WP_REST_Request $request Request with the presets.
+ * @return WP_REST_Response|WP_Error All presets and the number imported, or an error.
+ */
+function glitter_bomb_rest_import_presets( $request ) {
+	$presets = glitter_bomb_get_presets();
+	$imported = 0;
+
+	foreach ( (array) $request['presets'] as $entry ) {
+		$preset = glitter_bomb_sanitize_preset( $entry );
+		if ( is_wp_error( $preset ) ) {
+			continue;
+		}
+
+		$next = glitter_bomb_add_preset( $presets, $preset );
+		if ( count( $next ) > 100 ) {
+			break;
+		}
+
+		$presets = $next;
+		$imported++;
+	}
+
+	if ( 0 === $imported ) {
+		return new WP_Error( 'glitter_bomb_invalid_import', __( 'The file has no presets that could be imported.', 'glitter-bomb' ), array( 'status' => 400 ) );
+	}
+
+	glitter_bomb_update_presets( $presets );
+
+	return rest_ensure_response(
+		array(
+			'presets' => $presets,
+			'imported' => $imported,
+		)
+	);
+}
+
+/**
+ * Delete a preset.
+ *
+ * @param WP_REST_Request $request Request with the preset id.
+ * @return WP_REST_Response|WP_Error All presets, or an error.
+ */
+function glitter_bomb_rest_delete_preset( $request ) {
+	$presets = glitter_bomb_get_presets();
+	$remaining = array_values(
+		array_filter(
+			$presets,
+			function ( $preset ) use ( $request ) {
+				return $preset['id'] !== $request['id'];
+			}
+		)
+	);
+
+	if ( count( $remaining ) === count( $presets ) ) {
+		return new WP_Error( 'glitter_bomb_preset_not_found', __( 'The preset does not exist.', 'glitter-bomb' ), array( 'status' => 404 ) );
+	}
+
+	glitter_bomb_update_presets( $remaining );
+
+	return rest_ensure_response( $remaining );
+}
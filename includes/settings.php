@@ -0,0 +1,394 @@
+<?php
+/**
+ * Site-wide effect and its settings screen
+ *
+ * Settings → Glitter Bomb turns on one effect for the whole site, limited by
+ * include/exclude rules. On matching pages the block is rendered in the
+ * footer with the saved attributes, so the frontend gets the same markup,
+ * validation (render.php) and view.js as a block placed in content. A page
+ * that has its own Glitter Bomb block keeps that block's settings instead.
+ *
+ * @package GlitterBomb
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly.
+}
+
+/**
+ * Rule types for the include/exclude lists.
+ *
+ * @return array Rule type => label.
+ */
+function glitter_bomb_rule_types() {
+	return array(
+		'post_type' => __( 'Post type', 'glitter-bomb' ),
+		'template' => __( 'Template', 'glitter-bomb' ),
+		'url' => __( 'URL pattern', 'glitter-bomb' ),
+		'role' => __( 'User role', 'glitter-bomb' ),
+	);
+}
+
+/**
+ * Default value of the site-wide settings option.
+ *
+ * @return array Default settings.
+ */
+function glitter_bomb_default_settings() {
+	return array(
+		'enabled' => false,
+		'attributes' => array(),
+		'include' => array(),
+		'exclude' => array(),
+	);
+}
+
+/**
+ * Sanitize the site-wide settings before they are saved.
+ *
+ * Only attributes the block declares are kept (their values are validated
+ * again by render.php on output), and rules are limited to the known types.
+ *
+ * @param mixed $value Submitted settings.
+ * @return array Sanitized settings.
+ */
+function glitter_bomb_sanitize_settings( $value ) {
+	$settings = glitter_bomb_default_settings();
+
+	if ( ! is_array( $value ) ) {
+		return $settings;
+	}
+
+	$settings['enabled'] = isset( $value['enabled'] ) && true === $value['enabled'];
+
+	$block_type = WP_Block_Type_Registry::get_instance()->get_registered( 'glitter-bomb/glitter-bomb' );
+	if ( $block_type && isset( $value['attributes'] ) && is_array( $value['attributes'] ) ) {
+		foreach ( $value['attributes'] as $name => $attribute ) {
+			if ( isset( $block_type->attributes[ $name ] ) && ( is_scalar( $attribute ) || is_array( $attribute ) ) ) {
+				$settings['attributes'][ $name ] = $attribute;
+			}
+		}
+	}
+
+	foreach ( array( 'include', 'exclude' ) as $list ) {
+		if ( empty( $value[ $list ] ) || ! is_array( $value[ $list ] ) ) {
+			continue;
+		}
+
+		// Limit the count to keep the per-request matching cheap
+		foreach ( array_slice( $value[ $list ], 0, 50 ) as $rule ) {
+			if ( ! is_array( $rule ) || ! isset( $rule['type'], $rule['value'] ) || ! isset( glitter_bomb_rule_types()[ $rule['type'] ] ) ) {
+				continue;
+			}
+
+			$rule_value = substr( sanitize_text_field( (string) $rule['value'] ), 0, 200 );
+			if ( '' !== $rule_value ) {
+				$settings[ $list ][] = array(
+					'type' => $rule['type'],
+					'value' => $rule_value,
+				);
+			}
+		}
+	}
+
+	return $settings;
+}
+
+/**
+ * Register the site-wide settings option, also for the REST API the settings screen saves through.
+ */
+function glitter_bomb_register_settings() {
+	$rule_schema = array(
+		'type' => 'array',
+		'items' => array(
+			'type' => 'object',
+			'properties' => array(
+				'type' => array(
+					'type' => 'string',
+					'enum' => array_keys( glitter_bomb_rule_types() ),
+				),
+				'value' => array(
+					'type' => 'string',
+				),
+			),
+		),
+	);
+
+	register_setting(
+		'glitter_bomb',
+		'glitter_bomb_settings',
+		array(
+			'type' => 'object',
+			'default' => glitter_bomb_default_settings(),
+			'sanitize_callback' => 'glitter_bomb_sanitize_settings',
+			'show_in_rest' => array(
+				'schema' => array(
+					'type' => 'object',
+					'properties' => array(
+						'enabled' => array(
+							'type' => 'boolean',
+						),
+						'attributes' => array(
+							'type' => 'object',
+							'additionalProperties' => true,
+						),
+						'include' => $rule_schema,
+						'exclude' => $rule_schema,
+					),
+				),
+			),
+		)
+	);
+}
+add_action( 'init', 'glitter_bomb_register_settings' );
+
+/**
+ * Templates the template rules can pick from.
+ *
+ * Block themes list their templates; classic themes get the common template
+ * hierarchy names plus their page templates.
+ *
+ * @return array Templates with value and label.
+ */
+function glitter_bomb_get_template_options() {
+	$templates = array();
+
+	if ( function_exists( 'wp_is_block_theme' ) && wp_is_block_theme() ) {
+		foreach ( get_block_templates() as $template ) {
+			$templates[] = array(
+				'value' => $template->slug,
+				'label' => $template->title ? $template->title : $template->slug,
+			);
+		}
+		return $templates;
+	}
+
+	foreach ( array( 'index', 'front-page', 'home', 'single', 'page', 'archive', 'search', '404' ) as $slug ) {
+		$templates[] = array(
+			'value' => $slug,
+			'label' => $slug,
+		);
+	}
+	foreach ( wp_get_theme()->get_page_templates() as $file => $name ) {
+		$templates[] = array(
+			'value' => $file,
+			'label' => $name,
+		);
+	}
+
+	return $templates;
+}
+
+/**
+ * Add the settings screen under Settings.
+ */
+function glitter_bomb_add_settings_page() {
+	add_options_page(
+		__( 'Glitter Bomb', 'glitter-bomb' ),
+		__( 'Glitter Bomb', 'glitter-bomb' ),
+		'manage_options',
+		'glitter-bomb',
+		'glitter_bomb_render_settings_page'
+	);
+}
+add_action( 'admin_menu', 'glitter_bomb_add_settings_page' );
+
+/**
+ * Output the container the settings screen's React app mounts into.
+ */
+function glitter_bomb_render_settings_page() {
+	?>
+	<div class="wrap">
+		<h1><?php esc_html_e( 'Glitter Bomb', 'glitter-bomb' ); ?></h1>
+		<div id="glitter-bomb-settings"></div>
+	</div>
+	<?php
+}
+
+/**
+ * Load the settings screen script, with the data its rule pickers need.
+ *
+ * @param string $hook_suffix The current admin page.
+ */
+function glitter_bomb_enqueue_settings_page( $hook_suffix ) {
+	if ( 'settings_page_glitter-bomb' !== $hook_suffix ) {
+		return;
+	}
+
+	$asset = include GLITTER_BOMB_PLUGIN_DIR . 'build/settings.asset.php';
+	wp_enqueue_script(
+		'glitter-bomb-settings',
+		GLITTER_BOMB_PLUGIN_URL . 'build/settings.js',
+		$asset['dependencies'],
+		$asset['version'],
+		true
+	);
+	wp_set_script_translations( 'glitter-bomb-settings', 'glitter-bomb' );
+	wp_enqueue_style(
+		'glitter-bomb-settings',
+		GLITTER_BOMB_PLUGIN_URL . 'build/settings.css',
+		array( 'wp-components' ),
+		$asset['version']
+	);
+	wp_style_add_data( 'glitter-bomb-settings', 'rtl', 'replace' );
+
+	$post_types = array();
+	foreach ( get_post_types( array( 'public' => true ), 'objects' ) as $post_type ) {
+		$post_types[] = array(
+			'value' => $post_type->name,
+			'label' => $post_type->labels->singular_name,
+		);
+	}
+
+	// Logged-out visitors match the "guest" role
+	$roles = array(
+		array(
+			'value' => 'guest',
+			'label' => __( 'Guest (not logged in)', 'glitter-bomb' ),
+		),
+	);
+	foreach ( wp_roles()->get_names() as $role => $name ) {
+		$roles[] = array(
+			'value' => $role,
+			'label' => translate_user_role( $name ),
+		);
+	}
+
+	wp_add_inline_script(
+		'glitter-bomb-settings',
+		'window.glitterBombSettingsPage = ' . wp_json_encode(
+			array(
+				'settings' => get_option( 'glitter_bomb_settings', glitter_bomb_default_settings() ),
+				'postTypes' => $post_types,
+				'templates' => glitter_bomb_get_template_options(),
+				'roles' => $roles,
+			)
+		) . ';',
+		'before'
+	);
+}
+add_action( 'admin_enqueue_scripts', 'glitter_bomb_enqueue_settings_page' );
+
+/**
+ * Check one include/exclude rule against the current request.
+ *
+ * @param array $rule Rule with type and value.
+ * @return bool Whether the rule matches.
+ */
+function glitter_bomb_rule_matches( $rule ) {
+	switch ( $rule['type'] ) {
+		case 'post_type':
+			if ( is_singular() ) {
+				return get_post_type() === $rule['value'];
+			}
+			return is_post_type_archive( $rule['value'] );
+
+		case 'template':
+			global $template, $_wp_current_template_id;
+
+			// Block themes: "theme//slug"; classic themes: the template file and the page template
+			$current = array();
+			if ( ! empty( $_wp_current_template_id ) ) {
+				$parts = explode( '//', $_wp_current_template_id );
+				$current[] = end( $parts );
+			}
+			if ( ! empty( $template ) ) {
+				$current[] = basename( $template, '.php' );
+			}
+			if ( is_singular() ) {
+				$current[] = get_page_template_slug();
+			}
+			return in_array( $rule['value'], $current, true );
+
+		case 'url':
+			// "*" matches anything, e.g. /shop/* or */landing/
+			$path = isset( $_SERVER['REQUEST_URI'] ) ? wp_parse_url( esc_url_raw( wp_unslash( $_SERVER['REQUEST_URI'] ) ), PHP_URL_PATH ) : '';
+			$pattern = '#^' . str_replace( '\\*', '.*', preg_quote( $rule['value'], '#' ) ) . '$#i';
+			return (bool) preg_match( $pattern, (string) $path );
+
+		case 'role':
+			if ( ! is_user_logged_in() ) {
+				return 'guest' === $rule['value'];
+			}
+			return in_array( $rule['value'], (array) wp_get_current_user()->roles, true );
+	}
+
+	return false;
+}
+
+/**
+ * Check whether the site-wide effect runs on the current request.
+ *
+ * Any matching exclude rule turns it off; with include rules, at least one
+ * has to match.
+ *
+ * @param array $settings Site-wide settings.
+ * @return bool Whether to show the effect.
+ */
+function glitter_bomb_global_effect_applies( $settings ) {
+	foreach ( $settings['exclude'] as $rule ) {
+		if ( glitter_bomb_rule_matches( $rule ) ) {
+			return false;
+		}
+	}
+
+	if ( empty( $settings['include'] ) ) {
+		return true;
+	}
+
+	foreach ( $settings['include'] as $rule ) {
+		if ( glitter_bomb_rule_matches( $rule ) ) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Whether a Glitter Bomb block has been rendered on this request.
+ *
+ * render.php records a render only when the block outputs its effect, so a
+ * block outside its schedule window leaves the site-wide effect alone.
+ *
+ * @param bool $set Pass true to record a render.
+ * @return bool Whether a block was rendered.
+ */
+function glitter_bomb_block_rendered( $set = false ) {
+	static $rendered = false;
+	if ( $set ) {
+		$rendered = true;
+	}
+	return $rendered;
+}
+
+/**
+ * Render the site-wide effect in the footer.
+ *
+ * Runs before footer scripts are printed, so the view script and styles the
+ * block enqueues while rendering still make it onto the page.
+ */
+function glitter_bomb_render_global_effect() {
+	if ( is_admin() || glitter_bomb_block_rendered() ) {
+		return;
+	}
+
+	$settings = wp_parse_args( get_option( 'glitter_bomb_settings', array() ), glitter_bomb_default_settings() );
+	if ( ! $settings['enabled'] || ! glitter_bomb_global_effect_applies( $settings ) ) {
+		return;
+	}
+
+	// The site-wide effect always covers the viewport
+	$attributes = array_merge( $settings['attributes'], array( 'scope' => 'viewport' ) );
+
+	echo render_block( // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped in render.php
+		array(
+			'blockName' => 'glitter-bomb/glitter-bomb',
+			'attrs' => $attributes,
+			'innerBlocks' => array(),
+			'innerHTML' => '',
+			'innerContent' => array(),
+		)
+	);
+}
+add_action( 'wp_footer', 'glitter_bomb_render_global_effect', 5 );
@@ -0,0 +1,710 @@
+<?php
+/**
+ * Block attribute validation
+ *
+ * Security: Whitelists, bounds and formats for every block attribute, shared
+ * by the render callback (render.php) and the presets REST API
+ * (includes/presets.php), so a value that passes here is safe to output.
+ *
+ * @package GlitterBomb
+ */
+
+// Exit if accessed directly
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Sanitize and validate color hex value
+ * 
+ * Security: Validates color format to prevent XSS through color attributes
+ *
+ * @param string $color The color value to validate
+ * @param string $default The default color to return if invalid
+ * @return string Validated hex color
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_color' ) ) {
+	function glitter_bomb_sanitize_color( $color, $default = '#ff69b4' ) {
+		// Remove any whitespace and ensure string type
+		$color = trim( (string) $color );
+		
+		// Validate hex color format (#RGB or #RRGGBB)
+		// This regex prevents XSS by ensuring only valid hex colors
+		if ( preg_match( '/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/', $color ) ) {
+			return $color;
+		}
+		
+		// Return safe default if validation fails
+		return $default;
+	}
+}
+
+/**
+ * Sanitize and validate string from predefined list
+ * 
+ * Security: Whitelist validation prevents unexpected values
+ *
+ * @param string $value The value to validate
+ * @param array $allowed The allowed values
+ * @param string $default The default value
+ * @return string Validated string
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_enum' ) ) {
+	function glitter_bomb_sanitize_enum( $value, $allowed, $default ) {
+		// Ensure string type and trim whitespace
+		$value = trim( (string) $value );
+		
+		// Strict comparison for security
+		if ( in_array( $value, $allowed, true ) ) {
+			return $value;
+		}
+		
+		// Return safe default if not in whitelist
+		return $default;
+	}
+}
+
+/**
+ * Sanitize and validate numeric value with bounds
+ * 
+ * Security: Enforces min/max bounds to prevent resource exhaustion
+ *
+ * @param mixed $value The value to validate
+ * @param float $min Minimum allowed value
+ * @param float $max Maximum allowed value
+ * @param float $default Default value
+ * @return float Validated number
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_number' ) ) {
+	function glitter_bomb_sanitize_number( $value, $min, $max, $default ) {
+		// Type cast to float for numeric validation
+		$value = floatval( $value );
+		
+		// Check for NaN or Infinity
+		if ( ! is_finite( $value ) ) {
+			return $default;
+		}
+		
+		// Enforce bounds to prevent resource exhaustion
+		if ( $value < $min || $value > $max ) {
+			return $default;
+		}
+		
+		return $value;
+	}
+}
+
+/**
+ * Sanitize and validate a comma-separated list of values from a predefined list
+ *
+ * Security: Whitelist validation on every entry; duplicates are dropped
+ *
+ * @param string $value The comma-separated values to validate
+ * @param array $allowed The allowed values
+ * @param string $default The default value
+ * @return string Validated comma-separated list
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_enum_list' ) ) {
+	function glitter_bomb_sanitize_enum_list( $value, $allowed, $default ) {
+		$valid = array();
+
+		foreach ( explode( ',', (string) $value ) as $item ) {
+			$item = trim( $item );
+
+			// Strict comparison for security
+			if ( in_array( $item, $allowed, true ) && ! in_array( $item, $valid, true ) ) {
+				$valid[] = $item;
+			}
+		}
+
+		// Return safe default if nothing was in the whitelist
+		return empty( $valid ) ? $default : implode( ',', $valid );
+	}
+}
+
+/**
+ * Sanitize and validate the list of activation triggers
+ *
+ * Security: Whitelist validation on the trigger type, per-type validation of
+ * the value (CSS selector, seconds or event name), bounds on the duration and
+ * on the number of triggers. Invalid triggers are dropped.
+ *
+ * @param mixed $value The trigger list from the block attributes
+ * @return array Validated triggers with type, value and duration
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_triggers' ) ) {
+	function glitter_bomb_sanitize_triggers( $value ) {
+		$triggers = array();
+
+		if ( ! is_array( $value ) ) {
+			return $triggers;
+		}
+
+		// Limit the count to keep the listeners bounded
+		foreach ( array_slice( $value, 0, 10 ) as $trigger ) {
+			if ( ! is_array( $trigger ) || ! isset( $trigger['type'] ) ) {
+				continue;
+			}
+
+			$type = glitter_bomb_sanitize_enum( $trigger['type'], array( 'scroll', 'time', 'exit-intent', 'click', 'event' ), '' );
+			$raw_value = isset( $trigger['value'] ) ? $trigger['value'] : '';
+
+			switch ( $type ) {
+				case 'scroll':
+				case 'click':
+					// CSS selector; the browser rejects anything that doesn't parse
+					$trigger_value = substr( sanitize_text_field( (string) $raw_value ), 0, 200 );
+					break;
+				case 'time':
+					$trigger_value = glitter_bomb_sanitize_number( $raw_value, 0, 3600, '' );
+					break;
+				case 'event':
+					// Event names only: letters, digits and _ : . -
+					$trigger_value = preg_match( '/^[A-Za-z][A-Za-z0-9_:.\-]{0,99}$/', (string) $raw_value ) ? (string) $raw_value : '';
+					break;
+				case 'exit-intent':
+					// No value needed
+					$trigger_value = '';
+					break;
+				default:
+					continue 2;
+			}
+
+			if ( '' === $trigger_value && 'exit-intent' !== $type ) {
+				continue;
+			}
+
+			$triggers[] = array(
+				'type' => $type,
+				'value' => $trigger_value,
+				'duration' => glitter_bomb_sanitize_number(
+					isset( $trigger['duration'] ) ? $trigger['duration'] : 0,
+					0,
+					3600,
+					0
+				),
+			);
+		}
+
+		return $triggers;
+	}
+}
+
+/**
+ * Sanitize and validate the custom color palette
+ *
+ * Security: Every color goes through glitter_bomb_sanitize_color(), weights
+ * are bounded and the number of colors is capped. Invalid colors are dropped.
+ *
+ * @param mixed $value The palette from the block attributes
+ * @return array Validated colors with color and weight
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_palette' ) ) {
+	function glitter_bomb_sanitize_palette( $value ) {
+		$palette = array();
+
+		if ( ! is_array( $value ) ) {
+			return $palette;
+		}
+
+		// Limit the count to keep the data attribute small
+		foreach ( array_slice( $value, 0, 20 ) as $entry ) {
+			if ( ! is_array( $entry ) || ! isset( $entry['color'] ) ) {
+				continue;
+			}
+
+			$color = glitter_bomb_sanitize_color( $entry['color'], '' );
+			if ( '' === $color ) {
+				continue;
+			}
+
+			$palette[] = array(
+				'color' => $color,
+				'weight' => glitter_bomb_sanitize_number(
+					isset( $entry['weight'] ) ? $entry['weight'] : 1,
+					1,
+					10,
+					1
+				),
+			);
+		}
+
+		return $palette;
+	}
+}
+
+/**
+ * Sanitize and validate theme palette preset slugs
+ * 
+ * Security: Slugs are limited to the characters WordPress uses in preset
+ * CSS custom property names, and the number of presets is capped. An empty
+ * selection stays empty; render.php replaces it with every preset from
+ * glitter_bomb_get_theme_color_slugs().
+ *
+ * @param mixed $value The preset slugs from the block attributes
+ * @return array Validated preset slugs
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_theme_colors' ) ) {
+	function glitter_bomb_sanitize_theme_colors( $value ) {
+		$slugs = array();
+
+		if ( ! is_array( $value ) ) {
+			return $slugs;
+		}
+
+		// Limit the count to keep the data attribute small
+		foreach ( array_slice( $value, 0, 30 ) as $slug ) {
+			if ( is_string( $slug ) && preg_match( '/^[A-Za-z0-9_-]{1,100}$/', $slug ) && ! in_array( $slug, $slugs, true ) ) {
+				$slugs[] = $slug;
+			}
+		}
+
+		return $slugs;
+	}
+}
+
+/**
+ * Get the slugs of every color preset from the theme and the user's Global Styles
+ *
+ * Read from the global settings on each render, so new brand colors are
+ * picked up by blocks that use the whole theme palette.
+ *
+ * @return array Preset slugs, not yet validated
+ */
+if ( ! function_exists( 'glitter_bomb_get_theme_color_slugs' ) ) {
+	function glitter_bomb_get_theme_color_slugs() {
+		$palette = function_exists( 'wp_get_global_settings' ) ? wp_get_global_settings( array( 'color', 'palette' ) ) : array();
+		$slugs = array();
+
+		foreach ( array( 'theme', 'custom' ) as $origin ) {
+			if ( empty( $palette[ $origin ] ) || ! is_array( $palette[ $origin ] ) ) {
+				continue;
+			}
+			foreach ( $palette[ $origin ] as $preset ) {
+				if ( isset( $preset['slug'] ) ) {
+					$slugs[] = $preset['slug'];
+				}
+			}
+		}
+
+		return $slugs;
+	}
+}
+
+/**
+ * Sanitize and validate the schedule attributes
+ *
+ * Security: Dates and times must match their exact formats and be real
+ * calendar values, weekdays are whitelisted. Anything else counts as not set.
+ *
+ * @param array $attributes The block attributes
+ * @return array Schedule with start, end, yearly, days, time_start and time_end
+ */
+if ( ! function_exists( 'glitter_bomb_sanitize_schedule' ) ) {
+	function glitter_bomb_sanitize_schedule( $attributes ) {
+		$schedule = array(
+			'start' => '',
+			'end' => '',
+			'yearly' => isset( $attributes['scheduleYearly'] ) && $attributes['scheduleYearly'] === true,
+			'days' => array(),
+			'time_start' => '',
+			'time_end' => '',
+		);
+
+		// Date and time in the site timezone, as the editor's datetime-local field stores it
+		foreach ( array( 'start' => 'scheduleStart', 'end' => 'scheduleEnd' ) as $key => $attribute ) {
+			$value = isset( $attributes[ $attribute ] ) ? substr( (string) $attributes[ $attribute ], 0, 16 ) : '';
+			if ( preg_match( '/^(\d{4})-(\d{2})-(\d{2})T([01]\d|2[0-3]):[0-5]\d$/', $value, $matches ) && checkdate( (int) $matches[2], (int) $matches[3], (int) $matches[1] ) ) {
+				$schedule[ $key ] = $value;
+			}
+		}
+
+		foreach ( array( 'time_start' => 'scheduleTimeStart', 'time_end' => 'scheduleTimeEnd' ) as $key => $attribute ) {
+			$value = isset( $attributes[ $attribute ] ) ? (string) $attributes[ $attribute ] : '';
+			if ( preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $value ) ) {
+				$schedule[ $key ] = $value;
+			}
+		}
+
+		if ( isset( $attributes['scheduleDays'] ) && is_array( $attributes['scheduleDays'] ) ) {
+			foreach ( $attributes['scheduleDays'] as $day ) {
+				if ( is_numeric( $day ) && (int) $day >= 0 && (int) $day <= 6 && ! in_array( (int) $day, $schedule['days'], true ) ) {
+					$schedule['days'][] = (int) $day;
+				}
+			}
+		}
+
+		return $schedule;
+	}
+}
+
+/**
+ * Validate all block attributes
+ *
+ * Security: Every attribute is checked against its whitelist, bounds or
+ * format, and anything missing or invalid falls back to the block default.
+ * Used by render.php before output and by the presets REST API before a
+ * preset is stored, so saved and imported presets get the same limits as
+ * the frontend.
+ *
+ * @param array $attributes The block attributes
+ * @return array Validated attributes, keyed by attribute name
+ */
+if ( ! function_exists( 'glitter_bomb_validate_attributes' ) ) {
+	function glitter_bomb_validate_attributes( $attributes ) {
+		if ( ! is_array( $attributes ) ) {
+			$attributes = array();
+		}
+
+		$valid = array();
+
+		// Validate experience mode (whitelist)
+		$valid['experienceMode'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['experienceMode'] ) ? $attributes['experienceMode'] : 'particle-field',
+			array( 'sprinkle-trail', 'particle-field', 'confetti', 'falling', 'fireworks' ),
+			'particle-field'
+		);
+
+		// Validate color palettes (whitelist)
+		$valid['colorPalette'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['colorPalette'] ) ? $attributes['colorPalette'] : 'rainbow-cycling',
+			array( 'rainbow-cycling', 'metallic', 'neutral-spectrum', 'warm-sunset', 'cool-ocean', 'custom', 'theme' ),
+			'rainbow-cycling'
+		);
+
+		$valid['fieldColorPalette'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['fieldColorPalette'] ) ? $attributes['fieldColorPalette'] : 'metallic',
+			array( 'rainbow-cycling', 'metallic', 'neutral-spectrum', 'warm-sunset', 'cool-ocean', 'custom', 'theme' ),
+			'metallic'
+		);
+
+		// Validate display behavior (whitelist)
+		$valid['displayBehavior'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['displayBehavior'] ) ? $attributes['displayBehavior'] : 'compact',
+			array( 'scattered', 'compact' ),
+			'compact'
+		);
+
+		// Validate particle shapes (whitelist, single shape or mixed set)
+		$particle_shapes = array( 'circle', 'sparkle', 'star', 'heart', 'diamond', 'confetti', 'ring', 'twinkle', 'snowflake', 'petal' );
+
+		$valid['particleShape'] = glitter_bomb_sanitize_enum_list(
+			isset( $attributes['particleShape'] ) ? $attributes['particleShape'] : 'circle',
+			$particle_shapes,
+			'circle'
+		);
+
+		$valid['fieldParticleShape'] = glitter_bomb_sanitize_enum_list(
+			isset( $attributes['fieldParticleShape'] ) ? $attributes['fieldParticleShape'] : 'sparkle',
+			$particle_shapes,
+			'sparkle'
+		);
+
+		$valid['confettiShape'] = glitter_bomb_sanitize_enum_list(
+			isset( $attributes['confettiShape'] ) ? $attributes['confettiShape'] : 'confetti',
+			$particle_shapes,
+			'confetti'
+		);
+
+		// Validate confetti launch origin (whitelist)
+		$valid['confettiOrigin'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['confettiOrigin'] ) ? $attributes['confettiOrigin'] : 'bottom-corners',
+			array( 'bottom-corners', 'top-edge' ),
+			'bottom-corners'
+		);
+
+		// Validate falling preset (whitelist)
+		$valid['fallingPreset'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['fallingPreset'] ) ? $attributes['fallingPreset'] : 'snow',
+			array( 'snow', 'petals', 'glitter-rain' ),
+			'snow'
+		);
+
+		// Validate firework burst patterns (whitelist, comma-separated)
+		$valid['fireworksPatterns'] = glitter_bomb_sanitize_enum_list(
+			isset( $attributes['fireworksPatterns'] ) ? $attributes['fireworksPatterns'] : 'peony,willow,ring,crossette',
+			array( 'peony', 'willow', 'ring', 'crossette' ),
+			'peony,willow,ring,crossette'
+		);
+
+		// Validate renderer (whitelist)
+		$valid['renderer'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['renderer'] ) ? $attributes['renderer'] : 'auto',
+			array( 'auto', 'canvas' ),
+			'auto'
+		);
+
+		// Validate quality level (whitelist); auto adapts to the measured frame rate
+		$valid['quality'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['quality'] ) ? $attributes['quality'] : 'auto',
+			array( 'auto', 'high', 'balanced', 'low' ),
+			'auto'
+		);
+
+		// Validate effect scope (whitelist)
+		$valid['scope'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['scope'] ) ? $attributes['scope'] : 'viewport',
+			array( 'viewport', 'container' ),
+			'viewport'
+		);
+
+		// Validate button position (whitelist)
+		$valid['buttonPosition'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['buttonPosition'] ) ? $attributes['buttonPosition'] : 'bottom-right',
+			array( 'top-left', 'top-right', 'bottom-left', 'bottom-right' ),
+			'bottom-right'
+		);
+
+		// Validate numeric values with strict bounds (DoS prevention)
+		$valid['particleOpacity'] = glitter_bomb_sanitize_number(
+			isset( $attributes['particleOpacity'] ) ? $attributes['particleOpacity'] : 0.9,
+			0.1,
+			1.0,
+			0.9
+		);
+
+		$valid['particleSize'] = glitter_bomb_sanitize_number(
+			isset( $attributes['particleSize'] ) ? $attributes['particleSize'] : 10,
+			4,
+			30,
+			10
+		);
+
+		$valid['particleSizeMobile'] = glitter_bomb_sanitize_number(
+			isset( $attributes['particleSizeMobile'] ) ? $attributes['particleSizeMobile'] : 7.5,
+			3,
+			20,
+			7.5
+		);
+
+		$valid['fieldParticleSize'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fieldParticleSize'] ) ? $attributes['fieldParticleSize'] : 6,
+			2,
+			12,
+			6
+		);
+
+		$valid['fieldParticleSizeMobile'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fieldParticleSizeMobile'] ) ? $attributes['fieldParticleSizeMobile'] : 3,
+			1.5,
+			8,
+			3
+		);
+
+		$valid['animationDuration'] = glitter_bomb_sanitize_number(
+			isset( $attributes['animationDuration'] ) ? $attributes['animationDuration'] : 1500,
+			500,
+			5000,
+			1500
+		);
+
+		// How much the trail responds to stroke speed and to pen pressure or touch size
+		$valid['trailSpeedSensitivity'] = glitter_bomb_sanitize_number(
+			isset( $attributes['trailSpeedSensitivity'] ) ? $attributes['trailSpeedSensitivity'] : 0,
+			0,
+			1,
+			0
+		);
+
+		$valid['trailPressureSensitivity'] = glitter_bomb_sanitize_number(
+			isset( $attributes['trailPressureSensitivity'] ) ? $attributes['trailPressureSensitivity'] : 0,
+			0,
+			1,
+			0
+		);
+
+		// Enforce maximum particle limits to prevent resource exhaustion
+		$valid['maxParticles'] = glitter_bomb_sanitize_number(
+			isset( $attributes['maxParticles'] ) ? $attributes['maxParticles'] : 50,
+			10,
+			100,
+			50
+		);
+
+		$valid['fieldParticleCount'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fieldParticleCount'] ) ? $attributes['fieldParticleCount'] : 200,
+			50,
+			1000,
+			200
+		);
+
+		$valid['fieldMouseAttraction'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fieldMouseAttraction'] ) ? $attributes['fieldMouseAttraction'] : 0.5,
+			0,
+			1,
+			0.5
+		);
+
+		$valid['fieldSpreadStrength'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fieldSpreadStrength'] ) ? $attributes['fieldSpreadStrength'] : 0.3,
+			0,
+			1,
+			0.3
+		);
+
+		$valid['confettiBurstSize'] = glitter_bomb_sanitize_number(
+			isset( $attributes['confettiBurstSize'] ) ? $attributes['confettiBurstSize'] : 150,
+			20,
+			500,
+			150
+		);
+
+		$valid['confettiGravity'] = glitter_bomb_sanitize_number(
+			isset( $attributes['confettiGravity'] ) ? $attributes['confettiGravity'] : 0.25,
+			0.05,
+			1,
+			0.25
+		);
+
+		$valid['confettiRepeat'] = glitter_bomb_sanitize_number(
+			isset( $attributes['confettiRepeat'] ) ? $attributes['confettiRepeat'] : 1,
+			1,
+			10,
+			1
+		);
+
+		$valid['fallingDensity'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fallingDensity'] ) ? $attributes['fallingDensity'] : 120,
+			20,
+			500,
+			120
+		);
+
+		$valid['fallingSpeed'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fallingSpeed'] ) ? $attributes['fallingSpeed'] : 1,
+			0.2,
+			3,
+			1
+		);
+
+		$valid['fallingWind'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fallingWind'] ) ? $attributes['fallingWind'] : 0.2,
+			-1,
+			1,
+			0.2
+		);
+
+		$valid['fallingCursorGust'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fallingCursorGust'] ) ? $attributes['fallingCursorGust'] : 0,
+			0,
+			1,
+			0
+		);
+
+		$valid['fireworksFrequency'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fireworksFrequency'] ) ? $attributes['fireworksFrequency'] : 0.8,
+			0.2,
+			3,
+			0.8
+		);
+
+		$valid['fireworksBurstSize'] = glitter_bomb_sanitize_number(
+			isset( $attributes['fireworksBurstSize'] ) ? $attributes['fireworksBurstSize'] : 80,
+			20,
+			200,
+			80
+		);
+
+		// Random seed for a reproducible layout; 0 means a new one on every load
+		$valid['seed'] = (int) glitter_bomb_sanitize_number(
+			isset( $attributes['seed'] ) ? $attributes['seed'] : 0,
+			0,
+			2147483647,
+			0
+		);
+
+		// Validate colors (XSS prevention)
+		$valid['customColor'] = glitter_bomb_sanitize_color(
+			isset( $attributes['customColor'] ) ? $attributes['customColor'] : '#ff69b4',
+			'#ff69b4'
+		);
+
+		// Validate the custom palette (each color checked like the single custom color)
+		$valid['customColors'] = glitter_bomb_sanitize_palette( isset( $attributes['customColors'] ) ? $attributes['customColors'] : array() );
+
+		$valid['customPaletteMode'] = glitter_bomb_sanitize_enum(
+			isset( $attributes['customPaletteMode'] ) ? $attributes['customPaletteMode'] : 'cycle',
+			array( 'cycle', 'random' ),
+			'cycle'
+		);
+
+		// Validate the theme palette presets (empty means every preset, looked up on output)
+		$valid['themeColors'] = glitter_bomb_sanitize_theme_colors( isset( $attributes['themeColors'] ) ? $attributes['themeColors'] : array() );
+
+		$valid['enableButtonTextColor'] = glitter_bomb_sanitize_color(
+			isset( $attributes['enableButtonTextColor'] ) ? $attributes['enableButtonTextColor'] : '#000000',
+			'#000000'
+		);
+
+		$valid['enableButtonBackgroundColor'] = glitter_bomb_sanitize_color(
+			isset( $attributes['enableButtonBackgroundColor'] ) ? $attributes['enableButtonBackgroundColor'] : '#D4AF37',
+			'#D4AF37'
+		);
+
+		$valid['enableButtonGradientStart'] = glitter_bomb_sanitize_color(
+			isset( $attributes['enableButtonGradientStart'] ) ? $attributes['enableButtonGradientStart'] : '#D4AF37',
+			'#D4AF37'
+		);
+
+		$valid['enableButtonGradientEnd'] = glitter_bomb_sanitize_color(
+			isset( $attributes['enableButtonGradientEnd'] ) ? $attributes['enableButtonGradientEnd'] : '#B87333',
+			'#B87333'
+		);
+
+		$valid['disableButtonTextColor'] = glitter_bomb_sanitize_color(
+			isset( $attributes['disableButtonTextColor'] ) ? $attributes['disableButtonTextColor'] : '#000000',
+			'#000000'
+		);
+
+		$valid['disableButtonBackgroundColor'] = glitter_bomb_sanitize_color(
+			isset( $attributes['disableButtonBackgroundColor'] ) ? $attributes['disableButtonBackgroundColor'] : '#E5E4E2',
+			'#E5E4E2'
+		);
+
+		$valid['disableButtonGradientStart'] = glitter_bomb_sanitize_color(
+			isset( $attributes['disableButtonGradientStart'] ) ? $attributes['disableButtonGradientStart'] : '#E5E4E2',
+			'#E5E4E2'
+		);
+
+		$valid['disableButtonGradientEnd'] = glitter_bomb_sanitize_color(
+			isset( $attributes['disableButtonGradientEnd'] ) ? $attributes['disableButtonGradientEnd'] : '#C0C0C0',
+			'#C0C0C0'
+		);
+
+		// Validate text fields with length limits and sanitization (XSS prevention)
+		$valid['enableButtonText'] = isset( $attributes['enableButtonText'] )
+			? sanitize_text_field( substr( trim( (string) $attributes['enableButtonText'] ), 0, 100 ) )
+			: '✨ Enable Sparkles';
+
+		$valid['disableButtonText'] = isset( $attributes['disableButtonText'] )
+			? sanitize_text_field( substr( trim( (string) $attributes['disableButtonText'] ), 0, 100 ) )
+			: '✨ Disable Sparkles';
+
+		// Validate the burst key: one character, matched case-insensitively
+		$burst_key = isset( $attributes['keyboardBurstKey'] ) ? mb_substr( trim( sanitize_text_field( (string) $attributes['keyboardBurstKey'] ) ), 0, 1 ) : '';
+		$valid['keyboardBurstKey'] = '' !== $burst_key ? $burst_key : 'g';
+
+		// Validate boolean values (type safety)
+		$valid['enabledByDefault'] = isset( $attributes['enabledByDefault'] ) && $attributes['enabledByDefault'] === true;
+		$valid['fieldClickExplosion'] = isset( $attributes['fieldClickExplosion'] ) && $attributes['fieldClickExplosion'] === true;
+		$valid['keyboardInteraction'] = isset( $attributes['keyboardInteraction'] ) && $attributes['keyboardInteraction'] === true;
+		$valid['fallingGusts'] = ! isset( $attributes['fallingGusts'] ) || $attributes['fallingGusts'] === true;
+		$valid['fireworksClickLaunch'] = ! isset( $attributes['fireworksClickLaunch'] ) || $attributes['fireworksClickLaunch'] === true;
+		$valid['disableOnMobile'] = isset( $attributes['disableOnMobile'] ) && $attributes['disableOnMobile'] === true;
+		$valid['renderInWorker'] = isset( $attributes['renderInWorker'] ) && $attributes['renderInWorker'] === true;
+
+		// Validate activation triggers (each entry whitelisted and bounded)
+		$valid['triggers'] = glitter_bomb_sanitize_triggers( isset( $attributes['triggers'] ) ? $attributes['triggers'] : array() );
+
+		// Validate the schedule (dates, times and weekdays in their exact formats)
+		$schedule = glitter_bomb_sanitize_schedule( $attributes );
+		$valid['scheduleStart'] = $schedule['start'];
+		$valid['scheduleEnd'] = $schedule['end'];
+		$valid['scheduleYearly'] = $schedule['yearly'];
+		$valid['scheduleDays'] = $schedule['days'];
+		$valid['scheduleTimeStart'] = $schedule['time_start'];
+		$valid['scheduleTimeEnd'] = $schedule['time_end'];
+
+		return $valid;
+	}
+}
@@ -0,0 +1,322 @@
+/**
+ * Glitter Bomb - Button Config
+ *
+ * The settings the view script's bootstrap reads before the particle engine
+ * has loaded: what the toggle button looks like and says, where it sits, and
+ * whether the effect starts by itself. Also home to the color palettes the
+ * button's gradient comes from and the value parsers config.js shares.
+ *
+ * Nothing in this module may touch window or document.
+ */
+
+// Built-in color palettes; "custom" and "theme" come from the config (see getPaletteColors())
+export const COLOR_PALETTES = {
+	'rainbow-cycling': [
+		'#FF0000',
+		'#FF7F00',
+		'#FFFF00',
+		'#00FF00',
+		'#0000FF',
+		'#4B0082',
+		'#9400D3',
+	],
+	metallic: [
+		'#C0C0C0',
+		'#D4AF37',
+		'#E5E4E2',
+		'#B87333',
+		'#AAA9AD',
+		'#CD7F32',
+		'#CFCFCF',
+	],
+	'neutral-spectrum': [
+		'#8B8B8B',
+		'#A9A9A9',
+		'#C0C0C0',
+		'#D3D3D3',
+		'#E0E0E0',
+	],
+	'warm-sunset': [ '#FF6B6B', '#FFA07A', '#FFD700', '#FF8C00', '#FF4500' ],
+	'cool-ocean': [ '#00CED1', '#20B2AA', '#48D1CC', '#40E0D0', '#00FFFF' ],
+};
+
+// Palette names a palette setting accepts
+const PALETTE_NAMES = Object.keys( COLOR_PALETTES ).concat( [
+	'custom',
+	'theme',
+] );
+
+// Defaults for the button and startup settings (see DEFAULT_CONFIG in config.js for the rest)
+export const BUTTON_DEFAULTS = {
+	experienceMode: 'particle-field',
+	colorPalette: 'rainbow-cycling',
+	enableButtonText: '✨ Enable Sparkles',
+	disableButtonText: '✨ Disable Sparkles',
+	buttonPosition: 'bottom-right',
+	customColor: '#ff69b4',
+	customColors: [],
+	themeColors: [],
+	themePalette: [],
+	enabledByDefault: false,
+	enableButtonTextColor: '#ffffff',
+	enableButtonBgColor: '#667eea',
+	enableButtonGradientStart: '',
+	enableButtonGradientEnd: '',
+	disableButtonTextColor: '#ffffff',
+	disableButtonBgColor: '#f093fb',
+	disableButtonGradientStart: '',
+	disableButtonGradientEnd: '',
+	fieldColorPalette: 'metallic',
+	disableOnMobile: false,
+};
+
+/**
+ * Parse a number, keeping valid zeros and falling back on NaN
+ * Bounded values are clamped to the range render.php allows.
+ * @param {*}      value    Raw value (string from a data attribute or number)
+ * @param {number} fallback Value to use when parsing fails
+ * @param {number} min      Lowest allowed value (optional)
+ * @param {number} max      Highest allowed value (optional)
+ * @return {number} Parsed number
+ */
+export function toNumber( value, fallback, min, max ) {
+	const number = parseFloat( value );
+	if ( ! isFinite( number ) ) {
+		return fallback;
+	}
+	return Math.min(
+		max === undefined ? Infinity : max,
+		Math.max( min === undefined ? -Infinity : min, number )
+	);
+}
+
+/**
+ * Pick a value from a fixed set
+ * Runtime updates from theme code skip render.php, so unknown values must
+ * not get through to lookups like the palette tables.
+ * @param {*}      value    Raw value
+ * @param {Array}  allowed  Allowed values
+ * @param {string} fallback Value to use when the value isn't allowed
+ * @return {string} Allowed value
+ */
+export function toEnum( value, allowed, fallback ) {
+	return allowed.indexOf( value ) !== -1 ? value : fallback;
+}
+
+/**
+ * Parse a boolean from a data attribute string or a real boolean
+ * @param {*}       value    Raw value
+ * @param {boolean} fallback Value to use when the value is missing
+ * @return {boolean} Parsed boolean
+ */
+export function toBoolean( value, fallback ) {
+	if ( value === undefined || value === null ) {
+		return fallback;
+	}
+	return value === true || value === 'true';
+}
+
+/**
+ * Check a #RGB or #RRGGBB color
+ * Runtime updates skip render.php's sanitizing, and anything else would
+ * reach hexToRgb() as NaN channels.
+ * @param {*}      value    Raw value
+ * @param {string} fallback Color to use when the value isn't one
+ * @return {string} #RRGGBB color, or the fallback
+ */
+function toHex( value, fallback ) {
+	const match =
+		typeof value === 'string' &&
+		/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec( value );
+	if ( ! match ) {
+		return fallback;
+	}
+
+	// Expand shorthand so hexToRgb() can read it
+	let hex = match[ 1 ];
+	if ( hex.length === 3 ) {
+		hex = hex[ 0 ] + hex[ 0 ] + hex[ 1 ] + hex[ 1 ] + hex[ 2 ] + hex[ 2 ];
+	}
+	return '#' + hex;
+}
+
+/**
+ * Parse the custom palette from a JSON string (data attribute) or an array (block attributes)
+ * Entries without a #RGB or #RRGGBB color are dropped; missing weights count as 1
+ * @param {string|Array} value    Raw value
+ * @param {Array}        fallback Palette to use when the value can't be parsed
+ * @return {Array} Entries with a #RRGGBB color and a positive weight
+ */
+function toPalette( value, fallback ) {
+	if ( value === undefined || value === null ) {
+		return fallback;
+	}
+
+	let list = value;
+	if ( typeof value === 'string' ) {
+		try {
+			list = JSON.parse( value );
+		} catch ( error ) {
+			return fallback;
+		}
+	}
+	if ( ! Array.isArray( list ) ) {
+		return fallback;
+	}
+
+	const palette = [];
+	list.forEach( function ( entry ) {
+		const color = entry && toHex( entry.color, null );
+		if ( ! color ) {
+			return;
+		}
+
+		palette.push( {
+			color,
+			weight: Math.max( 0.01, toNumber( entry.weight, 1 ) ),
+		} );
+	} );
+	return palette;
+}
+
+/**
+ * Parse a list of color preset slugs from a JSON string (data attribute) or an array (block attributes)
+ * @param {string|Array} value    Raw value
+ * @param {Array}        fallback List to use when the value can't be parsed
+ * @return {Array} Slugs
+ */
+function toSlugs( value, fallback ) {
+	if ( value === undefined || value === null ) {
+		return fallback;
+	}
+
+	let list = value;
+	if ( typeof value === 'string' ) {
+		try {
+			list = JSON.parse( value );
+		} catch ( error ) {
+			return fallback;
+		}
+	}
+	if ( ! Array.isArray( list ) ) {
+		return fallback;
+	}
+
+	return list.filter( function ( slug, index ) {
+		return (
+			typeof slug === 'string' &&
+			/^[A-Za-z0-9_-]+$/.test( slug ) &&
+			list.indexOf( slug ) === index
+		);
+	} );
+}
+
+/**
+ * Build the button and startup settings from a source object
+ * Takes the same sources as parseConfig() (dataset or block attributes),
+ * which adds the engine settings to these.
+ * @param {Object} source   Dataset or attributes object
+ * @param {Object} defaults Config used for missing values
+ * @return {Object} Button settings
+ */
+export function parseButtonConfig( source, defaults ) {
+	defaults = defaults || BUTTON_DEFAULTS;
+	return {
+		experienceMode: toEnum(
+			source.experienceMode,
+			[
+				'sprinkle-trail',
+				'particle-field',
+				'confetti',
+				'falling',
+				'fireworks',
+			],
+			defaults.experienceMode
+		),
+		colorPalette: toEnum(
+			source.colorPalette,
+			PALETTE_NAMES,
+			defaults.colorPalette
+		),
+		enableButtonText: source.enableButtonText || defaults.enableButtonText,
+		disableButtonText:
+			source.disableButtonText || defaults.disableButtonText,
+		buttonPosition: toEnum(
+			source.buttonPosition,
+			[ 'top-left', 'top-right', 'bottom-left', 'bottom-right' ],
+			defaults.buttonPosition
+		),
+		customColor: toHex( source.customColor, defaults.customColor ),
+		customColors: toPalette( source.customColors, defaults.customColors ),
+		themeColors: toSlugs( source.themeColors, defaults.themeColors ),
+		// Hex colors of the theme presets, resolved by the DOM layer (not settable from outside)
+		themePalette: defaults.themePalette,
+		enabledByDefault: toBoolean(
+			source.enabledByDefault,
+			defaults.enabledByDefault
+		),
+		enableButtonTextColor: toHex(
+			source.enableButtonTextColor,
+			defaults.enableButtonTextColor
+		),
+		enableButtonBgColor: toHex(
+			source.enableButtonBgColor || source.enableButtonBackgroundColor,
+			defaults.enableButtonBgColor
+		),
+		enableButtonGradientStart: toHex(
+			source.enableButtonGradientStart,
+			defaults.enableButtonGradientStart
+		),
+		enableButtonGradientEnd: toHex(
+			source.enableButtonGradientEnd,
+			defaults.enableButtonGradientEnd
+		),
+		disableButtonTextColor: toHex(
+			source.disableButtonTextColor,
+			defaults.disableButtonTextColor
+		),
+		disableButtonBgColor: toHex(
+			source.disableButtonBgColor || source.disableButtonBackgroundColor,
+			defaults.disableButtonBgColor
+		),
+		disableButtonGradientStart: toHex(
+			source.disableButtonGradientStart,
+			defaults.disableButtonGradientStart
+		),
+		disableButtonGradientEnd: toHex(
+			source.disableButtonGradientEnd,
+			defaults.disableButtonGradientEnd
+		),
+		fieldColorPalette: toEnum(
+			source.fieldColorPalette,
+			PALETTE_NAMES,
+			defaults.fieldColorPalette
+		),
+		disableOnMobile: toBoolean(
+			source.disableOnMobile,
+			defaults.disableOnMobile
+		),
+	};
+}
+
+/**
+ * Colors of a palette for a config
+ * The custom palette falls back to the single custom color, and the theme
+ * palette to rainbow until any theme preset resolves.
+ * @param {Object} config  Parsed config
+ * @param {string} palette Palette name
+ * @return {Array} Hex colors
+ */
+export function getPaletteColors( config, palette ) {
+	if ( palette === 'custom' ) {
+		return config.customColors.length > 0
+			? config.customColors.map( function ( entry ) {
+					return entry.color;
+			  } )
+			: [ config.customColor ];
+	}
+	if ( palette === 'theme' && config.themePalette.length > 0 ) {
+		return config.themePalette;
+	}
+	return COLOR_PALETTES[ palette ] || COLOR_PALETTES[ 'rainbow-cycling' ];
+}
@@ -0,0 +1,355 @@
+/**
+ * Glitter Bomb - Engine Config
+ *
+ * Defaults and parsing for the engine settings, plus the named looks a setting
+ * can pick from (falling presets, firework patterns, quality levels). Loaded
+ * with the particle engine; the button and startup settings the view script's
+ * bootstrap needs up front come from button-config.js.
+ *
+ * Nothing in this module may touch window or document.
+ */
+
+import {
+	BUTTON_DEFAULTS,
+	parseButtonConfig,
+	toBoolean,
+	toEnum,
+	toNumber,
+} from './button-config';
+import { parseShapes } from './shapes';
+
+export { COLOR_PALETTES, getPaletteColors } from './button-config';
+
+// Quality levels: highest canvas pixel scale, share of the configured particle
+// counts, largest sprite size in device pixels (Canvas 2D), and how often the
+// field separation pass runs (every n-th physics step, 0 = never)
+export const QUALITY_LEVELS = {
+	low: { maxScale: 1, particles: 0.4, spriteExtent: 16, separationEvery: 0 },
+	balanced: {
+		maxScale: 1.5,
+		particles: 0.7,
+		spriteExtent: 32,
+		separationEvery: 2,
+	},
+	high: {
+		maxScale: Infinity,
+		particles: 1,
+		spriteExtent: Infinity,
+		separationEvery: 1,
+	},
+};
+
+// Falling mode looks: shapes, colors (null uses the color palette setting),
+// size in pixels, fall speed in pixels per physics step, sway amplitude and spin
+export const FALLING_PRESETS = {
+	snow: {
+		shapes: [ 'snowflake', 'circle' ],
+		colors: [ '#FFFFFF', '#F0F8FF', '#DDEEFF', '#E8F4FF' ],
+		size: 6,
+		speed: 1.2,
+		sway: 0.6,
+		spin: 0.01,
+	},
+	petals: {
+		shapes: [ 'petal' ],
+		colors: [ '#FFB7C5', '#FFC0CB', '#FF9EB5', '#FFE4EC', '#F8A5C2' ],
+		size: 8,
+		speed: 1.4,
+		sway: 1.4,
+		spin: 0.04,
+	},
+	'glitter-rain': {
+		shapes: [ 'sparkle', 'twinkle' ],
+		colors: null,
+		size: 4,
+		speed: 5,
+		sway: 0.15,
+		spin: 0.02,
+	},
+};
+
+// Fireworks burst patterns: spark shape, launch speed (pixels per physics step
+// on an 800px viewport), air drag, gravity and how much life is lost per step
+export const FIREWORK_PATTERNS = {
+	peony: {
+		shape: 'circle',
+		speed: 4,
+		drag: 0.96,
+		gravity: 0.04,
+		decay: 0.015,
+	},
+	willow: {
+		shape: 'circle',
+		speed: 3,
+		drag: 0.94,
+		gravity: 0.03,
+		decay: 0.006,
+	},
+	ring: {
+		shape: 'circle',
+		speed: 4,
+		drag: 0.96,
+		gravity: 0.03,
+		decay: 0.016,
+	},
+	crossette: {
+		shape: 'twinkle',
+		speed: 3.5,
+		drag: 0.96,
+		gravity: 0.035,
+		decay: 0.014,
+	},
+};
+
+/**
+ * Default engine configuration, used when a value is missing or invalid
+ */
+const DEFAULT_CONFIG = Object.assign( {}, BUTTON_DEFAULTS, {
+	particleOpacity: 0.9,
+	particleSize: 10,
+	particleSizeMobile: 7.5,
+	animationDuration: 1500,
+	customPaletteMode: 'cycle',
+	maxParticles: 50,
+	displayBehavior: 'compact',
+	trailSpeedSensitivity: 0,
+	trailPressureSensitivity: 0,
+	fieldParticleCount: 200,
+	fieldParticleSize: 6,
+	fieldParticleSizeMobile: 3,
+	fieldMouseAttraction: 0.5,
+	fieldSpreadStrength: 0.3,
+	fieldClickExplosion: false,
+	keyboardInteraction: false,
+	keyboardBurstKey: 'g',
+	renderInWorker: false,
+	renderer: 'auto',
+	particleShape: [ 'circle' ],
+	fieldParticleShape: [ 'sparkle' ],
+	confettiOrigin: 'bottom-corners',
+	confettiBurstSize: 150,
+	confettiGravity: 0.25,
+	confettiRepeat: 1,
+	confettiShape: [ 'confetti' ],
+	fallingPreset: 'snow',
+	fallingDensity: 120,
+	fallingSpeed: 1,
+	fallingWind: 0.2,
+	fallingGusts: true,
+	fallingCursorGust: 0,
+	fireworksFrequency: 0.8,
+	fireworksBurstSize: 80,
+	fireworksPatterns: [ 'peony', 'willow', 'ring', 'crossette' ],
+	fireworksClickLaunch: true,
+	seed: 0,
+	quality: 'auto',
+} );
+
+/**
+ * Parse the burst key: a single character
+ * @param {*}      value    Raw value
+ * @param {string} fallback Key to use when the value isn't one character
+ * @return {string} Key
+ */
+function toKey( value, fallback ) {
+	return typeof value === 'string' && Array.from( value ).length === 1
+		? value
+		: fallback;
+}
+
+/**
+ * Parse a list of allowed values from a comma-separated string or an array
+ * Unknown and duplicate values are dropped; an empty result falls back
+ * @param {string|Array} value    Raw value
+ * @param {Object}       allowed  Object keyed by the allowed values
+ * @param {Array}        fallback List to use when nothing valid is given
+ * @return {Array} Values
+ */
+function toList( value, allowed, fallback ) {
+	if ( value === undefined || value === null ) {
+		return fallback;
+	}
+
+	const list = (
+		Array.isArray( value ) ? value : String( value ).split( ',' )
+	).filter( function ( item, index, all ) {
+		return allowed.hasOwnProperty( item ) && all.indexOf( item ) === index;
+	} );
+	return list.length > 0 ? list : fallback;
+}
+
+/**
+ * Build an engine config from a source object
+ *
+ * The source is either the block element's dataset (frontend) or the block
+ * attributes (editor preview, public API). Missing values fall back to the given defaults,
+ * which lets the same function apply partial updates to an existing config.
+ * Named values must be known and particle counts stay within the limits
+ * render.php enforces, since the public API hands theme code's values
+ * straight to the engine.
+ *
+ * @param {Object} source   Dataset or attributes object
+ * @param {Object} defaults Config used for missing values
+ * @return {Object} Normalized config
+ */
+export function parseConfig( source, defaults ) {
+	defaults = defaults || DEFAULT_CONFIG;
+	return Object.assign( parseButtonConfig( source, defaults ), {
+		particleOpacity: toNumber(
+			source.particleOpacity,
+			defaults.particleOpacity
+		),
+		particleSize: toNumber( source.particleSize, defaults.particleSize ),
+		particleSizeMobile: toNumber(
+			source.particleSizeMobile,
+			defaults.particleSizeMobile
+		),
+		animationDuration: toNumber(
+			source.animationDuration,
+			defaults.animationDuration
+		),
+		customPaletteMode: toEnum(
+			source.customPaletteMode,
+			[ 'cycle', 'random' ],
+			defaults.customPaletteMode
+		),
+		maxParticles: toNumber(
+			source.maxParticles,
+			defaults.maxParticles,
+			10,
+			100
+		),
+		displayBehavior: toEnum(
+			source.displayBehavior,
+			[ 'scattered', 'compact' ],
+			defaults.displayBehavior
+		),
+		trailSpeedSensitivity: toNumber(
+			source.trailSpeedSensitivity,
+			defaults.trailSpeedSensitivity
+		),
+		trailPressureSensitivity: toNumber(
+			source.trailPressureSensitivity,
+			defaults.trailPressureSensitivity
+		),
+		fieldParticleCount: toNumber(
+			source.fieldParticleCount,
+			defaults.fieldParticleCount,
+			50,
+			1000
+		),
+		fieldParticleSize: toNumber(
+			source.fieldParticleSize,
+			defaults.fieldParticleSize
+		),
+		fieldParticleSizeMobile: toNumber(
+			source.fieldParticleSizeMobile,
+			defaults.fieldParticleSizeMobile
+		),
+		fieldMouseAttraction: toNumber(
+			source.fieldMouseAttraction,
+			defaults.fieldMouseAttraction
+		),
+		fieldSpreadStrength: toNumber(
+			source.fieldSpreadStrength,
+			defaults.fieldSpreadStrength
+		),
+		fieldClickExplosion: toBoolean(
+			source.fieldClickExplosion,
+			defaults.fieldClickExplosion
+		),
+		keyboardInteraction: toBoolean(
+			source.keyboardInteraction,
+			defaults.keyboardInteraction
+		),
+		keyboardBurstKey: toKey(
+			source.keyboardBurstKey,
+			defaults.keyboardBurstKey
+		),
+		renderInWorker: toBoolean(
+			source.renderInWorker,
+			defaults.renderInWorker
+		),
+		renderer: toEnum(
+			source.renderer,
+			[ 'auto', 'canvas' ],
+			defaults.renderer
+		),
+		particleShape: parseShapes(
+			source.particleShape,
+			defaults.particleShape
+		),
+		fieldParticleShape: parseShapes(
+			source.fieldParticleShape,
+			defaults.fieldParticleShape
+		),
+		confettiOrigin: toEnum(
+			source.confettiOrigin,
+			[ 'bottom-corners', 'top-edge' ],
+			defaults.confettiOrigin
+		),
+		confettiBurstSize: toNumber(
+			source.confettiBurstSize,
+			defaults.confettiBurstSize,
+			20,
+			500
+		),
+		confettiGravity: toNumber(
+			source.confettiGravity,
+			defaults.confettiGravity
+		),
+		confettiRepeat: toNumber(
+			source.confettiRepeat,
+			defaults.confettiRepeat,
+			1,
+			10
+		),
+		confettiShape: parseShapes(
+			source.confettiShape,
+			defaults.confettiShape
+		),
+		fallingPreset: FALLING_PRESETS.hasOwnProperty( source.fallingPreset )
+			? source.fallingPreset
+			: defaults.fallingPreset,
+		fallingDensity: toNumber(
+			source.fallingDensity,
+			defaults.fallingDensity,
+			20,
+			500
+		),
+		fallingSpeed: toNumber( source.fallingSpeed, defaults.fallingSpeed ),
+		fallingWind: toNumber( source.fallingWind, defaults.fallingWind ),
+		fallingGusts: toBoolean( source.fallingGusts, defaults.fallingGusts ),
+		fallingCursorGust: toNumber(
+			source.fallingCursorGust,
+			defaults.fallingCursorGust
+		),
+		fireworksFrequency: toNumber(
+			source.fireworksFrequency,
+			defaults.fireworksFrequency,
+			0.2,
+			3
+		),
+		fireworksBurstSize: toNumber(
+			source.fireworksBurstSize,
+			defaults.fireworksBurstSize,
+			20,
+			200
+		),
+		fireworksPatterns: toList(
+			source.fireworksPatterns,
+			FIREWORK_PATTERNS,
+			defaults.fireworksPatterns
+		),
+		fireworksClickLaunch: toBoolean(
+			source.fireworksClickLaunch,
+			defaults.fireworksClickLaunch
+		),
+		seed: toNumber( source.seed, defaults.seed ),
+		quality: toEnum(
+			source.quality,
+			[ 'auto' ].concat( Object.keys( QUALITY_LEVELS ) ),
+			defaults.quality
+		),
+	} );
+}
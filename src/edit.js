@@ -4,7 +4,8 @@
  * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-i18n/
  */
 import { __ } from '@wordpress/i18n';
-import { useState } from '@wordpress/element';
+import { useState, useRef, useMemo } from '@wordpress/element';
+import { date } from '@wordpress/date';
 
 /**
  * React hook that is used to mark the block wrapper element.
@@ -12,8 +13,8 @@ import { useState } from '@wordpress/element';
  *
  * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-block-editor/#useblockprops
  */
-import { useBlockProps, InspectorControls, PanelColorSettings } from '@wordpress/block-editor';
-import { PanelBody, SelectControl, ToggleControl, RangeControl, TextControl, Notice, Button } from '@wordpress/components';
+import { useBlockProps, InspectorControls, InnerBlocks, PanelColorSettings } from '@wordpress/block-editor';
+import { PanelBody, SelectControl, ToggleControl, RangeControl, TextControl, Notice, Button, CheckboxControl } from '@wordpress/components';
 import { chevronDown, chevronUp } from '@wordpress/icons';
 
 /**
@@ -24,6 +25,18 @@ import { chevronDown, chevronUp } from '@wordpress/icons';
  */
 import './editor.scss';
 
+/**
+ * Internal dependencies
+ */
+import useParticlePreview from './use-particle-preview';
+import ShapePicker from './shape-picker';
+import TriggerList from './trigger-list';
+import PaletteBuilder from './palette-builder';
+import ThemePalettePicker, { useThemePresets } from './theme-palette';
+import ScheduleControls from './schedule-controls';
+import PresetManager from './preset-manager';
+import { getScheduleStatus } from './schedule';
+
 /**
  * The edit function describes the structure of your block in the context of the
  * editor. This represents what the editor will render when the block is used.
@@ -44,6 +57,9 @@ export default function Edit( { attributes, setAttributes } ) {
 		disableButtonText,
 		buttonPosition,
 		customColor,
+		customColors,
+		customPaletteMode,
+		themeColors,
 		maxParticles,
 		enabledByDefault,
 		enableButtonTextColor,
@@ -55,6 +71,8 @@ export default function Edit( { attributes, setAttributes } ) {
 		disableButtonGradientStart,
 		disableButtonGradientEnd,
 		displayBehavior,
+		trailSpeedSensitivity,
+		trailPressureSensitivity,
 		fieldColorPalette,
 		fieldParticleCount,
 		fieldParticleSize,
@@ -62,15 +80,132 @@ export default function Edit( { attributes, setAttributes } ) {
 		fieldMouseAttraction,
 		fieldSpreadStrength,
 		fieldClickExplosion,
+		keyboardInteraction,
+		keyboardBurstKey,
 		disableOnMobile,
+		renderInWorker,
+		seed,
+		renderer,
+		quality,
+		scope,
+		triggers,
+		particleShape,
+		fieldParticleShape,
+		confettiOrigin,
+		confettiBurstSize,
+		confettiGravity,
+		confettiRepeat,
+		confettiShape,
+		fallingPreset,
+		fallingDensity,
+		fallingSpeed,
+		fallingWind,
+		fallingGusts,
+		fallingCursorGust,
+		fireworksFrequency,
+		fireworksBurstSize,
+		fireworksPatterns,
+		fireworksClickLaunch,
 	} = attributes;
 
 	const isSprinkleTrail = experienceMode === 'sprinkle-trail';
 	const isParticleField = experienceMode === 'particle-field';
+	const isConfetti = experienceMode === 'confetti';
+	const isFalling = experienceMode === 'falling';
+	const isFireworks = experienceMode === 'fireworks';
+
+	const experienceLabels = {
+		'sprinkle-trail': __( 'Sprinkle Trail', 'glitter-bomb' ),
+		'particle-field': __( 'Particle Field', 'glitter-bomb' ),
+		confetti: __( 'Confetti Celebration', 'glitter-bomb' ),
+		falling: __( 'Falling (Snow, Petals, Glitter Rain)', 'glitter-bomb' ),
+		fireworks: __( 'Fireworks', 'glitter-bomb' ),
+	};
+	const experienceHelp = {
+		'sprinkle-trail': __( 'Particles follow cursor with optional scatter or compact trail effect', 'glitter-bomb' ),
+		'particle-field': __( 'Magical full-screen field of shimmering glitter particles with physics-based movement', 'glitter-bomb' ),
+		confetti: __( 'One-shot burst of confetti that flutters down and falls off the screen, then switches itself off', 'glitter-bomb' ),
+		falling: __( 'Weather-style particles that keep falling from the top of the screen, drifting with the wind', 'glitter-bomb' ),
+		fireworks: __( 'Rockets launch from the bottom of the screen and burst into sparks at the top of their flight', 'glitter-bomb' ),
+	};
+	const experienceSummaries = {
+		'sprinkle-trail': __( '✨ Sprinkle Trail Mode', 'glitter-bomb' ),
+		'particle-field': __( '💫 Particle Field Mode', 'glitter-bomb' ),
+		confetti: __( '🎉 Confetti Celebration Mode', 'glitter-bomb' ),
+		falling: __( '❄️ Falling Mode', 'glitter-bomb' ),
+		fireworks: __( '🎆 Fireworks Mode', 'glitter-bomb' ),
+	};
+	const fallingPresetLabels = {
+		snow: __( 'Snow', 'glitter-bomb' ),
+		petals: __( 'Petals', 'glitter-bomb' ),
+		'glitter-rain': __( 'Glitter Rain', 'glitter-bomb' ),
+	};
+	const fireworkPatternLabels = {
+		peony: __( 'Peony (sphere of sparks)', 'glitter-bomb' ),
+		willow: __( 'Willow (drooping, long-lasting)', 'glitter-bomb' ),
+		ring: __( 'Ring', 'glitter-bomb' ),
+		crossette: __( 'Crossette (stars that split in four)', 'glitter-bomb' ),
+	};
+	const selectedPatterns = ( fireworksPatterns || '' ).split( ',' ).filter( ( pattern ) => fireworkPatternLabels.hasOwnProperty( pattern ) );
+
+	// Keep at least one pattern selected, in the order they are listed
+	const toggleFireworkPattern = ( pattern, isChecked ) => {
+		const next = Object.keys( fireworkPatternLabels ).filter( ( id ) => {
+			return id === pattern ? isChecked : selectedPatterns.indexOf( id ) !== -1;
+		} );
+
+		if ( next.length > 0 ) {
+			setAttributes( { fireworksPatterns: next.join( ',' ) } );
+		}
+	};
+
+	// Every mode shares one custom palette, shown under whichever palette select picked it
+	const customPaletteControls = (
+		<PaletteBuilder
+			value={ customColors }
+			fallback={ customColor }
+			mode={ customPaletteMode }
+			onChange={ ( value ) => setAttributes( { customColors: value } ) }
+			onModeChange={ ( value ) => setAttributes( { customPaletteMode: value } ) }
+		/>
+	);
+
+	const themePaletteControls = (
+		<ThemePalettePicker
+			value={ themeColors }
+			onChange={ ( value ) => setAttributes( { themeColors: value } ) }
+		/>
+	);
+
+	// Whether the schedule lets the effect run right now, in the site timezone
+	const scheduleStatus = getScheduleStatus( attributes, date( 'Y-m-d\\TH:i' ), Number( date( 'w' ) ) );
+	const scheduleLabels = {
+		live: __( '🟢 Live now', 'glitter-bomb' ),
+		waiting: __( '🕒 Scheduled, not live right now', 'glitter-bomb' ),
+		ended: __( '⏹️ Schedule ended', 'glitter-bomb' ),
+	};
+
+	const customPaletteSummary = customPaletteMode === 'random'
+		? __( 'Custom (random)', 'glitter-bomb' )
+		: __( 'Custom (cycling)', 'glitter-bomb' );
 
 	// Local state for collapsed/expanded view
 	const [ isExpanded, setIsExpanded ] = useState( false );
 
+	// Live preview runs the real particle engine inside the placeholder
+	const [ isPreviewEnabled, setIsPreviewEnabled ] = useState( true );
+	const blockRef = useRef();
+
+	// An empty theme color selection means every preset; the frontend gets the slugs from render.php
+	const themePresetSlugs = useThemePresets().map( ( preset ) => preset.slug ).join( ',' );
+	const previewAttributes = useMemo( () => {
+		if ( themeColors && themeColors.length > 0 ) {
+			return attributes;
+		}
+		return { ...attributes, themeColors: themePresetSlugs ? themePresetSlugs.split( ',' ) : [] };
+	}, [ attributes, themeColors, themePresetSlugs ] );
+	useParticlePreview( blockRef, previewAttributes, isPreviewEnabled );
+
 	return (
 		<>
 			<InspectorControls>
@@ -78,15 +213,50 @@ export default function Edit( { attributes, setAttributes } ) {
 					<SelectControl
 						label={ __( 'Experience Mode', 'glitter-bomb' ) }
 						value={ experienceMode }
+						options={ Object.keys( experienceLabels ).map( ( value ) => ( {
+							label: experienceLabels[ value ],
+							value,
+						} ) ) }
+						onChange={ ( value ) => setAttributes( { experienceMode: value } ) }
+						help={ experienceHelp[ experienceMode ] }
+					/>
+					<SelectControl
+						label={ __( 'Effect Area', 'glitter-bomb' ) }
+						value={ scope }
 						options={ [
-							{ label: __( 'Sprinkle Trail', 'glitter-bomb' ), value: 'sprinkle-trail' },
-							{ label: __( 'Particle Field', 'glitter-bomb' ), value: 'particle-field' },
+							{ label: __( 'Whole page', 'glitter-bomb' ), value: 'viewport' },
+							{ label: __( 'This block only', 'glitter-bomb' ), value: 'container' },
 						] }
-						onChange={ ( value ) => setAttributes( { experienceMode: value } ) }
-						help={ experienceMode === 'sprinkle-trail' 
-							? __( 'Particles follow cursor with optional scatter or compact trail effect', 'glitter-bomb' )
-							: __( 'Magical full-screen field of shimmering glitter particles with physics-based movement', 'glitter-bomb' )
-						}
+						onChange={ ( value ) => setAttributes( { scope: value } ) }
+						help={ __( 'This block only: the effect stays inside the block and the blocks nested in it, e.g. a hero section or cover.', 'glitter-bomb' ) }
+					/>
+					<ToggleControl
+						label={ __( 'Live Preview', 'glitter-bomb' ) }
+						help={ scope === 'container'
+							? __( 'Run the effect inside this block while editing.', 'glitter-bomb' )
+							: __( 'Run the effect inside this block while editing. On the frontend it still covers the whole page.', 'glitter-bomb' ) }
+						checked={ isPreviewEnabled }
+						onChange={ ( value ) => setIsPreviewEnabled( value ) }
+					/>
+				</PanelBody>
+
+				<PanelBody title={ __( 'Triggers', 'glitter-bomb' ) } initialOpen={ false }>
+					<p className="glitter-bomb-panel-description">
+						{ __( 'Start the effect automatically when something happens on the page. Triggered runs are not remembered, and reduced motion turns triggers off.', 'glitter-bomb' ) }
+					</p>
+					<TriggerList
+						value={ triggers }
+						onChange={ ( value ) => setAttributes( { triggers: value } ) }
+					/>
+				</PanelBody>
+
+				<PanelBody title={ __( 'Schedule', 'glitter-bomb' ) } initialOpen={ false }>
+					<p className="glitter-bomb-panel-description">
+						{ __( 'Only show the effect during a date window, on certain days or at certain times. Outside the window the effect is left out of the page; nested blocks still show.', 'glitter-bomb' ) }
+					</p>
+					<ScheduleControls
+						attributes={ attributes }
+						setAttributes={ setAttributes }
 					/>
 				</PanelBody>
 
@@ -102,6 +272,37 @@ export default function Edit( { attributes, setAttributes } ) {
 					</Notice>
 				</PanelBody>
 
+				<PanelBody title={ __( 'Performance', 'glitter-bomb' ) } initialOpen={ false }>
+					<SelectControl
+						label={ __( 'Renderer', 'glitter-bomb' ) }
+						value={ renderer }
+						options={ [
+							{ label: __( 'Automatic (WebGL when available)', 'glitter-bomb' ), value: 'auto' },
+							{ label: __( 'Canvas 2D', 'glitter-bomb' ), value: 'canvas' },
+						] }
+						onChange={ ( value ) => setAttributes( { renderer: value } ) }
+						help={ __( 'WebGL draws every particle in a single pass, which allows much higher particle counts. Devices without WebGL fall back to Canvas 2D automatically.', 'glitter-bomb' ) }
+					/>
+					<SelectControl
+						label={ __( 'Quality', 'glitter-bomb' ) }
+						value={ quality }
+						options={ [
+							{ label: __( 'Automatic (adapts to the device)', 'glitter-bomb' ), value: 'auto' },
+							{ label: __( 'High', 'glitter-bomb' ), value: 'high' },
+							{ label: __( 'Balanced', 'glitter-bomb' ), value: 'balanced' },
+							{ label: __( 'Low', 'glitter-bomb' ), value: 'low' },
+						] }
+						onChange={ ( value ) => setAttributes( { quality: value } ) }
+						help={ __( 'Lower levels draw at a lower resolution with fewer particles, simpler shapes and less particle spacing work. Automatic watches the frame rate and steps down when frames are missed, then back up once the device keeps up again.', 'glitter-bomb' ) }
+					/>
+					<ToggleControl
+						label={ __( 'Render in Background Thread', 'glitter-bomb' ) }
+						help={ __( 'Runs particle physics and drawing in a Web Worker with OffscreenCanvas, so scrolling and input stay responsive on content-heavy pages. Browsers without OffscreenCanvas automatically use the regular renderer.', 'glitter-bomb' ) }
+						checked={ renderInWorker }
+						onChange={ ( value ) => setAttributes( { renderInWorker: value } ) }
+					/>
+				</PanelBody>
+
 				<PanelBody title={ __( 'Button Settings', 'glitter-bomb' ) } initialOpen={ false }>
 					<ToggleControl
 						label={ __( 'Enable by default', 'glitter-bomb' ) }
@@ -224,24 +425,23 @@ export default function Edit( { attributes, setAttributes } ) {
 								{ label: __( 'Neutral Spectrum (cycling)', 'glitter-bomb' ), value: 'neutral-spectrum' },
 								{ label: __( 'Warm Sunset (cycling)', 'glitter-bomb' ), value: 'warm-sunset' },
 								{ label: __( 'Cool Ocean (cycling)', 'glitter-bomb' ), value: 'cool-ocean' },
-								{ label: __( 'Custom Color', 'glitter-bomb' ), value: 'custom' },
+								{ label: __( 'Theme Palette (cycling)', 'glitter-bomb' ), value: 'theme' },
+								{ label: __( 'Custom Palette', 'glitter-bomb' ), value: 'custom' },
 							] }
 							onChange={ ( value ) => setAttributes( { colorPalette: value } ) }
-							help={ __( 'Choose a color palette for the particles. All palettes except Custom cycle through colors automatically.', 'glitter-bomb' ) }
-						/>
-
-						{ colorPalette === 'custom' && (
-							<PanelColorSettings
-								title={ __( 'Custom Particle Color', 'glitter-bomb' ) }
-								colorSettings={ [
-									{
-										value: customColor,
-										onChange: ( value ) => setAttributes( { customColor: value } ),
-										label: __( 'Particle Color', 'glitter-bomb' ),
-									},
-								] }
-							/>
-						) }
+							help={ __( 'Choose a color palette for the particles. Built-in palettes cycle through their colors; a custom palette can cycle or pick colors at random.', 'glitter-bomb' ) }
+						/>
+
+						{ colorPalette === 'custom' && customPaletteControls }
+						{ colorPalette === 'theme' && themePaletteControls }
+
+						<ShapePicker
+							label={ __( 'Particle Shape', 'glitter-bomb' ) }
+							value={ particleShape }
+							fallback="circle"
+							onChange={ ( value ) => setAttributes( { particleShape: value } ) }
+							help={ __( 'Pick one shape, or several for a mixed trail.', 'glitter-bomb' ) }
+						/>
 
 						<RangeControl
 							label={ __( 'Particle Opacity', 'glitter-bomb' ) }
@@ -283,6 +483,26 @@ export default function Edit( { attributes, setAttributes } ) {
 							help={ __( 'How long particles take to fade out', 'glitter-bomb' ) }
 						/>
 
+						<RangeControl
+							label={ __( 'Speed Sensitivity', 'glitter-bomb' ) }
+							value={ trailSpeedSensitivity }
+							onChange={ ( value ) => setAttributes( { trailSpeedSensitivity: value } ) }
+							min={ 0 }
+							max={ 1 }
+							step={ 0.1 }
+							help={ __( 'How much the trail follows the stroke: fast strokes leave long, thin streaks that fade quickly, slow ones build up dense twinkles. 0 keeps every particle the same.', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Pressure Sensitivity', 'glitter-bomb' ) }
+							value={ trailPressureSensitivity }
+							onChange={ ( value ) => setAttributes( { trailPressureSensitivity: value } ) }
+							min={ 0 }
+							max={ 1 }
+							step={ 0.1 }
+							help={ __( 'How much pen pressure, or how firmly a finger presses, changes the particle size. Mouse trails are not affected.', 'glitter-bomb' ) }
+						/>
+
 						<RangeControl
 							label={ __( 'Maximum Particles', 'glitter-bomb' ) }
 							value={ maxParticles }
@@ -306,31 +526,30 @@ export default function Edit( { attributes, setAttributes } ) {
 								{ label: __( 'Neutral Spectrum (cycling)', 'glitter-bomb' ), value: 'neutral-spectrum' },
 								{ label: __( 'Warm Sunset (cycling)', 'glitter-bomb' ), value: 'warm-sunset' },
 								{ label: __( 'Cool Ocean (cycling)', 'glitter-bomb' ), value: 'cool-ocean' },
-								{ label: __( 'Custom Color', 'glitter-bomb' ), value: 'custom' },
+								{ label: __( 'Theme Palette (cycling)', 'glitter-bomb' ), value: 'theme' },
+								{ label: __( 'Custom Palette', 'glitter-bomb' ), value: 'custom' },
 							] }
 							onChange={ ( value ) => setAttributes( { fieldColorPalette: value } ) }
 							help={ __( 'Choose a color palette for the glitter particles', 'glitter-bomb' ) }
 						/>
 
-						{ fieldColorPalette === 'custom' && (
-							<PanelColorSettings
-								title={ __( 'Custom Particle Color', 'glitter-bomb' ) }
-								colorSettings={ [
-									{
-										value: customColor,
-										onChange: ( value ) => setAttributes( { customColor: value } ),
-										label: __( 'Particle Color', 'glitter-bomb' ),
-									},
-								] }
-							/>
-						) }
+						{ fieldColorPalette === 'custom' && customPaletteControls }
+						{ fieldColorPalette === 'theme' && themePaletteControls }
+
+						<ShapePicker
+							label={ __( 'Particle Shape', 'glitter-bomb' ) }
+							value={ fieldParticleShape }
+							fallback="sparkle"
+							onChange={ ( value ) => setAttributes( { fieldParticleShape: value } ) }
+							help={ __( 'Pick one shape, or several for a mixed field.', 'glitter-bomb' ) }
+						/>
 
 						<RangeControl
 							label={ __( 'Particle Count', 'glitter-bomb' ) }
 							value={ fieldParticleCount }
 							onChange={ ( value ) => setAttributes( { fieldParticleCount: value } ) }
 							min={ 50 }
-							max={ 500 }
+							max={ 1000 }
 							step={ 25 }
 							help={ __( 'Number of glitter particles in the field', 'glitter-bomb' ) }
 						/>
@@ -381,9 +600,248 @@ export default function Edit( { attributes, setAttributes } ) {
 							checked={ fieldClickExplosion }
 							onChange={ ( value ) => setAttributes( { fieldClickExplosion: value } ) }
 						/>
+
+						<TextControl
+							type="number"
+							label={ __( 'Layout Seed', 'glitter-bomb' ) }
+							value={ seed || '' }
+							min={ 1 }
+							onChange={ ( value ) => setAttributes( { seed: Math.min( 2147483647, Math.max( 0, parseInt( value, 10 ) || 0 ) ) } ) }
+							help={ __( 'Any whole number gives the same layout and movement on every visit. Leave empty for a new layout each time.', 'glitter-bomb' ) }
+						/>
+					</PanelBody>
+				) }
+
+				{ isConfetti && (
+					<PanelBody title={ __( 'Confetti Settings', 'glitter-bomb' ) } initialOpen={ true }>
+						<SelectControl
+							label={ __( 'Launch Origin', 'glitter-bomb' ) }
+							value={ confettiOrigin }
+							options={ [
+								{ label: __( 'Bottom Corners', 'glitter-bomb' ), value: 'bottom-corners' },
+								{ label: __( 'Top Edge', 'glitter-bomb' ), value: 'top-edge' },
+							] }
+							onChange={ ( value ) => setAttributes( { confettiOrigin: value } ) }
+							help={ __( 'Bottom Corners: fired up and inwards from both lower corners. Top Edge: rains down across the whole width.', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Burst Size', 'glitter-bomb' ) }
+							value={ confettiBurstSize }
+							onChange={ ( value ) => setAttributes( { confettiBurstSize: value } ) }
+							min={ 20 }
+							max={ 500 }
+							step={ 10 }
+							help={ __( 'Number of confetti pieces in each burst', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Gravity', 'glitter-bomb' ) }
+							value={ confettiGravity }
+							onChange={ ( value ) => setAttributes( { confettiGravity: value } ) }
+							min={ 0.05 }
+							max={ 1 }
+							step={ 0.05 }
+							help={ __( 'Lower values make the confetti float down more slowly', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Repeat Count', 'glitter-bomb' ) }
+							value={ confettiRepeat }
+							onChange={ ( value ) => setAttributes( { confettiRepeat: value } ) }
+							min={ 1 }
+							max={ 10 }
+							step={ 1 }
+							help={ __( 'Number of bursts per celebration, launched about 1.5 seconds apart', 'glitter-bomb' ) }
+						/>
+
+						<SelectControl
+							label={ __( 'Color Palette', 'glitter-bomb' ) }
+							value={ colorPalette }
+							options={ [
+								{ label: __( 'Rainbow', 'glitter-bomb' ), value: 'rainbow-cycling' },
+								{ label: __( 'Metallic', 'glitter-bomb' ), value: 'metallic' },
+								{ label: __( 'Neutral Spectrum', 'glitter-bomb' ), value: 'neutral-spectrum' },
+								{ label: __( 'Warm Sunset', 'glitter-bomb' ), value: 'warm-sunset' },
+								{ label: __( 'Cool Ocean', 'glitter-bomb' ), value: 'cool-ocean' },
+								{ label: __( 'Theme Palette', 'glitter-bomb' ), value: 'theme' },
+								{ label: __( 'Custom Palette', 'glitter-bomb' ), value: 'custom' },
+							] }
+							onChange={ ( value ) => setAttributes( { colorPalette: value } ) }
+							help={ __( 'Each piece gets a random color from the palette', 'glitter-bomb' ) }
+						/>
+
+						{ colorPalette === 'custom' && customPaletteControls }
+						{ colorPalette === 'theme' && themePaletteControls }
+
+						<ShapePicker
+							label={ __( 'Particle Shape', 'glitter-bomb' ) }
+							value={ confettiShape }
+							fallback="confetti"
+							onChange={ ( value ) => setAttributes( { confettiShape: value } ) }
+							help={ __( 'Pick one shape, or several for a mixed burst.', 'glitter-bomb' ) }
+						/>
+					</PanelBody>
+				) }
+
+				{ isFalling && (
+					<PanelBody title={ __( 'Falling Settings', 'glitter-bomb' ) } initialOpen={ true }>
+						<SelectControl
+							label={ __( 'Preset', 'glitter-bomb' ) }
+							value={ fallingPreset }
+							options={ Object.keys( fallingPresetLabels ).map( ( value ) => ( {
+								label: fallingPresetLabels[ value ],
+								value,
+							} ) ) }
+							onChange={ ( value ) => setAttributes( { fallingPreset: value } ) }
+							help={ __( 'Sets the shapes, colors, size and how the particles sway. Glitter Rain uses the color palette below.', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Density', 'glitter-bomb' ) }
+							value={ fallingDensity }
+							onChange={ ( value ) => setAttributes( { fallingDensity: value } ) }
+							min={ 20 }
+							max={ 500 }
+							step={ 10 }
+							help={ __( 'Number of particles on screen at once', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Fall Speed', 'glitter-bomb' ) }
+							value={ fallingSpeed }
+							onChange={ ( value ) => setAttributes( { fallingSpeed: value } ) }
+							min={ 0.2 }
+							max={ 3 }
+							step={ 0.1 }
+							help={ __( 'Multiplier on the preset speed. Nearer (larger) particles always fall faster.', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Wind', 'glitter-bomb' ) }
+							value={ fallingWind }
+							onChange={ ( value ) => setAttributes( { fallingWind: value } ) }
+							min={ -1 }
+							max={ 1 }
+							step={ 0.1 }
+							help={ __( 'Negative values blow to the left, positive values to the right', 'glitter-bomb' ) }
+						/>
+
+						<ToggleControl
+							label={ __( 'Gusts', 'glitter-bomb' ) }
+							checked={ fallingGusts }
+							onChange={ ( value ) => setAttributes( { fallingGusts: value } ) }
+							help={ __( 'Let the wind pick up and die down every few seconds', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Cursor Gust', 'glitter-bomb' ) }
+							value={ fallingCursorGust }
+							onChange={ ( value ) => setAttributes( { fallingCursorGust: value } ) }
+							min={ 0 }
+							max={ 1 }
+							step={ 0.1 }
+							help={ __( 'How strongly particles are drawn towards the cursor. 0 turns it off.', 'glitter-bomb' ) }
+						/>
+
+						{ fallingPreset === 'glitter-rain' && (
+							<SelectControl
+								label={ __( 'Color Palette', 'glitter-bomb' ) }
+								value={ colorPalette }
+								options={ [
+									{ label: __( 'Rainbow', 'glitter-bomb' ), value: 'rainbow-cycling' },
+									{ label: __( 'Metallic', 'glitter-bomb' ), value: 'metallic' },
+									{ label: __( 'Neutral Spectrum', 'glitter-bomb' ), value: 'neutral-spectrum' },
+									{ label: __( 'Warm Sunset', 'glitter-bomb' ), value: 'warm-sunset' },
+									{ label: __( 'Cool Ocean', 'glitter-bomb' ), value: 'cool-ocean' },
+									{ label: __( 'Theme Palette', 'glitter-bomb' ), value: 'theme' },
+									{ label: __( 'Custom Palette', 'glitter-bomb' ), value: 'custom' },
+								] }
+								onChange={ ( value ) => setAttributes( { colorPalette: value } ) }
+								help={ __( 'Each drop gets a random color from the palette', 'glitter-bomb' ) }
+							/>
+						) }
+
+						{ fallingPreset === 'glitter-rain' && colorPalette === 'custom' && customPaletteControls }
+						{ fallingPreset === 'glitter-rain' && colorPalette === 'theme' && themePaletteControls }
 					</PanelBody>
 				) }
 
+				{ isFireworks && (
+					<PanelBody title={ __( 'Fireworks Settings', 'glitter-bomb' ) } initialOpen={ true }>
+						<RangeControl
+							label={ __( 'Launch Frequency', 'glitter-bomb' ) }
+							value={ fireworksFrequency }
+							onChange={ ( value ) => setAttributes( { fireworksFrequency: value } ) }
+							min={ 0.2 }
+							max={ 3 }
+							step={ 0.1 }
+							help={ __( 'Average number of rockets launched per second', 'glitter-bomb' ) }
+						/>
+
+						<RangeControl
+							label={ __( 'Burst Size', 'glitter-bomb' ) }
+							value={ fireworksBurstSize }
+							onChange={ ( value ) => setAttributes( { fireworksBurstSize: value } ) }
+							min={ 20 }
+							max={ 200 }
+							step={ 10 }
+							help={ __( 'Number of sparks in each burst', 'glitter-bomb' ) }
+						/>
+
+						<fieldset className="glitter-bomb-shape-picker">
+							<legend className="glitter-bomb-shape-picker__label">
+								{ __( 'Burst Patterns', 'glitter-bomb' ) }
+							</legend>
+							{ Object.keys( fireworkPatternLabels ).map( ( pattern ) => (
+								<CheckboxControl
+									key={ pattern }
+									label={ fireworkPatternLabels[ pattern ] }
+									checked={ selectedPatterns.indexOf( pattern ) !== -1 }
+									disabled={ selectedPatterns.length === 1 && selectedPatterns[ 0 ] === pattern }
+									onChange={ ( isChecked ) => toggleFireworkPattern( pattern, isChecked ) }
+								/>
+							) ) }
+							<p className="glitter-bomb-shape-picker__help">
+								{ __( 'Each rocket bursts in one of the selected patterns, picked at random.', 'glitter-bomb' ) }
+							</p>
+						</fieldset>
+
+						<SelectControl
+							label={ __( 'Color Palette', 'glitter-bomb' ) }
+							value={ colorPalette }
+							options={ [
+								{ label: __( 'Rainbow', 'glitter-bomb' ), value: 'rainbow-cycling' },
+								{ label: __( 'Metallic', 'glitter-bomb' ), value: 'metallic' },
+								{ label: __( 'Neutral Spectrum', 'glitter-bomb' ), value: 'neutral-spectrum' },
+								{ label: __( 'Warm Sunset', 'glitter-bomb' ), value: 'warm-sunset' },
+								{ label: __( 'Cool Ocean', 'glitter-bomb' ), value: 'cool-ocean' },
+								{ label: __( 'Theme Palette', 'glitter-bomb' ), value: 'theme' },
+								{ label: __( 'Custom Palette', 'glitter-bomb' ), value: 'custom' },
+							] }
+							onChange={ ( value ) => setAttributes( { colorPalette: value } ) }
+							help={ __( 'Each rocket gets a random color from the palette', 'glitter-bomb' ) }
+						/>
+
+						{ colorPalette === 'custom' && customPaletteControls }
+						{ colorPalette === 'theme' && themePaletteControls }
+
+						<ToggleControl
+							label={ __( 'Launch on Click/Tap', 'glitter-bomb' ) }
+							checked={ fireworksClickLaunch }
+							onChange={ ( value ) => setAttributes( { fireworksClickLaunch: value } ) }
+							help={ __( 'Clicking or tapping launches a rocket that bursts where you clicked', 'glitter-bomb' ) }
+						/>
+					</PanelBody>
+				) }
+
+				<PanelBody title={ __( 'Presets', 'glitter-bomb' ) } initialOpen={ false }>
+					<PresetManager
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+					/>
+				</PanelBody>
+
 				<PanelBody title={ __( 'Accessibility', 'glitter-bomb' ) } initialOpen={ false }>
 					<Notice status="info" isDismissible={ false }>
 						{ __( 'This block is WCAG 2.2 AA compliant with full keyboard navigation, screen reader support, and reduced motion respect.', 'glitter-bomb' ) }
@@ -398,10 +856,30 @@ export default function Edit( { attributes, setAttributes } ) {
 						<li>{ __( '✓ Minimum 44x44px touch targets', 'glitter-bomb' ) }</li>
 						<li>{ __( '✓ Respects prefers-reduced-motion', 'glitter-bomb' ) }</li>
 					</ul>
+
+					<ToggleControl
+						label={ __( 'Keyboard Interaction', 'glitter-bomb' ) }
+						help={ __( 'Moving focus with the keyboard draws a sprinkle trail to the focused element, and the particle field is drawn towards it.', 'glitter-bomb' ) }
+						checked={ keyboardInteraction }
+						onChange={ ( value ) => setAttributes( { keyboardInteraction: value } ) }
+					/>
+
+					{ keyboardInteraction && (
+						<TextControl
+							label={ __( 'Burst Key', 'glitter-bomb' ) }
+							value={ keyboardBurstKey }
+							maxLength={ 1 }
+							onChange={ ( value ) => setAttributes( { keyboardBurstKey: value.trim() } ) }
+							help={ __( 'Pressing this key sets off a sparkle explosion (Particle Field) or launches a rocket (Fireworks) at the focused element. Ignored while typing in form fields.', 'glitter-bomb' ) }
+						/>
+					) }
 				</PanelBody>
 			</InspectorControls>
 
-			<div { ...useBlockProps( { className: 'glitter-bomb-editor-placeholder' } ) }>
+			<div { ...useBlockProps( {
+				ref: blockRef,
+				className: 'glitter-bomb-editor-placeholder' + ( isPreviewEnabled ? ' has-live-preview' : '' ),
+			} ) }>
 				<div className="glitter-bomb-placeholder-content">
 					<button
 						className="glitter-bomb-collapse-toggle"
@@ -418,16 +896,36 @@ export default function Edit( { attributes, setAttributes } ) {
 							/>
 						</div>
 						<p className="glitter-bomb-placeholder-summary">
-							{ experienceMode === 'sprinkle-trail' 
-								? __( '✨ Sprinkle Trail Mode', 'glitter-bomb' )
-								: __( '💫 Particle Field Mode', 'glitter-bomb' )
-							}
+							{ experienceSummaries[ experienceMode ] }
 							{ ' • ' }
 							{ enabledByDefault ? __( 'Enabled by default', 'glitter-bomb' ) : __( 'Disabled by default', 'glitter-bomb' ) }
 							{ disableOnMobile ? ' • ' + __( 'Disabled on mobile', 'glitter-bomb' ) : '' }
 						</p>
+						{ scheduleStatus !== 'always' && (
+							<p className={ 'glitter-bomb-placeholder-schedule is-' + scheduleStatus }>
+								{ scheduleLabels[ scheduleStatus ] }
+							</p>
+						) }
 					</button>
 
+					{ isPreviewEnabled && isSprinkleTrail && (
+						<p className="glitter-bomb-placeholder-hint">
+							{ __( '👆 Move your cursor over this block to preview the trail', 'glitter-bomb' ) }
+						</p>
+					) }
+
+					{ isPreviewEnabled && isFireworks && fireworksClickLaunch && (
+						<p className="glitter-bomb-placeholder-hint">
+							{ __( '👆 Click inside this block to launch a rocket', 'glitter-bomb' ) }
+						</p>
+					) }
+
+					{ isPreviewEnabled && isConfetti && (
+						<p className="glitter-bomb-placeholder-hint">
+							{ __( '🔁 The preview replays the celebration; on the frontend it plays once and switches off', 'glitter-bomb' ) }
+						</p>
+					) }
+
 					{ isExpanded && (
 						<>
 							<p className="glitter-bomb-placeholder-description">
@@ -438,12 +936,18 @@ export default function Edit( { attributes, setAttributes } ) {
 								<ul>
 									<li>
 										{ __( '🎨 Experience: ', 'glitter-bomb' ) }
-										{ experienceMode === 'sprinkle-trail' ? __( 'Sprinkle Trail', 'glitter-bomb' ) : __( 'Particle Field', 'glitter-bomb' ) }
+										{ experienceLabels[ experienceMode ] }
 									</li>
 									<li>
 										{ __( '⚡ Default state: ', 'glitter-bomb' ) }
 										{ enabledByDefault ? __( 'Enabled', 'glitter-bomb' ) : __( 'Disabled', 'glitter-bomb' ) }
 									</li>
+									{ triggers && triggers.length > 0 && (
+										<li>
+											{ __( '⏱️ Triggers: ', 'glitter-bomb' ) }
+											{ triggers.length }
+										</li>
+									) }
 									<li>
 										{ __( '📱 Mobile: ', 'glitter-bomb' ) }
 										{ disableOnMobile ? __( 'Disabled', 'glitter-bomb' ) : __( 'Enabled', 'glitter-bomb' ) }
@@ -456,7 +960,7 @@ export default function Edit( { attributes, setAttributes } ) {
 											</li>
 											<li>
 												{ __( '🎨 Colors: ', 'glitter-bomb' ) }
-												{ colorPalette === 'custom' ? __( 'Custom', 'glitter-bomb' ) : `${colorPalette} (cycling)` }
+												{ colorPalette === 'custom' ? customPaletteSummary : `${colorPalette} (cycling)` }
 											</li>
 											<li>
 												{ __( '🔢 Max particles: ', 'glitter-bomb' ) }
@@ -472,7 +976,7 @@ export default function Edit( { attributes, setAttributes } ) {
 										<>
 											<li>
 												{ __( '🎨 Colors: ', 'glitter-bomb' ) }
-												{ fieldColorPalette === 'custom' ? __( 'Custom', 'glitter-bomb' ) : `${fieldColorPalette} (cycling)` }
+												{ fieldColorPalette === 'custom' ? customPaletteSummary : `${fieldColorPalette} (cycling)` }
 											</li>
 											<li>
 												{ __( '🔢 Particle count: ', 'glitter-bomb' ) }
@@ -488,6 +992,50 @@ export default function Edit( { attributes, setAttributes } ) {
 											</li>
 										</>
 									) }
+									{ isConfetti && (
+										<>
+											<li>
+												{ __( '🚀 Launch origin: ', 'glitter-bomb' ) }
+												{ confettiOrigin === 'top-edge' ? __( 'Top Edge', 'glitter-bomb' ) : __( 'Bottom Corners', 'glitter-bomb' ) }
+											</li>
+											<li>
+												{ __( '🎉 Bursts: ', 'glitter-bomb' ) }
+												{ confettiRepeat } × { confettiBurstSize }
+											</li>
+										</>
+									) }
+									{ isFalling && (
+										<>
+											<li>
+												{ __( '🌨️ Preset: ', 'glitter-bomb' ) }
+												{ fallingPresetLabels[ fallingPreset ] }
+											</li>
+											<li>
+												{ __( '🔢 Density: ', 'glitter-bomb' ) }
+												{ fallingDensity }
+											</li>
+											<li>
+												{ __( '🌬️ Wind: ', 'glitter-bomb' ) }
+												{ fallingWind }{ fallingGusts ? __( ' with gusts', 'glitter-bomb' ) : '' }
+											</li>
+										</>
+									) }
+									{ isFireworks && (
+										<>
+											<li>
+												{ __( '🚀 Launches per second: ', 'glitter-bomb' ) }
+												{ fireworksFrequency }
+											</li>
+											<li>
+												{ __( '🎆 Patterns: ', 'glitter-bomb' ) }
+												{ selectedPatterns.join( ', ' ) }
+											</li>
+											<li>
+												{ __( '👆 Click to launch: ', 'glitter-bomb' ) }
+												{ fireworksClickLaunch ? __( 'Enabled', 'glitter-bomb' ) : __( 'Disabled', 'glitter-bomb' ) }
+											</li>
+										</>
+									) }
 									<li>
 										{ __( '📍 Button position: ', 'glitter-bomb' ) }
 										{ buttonPosition }
@@ -500,6 +1048,9 @@ export default function Edit( { attributes, setAttributes } ) {
 						</>
 					) }
 				</div>
+				<div className="glitter-bomb-inner-blocks">
+					<InnerBlocks />
+				</div>
 			</div>
 		</>
 	);
@@ -0,0 +1,104 @@
+/**
+ * Glitter Bomb - Browser Environment
+ *
+ * Device and preference checks plus theme color lookups, shared by the view
+ * script's bootstrap and the particle engine it loads later.
+ */
+
+// Check for reduced motion preference
+export const prefersReducedMotion =
+	window.matchMedia &&
+	window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches;
+
+// Detect mobile devices
+export const isMobile =
+	/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
+		window.navigator.userAgent
+	) || window.innerWidth < 768;
+
+/**
+ * CSS custom property WordPress generates for a color preset
+ * Slugs are kebab-cased the way WordPress does it, so "accent2" becomes "accent-2"
+ * @param {string} slug Preset slug
+ * @return {string} Custom property name
+ */
+function getPresetVariable( slug ) {
+	return (
+		'--wp--preset--color--' +
+		slug
+			.replace( /([a-z])([A-Z])/g, '$1-$2' )
+			.replace( /([A-Za-z])([0-9])/g, '$1-$2' )
+			.replace( /([0-9])([A-Za-z])/g, '$1-$2' )
+			.replace( /_/g, '-' )
+			.toLowerCase()
+	);
+}
+
+/**
+ * Resolve theme color presets to hex colors through their CSS custom properties
+ * Reading the properties at runtime means the effect follows the theme (and
+ * Global Styles edits) without saving the block again. Presets that aren't
+ * defined on the page or aren't plain colors are skipped.
+ * @param {Element} element Element whose computed style provides the properties
+ * @param {Array}   slugs   Preset slugs
+ * @return {Array} Hex colors
+ */
+export function resolvePresetColors( element, slugs ) {
+	if ( slugs.length === 0 ) {
+		return [];
+	}
+
+	const style = element.ownerDocument.defaultView.getComputedStyle( element );
+	const ctx = document.createElement( 'canvas' ).getContext( '2d' );
+	const colors = [];
+
+	slugs.forEach( function ( slug ) {
+		const value = style
+			.getPropertyValue( getPresetVariable( slug ) )
+			.trim();
+		if (
+			! value ||
+			! window.CSS ||
+			! window.CSS.supports( 'color', value )
+		) {
+			return;
+		}
+
+		// The canvas normalizes any CSS color to #rrggbb, or rgba() when translucent
+		ctx.fillStyle = '#000000';
+		ctx.fillStyle = value;
+		const normalized = ctx.fillStyle;
+		if ( normalized.charAt( 0 ) === '#' ) {
+			colors.push( normalized );
+			return;
+		}
+
+		const channels = normalized.match( /\d+(\.\d+)?/g );
+		if ( channels && channels.length >= 3 ) {
+			colors.push(
+				'#' +
+					channels
+						.slice( 0, 3 )
+						.map( function ( channel ) {
+							return (
+								'0' +
+								Math.round( Number( channel ) ).toString( 16 )
+							).slice( -2 );
+						} )
+						.join( '' )
+			);
+		}
+	} );
+
+	return colors;
+}
+
+/**
+ * Whether the visitor asked the browser to save data (Data Saver, Lite mode)
+ * @return {boolean} Whether to avoid optional downloads
+ */
+export function prefersReducedData() {
+	return !! (
+		window.navigator.connection && window.navigator.connection.saveData
+	);
+}
@@ -19,7 +19,9 @@ import './style.scss';
  * Internal dependencies
  */
 import Edit from './edit';
+import save from './save';
 import metadata from './block.json';
+import variations from './variations';
 
 /**
  * Every block starts by registering a new block type definition.
@@ -31,4 +33,14 @@ registerBlockType( metadata.name, {
 	 * @see ./edit.js
 	 */
 	edit: Edit,
+
+	/**
+	 * @see ./save.js
+	 */
+	save,
+
+	/**
+	 * @see ./variations.js
+	 */
+	variations,
 } );
@@ -0,0 +1,311 @@
+/**
+ * Glitter Bomb - Deferred Particle Engine
+ *
+ * Stands in for GlitterBombParticles on the frontend so the engine doesn't
+ * have to be parsed on every page view. Only the toggle button and the
+ * announcement region are created up front; particles.js is fetched as a
+ * separate chunk the first time the effect is switched on, once the browser
+ * is idle after the page has loaded, or when the block scrolls into view,
+ * whichever comes first.
+ *
+ * With Data Saver on (navigator.connection.saveData) nothing is fetched and
+ * nothing starts by itself until the visitor switches the effect on.
+ *
+ * Offers the same methods as GlitterBombParticles that the view script and
+ * the public API use, and hands every call to the engine once it exists.
+ * Until then only the button and startup settings are parsed (see
+ * button-config.js); the engine parses the rest when it arrives.
+ */
+
+import { parseButtonConfig } from './button-config';
+import {
+	isMobile,
+	prefersReducedMotion,
+	prefersReducedData,
+	resolvePresetColors,
+} from './environment';
+import { ToggleButton } from './toggle-button';
+
+// Delay before loading the engine in browsers without requestIdleCallback
+const IDLE_FALLBACK_DELAY = 2000;
+
+export class LazyParticles {
+	/**
+	 * @param {HTMLElement} blockElement The block element
+	 * @param {Object}      options      Options for GlitterBombParticles (container, supportsOffscreenCanvas)
+	 */
+	constructor( blockElement, options ) {
+		this.blockElement = blockElement;
+		this.options = options || {};
+		this.config = parseButtonConfig( blockElement.dataset );
+		this.config.themePalette = resolvePresetColors(
+			blockElement,
+			this.config.themeColors
+		);
+		this.configUpdates = []; // updateConfig() values for the engine to apply on top of the dataset
+		this.engine = null;
+		this.loading = null;
+		this.isDestroyed = false;
+		this.pendingActive = false;
+		this.pendingRemember = true;
+		this.startsActive = false; // Whether the effect runs from the start of the page view
+		this.toggleButton = null;
+		this.observer = null;
+		this.idleId = null;
+		this.idleTimer = null;
+		this.loadHandler = null;
+		this.saveData = prefersReducedData();
+
+		// Nothing at all on mobile when disabled there, like the engine itself
+		if ( isMobile && this.config.disableOnMobile ) {
+			return;
+		}
+
+		this.toggleButton = new ToggleButton(
+			this.config,
+			this.options.container || null,
+			() => this.toggle()
+		);
+
+		if ( this.getInitialState() ) {
+			this.startsActive = true;
+			this.pendingActive = true;
+			this.toggleButton.update( true );
+			this.load();
+			return;
+		}
+
+		this.toggleButton.update( false );
+		if ( ! this.saveData ) {
+			this.preload();
+		}
+	}
+
+	/**
+	 * Whether the effect starts running on this page view
+	 * The visitor's saved choice wins over enabledByDefault; with reduced
+	 * motion or Data Saver nothing starts until the visitor opts in.
+	 * @return {boolean} Whether to start right away
+	 */
+	getInitialState() {
+		const savedState = window.sessionStorage.getItem( 'glitterBombActive' );
+		let isActive;
+
+		// CRITICAL FIX: Use a single source of truth
+		if ( savedState !== null ) {
+			// User has previously set a preference - respect it
+			isActive = savedState === 'true';
+		} else if ( this.saveData ) {
+			// enabledByDefault is no opt-in, so leave the preference unset
+			return false;
+		} else {
+			// No saved preference - use enabledByDefault setting
+			isActive = this.config.enabledByDefault;
+			// Save the initial state
+			window.sessionStorage.setItem(
+				'glitterBombActive',
+				isActive.toString()
+			);
+		}
+
+		// Respect reduced motion preference by not auto-starting,
+		// but users can still opt in via the toggle button
+		return isActive && ! prefersReducedMotion;
+	}
+
+	// Load the engine once the block scrolls into view or the browser has time to spare
+	preload() {
+		if ( window.IntersectionObserver ) {
+			this.observer = new window.IntersectionObserver( ( entries ) => {
+				if (
+					entries.some( function ( entry ) {
+						return entry.isIntersecting;
+					} )
+				) {
+					this.load();
+				}
+			} );
+			this.observer.observe( this.blockElement );
+		}
+
+		const whenIdle = () => {
+			this.loadHandler = null;
+			if ( window.requestIdleCallback ) {
+				this.idleId = window.requestIdleCallback( () => this.load() );
+			} else {
+				this.idleTimer = setTimeout(
+					() => this.load(),
+					IDLE_FALLBACK_DELAY
+				);
+			}
+		};
+
+		if ( document.readyState === 'complete' ) {
+			whenIdle();
+		} else {
+			this.loadHandler = whenIdle;
+			window.addEventListener( 'load', this.loadHandler );
+		}
+	}
+
+	// Stop waiting for a reason to load the engine
+	cancelPreload() {
+		if ( this.observer ) {
+			this.observer.disconnect();
+			this.observer = null;
+		}
+		if ( this.loadHandler ) {
+			window.removeEventListener( 'load', this.loadHandler );
+			this.loadHandler = null;
+		}
+		if ( this.idleId !== null ) {
+			window.cancelIdleCallback( this.idleId );
+			this.idleId = null;
+		}
+		clearTimeout( this.idleTimer );
+		this.idleTimer = null;
+	}
+
+	/**
+	 * Fetch particles.js and hand the block over to the engine
+	 * The engine starts in whatever state the effect was switched to while
+	 * it was loading.
+	 * @return {Promise} Resolves with the engine, or null if it couldn't load
+	 */
+	load() {
+		if ( this.loading ) {
+			return this.loading;
+		}
+
+		this.cancelPreload();
+		this.loading = import(
+			/* webpackChunkName: "particles" */ './particles'
+		)
+			.then( ( module ) => {
+				if ( this.isDestroyed ) {
+					return null;
+				}
+
+				let config = module.parseConfig( this.blockElement.dataset );
+				this.configUpdates.forEach( function ( values ) {
+					config = module.parseConfig( values, config );
+				} );
+
+				// Running from the start of the page view: start quietly, as on any page load
+				this.engine = new module.GlitterBombParticles(
+					this.blockElement,
+					Object.assign( {}, this.options, {
+						config,
+						toggleButton: this.toggleButton,
+						active: this.startsActive && this.pendingActive,
+					} )
+				);
+
+				// Switched on since: start like a press of the button would
+				if ( this.pendingActive && ! this.engine.isActive ) {
+					this.engine.setActive( true, this.pendingRemember );
+				}
+				return this.engine;
+			} )
+			.catch( () => {
+				const wasSwitchedOn = this.pendingActive;
+
+				// Let the next attempt try again
+				this.loading = null;
+				this.pendingActive = false;
+				this.startsActive = false;
+				if ( this.toggleButton ) {
+					this.toggleButton.update( false );
+					// Only a visitor waiting for the effect needs to hear about it
+					if ( wasSwitchedOn ) {
+						this.toggleButton.announceFailure();
+					}
+				}
+				return null;
+			} );
+
+		return this.loading;
+	}
+
+	// Whether effects are currently on (or switched on and still loading)
+	get isActive() {
+		return this.engine ? this.engine.isActive : this.pendingActive;
+	}
+
+	toggle() {
+		this.setActive( ! this.isActive );
+	}
+
+	/**
+	 * Turn the effect on or off, loading the engine first when needed
+	 * @param {boolean} isActive Whether effects should be running
+	 * @param {boolean} remember Whether to save the state as the visitor's preference
+	 *                           (default true; trigger runs pass false)
+	 */
+	setActive( isActive, remember ) {
+		if ( this.engine ) {
+			this.engine.setActive( isActive, remember );
+			return;
+		}
+
+		// Nothing to switch if disabled on mobile
+		if ( ! this.toggleButton || isActive === this.pendingActive ) {
+			return;
+		}
+
+		this.pendingActive = isActive;
+		this.pendingRemember = remember;
+		this.toggleButton.update( isActive );
+
+		if ( isActive ) {
+			this.load();
+		} else if ( remember !== false ) {
+			window.sessionStorage.setItem( 'glitterBombActive', 'false' );
+		}
+	}
+
+	/**
+	 * Trigger an explosion at viewport coordinates
+	 * @param {number} clientX Horizontal viewport position
+	 * @param {number} clientY Vertical viewport position
+	 * @return {boolean} Whether an explosion was created
+	 */
+	burst( clientX, clientY ) {
+		return this.engine ? this.engine.burst( clientX, clientY ) : false;
+	}
+
+	/**
+	 * Apply new settings, now or when the engine loads
+	 * @param {Object} values Partial config (dataset-style or block attributes)
+	 */
+	updateConfig( values ) {
+		if ( this.engine ) {
+			this.engine.updateConfig( values );
+			return;
+		}
+
+		this.configUpdates.push( values );
+		this.config = parseButtonConfig( values, this.config );
+		this.config.themePalette = resolvePresetColors(
+			this.blockElement,
+			this.config.themeColors
+		);
+		if ( this.toggleButton ) {
+			this.toggleButton.setConfig( this.config );
+			this.toggleButton.update( this.pendingActive );
+		}
+	}
+
+	destroy() {
+		this.isDestroyed = true;
+		this.cancelPreload();
+
+		if ( this.engine ) {
+			this.engine.destroy();
+			this.engine = null;
+		} else if ( this.toggleButton ) {
+			this.toggleButton.destroy();
+		}
+		this.toggleButton = null;
+	}
+}
@@ -0,0 +1,179 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	Button,
+	ColorIndicator,
+	ColorPicker,
+	Dropdown,
+	RangeControl,
+	SelectControl,
+} from '@wordpress/components';
+import { chevronDown, chevronUp, close } from '@wordpress/icons';
+
+// render.php keeps the first twenty colors
+const MAX_COLORS = 20;
+
+/**
+ * Editor for the custom palette: any number of colors, each with a weight.
+ *
+ * Until the first edit the palette is the single legacy custom color, so
+ * blocks saved before palettes existed keep their look.
+ *
+ * @param {Object}   props              Component props.
+ * @param {Array}    props.value        Colors with color and weight.
+ * @param {string}   props.fallback     Color used while the palette is empty.
+ * @param {string}   props.mode         How particles use the palette: cycle or random.
+ * @param {Function} props.onChange     Called with the new list of colors.
+ * @param {Function} props.onModeChange Called with the new mode.
+ *
+ * @return {Element} Element to render.
+ */
+export default function PaletteBuilder( {
+	value,
+	fallback,
+	mode,
+	onChange,
+	onModeChange,
+} ) {
+	const colors =
+		Array.isArray( value ) && value.length > 0
+			? value
+			: [ { color: fallback, weight: 1 } ];
+
+	const updateColor = ( index, changes ) => {
+		onChange(
+			colors.map( ( entry, i ) =>
+				i === index ? { ...entry, ...changes } : entry
+			)
+		);
+	};
+
+	const moveColor = ( index, offset ) => {
+		const next = colors.slice();
+		next.splice( index + offset, 0, next.splice( index, 1 )[ 0 ] );
+		onChange( next );
+	};
+
+	const removeColor = ( index ) => {
+		onChange( colors.filter( ( entry, i ) => i !== index ) );
+	};
+
+	const addColor = () => {
+		onChange( [
+			...colors,
+			{ color: colors[ colors.length - 1 ].color, weight: 1 },
+		] );
+	};
+
+	return (
+		<fieldset className="glitter-bomb-shape-picker glitter-bomb-palette-builder">
+			<legend className="glitter-bomb-shape-picker__label">
+				{ __( 'Custom Palette', 'glitter-bomb' ) }
+			</legend>
+			{ colors.map( ( entry, index ) => (
+				<div
+					key={ index }
+					className="glitter-bomb-palette-builder__row"
+				>
+					<Dropdown
+						popoverProps={ { placement: 'left-start' } }
+						renderToggle={ ( { isOpen, onToggle } ) => (
+							<Button
+								className="glitter-bomb-palette-builder__swatch"
+								onClick={ onToggle }
+								aria-expanded={ isOpen }
+								label={ sprintf(
+									/* translators: 1: Color number, 2: Hex color. */
+									__(
+										'Edit color %1$d (%2$s)',
+										'glitter-bomb'
+									),
+									index + 1,
+									entry.color
+								) }
+							>
+								<ColorIndicator colorValue={ entry.color } />
+							</Button>
+						) }
+						renderContent={ () => (
+							<ColorPicker
+								color={ entry.color }
+								onChange={ ( color ) =>
+									updateColor( index, { color } )
+								}
+							/>
+						) }
+					/>
+					<RangeControl
+						className="glitter-bomb-palette-builder__weight"
+						label={ __( 'Weight', 'glitter-bomb' ) }
+						hideLabelFromVision
+						value={ entry.weight || 1 }
+						onChange={ ( weight ) =>
+							updateColor( index, { weight: weight || 1 } )
+						}
+						min={ 1 }
+						max={ 10 }
+						step={ 1 }
+					/>
+					<Button
+						icon={ chevronUp }
+						size="small"
+						label={ __( 'Move up', 'glitter-bomb' ) }
+						disabled={ index === 0 }
+						onClick={ () => moveColor( index, -1 ) }
+					/>
+					<Button
+						icon={ chevronDown }
+						size="small"
+						label={ __( 'Move down', 'glitter-bomb' ) }
+						disabled={ index === colors.length - 1 }
+						onClick={ () => moveColor( index, 1 ) }
+					/>
+					<Button
+						icon={ close }
+						size="small"
+						label={ __( 'Remove color', 'glitter-bomb' ) }
+						disabled={ colors.length === 1 }
+						onClick={ () => removeColor( index ) }
+					/>
+				</div>
+			) ) }
+			{ colors.length < MAX_COLORS && (
+				<Button variant="secondary" onClick={ addColor }>
+					{ __( 'Add color', 'glitter-bomb' ) }
+				</Button>
+			) }
+			<p className="glitter-bomb-shape-picker__help">
+				{ __(
+					'A color with weight 2 shows up twice as often as one with weight 1.',
+					'glitter-bomb'
+				) }
+			</p>
+			<SelectControl
+				label={ __( 'Color Order', 'glitter-bomb' ) }
+				value={ mode }
+				options={ [
+					{
+						label: __( 'Cycle through the colors', 'glitter-bomb' ),
+						value: 'cycle',
+					},
+					{
+						label: __(
+							'Random color per particle',
+							'glitter-bomb'
+						),
+						value: 'random',
+					},
+				] }
+				onChange={ onModeChange }
+				help={ __(
+					'Cycling blends from each color into the next; random gives every particle one color for its whole life.',
+					'glitter-bomb'
+				) }
+			/>
+		</fieldset>
+	);
+}
@@ -0,0 +1,199 @@
+/**
+ * Glitter Bomb - Render Worker
+ *
+ * OFFSCREEN RENDERING: Runs particle physics and drawing off the main thread.
+ * The main thread transfers its canvas with transferControlToOffscreen() and
+ * then only forwards pointer, resize and visibility changes, plus start/stop
+ * and config updates. All particle state lives here.
+ *
+ * Messages (event.data.type):
+ * - init:       { canvas, config, isMobile, isContained } Take over the OffscreenCanvas
+ * - resize:     { width, height, pixelRatio } Logical size and device pixel ratio
+ * - config:     { config } Replace the parsed config
+ * - initField:  Build the particle field for the current size
+ * - celebrate:  Start a confetti celebration
+ * - startFalling: Start falling weather from an empty sky
+ * - startFireworks: Start a fireworks show
+ * - start:      Run the animation loop
+ * - stop:       Stop the loop, release particles and clear
+ * - clear:      Release particles and clear
+ * - visibility: { visible } Pause while the tab is hidden
+ * - pointer:    { action: move | leave | tap | launch, id, x, y, pressure, emitTrail } One pointer (by pointerId)
+ *
+ * Messages posted back:
+ * - celebrationEnd: The last confetti piece has fallen off screen
+ */
+
+/* global self */
+
+import { ParticleSimulation } from './simulation';
+
+const FRAME_INTERVAL = 1000 / 60;
+
+// Dedicated workers have requestAnimationFrame in most browsers that support OffscreenCanvas
+const requestFrame = self.requestAnimationFrame
+	? ( callback ) => self.requestAnimationFrame( callback )
+	: ( callback ) => self.setTimeout( callback, FRAME_INTERVAL );
+const cancelFrame = self.cancelAnimationFrame
+	? ( id ) => self.cancelAnimationFrame( id )
+	: ( id ) => self.clearTimeout( id );
+
+// Canvas pixels follow the simulation's quality level, which can change between
+// resizes. Before the first resize there is no size to scale yet, so the level
+// is left for the resize message to apply.
+class WorkerSimulation extends ParticleSimulation {
+	onQualityChange() {
+		if ( width && height ) {
+			resizeCanvas();
+		}
+	}
+}
+
+let simulation = null;
+let canvas = null;
+let width = 0;
+let height = 0;
+let pixelRatio = 1;
+let isRunning = false;
+let isVisible = true;
+let frameId = null;
+
+function loop() {
+	frameId = null;
+	if ( ! isRunning || ! isVisible ) {
+		return;
+	}
+
+	simulation.renderFrame( performance.now() );
+	if ( simulation.celebrationEnded() ) {
+		self.postMessage( { type: 'celebrationEnd' } );
+	}
+	frameId = requestFrame( loop );
+}
+
+function resizeCanvas() {
+	if ( ! width || ! height ) {
+		return;
+	}
+
+	// Resizing resets the context transform, so scale again afterwards
+	const scale = simulation.getCanvasScale( pixelRatio );
+	canvas.width = width * scale;
+	canvas.height = height * scale;
+	simulation.logicalWidth = width;
+	simulation.logicalHeight = height;
+	simulation.applyCanvasScale( scale );
+}
+
+function resume() {
+	if ( frameId || ! isRunning || ! isVisible ) {
+		return;
+	}
+
+	// FIXED TIMESTEP: Reset update time so the first frame doesn't jump
+	simulation.lastUpdateTime = performance.now();
+	loop();
+}
+
+function pause() {
+	if ( frameId ) {
+		cancelFrame( frameId );
+		frameId = null;
+	}
+}
+
+function clear() {
+	simulation.particlePool.releaseAll();
+	simulation.clearCanvas();
+}
+
+function handlePointer( data ) {
+	switch ( data.action ) {
+		case 'move':
+			simulation.updatePointer( data.id, data.x, data.y, data.pressure );
+			if (
+				data.emitTrail &&
+				simulation.config.experienceMode === 'sprinkle-trail'
+			) {
+				simulation.createParticle( data.x, data.y, data.id );
+			}
+			break;
+		case 'leave':
+			simulation.removePointer( data.id );
+			break;
+		case 'tap':
+			simulation.createExplosion( data.x, data.y );
+			break;
+		case 'launch':
+			simulation.launchRocket( data.x, data.y );
+			break;
+	}
+}
+
+self.onmessage = function ( e ) {
+	const data = e.data;
+
+	if ( data.type === 'init' ) {
+		canvas = data.canvas;
+		simulation = new WorkerSimulation( data.config, {
+			isMobile: data.isMobile,
+			isContained: data.isContained,
+		} );
+		// WebGL or Canvas 2D, picked the same way as on the main thread
+		simulation.attachCanvas( canvas );
+		return;
+	}
+
+	// Everything else needs the canvas
+	if ( ! simulation ) {
+		return;
+	}
+
+	switch ( data.type ) {
+		case 'resize':
+			width = data.width;
+			height = data.height;
+			pixelRatio = data.pixelRatio;
+			// Scales for the current quality level, including a change made before the size was known
+			resizeCanvas();
+			break;
+		case 'config':
+			simulation.setConfig( data.config );
+			break;
+		case 'initField':
+			simulation.initializeParticleField();
+			break;
+		case 'celebrate':
+			simulation.startCelebration();
+			break;
+		case 'startFalling':
+			simulation.startFalling();
+			break;
+		case 'startFireworks':
+			simulation.startFireworks();
+			break;
+		case 'start':
+			isRunning = true;
+			resume();
+			break;
+		case 'stop':
+			isRunning = false;
+			pause();
+			clear();
+			break;
+		case 'clear':
+			clear();
+			break;
+		case 'visibility':
+			isVisible = data.visible;
+			if ( isVisible ) {
+				resume();
+			} else {
+				pause();
+			}
+			break;
+		case 'pointer':
+			handlePointer( data );
+			break;
+	}
+};
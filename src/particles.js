@@ -0,0 +1,1366 @@
+/**
+ * Glitter Bomb - Particle Engine
+ *
+ * The particle system shared by the frontend view script and the editor
+ * live preview. GlitterBombParticles adds the DOM side (canvas, toggle
+ * button, input, resize and visibility handling) on top of the DOM-free
+ * ParticleSimulation, and can either run full-viewport (frontend default)
+ * or be confined to a container element (editor preview, or a block with
+ * container scope).
+ *
+ * When the renderInWorker option is on and OffscreenCanvas is available,
+ * physics and drawing run in particle-worker.js and this class only forwards
+ * pointer, resize and visibility changes to it.
+ *
+ * Feature detection and polyfills live in view.js; this module assumes a
+ * Canvas-capable browser. On the frontend it is loaded on demand by
+ * LazyParticles (lazy-particles.js), which decides the starting state and
+ * hands over the toggle button it has already shown.
+ */
+
+// Bare Worker, so webpack bundles the worker script as its own chunk
+/* global Worker */
+
+import { ParticleSimulation, parseConfig } from './simulation';
+import {
+	isMobile,
+	prefersReducedMotion,
+	resolvePresetColors,
+} from './environment';
+import { ToggleButton } from './toggle-button';
+
+export { ParticlePool, parseConfig } from './simulation';
+
+// Largest distance in CSS pixels a pointer can travel between press and release and still count as a tap
+const TAP_SLOP = 10;
+
+// Touch contact sizes in CSS pixels read as the lightest and the firmest press
+const TOUCH_LIGHT_SIZE = 10;
+const TOUCH_FIRM_SIZE = 50;
+
+// Fingers are tracked through touch events where the browser has them (see setupEventListeners())
+const TOUCH_POINTER_PREFIX = 'touch';
+
+// Pointer id of the mouse in browsers without Pointer Events
+const MOUSE_POINTER_ID = 'mouse';
+
+// Pointer id of the keyboard focus, which attracts the field like any other pointer
+const FOCUS_POINTER_ID = 'focus';
+
+// Spacing in CSS pixels of the points a focus trail is drawn through, and the most points in one trail
+const FOCUS_TRAIL_STEP = 12;
+const FOCUS_TRAIL_MAX_STEPS = 40;
+
+/**
+ * How firmly a finger presses, from the size of its contact area
+ * The contact grows as the finger presses flatter. Browsers without contact
+ * sizes report 1x1 or nothing.
+ * @param {number} contactSize Contact diameter in CSS pixels
+ * @return {number} Pressure from 0 to 1, 0.5 when unknown
+ */
+function getContactPressure( contactSize ) {
+	if ( ! ( contactSize > 1 ) ) {
+		return 0.5;
+	}
+	return Math.min(
+		1,
+		Math.max(
+			0,
+			( contactSize - TOUCH_LIGHT_SIZE ) /
+				( TOUCH_FIRM_SIZE - TOUCH_LIGHT_SIZE )
+		)
+	);
+}
+
+/**
+ * How firmly a pointer presses
+ * Pens report pressure. Touch screens rarely do, but report the contact size.
+ * The mouse has neither.
+ * @param {PointerEvent} e Pointer event
+ * @return {number} Pressure from 0 to 1, 0.5 when unknown
+ */
+function getPointerPressure( e ) {
+	// A hovering pen has no pressure yet
+	if ( e.pointerType === 'pen' && e.buttons > 0 ) {
+		return e.pressure;
+	}
+
+	if ( e.pointerType === 'touch' ) {
+		return getContactPressure( Math.max( e.width || 0, e.height || 0 ) );
+	}
+
+	return 0.5;
+}
+
+/**
+ * Pointer id of a pointer event, or of the mouse for a mouse event
+ * @param {PointerEvent|MouseEvent} e Pointer or mouse event
+ * @return {number|string} Pointer id
+ */
+function getPointerId( e ) {
+	return e.pointerId === undefined ? MOUSE_POINTER_ID : e.pointerId;
+}
+
+/**
+ * Pointer type of a pointer event, or "mouse" for a mouse event
+ * @param {PointerEvent|MouseEvent} e Pointer or mouse event
+ * @return {string} Pointer type
+ */
+function getPointerType( e ) {
+	return e.pointerType || 'mouse';
+}
+
+/**
+ * How firmly a finger presses, for a touch event's Touch
+ * @param {Touch} touch Touch point
+ * @return {number} Pressure from 0 to 1, 0.5 when unknown
+ */
+function getTouchPressure( touch ) {
+	return getContactPressure(
+		2 * Math.max( touch.radiusX || 0, touch.radiusY || 0 )
+	);
+}
+
+/**
+ * Whether an element got focus from the keyboard
+ * Browsers without :focus-visible count every focus.
+ * @param {Element} element Focused element
+ * @return {boolean} Whether the focus is keyboard focus
+ */
+function isKeyboardFocus( element ) {
+	try {
+		return element.matches( ':focus-visible' );
+	} catch ( error ) {
+		return true;
+	}
+}
+
+/**
+ * Whether key presses on an element type text, so the burst key must stay out of the way
+ * @param {Element} element Element receiving the key press
+ * @return {boolean} Whether the element takes text
+ */
+function isTextEntry( element ) {
+	return (
+		element.isContentEditable ||
+		element.tagName === 'INPUT' ||
+		element.tagName === 'TEXTAREA' ||
+		element.tagName === 'SELECT'
+	);
+}
+
+/**
+ * Particle engine
+ *
+ * Options:
+ * - container: Element to confine the canvas, toggle button and pointer input
+ *   to, with coordinates local to its box. Without it the canvas covers the
+ *   full viewport.
+ * - preview: Editor preview mode. No toggle button, no sessionStorage, and the
+ *   effect runs as soon as it is created.
+ * - active: Whether the effect starts running (frontend). The view script works
+ *   this out from the saved preference, enabledByDefault and reduced motion.
+ * - toggleButton: ToggleButton to take over instead of creating one.
+ * - config: Config source used instead of the block element's dataset.
+ * - supportsOffscreenCanvas: Result of the view script's feature detection;
+ *   the worker backend is only used when this is true.
+ */
+export class GlitterBombParticles extends ParticleSimulation {
+	constructor( blockElement, options ) {
+		options = options || {};
+
+		// Get attributes from data attributes (or the editor's block attributes)
+		const config = parseConfig( options.config || blockElement.dataset );
+		config.themePalette = resolvePresetColors(
+			blockElement,
+			config.themeColors
+		);
+		super( config, {
+			isMobile,
+			isContained: !! options.container,
+		} );
+
+		this.blockElement = blockElement;
+		this.container = options.container || null;
+		this.isPreview = !! options.preview;
+		this.resizeObserver = null;
+		this.canvas = null;
+		this.isActive = false;
+		this.animationFrameId = null;
+		this.lastFrameTime = 0;
+		this.tapStarts = {}; // Where each pressed pointer went down, by pointerId
+		this.focusedElement = null; // Element with keyboard focus, while keyboard interaction tracks it
+		this.isTabVisible = ! document.hidden;
+		this.isInitialized = false;
+		this.toggleButton = options.toggleButton || null;
+		this.startActive = !! options.active;
+
+		// OFFSCREEN RENDERING: Optional worker backend, never used for the editor preview
+		this.worker = null;
+		this.supportsOffscreenCanvas = !! options.supportsOffscreenCanvas;
+		this.useWorker =
+			this.config.renderInWorker &&
+			this.supportsOffscreenCanvas &&
+			! this.isPreview;
+		this.fadeFrameId = null;
+
+		// Simplified touch optimization
+		this.lastTouchTime = 0;
+
+		// Canvas scaling for mobile performance
+		this.canvasScale = 1;
+
+		// SAFETY: Resize debouncing and fade transitions to prevent seizure-inducing flashing
+		this.isResizing = false;
+		this.resizeDebounceTimer = null;
+		this.lastResizeTime = 0;
+		this.canvasOpacity = 1;
+		this.targetOpacity = 1;
+		this.isFading = false;
+
+		this.init();
+	}
+
+	init() {
+		// Editor preview ignores the mobile setting and saved state
+		if ( this.isPreview ) {
+			this.initPreview();
+			return;
+		}
+
+		// Check if mobile is disabled
+		if ( isMobile && this.config.disableOnMobile ) {
+			// Don't initialize anything on mobile if disabled
+			return;
+		}
+
+		// STEP 1: Create UI elements (usually taking over the bootstrap's button)
+		this.createCanvas();
+		if ( ! this.toggleButton ) {
+			this.toggleButton = new ToggleButton( this.config, this.container );
+		}
+		this.toggleButton.onToggle = () => this.toggle();
+		this.setupEventListeners();
+
+		// STEP 2: Initial state, as decided by the view script
+		this.isActive = this.startActive;
+
+		// STEP 3: Update button UI to match state
+		this.updateButtonUI();
+
+		// STEP 4: If active, initialize particles and start
+		if ( this.isActive ) {
+			// Set up the mode's particles FIRST
+			this.initializeParticles();
+			// Then start the animation loop
+			this.start();
+			this.dispatch( 'enabled' );
+		}
+	}
+
+	// Editor preview: no toggle button or saved state, the effect simply runs
+	initPreview() {
+		this.createCanvas();
+		this.setupEventListeners();
+
+		// Respect reduced motion by showing a still frame instead of animating
+		if ( prefersReducedMotion ) {
+			this.renderStillFrame();
+			return;
+		}
+
+		this.isActive = true;
+		this.initializeParticles();
+		this.start();
+	}
+
+	// Draw a single frame of the field without starting the animation loop
+	renderStillFrame() {
+		this.clearParticles();
+
+		if ( this.config.experienceMode === 'particle-field' ) {
+			this.initializeParticleField();
+			this.drawFieldParticles();
+		}
+	}
+
+	/**
+	 * Apply new settings to a running instance
+	 *
+	 * Values that are read every frame (colors, forces, opacity) take effect
+	 * immediately. Changes to the mode, field count or field size rebuild the
+	 * particles so the new layout is visible right away, and a new renderer or
+	 * render backend gets a fresh canvas.
+	 *
+	 * @param {Object} values Partial config (dataset-style or block attributes)
+	 */
+	updateConfig( values ) {
+		const previous = this.config;
+		const config = parseConfig( values, previous );
+		config.themePalette = resolvePresetColors(
+			this.blockElement,
+			config.themeColors
+		);
+		this.setConfig( config );
+
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'config', config: this.config } );
+		}
+
+		// Keyboard interaction switched off: the focus stops pulling the field
+		if ( ! this.config.keyboardInteraction && this.focusedElement ) {
+			this.releaseFocus();
+		}
+
+		if ( this.toggleButton ) {
+			this.toggleButton.setConfig( this.config );
+			this.updateButtonUI();
+		}
+
+		// Nothing else to do if init() bailed out (e.g. disabled on mobile)
+		if ( ! this.canvas ) {
+			return;
+		}
+
+		// A canvas keeps the context it was first drawn with (and a transferred
+		// one stays with its worker), so a new renderer needs a new canvas
+		const needsCanvas = [ 'renderer', 'renderInWorker' ].some( ( key ) => {
+			return previous[ key ] !== this.config[ key ];
+		} );
+		if ( needsCanvas ) {
+			this.stop();
+			this.useWorker =
+				this.config.renderInWorker &&
+				this.supportsOffscreenCanvas &&
+				! this.isPreview;
+			this.replaceCanvas();
+
+			if ( this.isActive ) {
+				this.initializeParticles();
+				this.start();
+				return;
+			}
+		}
+
+		if ( this.isPreview && ! this.isActive ) {
+			this.renderStillFrame();
+			return;
+		}
+
+		// Shape sets are arrays, so compare them as strings
+		const needsRebuild = [
+			'experienceMode',
+			'fieldParticleCount',
+			'fieldParticleSize',
+			'fieldParticleSizeMobile',
+			'fieldParticleShape',
+			'confettiOrigin',
+			'confettiBurstSize',
+			'confettiRepeat',
+			'fallingPreset',
+			'seed',
+		].some( ( key ) => {
+			return String( previous[ key ] ) !== String( this.config[ key ] );
+		} );
+
+		if ( needsRebuild && this.isActive ) {
+			this.clearParticles();
+			this.initializeParticles();
+		}
+	}
+
+	// Set up the particles the current mode starts with
+	initializeParticles() {
+		if ( this.config.experienceMode === 'particle-field' ) {
+			this.initializeParticleField();
+			this.isInitialized = true;
+		} else if ( this.config.experienceMode === 'confetti' ) {
+			this.startCelebration();
+		} else if ( this.config.experienceMode === 'falling' ) {
+			this.startFalling();
+		} else if ( this.config.experienceMode === 'fireworks' ) {
+			this.startFireworks();
+		}
+	}
+
+	// Centralized button UI update
+	updateButtonUI() {
+		if ( ! this.toggleButton ) {
+			return;
+		}
+
+		this.toggleButton.update( this.isActive );
+	}
+
+	createCanvas() {
+		this.canvas = document.createElement( 'canvas' );
+		this.canvas.className = 'glitter-bomb-canvas';
+		this.canvas.setAttribute( 'aria-hidden', 'true' );
+
+		if ( this.container ) {
+			// Confined to the container: positioned absolutely inside it
+			this.canvas.classList.add( 'is-contained' );
+			this.container.appendChild( this.canvas );
+		} else {
+			document.body.appendChild( this.canvas );
+		}
+
+		// OFFSCREEN RENDERING: Hand the canvas to the worker instead of drawing here
+		if ( this.useWorker && this.startWorker() ) {
+			this.calculateCanvasSize();
+			return;
+		}
+
+		// WebGL when available, otherwise Canvas 2D
+		this.attachCanvas( this.canvas );
+
+		// Calculate canvas scaling (must be after ctx is set for proper DPI scaling)
+		this.calculateCanvasSize();
+	}
+
+	/**
+	 * OFFSCREEN RENDERING: Move physics and drawing into a worker
+	 * @return {boolean} Whether the worker took over the canvas
+	 */
+	startWorker() {
+		let worker;
+		try {
+			worker = new Worker(
+				new URL( './particle-worker.js', import.meta.url ),
+				{ name: 'particle-worker' }
+			);
+			const offscreen = this.canvas.transferControlToOffscreen();
+			worker.postMessage(
+				{
+					type: 'init',
+					canvas: offscreen,
+					config: this.config,
+					isMobile,
+					isContained: this.isContained,
+				},
+				[ offscreen ]
+			);
+		} catch ( error ) {
+			if ( worker ) {
+				worker.terminate();
+			}
+			return false;
+		}
+
+		// Worker failed to load (blocked by CSP, missing file): render here instead
+		worker.addEventListener( 'error', () => this.fallbackToMainThread() );
+		worker.addEventListener( 'message', ( e ) => {
+			if ( e.data.type === 'celebrationEnd' ) {
+				this.finishCelebration();
+			}
+		} );
+
+		this.worker = worker;
+		return true;
+	}
+
+	// Replace the transferred canvas with a fresh one and carry on without the worker
+	fallbackToMainThread() {
+		if ( ! this.worker ) {
+			return;
+		}
+
+		this.useWorker = false;
+		this.replaceCanvas();
+
+		if ( this.isActive ) {
+			this.initializeParticles();
+			this.start();
+		}
+	}
+
+	// Swap the canvas for a fresh one, stopping the worker that owned the old one
+	replaceCanvas() {
+		if ( this.worker ) {
+			this.worker.terminate();
+			this.worker = null;
+		}
+
+		if ( this.canvas.parentNode ) {
+			this.canvas.parentNode.removeChild( this.canvas );
+		}
+		this.createCanvas();
+	}
+
+	// Get true viewport height accounting for mobile browser UI
+	getViewportHeight() {
+		// On mobile browsers, use visualViewport API if available (more accurate)
+		if ( window.visualViewport ) {
+			return window.visualViewport.height;
+		}
+		// Fallback to window.innerHeight
+		return window.innerHeight;
+	}
+
+	// Calculate optimal canvas size based on device and pixel density
+	calculateCanvasSize() {
+		// Contained canvases size to their container instead of the viewport
+		const viewportWidth = this.container
+			? this.container.clientWidth
+			: window.innerWidth;
+		const viewportHeight = this.container
+			? this.container.clientHeight
+			: this.getViewportHeight();
+		const devicePixelRatio = window.devicePixelRatio || 1;
+
+		// Store logical dimensions
+		this.logicalWidth = viewportWidth;
+		this.logicalHeight = viewportHeight;
+
+		// The quality level caps the resolution below the native device pixel ratio
+		// (mobile starts at 1.5x, which looks nearly as sharp for far less fill)
+		this.canvasScale = this.getCanvasScale( devicePixelRatio );
+
+		// Set canvas resolution (a transferred canvas can only be resized by its worker,
+		// which applies its own quality level)
+		if ( this.worker ) {
+			this.worker.postMessage( {
+				type: 'resize',
+				width: viewportWidth,
+				height: viewportHeight,
+				pixelRatio: devicePixelRatio,
+			} );
+		} else {
+			this.canvas.width = viewportWidth * this.canvasScale;
+			this.canvas.height = viewportHeight * this.canvasScale;
+		}
+
+		// Set display size (CSS pixels) - use fixed positioning to cover full viewport
+		this.canvas.style.width = this.container ? '100%' : '100vw';
+		this.canvas.style.height = this.container ? '100%' : '100vh';
+
+		// Scale context to match
+		this.applyCanvasScale( this.canvasScale );
+	}
+
+	// ADAPTIVE QUALITY: A new level can change the canvas pixel scale
+	onQualityChange() {
+		if ( this.canvas && ! this.worker ) {
+			this.calculateCanvasSize();
+		}
+	}
+
+	// SAFETY: Smooth resize handler with debouncing and fade transitions
+	handleResize() {
+		const now = performance.now();
+
+		// Clear existing debounce timer
+		if ( this.resizeDebounceTimer ) {
+			clearTimeout( this.resizeDebounceTimer );
+		}
+
+		// If resize is happening too rapidly (within 150ms), fade out canvas
+		if ( now - this.lastResizeTime < 150 ) {
+			if ( ! this.isResizing ) {
+				this.isResizing = true;
+				this.targetOpacity = 0.3; // Fade to 30% opacity during rapid resize
+				this.isFading = true;
+			}
+		}
+
+		this.lastResizeTime = now;
+
+		// Debounce the actual resize operation
+		this.resizeDebounceTimer = setTimeout( () => {
+			// Recalculate canvas size
+			this.calculateCanvasSize();
+
+			// Reinitialize particle field on resize
+			if (
+				this.config.experienceMode === 'particle-field' &&
+				this.isActive
+			) {
+				this.initializeParticleField();
+			}
+
+			// Fade back in
+			this.isResizing = false;
+			this.targetOpacity = 1;
+			this.isFading = true;
+			this.animateFade();
+		}, 250 ); // Wait 250ms after last resize event
+
+		this.animateFade();
+	}
+
+	// With the worker backend there is no main-thread loop, so run one just for the fade
+	animateFade() {
+		if ( ! this.worker || ! this.isFading || this.fadeFrameId ) {
+			return;
+		}
+
+		const step = () => {
+			this.updateCanvasOpacity();
+			this.fadeFrameId = this.isFading
+				? window.requestAnimationFrame( step )
+				: null;
+		};
+		this.fadeFrameId = window.requestAnimationFrame( step );
+	}
+
+	// SAFETY: Smooth opacity transitions to prevent abrupt visual changes
+	updateCanvasOpacity() {
+		if ( ! this.isFading ) {
+			return;
+		}
+
+		const fadeSpeed = 0.05; // Smooth fade speed
+		const diff = this.targetOpacity - this.canvasOpacity;
+
+		if ( Math.abs( diff ) < 0.01 ) {
+			// Close enough - snap to target
+			this.canvasOpacity = this.targetOpacity;
+			this.isFading = false;
+		} else {
+			// Smooth interpolation
+			this.canvasOpacity += diff * fadeSpeed;
+		}
+
+		// Apply opacity to canvas
+		this.canvas.style.opacity = this.canvasOpacity.toString();
+	}
+
+	// Convert viewport coordinates to canvas coordinates (local to the container, if any)
+	toLocalPoint( clientX, clientY ) {
+		if ( ! this.container ) {
+			return { x: clientX, y: clientY };
+		}
+		const rect = this.container.getBoundingClientRect();
+		return { x: clientX - rect.left, y: clientY - rect.top };
+	}
+
+	/**
+	 * Track a pointer for field attraction, optionally emitting trail particles
+	 * @param {number}  id        Pointer id
+	 * @param {number}  x         Canvas x position
+	 * @param {number}  y         Canvas y position
+	 * @param {boolean} emitTrail Whether this movement draws the pointer's sprinkle trail
+	 * @param {number}  pressure  Pressure from 0 to 1, see getPointerPressure()
+	 */
+	movePointer( id, x, y, emitTrail, pressure ) {
+		this.updatePointer( id, x, y, pressure );
+
+		if ( this.worker ) {
+			this.worker.postMessage( {
+				type: 'pointer',
+				action: 'move',
+				id,
+				x,
+				y,
+				pressure,
+				emitTrail: emitTrail && this.isActive,
+			} );
+			return;
+		}
+
+		if (
+			emitTrail &&
+			this.isActive &&
+			this.config.experienceMode === 'sprinkle-trail'
+		) {
+			this.createParticle( x, y, id );
+		}
+	}
+
+	/**
+	 * A pointer left the canvas area or was lifted
+	 * @param {number} id Pointer id
+	 */
+	releasePointer( id ) {
+		this.removePointer( id );
+		delete this.tapStarts[ id ];
+
+		if ( this.worker ) {
+			this.worker.postMessage( {
+				type: 'pointer',
+				action: 'leave',
+				id,
+			} );
+		}
+	}
+
+	/**
+	 * Center of an element in canvas coordinates
+	 * @param {Element} element Element to find
+	 * @return {Object} Point with x and y
+	 */
+	getElementCenter( element ) {
+		const rect = element.getBoundingClientRect();
+		return this.toLocalPoint(
+			rect.left + rect.width / 2,
+			rect.top + rect.height / 2
+		);
+	}
+
+	/**
+	 * Keyboard focus moved to an element
+	 * The focus is tracked as a pointer, so the field is drawn to the focused
+	 * element, and a sprinkle trail runs from the previously focused one.
+	 * @param {Element} element Newly focused element
+	 */
+	moveFocus( element ) {
+		const previous = this.getPointer( FOCUS_POINTER_ID );
+		const point = this.getElementCenter( element );
+		this.focusedElement = element;
+
+		if (
+			! previous ||
+			! this.isActive ||
+			this.config.experienceMode !== 'sprinkle-trail'
+		) {
+			this.movePointer( FOCUS_POINTER_ID, point.x, point.y, false );
+			return;
+		}
+
+		// Long jumps get fewer, wider spaced points so the trail fits the particle limit
+		const dx = point.x - previous.x;
+		const dy = point.y - previous.y;
+		const steps = Math.min(
+			FOCUS_TRAIL_MAX_STEPS,
+			Math.ceil( Math.sqrt( dx * dx + dy * dy ) / FOCUS_TRAIL_STEP )
+		);
+		const fromX = previous.x;
+		const fromY = previous.y;
+		for ( let i = 1; i <= steps; i++ ) {
+			this.movePointer(
+				FOCUS_POINTER_ID,
+				fromX + ( dx * i ) / steps,
+				fromY + ( dy * i ) / steps,
+				true
+			);
+		}
+	}
+
+	// Keyboard focus left the area or went to the mouse
+	releaseFocus() {
+		this.focusedElement = null;
+		this.releasePointer( FOCUS_POINTER_ID );
+	}
+
+	/**
+	 * The burst key was pressed on the focused element
+	 * The field explodes and fireworks launch a rocket towards it
+	 * @param {Element} element Focused element
+	 */
+	handleKeyBurst( element ) {
+		if ( ! this.isActive ) {
+			return;
+		}
+
+		const point = this.getElementCenter( element );
+		if ( this.config.experienceMode === 'particle-field' ) {
+			this.createExplosion( point.x, point.y );
+		} else if ( this.config.experienceMode === 'fireworks' ) {
+			this.launchRocket( point.x, point.y );
+		}
+	}
+
+	/**
+	 * Pointer input listeners as [ type, handler ] pairs
+	 * Pointer Events where the browser has them. Without them the mouse comes
+	 * through mouse events, and fingers through the touch events alone.
+	 * @return {Array} Event types with their handlers
+	 */
+	getPointerListeners() {
+		const listeners = [
+			[ 'touchstart', this.touchStartHandler ],
+			[ 'touchmove', this.touchMoveHandler ],
+			[ 'touchend', this.touchEndHandler ],
+			[ 'touchcancel', this.touchEndHandler ],
+		];
+		if ( ! window.PointerEvent ) {
+			return listeners.concat( [
+				[ 'mousemove', this.pointerMoveHandler ],
+				[ 'mousedown', this.pointerDownHandler ],
+				[ 'mouseup', this.pointerUpHandler ],
+				[ 'mouseout', this.pointerOutHandler ],
+			] );
+		}
+		return listeners.concat( [
+			[ 'pointermove', this.pointerMoveHandler ],
+			[ 'pointerdown', this.pointerDownHandler ],
+			[ 'pointerup', this.pointerUpHandler ],
+			[ 'pointerout', this.pointerOutHandler ],
+			[ 'pointercancel', this.pointerCancelHandler ],
+		] );
+	}
+
+	setupEventListeners() {
+		// POINTER EVENTS: Mouse, pen and touch share one set of handlers. Every
+		// pointer is tracked by its pointerId, so each finger draws its own trail
+		// and attracts the field on its own.
+		// A browser that takes a touch over for scrolling or zooming cancels its
+		// pointer (pointercancel) and sends no more moves, so where touch events
+		// exist, fingers are tracked through those instead (see the touch
+		// handlers below) and the pointer handlers only look for taps.
+		// Browsers without Pointer Events feed the same handlers mouse events
+		// (see getPointerListeners()).
+		const tracksTouches = 'ontouchstart' in window;
+		const isTrackedTouch = ( e ) =>
+			tracksTouches && getPointerType( e ) === 'touch';
+
+		this.pointerMoveHandler = ( e ) => {
+			if ( isTrackedTouch( e ) ) {
+				return;
+			}
+
+			const point = this.toLocalPoint( e.clientX, e.clientY );
+			this.movePointer(
+				getPointerId( e ),
+				point.x,
+				point.y,
+				true,
+				getPointerPressure( e )
+			);
+		};
+
+		// A finger or pen touching down: track it, but only draw once it moves
+		this.pointerDownHandler = ( e ) => {
+			if ( getPointerType( e ) === 'mouse' && e.button !== 0 ) {
+				return;
+			}
+
+			this.tapStarts[ getPointerId( e ) ] = {
+				x: e.clientX,
+				y: e.clientY,
+			};
+			if ( isTrackedTouch( e ) ) {
+				return;
+			}
+
+			const point = this.toLocalPoint( e.clientX, e.clientY );
+			this.movePointer(
+				getPointerId( e ),
+				point.x,
+				point.y,
+				false,
+				getPointerPressure( e )
+			);
+		};
+
+		// Explosions and firework launches on release, when the pointer didn't travel
+		// (a click would fire a second time after a touch)
+		this.pointerUpHandler = ( e ) => {
+			const pointerId = getPointerId( e );
+			const start = this.tapStarts[ pointerId ];
+			delete this.tapStarts[ pointerId ];
+
+			if (
+				start &&
+				Math.abs( e.clientX - start.x ) <= TAP_SLOP &&
+				Math.abs( e.clientY - start.y ) <= TAP_SLOP
+			) {
+				this.handleTap( e.clientX, e.clientY );
+			}
+
+			// A lifted finger or pen is gone; the mouse stays where it is
+			if ( getPointerType( e ) !== 'mouse' && ! isTrackedTouch( e ) ) {
+				this.releasePointer( pointerId );
+			}
+		};
+
+		// Pointer left the area (out of the window, or out of the container), or the browser took over the gesture
+		this.pointerOutHandler = ( e ) => {
+			if ( isTrackedTouch( e ) ) {
+				return;
+			}
+			if (
+				! e.relatedTarget ||
+				! this.inputTarget.contains( e.relatedTarget )
+			) {
+				this.releasePointer( getPointerId( e ) );
+			}
+		};
+		this.pointerCancelHandler = ( e ) => {
+			// A scroll or zoom is no tap, but the finger keeps its trail through touch events
+			if ( isTrackedTouch( e ) ) {
+				delete this.tapStarts[ e.pointerId ];
+				return;
+			}
+			this.releasePointer( e.pointerId );
+		};
+
+		// TOUCH EVENTS: Keep coming for the whole gesture, scrolling included.
+		// Each finger is a pointer of its own, by Touch.identifier.
+		const moveTouches = ( e, emitTrail ) => {
+			for ( let i = 0; i < e.changedTouches.length; i++ ) {
+				const touch = e.changedTouches[ i ];
+				const point = this.toLocalPoint( touch.clientX, touch.clientY );
+				this.movePointer(
+					TOUCH_POINTER_PREFIX + touch.identifier,
+					point.x,
+					point.y,
+					emitTrail,
+					getTouchPressure( touch )
+				);
+			}
+		};
+
+		// A finger touching down: track it, but only draw once it moves
+		this.touchStartHandler = ( e ) => {
+			moveTouches( e, false );
+		};
+		this.touchMoveHandler = ( e ) => {
+			moveTouches( e, true );
+		};
+		this.touchEndHandler = ( e ) => {
+			for ( let i = 0; i < e.changedTouches.length; i++ ) {
+				this.releasePointer(
+					TOUCH_POINTER_PREFIX + e.changedTouches[ i ].identifier
+				);
+			}
+		};
+
+		// KEYBOARD: With keyboard interaction on, moving focus draws a trail and
+		// pulls the field, and the burst key sets off an explosion at the focus
+		this.focusInHandler = ( e ) => {
+			if ( ! this.config.keyboardInteraction ) {
+				return;
+			}
+
+			if ( isKeyboardFocus( e.target ) ) {
+				this.moveFocus( e.target );
+			} else {
+				this.releaseFocus();
+			}
+		};
+		this.focusOutHandler = ( e ) => {
+			if (
+				! e.relatedTarget ||
+				! this.inputTarget.contains( e.relatedTarget )
+			) {
+				this.releaseFocus();
+			}
+		};
+		this.keyDownHandler = ( e ) => {
+			if (
+				! this.config.keyboardInteraction ||
+				e.repeat ||
+				e.ctrlKey ||
+				e.altKey ||
+				e.metaKey
+			) {
+				return;
+			}
+			if ( e.target !== this.focusedElement || isTextEntry( e.target ) ) {
+				return;
+			}
+
+			// Autofill sends keydown events without a key
+			if (
+				typeof e.key === 'string' &&
+				e.key.toLowerCase() ===
+					this.config.keyboardBurstKey.toLowerCase()
+			) {
+				this.handleKeyBurst( e.target );
+			}
+		};
+
+		// The focused element moves across a full-viewport canvas as the page scrolls
+		this.scrollHandler = () => {
+			if ( this.focusedElement ) {
+				const point = this.getElementCenter( this.focusedElement );
+				this.movePointer( FOCUS_POINTER_ID, point.x, point.y, false );
+			}
+		};
+
+		// SAFETY: Use smooth resize handler with debouncing
+		this.resizeHandler = () => {
+			this.handleResize();
+		};
+
+		// Visibility change handler - pause animation when tab is hidden
+		this.visibilityChangeHandler = () => {
+			this.isTabVisible = ! document.hidden;
+
+			// The worker runs its own loop and pauses itself
+			if ( this.worker ) {
+				this.worker.postMessage( {
+					type: 'visibility',
+					visible: this.isTabVisible,
+				} );
+				return;
+			}
+
+			if ( this.isTabVisible && this.isActive ) {
+				// Resume animation when tab becomes visible
+				if ( ! this.animationFrameId ) {
+					this.lastFrameTime = performance.now();
+					this.lastUpdateTime = this.lastFrameTime; // FIXED TIMESTEP: Reset update time
+					this.animate();
+				}
+			} else if ( this.animationFrameId ) {
+				// Pause animation when tab is hidden
+				window.cancelAnimationFrame( this.animationFrameId );
+				this.animationFrameId = null;
+			}
+		};
+
+		if ( this.container ) {
+			// Contained canvases follow their container's size instead of the viewport
+			if ( window.ResizeObserver ) {
+				this.resizeObserver = new window.ResizeObserver(
+					this.resizeHandler
+				);
+				this.resizeObserver.observe( this.container );
+			}
+		} else {
+			// SAFETY: Visual viewport resize handler with smooth transitions
+			if ( window.visualViewport ) {
+				this.visualViewportResizeHandler = () => {
+					this.handleResize();
+				};
+				window.visualViewport.addEventListener(
+					'resize',
+					this.visualViewportResizeHandler
+				);
+			}
+			window.addEventListener( 'resize', this.resizeHandler );
+		}
+
+		// Pointer input is scoped to the container when there is one
+		const inputTarget = this.container || document;
+		this.inputTarget = inputTarget;
+
+		// Passive listeners, so scrolling never waits on them
+		this.getPointerListeners().forEach( ( [ type, handler ] ) => {
+			inputTarget.addEventListener( type, handler, { passive: true } );
+		} );
+		inputTarget.addEventListener( 'focusin', this.focusInHandler );
+		inputTarget.addEventListener( 'focusout', this.focusOutHandler );
+		inputTarget.addEventListener( 'keydown', this.keyDownHandler );
+		window.addEventListener( 'scroll', this.scrollHandler, {
+			passive: true,
+		} );
+		document.addEventListener(
+			'visibilitychange',
+			this.visibilityChangeHandler
+		);
+	}
+
+	toggle() {
+		this.setActive( ! this.isActive );
+	}
+
+	/**
+	 * Turn the effect on or off
+	 * Saves the preference, updates the button, announces the change and
+	 * dispatches glitterbomb:enabled / glitterbomb:disabled
+	 * @param {boolean} isActive Whether effects should be running
+	 * @param {boolean} remember Whether to save the state as the visitor's preference
+	 *                           (default true; trigger runs pass false)
+	 */
+	setActive( isActive, remember ) {
+		// Nothing to switch if init() bailed out (e.g. disabled on mobile)
+		if ( ! this.canvas || isActive === this.isActive ) {
+			return;
+		}
+
+		this.isActive = isActive;
+
+		// Save preference immediately
+		if ( ! this.isPreview && remember !== false ) {
+			window.sessionStorage.setItem(
+				'glitterBombActive',
+				this.isActive.toString()
+			);
+		}
+
+		// Update button UI
+		this.updateButtonUI();
+
+		// Announce to screen readers
+		if ( this.toggleButton ) {
+			this.toggleButton.announce( this.isActive );
+		}
+
+		if ( this.isActive ) {
+			// Initialize particles if needed
+			this.initializeParticles();
+			this.start();
+		} else {
+			this.stop();
+		}
+
+		this.dispatch( this.isActive ? 'enabled' : 'disabled' );
+	}
+
+	/**
+	 * Dispatch a glitterbomb:* CustomEvent from the block element
+	 * Events bubble, so theme code can listen on document
+	 * @param {string} name   Event name without the "glitterbomb:" prefix
+	 * @param {Object} detail Extra event detail
+	 */
+	dispatch( name, detail ) {
+		if ( typeof window.CustomEvent !== 'function' ) {
+			return;
+		}
+
+		this.blockElement.dispatchEvent(
+			new CustomEvent( 'glitterbomb:' + name, {
+				bubbles: true,
+				detail: Object.assign(
+					{ mode: this.config.experienceMode },
+					detail
+				),
+			} )
+		);
+	}
+
+	start() {
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'start' } );
+			return;
+		}
+
+		if ( ! this.animationFrameId && this.isTabVisible ) {
+			this.lastFrameTime = performance.now();
+			this.lastUpdateTime = this.lastFrameTime; // FIXED TIMESTEP: Initialize update time
+			this.animate();
+		}
+	}
+
+	stop() {
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'stop' } );
+			this.isInitialized = false;
+			return;
+		}
+
+		if ( this.animationFrameId ) {
+			window.cancelAnimationFrame( this.animationFrameId );
+			this.animationFrameId = null;
+		}
+		// Return all particles to pool
+		this.clearParticles();
+		this.isInitialized = false;
+	}
+
+	// Return all particles to the pool and clear the canvas
+	clearParticles() {
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'clear' } );
+			return;
+		}
+
+		this.particlePool.releaseAll();
+		this.clearCanvas();
+	}
+
+	// Initialize particle field (in the worker when it owns the canvas)
+	initializeParticleField() {
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'initField' } );
+			return;
+		}
+
+		super.initializeParticleField();
+	}
+
+	// Start a confetti celebration (in the worker when it owns the canvas)
+	startCelebration() {
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'celebrate' } );
+			return;
+		}
+
+		super.startCelebration();
+	}
+
+	/**
+	 * Respond to a click or tap at viewport coordinates
+	 * The field explodes and fireworks launch a rocket towards the point, when enabled
+	 * @param {number} clientX Horizontal viewport position
+	 * @param {number} clientY Vertical viewport position
+	 */
+	handleTap( clientX, clientY ) {
+		if ( ! this.isActive ) {
+			return;
+		}
+
+		if (
+			this.config.experienceMode === 'particle-field' &&
+			this.config.fieldClickExplosion
+		) {
+			const point = this.toLocalPoint( clientX, clientY );
+			this.createExplosion( point.x, point.y );
+		} else if (
+			this.config.experienceMode === 'fireworks' &&
+			this.config.fireworksClickLaunch
+		) {
+			const point = this.toLocalPoint( clientX, clientY );
+			this.launchRocket( point.x, point.y );
+		}
+	}
+
+	// Start a fireworks show (in the worker when it owns the canvas)
+	startFireworks() {
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'startFireworks' } );
+			return;
+		}
+
+		super.startFireworks();
+	}
+
+	// Launch a rocket (in the worker when it owns the canvas)
+	launchRocket( targetX, targetY ) {
+		if ( this.worker ) {
+			this.worker.postMessage( {
+				type: 'pointer',
+				action: 'launch',
+				x: targetX,
+				y: targetY,
+			} );
+			return;
+		}
+
+		super.launchRocket( targetX, targetY );
+	}
+
+	// Start falling weather (in the worker when it owns the canvas)
+	startFalling() {
+		if ( this.worker ) {
+			this.worker.postMessage( { type: 'startFalling' } );
+			return;
+		}
+
+		super.startFalling();
+	}
+
+	// Confetti is one-shot: switch off once the last piece is gone (the editor preview loops instead)
+	finishCelebration() {
+		if ( this.isPreview ) {
+			this.startCelebration();
+			return;
+		}
+
+		this.setActive( false );
+	}
+
+	// Create an explosion (in the worker when it owns the canvas) and announce it
+	createExplosion( x, y ) {
+		if ( this.worker ) {
+			this.worker.postMessage( {
+				type: 'pointer',
+				action: 'tap',
+				x,
+				y,
+			} );
+		} else {
+			super.createExplosion( x, y );
+		}
+
+		this.dispatch( 'explosion', { x, y } );
+	}
+
+	/**
+	 * Trigger an explosion at viewport coordinates
+	 * Only the Particle Field has explosions, and only while it is running
+	 * @param {number} clientX Horizontal viewport position
+	 * @param {number} clientY Vertical viewport position
+	 * @return {boolean} Whether an explosion was created
+	 */
+	burst( clientX, clientY ) {
+		if (
+			! this.isActive ||
+			this.config.experienceMode !== 'particle-field'
+		) {
+			return false;
+		}
+
+		const point = this.toLocalPoint( clientX, clientY );
+		this.createExplosion( point.x, point.y );
+		return true;
+	}
+
+	animate() {
+		// Only continue if tab is visible and effects are active
+		if ( ! this.isTabVisible || ! this.isActive ) {
+			this.animationFrameId = null;
+			return;
+		}
+
+		// FIXED TIMESTEP: Physics runs in 60 FPS steps, the draw interpolates between them
+		// SAFETY: Update canvas opacity for smooth transitions alongside physics
+		if ( this.renderFrame( performance.now() ) ) {
+			this.updateCanvasOpacity();
+		}
+
+		if ( this.celebrationEnded() ) {
+			this.finishCelebration();
+		}
+
+		// Continue animation loop at display's native refresh rate
+		this.animationFrameId = window.requestAnimationFrame( () =>
+			this.animate()
+		);
+	}
+
+	destroy() {
+		// Clear debounce timer
+		if ( this.resizeDebounceTimer ) {
+			clearTimeout( this.resizeDebounceTimer );
+		}
+
+		// Nothing was set up if init() bailed out (e.g. disabled on mobile)
+		if ( ! this.canvas ) {
+			return;
+		}
+
+		if ( this.fadeFrameId ) {
+			window.cancelAnimationFrame( this.fadeFrameId );
+			this.fadeFrameId = null;
+		}
+
+		// Clean up event listeners
+		const inputTarget = this.inputTarget;
+		this.getPointerListeners().forEach( ( [ type, handler ] ) => {
+			inputTarget.removeEventListener( type, handler );
+		} );
+		inputTarget.removeEventListener( 'focusin', this.focusInHandler );
+		inputTarget.removeEventListener( 'focusout', this.focusOutHandler );
+		inputTarget.removeEventListener( 'keydown', this.keyDownHandler );
+		window.removeEventListener( 'scroll', this.scrollHandler );
+		window.removeEventListener( 'resize', this.resizeHandler );
+		document.removeEventListener(
+			'visibilitychange',
+			this.visibilityChangeHandler
+		);
+
+		if ( window.visualViewport && this.visualViewportResizeHandler ) {
+			window.visualViewport.removeEventListener(
+				'resize',
+				this.visualViewportResizeHandler
+			);
+		}
+
+		if ( this.resizeObserver ) {
+			this.resizeObserver.disconnect();
+			this.resizeObserver = null;
+		}
+
+		// Stop animation
+		this.isActive = false;
+		this.stop();
+
+		if ( this.worker ) {
+			this.worker.terminate();
+			this.worker = null;
+		}
+
+		// Remove DOM elements
+		if ( this.canvas && this.canvas.parentNode ) {
+			this.canvas.parentNode.removeChild( this.canvas );
+		}
+		if ( this.toggleButton ) {
+			this.toggleButton.destroy();
+			this.toggleButton = null;
+		}
+	}
+}
@@ -0,0 +1,282 @@
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { useState, useEffect } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import {
+	Button,
+	FormFileUpload,
+	Notice,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+
+// Version of the export file format, checked on import
+const EXPORT_VERSION = 1;
+
+/**
+ * Save the presets as a JSON file.
+ *
+ * @param {Array} presets Presets with name and attributes.
+ */
+function downloadPresets( presets ) {
+	const blob = new window.Blob(
+		[
+			JSON.stringify(
+				{
+					glitterBombPresets: EXPORT_VERSION,
+					presets: presets.map( ( { name, attributes } ) => ( {
+						name,
+						attributes,
+					} ) ),
+				},
+				null,
+				2
+			),
+		],
+		{ type: 'application/json' }
+	);
+	const url = window.URL.createObjectURL( blob );
+	const link = document.createElement( 'a' );
+	link.href = url;
+	link.download = 'glitter-bomb-presets.json';
+	link.click();
+	window.URL.revokeObjectURL( url );
+}
+
+/**
+ * Inspector controls for saving, applying, exporting and importing presets.
+ *
+ * Presets are stored site-wide through the glitter-bomb/v1/presets REST
+ * route (includes/presets.php), which validates them like render.php. The
+ * effect area, triggers and schedule belong to this block and are left out.
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attribute setter.
+ *
+ * @return {Element} Element to render.
+ */
+export default function PresetManager( { attributes, setAttributes } ) {
+	const [ presets, setPresets ] = useState( null );
+	const [ selectedId, setSelectedId ] = useState( '' );
+	const [ name, setName ] = useState( '' );
+	const [ isBusy, setIsBusy ] = useState( false );
+	const [ notice, setNotice ] = useState( null );
+
+	useEffect( () => {
+		apiFetch( { path: '/glitter-bomb/v1/presets' } )
+			.then( setPresets )
+			.catch( () => setPresets( [] ) );
+	}, [] );
+
+	const selected = ( presets || [] ).find(
+		( preset ) => preset.id === selectedId
+	);
+
+	// Runs a request and shows its outcome
+	const request = ( options, onSuccess ) => {
+		setIsBusy( true );
+		setNotice( null );
+		apiFetch( options )
+			.then( ( response ) =>
+				setNotice( {
+					status: 'success',
+					message: onSuccess( response ),
+				} )
+			)
+			.catch( ( error ) =>
+				setNotice( {
+					status: 'error',
+					message:
+						error.message ||
+						__(
+							'The presets could not be updated.',
+							'glitter-bomb'
+						),
+				} )
+			)
+			.finally( () => setIsBusy( false ) );
+	};
+
+	const savePreset = () => {
+		request(
+			{
+				path: '/glitter-bomb/v1/presets',
+				method: 'POST',
+				data: { name: name.trim(), attributes },
+			},
+			( response ) => {
+				setPresets( response );
+				setName( '' );
+				return __( 'Preset saved.', 'glitter-bomb' );
+			}
+		);
+	};
+
+	const applyPreset = () => {
+		setAttributes( selected.attributes );
+		setNotice( {
+			status: 'success',
+			message: sprintf(
+				/* translators: %s: Preset name. */
+				__( 'Applied “%s”.', 'glitter-bomb' ),
+				selected.name
+			),
+		} );
+	};
+
+	const deletePreset = () => {
+		request(
+			{
+				path: `/glitter-bomb/v1/presets/${ selectedId }`,
+				method: 'DELETE',
+			},
+			( response ) => {
+				setPresets( response );
+				setSelectedId( '' );
+				return __( 'Preset deleted.', 'glitter-bomb' );
+			}
+		);
+	};
+
+	const importPresets = ( event ) => {
+		const file = event.target.files[ 0 ];
+		event.target.value = '';
+		if ( ! file ) {
+			return;
+		}
+
+		file.text()
+			.then( ( text ) => {
+				const data = JSON.parse( text );
+				if (
+					! data ||
+					data.glitterBombPresets !== EXPORT_VERSION ||
+					! Array.isArray( data.presets )
+				) {
+					throw new Error();
+				}
+				request(
+					{
+						path: '/glitter-bomb/v1/presets/import',
+						method: 'POST',
+						data: { presets: data.presets },
+					},
+					( response ) => {
+						setPresets( response.presets );
+						return sprintf(
+							/* translators: %d: Number of imported presets. */
+							_n(
+								'Imported %d preset.',
+								'Imported %d presets.',
+								response.imported,
+								'glitter-bomb'
+							),
+							response.imported
+						);
+					}
+				);
+			} )
+			.catch( () =>
+				setNotice( {
+					status: 'error',
+					message: __(
+						'This file is not a Glitter Bomb presets export.',
+						'glitter-bomb'
+					),
+				} )
+			);
+	};
+
+	if ( presets === null ) {
+		return <Spinner />;
+	}
+
+	return (
+		<div className="glitter-bomb-presets">
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					onRemove={ () => setNotice( null ) }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+			{ presets.length > 0 && (
+				<>
+					<SelectControl
+						label={ __( 'Saved Presets', 'glitter-bomb' ) }
+						value={ selectedId }
+						options={ [
+							{
+								label: __( 'Choose a preset', 'glitter-bomb' ),
+								value: '',
+							},
+							...presets.map( ( preset ) => ( {
+								label: preset.name,
+								value: preset.id,
+							} ) ),
+						] }
+						onChange={ setSelectedId }
+					/>
+					<div className="glitter-bomb-presets__actions">
+						<Button
+							variant="secondary"
+							onClick={ applyPreset }
+							disabled={ ! selected || isBusy }
+						>
+							{ __( 'Apply', 'glitter-bomb' ) }
+						</Button>
+						<Button
+							variant="tertiary"
+							isDestructive
+							onClick={ deletePreset }
+							disabled={ ! selected || isBusy }
+						>
+							{ __( 'Delete', 'glitter-bomb' ) }
+						</Button>
+					</div>
+				</>
+			) }
+			<TextControl
+				label={ __( 'Preset Name', 'glitter-bomb' ) }
+				value={ name }
+				onChange={ setName }
+				help={ __(
+					'Saves this block’s settings for reuse on other blocks. A preset with the same name is replaced. The effect area, triggers and schedule are not included.',
+					'glitter-bomb'
+				) }
+			/>
+			<div className="glitter-bomb-presets__actions">
+				<Button
+					variant="secondary"
+					onClick={ savePreset }
+					disabled={ ! name.trim() || isBusy }
+					isBusy={ isBusy }
+				>
+					{ __( 'Save as Preset', 'glitter-bomb' ) }
+				</Button>
+			</div>
+			<div className="glitter-bomb-presets__actions">
+				<Button
+					variant="tertiary"
+					onClick={ () => downloadPresets( presets ) }
+					disabled={ presets.length === 0 }
+				>
+					{ __( 'Export', 'glitter-bomb' ) }
+				</Button>
+				<FormFileUpload
+					variant="tertiary"
+					accept="application/json,.json"
+					onChange={ importPresets }
+					disabled={ isBusy }
+				>
+					{ __( 'Import', 'glitter-bomb' ) }
+				</FormFileUpload>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,31 @@
+/**
+ * Glitter Bomb - Seeded Randomness
+ *
+ * A small seedable random number generator for the simulation. With a seed,
+ * the same field layout, bursts and drift come out every time, so a look can
+ * be reproduced exactly and the simulation can be replayed outside the browser.
+ */
+
+/**
+ * Create a random number function
+ * Uses mulberry32: one 32-bit state, fast, and evenly spread enough for visuals
+ * @param {number} seed Positive integer seed; 0 or anything invalid uses Math.random
+ * @return {Function} Function returning a number from 0 (inclusive) to 1 (exclusive)
+ */
+export function createRandom( seed ) {
+	seed = Math.floor( Number( seed ) );
+	if ( ! ( seed > 0 ) ) {
+		return Math.random;
+	}
+
+	/* eslint-disable no-bitwise -- mulberry32 mixes its state with 32-bit integer operations */
+	let state = seed >>> 0;
+	return function () {
+		state = ( state + 0x6d2b79f5 ) >>> 0;
+		let t = state;
+		t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+		t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+		return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+	};
+	/* eslint-enable no-bitwise */
+}
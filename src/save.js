@@ -1 +1,18 @@
+/**
+ * Outputs the saved markup of the nested blocks.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-block-editor/#innerblocks
+ */
+import { InnerBlocks } from '@wordpress/block-editor';
 
+/**
+ * The block is rendered in PHP (see render.php), so only the nested blocks
+ * are saved. They are passed to render.php as its content.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-edit-save/#save
+ *
+ * @return {Element} Element to render.
+ */
+export default function save() {
+	return <InnerBlocks.Content />;
+}
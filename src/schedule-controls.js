@@ -0,0 +1,155 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { getSettings as getDateSettings } from '@wordpress/date';
+import {
+	Button,
+	CheckboxControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import { hasSchedule } from './schedule';
+
+const WEEKDAYS = [
+	__( 'Sunday', 'glitter-bomb' ),
+	__( 'Monday', 'glitter-bomb' ),
+	__( 'Tuesday', 'glitter-bomb' ),
+	__( 'Wednesday', 'glitter-bomb' ),
+	__( 'Thursday', 'glitter-bomb' ),
+	__( 'Friday', 'glitter-bomb' ),
+	__( 'Saturday', 'glitter-bomb' ),
+];
+
+// Attribute values that mean "no schedule"
+const EMPTY_SCHEDULE = {
+	scheduleStart: '',
+	scheduleEnd: '',
+	scheduleYearly: false,
+	scheduleDays: [],
+	scheduleTimeStart: '',
+	scheduleTimeEnd: '',
+};
+
+/**
+ * Inspector controls for the schedule window.
+ *
+ * Dates, weekdays and times all have to match for the effect to run. An
+ * empty weekday list means every day. The rules are applied by render.php
+ * and shown in the placeholder through getScheduleStatus().
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attribute setter.
+ *
+ * @return {Element} Element to render.
+ */
+export default function ScheduleControls( { attributes, setAttributes } ) {
+	const days = attributes.scheduleDays || [];
+	const isEveryDay = days.length === 0;
+	const timezone = getDateSettings().timezone;
+
+	const toggleDay = ( day, isChecked ) => {
+		const next = WEEKDAYS.map( ( label, index ) => index ).filter(
+			( index ) =>
+				index === day ? isChecked : isEveryDay || days.includes( index )
+		);
+
+		if ( next.length === WEEKDAYS.length ) {
+			setAttributes( { scheduleDays: [] } );
+		} else if ( next.length > 0 ) {
+			setAttributes( { scheduleDays: next } );
+		}
+	};
+
+	return (
+		<>
+			<TextControl
+				type="datetime-local"
+				label={ __( 'Start', 'glitter-bomb' ) }
+				value={ attributes.scheduleStart }
+				onChange={ ( value ) =>
+					setAttributes( { scheduleStart: value } )
+				}
+			/>
+			<TextControl
+				type="datetime-local"
+				label={ __( 'End', 'glitter-bomb' ) }
+				value={ attributes.scheduleEnd }
+				onChange={ ( value ) =>
+					setAttributes( { scheduleEnd: value } )
+				}
+			/>
+			<ToggleControl
+				label={ __( 'Repeat every year', 'glitter-bomb' ) }
+				checked={ attributes.scheduleYearly }
+				onChange={ ( value ) =>
+					setAttributes( { scheduleYearly: value } )
+				}
+				help={ __(
+					'Only the month, day and time of the start and end are used, so a window from December 1 to January 6 comes back every holiday season.',
+					'glitter-bomb'
+				) }
+			/>
+			<fieldset className="glitter-bomb-shape-picker">
+				<legend className="glitter-bomb-shape-picker__label">
+					{ __( 'Days of the Week', 'glitter-bomb' ) }
+				</legend>
+				{ WEEKDAYS.map( ( label, day ) => {
+					const isChecked = isEveryDay || days.includes( day );
+					return (
+						<CheckboxControl
+							key={ day }
+							label={ label }
+							checked={ isChecked }
+							disabled={ isChecked && days.length === 1 }
+							onChange={ ( checked ) =>
+								toggleDay( day, checked )
+							}
+						/>
+					);
+				} ) }
+			</fieldset>
+			<div className="glitter-bomb-schedule__times">
+				<TextControl
+					type="time"
+					label={ __( 'Daily From', 'glitter-bomb' ) }
+					value={ attributes.scheduleTimeStart }
+					onChange={ ( value ) =>
+						setAttributes( { scheduleTimeStart: value } )
+					}
+				/>
+				<TextControl
+					type="time"
+					label={ __( 'Daily Until', 'glitter-bomb' ) }
+					value={ attributes.scheduleTimeEnd }
+					onChange={ ( value ) =>
+						setAttributes( { scheduleTimeEnd: value } )
+					}
+				/>
+			</div>
+			<p className="glitter-bomb-panel-description">
+				{ sprintf(
+					/* translators: %s: Site timezone, for example "Europe/Berlin" or "UTC+2". */
+					__(
+						'All times are in the site timezone (%s). A daily window that ends before it starts runs past midnight.',
+						'glitter-bomb'
+					),
+					timezone.string || timezone.abbr || 'UTC'
+				) }
+			</p>
+			{ hasSchedule( attributes ) && (
+				<Button
+					variant="secondary"
+					onClick={ () => setAttributes( EMPTY_SCHEDULE ) }
+				>
+					{ __( 'Clear schedule', 'glitter-bomb' ) }
+				</Button>
+			) }
+		</>
+	);
+}
@@ -0,0 +1,101 @@
+/**
+ * Glitter Bomb - Schedule
+ *
+ * Decides whether a block's schedule window is open at a given moment. The
+ * frontend check runs in render.php (glitter_bomb_schedule_is_live), which
+ * also works out when an open window closes so view.js can stop the effect
+ * mid-visit; this copy of the rules drives the status shown in the editor.
+ *
+ * All times are wall-clock strings in the site timezone:
+ * - scheduleStart / scheduleEnd: 'YYYY-MM-DDTHH:MM', either can be empty
+ * - scheduleYearly: Repeat the start/end window every year (month, day and time only)
+ * - scheduleDays: Weekdays the effect runs on (0 = Sunday), empty for every day
+ * - scheduleTimeStart / scheduleTimeEnd: 'HH:MM' daily window, may wrap past midnight
+ */
+
+/**
+ * Whether a value is inside a start/end range that may wrap around
+ * @param {string} value Value to test
+ * @param {string} start Range start (inclusive)
+ * @param {string} end   Range end (exclusive)
+ * @return {boolean} Whether the value is in range
+ */
+function inRange( value, start, end ) {
+	if ( start <= end ) {
+		return value >= start && value < end;
+	}
+	return value >= start || value < end;
+}
+
+/**
+ * Whether the block has any schedule rules
+ * @param {Object} schedule Block attributes
+ * @return {boolean} Whether a schedule is set
+ */
+export function hasSchedule( schedule ) {
+	return !! (
+		schedule.scheduleStart ||
+		schedule.scheduleEnd ||
+		schedule.scheduleTimeStart ||
+		schedule.scheduleTimeEnd ||
+		( schedule.scheduleDays && schedule.scheduleDays.length > 0 )
+	);
+}
+
+/**
+ * Schedule state at a moment
+ * @param {Object} schedule Block attributes
+ * @param {string} now      Current site time as 'YYYY-MM-DDTHH:MM'
+ * @param {number} weekday  Current site weekday (0 = Sunday)
+ * @return {string} 'always' without a schedule, 'live', 'waiting' (outside the
+ *   window but it opens again) or 'ended' (the end date has passed for good)
+ */
+export function getScheduleStatus( schedule, now, weekday ) {
+	if ( ! hasSchedule( schedule ) ) {
+		return 'always';
+	}
+
+	const start = ( schedule.scheduleStart || '' ).slice( 0, 16 );
+	const end = ( schedule.scheduleEnd || '' ).slice( 0, 16 );
+
+	if ( schedule.scheduleYearly ) {
+		// Compare 'MM-DDTHH:MM' so the window comes back every year
+		const key = now.slice( 5 );
+		if (
+			! inRange(
+				key,
+				start ? start.slice( 5 ) : '01-01T00:00',
+				end ? end.slice( 5 ) : '12-31T24:00'
+			)
+		) {
+			return 'waiting';
+		}
+	} else {
+		if ( end && now >= end ) {
+			return 'ended';
+		}
+		if ( start && now < start ) {
+			return 'waiting';
+		}
+	}
+
+	const days = schedule.scheduleDays || [];
+	if ( days.length > 0 && days.indexOf( weekday ) === -1 ) {
+		return 'waiting';
+	}
+
+	if ( schedule.scheduleTimeStart || schedule.scheduleTimeEnd ) {
+		const time = now.slice( 11, 16 );
+		if (
+			! inRange(
+				time,
+				schedule.scheduleTimeStart || '00:00',
+				schedule.scheduleTimeEnd || '24:00'
+			)
+		) {
+			return 'waiting';
+		}
+	}
+
+	return 'live';
+}
@@ -0,0 +1,35 @@
+/**
+ * Settings screen for the site-wide effect (Settings → Glitter Bomb).
+ *
+ * includes/settings.php outputs the mount point and the saved settings.
+ */
+import { createRoot, render } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import SettingsPage from './settings-page';
+import './settings.scss';
+
+const container = document.getElementById( 'glitter-bomb-settings' );
+const data = window.glitterBombSettingsPage;
+
+if ( container && data ) {
+	const page = (
+		<SettingsPage
+			settings={ data.settings }
+			options={ {
+				postTypes: data.postTypes,
+				templates: data.templates,
+				roles: data.roles,
+			} }
+		/>
+	);
+
+	// createRoot() arrived with React 18 in WordPress 6.2
+	if ( createRoot ) {
+		createRoot( container ).render( page );
+	} else {
+		render( page, container );
+	}
+}
@@ -0,0 +1,124 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { Button, SelectControl, TextControl } from '@wordpress/components';
+
+const RULE_TYPES = {
+	post_type: __( 'Post type', 'glitter-bomb' ),
+	template: __( 'Template', 'glitter-bomb' ),
+	url: __( 'URL pattern', 'glitter-bomb' ),
+	role: __( 'User role', 'glitter-bomb' ),
+};
+
+// includes/settings.php keeps the first fifty rules
+const MAX_RULES = 50;
+
+/**
+ * Editable list of include or exclude rules for the site-wide effect.
+ *
+ * Post types, templates and roles are picked from the site's own lists;
+ * URL patterns are typed, with * matching anything.
+ *
+ * @param {Object}   props          Component props.
+ * @param {string}   props.label    List label.
+ * @param {string}   props.help     Help text.
+ * @param {Array}    props.value    Rules with type and value.
+ * @param {Object}   props.options  Choices per rule type: postTypes, templates and roles.
+ * @param {Function} props.onChange Called with the new list.
+ *
+ * @return {Element} Element to render.
+ */
+export default function RuleList( { label, help, value, options, onChange } ) {
+	const rules = Array.isArray( value ) ? value : [];
+
+	const choices = {
+		post_type: options.postTypes,
+		template: options.templates,
+		role: options.roles,
+	};
+
+	// First choice of a type, so a new rule is valid right away
+	const getDefaultValue = ( type ) =>
+		choices[ type ] && choices[ type ].length > 0
+			? choices[ type ][ 0 ].value
+			: '';
+
+	const updateRule = ( index, changes ) => {
+		onChange(
+			rules.map( ( rule, i ) =>
+				i === index ? { ...rule, ...changes } : rule
+			)
+		);
+	};
+
+	const removeRule = ( index ) => {
+		onChange( rules.filter( ( rule, i ) => i !== index ) );
+	};
+
+	const addRule = () => {
+		onChange( [
+			...rules,
+			{ type: 'post_type', value: getDefaultValue( 'post_type' ) },
+		] );
+	};
+
+	return (
+		<fieldset className="glitter-bomb-rule-list">
+			<legend className="glitter-bomb-rule-list__label">{ label }</legend>
+			<p className="glitter-bomb-rule-list__help">{ help }</p>
+			{ rules.map( ( rule, index ) => (
+				<div key={ index } className="glitter-bomb-rule">
+					<SelectControl
+						label={ __( 'Rule type', 'glitter-bomb' ) }
+						hideLabelFromVision
+						value={ rule.type }
+						options={ Object.keys( RULE_TYPES ).map( ( type ) => ( {
+							label: RULE_TYPES[ type ],
+							value: type,
+						} ) ) }
+						onChange={ ( type ) =>
+							updateRule( index, {
+								type,
+								value: getDefaultValue( type ),
+							} )
+						}
+					/>
+					{ rule.type === 'url' ? (
+						<TextControl
+							label={ __( 'URL pattern', 'glitter-bomb' ) }
+							hideLabelFromVision
+							value={ rule.value }
+							placeholder="/shop/*"
+							onChange={ ( newValue ) =>
+								updateRule( index, { value: newValue } )
+							}
+						/>
+					) : (
+						<SelectControl
+							label={ RULE_TYPES[ rule.type ] }
+							hideLabelFromVision
+							value={ rule.value }
+							options={ choices[ rule.type ] || [] }
+							onChange={ ( newValue ) =>
+								updateRule( index, { value: newValue } )
+							}
+						/>
+					) }
+					<Button
+						variant="link"
+						isDestructive
+						onClick={ () => removeRule( index ) }
+					>
+						{ __( 'Remove', 'glitter-bomb' ) }
+					</Button>
+				</div>
+			) ) }
+			{ rules.length < MAX_RULES && (
+				<Button variant="secondary" onClick={ addRule }>
+					{ __( 'Add rule', 'glitter-bomb' ) }
+				</Button>
+			) }
+		</fieldset>
+	);
+}
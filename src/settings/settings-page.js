@@ -0,0 +1,290 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import {
+	Button,
+	Notice,
+	Panel,
+	PanelBody,
+	SelectControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import metadata from '../block.json';
+import PaletteBuilder from '../palette-builder';
+import ShapePicker from '../shape-picker';
+import RuleList from './rule-list';
+
+const EXPERIENCE_LABELS = {
+	'sprinkle-trail': __( 'Sprinkle Trail', 'glitter-bomb' ),
+	'particle-field': __( 'Particle Field', 'glitter-bomb' ),
+	confetti: __( 'Confetti Celebration', 'glitter-bomb' ),
+	falling: __( 'Falling (Snow, Petals, Glitter Rain)', 'glitter-bomb' ),
+	fireworks: __( 'Fireworks', 'glitter-bomb' ),
+};
+
+const PALETTE_OPTIONS = [
+	{ label: __( 'Rainbow', 'glitter-bomb' ), value: 'rainbow-cycling' },
+	{ label: __( 'Metallic', 'glitter-bomb' ), value: 'metallic' },
+	{
+		label: __( 'Neutral Spectrum', 'glitter-bomb' ),
+		value: 'neutral-spectrum',
+	},
+	{ label: __( 'Warm Sunset', 'glitter-bomb' ), value: 'warm-sunset' },
+	{ label: __( 'Cool Ocean', 'glitter-bomb' ), value: 'cool-ocean' },
+	{ label: __( 'Theme Palette', 'glitter-bomb' ), value: 'theme' },
+	{ label: __( 'Custom Palette', 'glitter-bomb' ), value: 'custom' },
+];
+
+// Modes with a shape setting; falling and fireworks shapes come from their presets and patterns
+const SHAPE_ATTRIBUTES = {
+	'sprinkle-trail': 'particleShape',
+	'particle-field': 'fieldParticleShape',
+	confetti: 'confettiShape',
+};
+
+// Shape the picker keeps when the saved value is empty, as in the block inspector
+const SHAPE_FALLBACKS = {
+	particleShape: 'circle',
+	fieldParticleShape: 'sparkle',
+	confettiShape: 'confetti',
+};
+
+/**
+ * Settings screen for the site-wide effect.
+ *
+ * Effect settings are stored as block attributes, and only the ones changed
+ * here are saved; everything else keeps the block's defaults. Settings are
+ * saved through the REST API settings endpoint.
+ *
+ * @param {Object} props          Component props.
+ * @param {Object} props.settings Saved settings: enabled, attributes, include and exclude.
+ * @param {Object} props.options  Choices for the rule pickers.
+ *
+ * @return {Element} Element to render.
+ */
+export default function SettingsPage( { settings, options } ) {
+	const [ values, setValues ] = useState( settings );
+	const [ isSaving, setIsSaving ] = useState( false );
+	const [ notice, setNotice ] = useState( null );
+
+	const update = ( changes ) => {
+		setValues( { ...values, ...changes } );
+	};
+
+	// Saved value, or the block's default
+	const getAttribute = ( name ) =>
+		values.attributes[ name ] !== undefined
+			? values.attributes[ name ]
+			: metadata.attributes[ name ].default;
+
+	const setAttributes = ( changes ) => {
+		update( { attributes: { ...values.attributes, ...changes } } );
+	};
+
+	const experienceMode = getAttribute( 'experienceMode' );
+	const isParticleField = experienceMode === 'particle-field';
+	const paletteAttribute = isParticleField
+		? 'fieldColorPalette'
+		: 'colorPalette';
+	const shapeAttribute = SHAPE_ATTRIBUTES[ experienceMode ];
+
+	const save = () => {
+		setIsSaving( true );
+		setNotice( null );
+		apiFetch( {
+			path: '/wp/v2/settings',
+			method: 'POST',
+			data: { glitter_bomb_settings: values },
+		} )
+			.then( ( response ) => {
+				setValues( response.glitter_bomb_settings );
+				setNotice( {
+					status: 'success',
+					message: __( 'Settings saved.', 'glitter-bomb' ),
+				} );
+			} )
+			.catch( ( error ) => {
+				setNotice( {
+					status: 'error',
+					message:
+						error.message ||
+						__(
+							'The settings could not be saved.',
+							'glitter-bomb'
+						),
+				} );
+			} )
+			.finally( () => setIsSaving( false ) );
+	};
+
+	return (
+		<div className="glitter-bomb-settings">
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					onRemove={ () => setNotice( null ) }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+			<Panel>
+				<PanelBody title={ __( 'Site-wide Effect', 'glitter-bomb' ) }>
+					<ToggleControl
+						label={ __(
+							'Show the effect across the site',
+							'glitter-bomb'
+						) }
+						checked={ values.enabled }
+						onChange={ ( enabled ) => update( { enabled } ) }
+						help={ __(
+							'Pages with their own Glitter Bomb block use that block’s settings instead.',
+							'glitter-bomb'
+						) }
+					/>
+				</PanelBody>
+				<PanelBody title={ __( 'Effect', 'glitter-bomb' ) }>
+					<SelectControl
+						label={ __( 'Experience Mode', 'glitter-bomb' ) }
+						value={ experienceMode }
+						options={ Object.keys( EXPERIENCE_LABELS ).map(
+							( mode ) => ( {
+								label: EXPERIENCE_LABELS[ mode ],
+								value: mode,
+							} )
+						) }
+						onChange={ ( value ) =>
+							setAttributes( { experienceMode: value } )
+						}
+					/>
+					<SelectControl
+						label={ __( 'Color Palette', 'glitter-bomb' ) }
+						value={ getAttribute( paletteAttribute ) }
+						options={ PALETTE_OPTIONS }
+						onChange={ ( value ) =>
+							setAttributes( { [ paletteAttribute ]: value } )
+						}
+					/>
+					{ getAttribute( paletteAttribute ) === 'custom' && (
+						<PaletteBuilder
+							value={ getAttribute( 'customColors' ) }
+							fallback={ getAttribute( 'customColor' ) }
+							mode={ getAttribute( 'customPaletteMode' ) }
+							onChange={ ( value ) =>
+								setAttributes( { customColors: value } )
+							}
+							onModeChange={ ( value ) =>
+								setAttributes( { customPaletteMode: value } )
+							}
+						/>
+					) }
+					{ shapeAttribute && (
+						<ShapePicker
+							label={ __( 'Particle Shape', 'glitter-bomb' ) }
+							value={ getAttribute( shapeAttribute ) }
+							fallback={ SHAPE_FALLBACKS[ shapeAttribute ] }
+							onChange={ ( value ) =>
+								setAttributes( { [ shapeAttribute ]: value } )
+							}
+						/>
+					) }
+					<ToggleControl
+						label={ __( 'Enabled by default', 'glitter-bomb' ) }
+						checked={ getAttribute( 'enabledByDefault' ) }
+						onChange={ ( value ) =>
+							setAttributes( { enabledByDefault: value } )
+						}
+						help={ __(
+							'Visitors can always turn the effect off with the toggle button.',
+							'glitter-bomb'
+						) }
+					/>
+					<ToggleControl
+						label={ __( 'Disable on mobile', 'glitter-bomb' ) }
+						checked={ getAttribute( 'disableOnMobile' ) }
+						onChange={ ( value ) =>
+							setAttributes( { disableOnMobile: value } )
+						}
+					/>
+					<SelectControl
+						label={ __( 'Button Position', 'glitter-bomb' ) }
+						value={ getAttribute( 'buttonPosition' ) }
+						options={ [
+							{
+								label: __( 'Top Left', 'glitter-bomb' ),
+								value: 'top-left',
+							},
+							{
+								label: __( 'Top Right', 'glitter-bomb' ),
+								value: 'top-right',
+							},
+							{
+								label: __( 'Bottom Left', 'glitter-bomb' ),
+								value: 'bottom-left',
+							},
+							{
+								label: __( 'Bottom Right', 'glitter-bomb' ),
+								value: 'bottom-right',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { buttonPosition: value } )
+						}
+					/>
+					<TextControl
+						label={ __( 'Enable Button Text', 'glitter-bomb' ) }
+						value={ getAttribute( 'enableButtonText' ) }
+						onChange={ ( value ) =>
+							setAttributes( { enableButtonText: value } )
+						}
+					/>
+					<TextControl
+						label={ __( 'Disable Button Text', 'glitter-bomb' ) }
+						value={ getAttribute( 'disableButtonText' ) }
+						onChange={ ( value ) =>
+							setAttributes( { disableButtonText: value } )
+						}
+					/>
+				</PanelBody>
+				<PanelBody title={ __( 'Where It Runs', 'glitter-bomb' ) }>
+					<RuleList
+						label={ __( 'Only show on', 'glitter-bomb' ) }
+						help={ __(
+							'Leave empty to show the effect everywhere. With rules, a page has to match at least one.',
+							'glitter-bomb'
+						) }
+						value={ values.include }
+						options={ options }
+						onChange={ ( include ) => update( { include } ) }
+					/>
+					<RuleList
+						label={ __( 'Never show on', 'glitter-bomb' ) }
+						help={ __(
+							'A page that matches any of these rules never shows the site-wide effect.',
+							'glitter-bomb'
+						) }
+						value={ values.exclude }
+						options={ options }
+						onChange={ ( exclude ) => update( { exclude } ) }
+					/>
+				</PanelBody>
+			</Panel>
+			<Button
+				variant="primary"
+				className="glitter-bomb-settings__save"
+				onClick={ save }
+				isBusy={ isSaving }
+				disabled={ isSaving }
+			>
+				{ __( 'Save Settings', 'glitter-bomb' ) }
+			</Button>
+		</div>
+	);
+}
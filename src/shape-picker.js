@@ -0,0 +1,82 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { CheckboxControl } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import { SHAPE_IDS, parseShapes } from './shapes';
+
+const SHAPE_LABELS = {
+	circle: __( 'Circle', 'glitter-bomb' ),
+	sparkle: __( 'Sparkle', 'glitter-bomb' ),
+	star: __( 'Star', 'glitter-bomb' ),
+	heart: __( 'Heart', 'glitter-bomb' ),
+	diamond: __( 'Diamond', 'glitter-bomb' ),
+	confetti: __( 'Confetti', 'glitter-bomb' ),
+	ring: __( 'Ring', 'glitter-bomb' ),
+	twinkle: __( 'Twinkle (four-point)', 'glitter-bomb' ),
+	snowflake: __( 'Snowflake', 'glitter-bomb' ),
+	petal: __( 'Petal', 'glitter-bomb' ),
+};
+
+/**
+ * Checkbox list for picking one shape or a mixed set.
+ *
+ * The value is a comma-separated list of shape ids, in registry order.
+ * At least one shape always stays selected.
+ *
+ * @param {Object}   props          Component props.
+ * @param {string}   props.label    Field label.
+ * @param {string}   props.value    Selected shapes.
+ * @param {string}   props.fallback Shape used when the value is empty or invalid.
+ * @param {string}   props.help     Help text.
+ * @param {Function} props.onChange Called with the new comma-separated value.
+ *
+ * @return {Element} Element to render.
+ */
+export default function ShapePicker( {
+	label,
+	value,
+	fallback,
+	help,
+	onChange,
+} ) {
+	const selected = parseShapes( value, [ fallback ] );
+
+	const toggleShape = ( shape, isChecked ) => {
+		const next = SHAPE_IDS.filter( ( id ) => {
+			return id === shape ? isChecked : selected.indexOf( id ) !== -1;
+		} );
+
+		if ( next.length > 0 ) {
+			onChange( next.join( ',' ) );
+		}
+	};
+
+	return (
+		<fieldset className="glitter-bomb-shape-picker">
+			<legend className="glitter-bomb-shape-picker__label">
+				{ label }
+			</legend>
+			{ SHAPE_IDS.map( ( shape ) => (
+				<CheckboxControl
+					key={ shape }
+					label={ SHAPE_LABELS[ shape ] }
+					checked={ selected.indexOf( shape ) !== -1 }
+					disabled={
+						selected.length === 1 && selected[ 0 ] === shape
+					}
+					onChange={ ( isChecked ) =>
+						toggleShape( shape, isChecked )
+					}
+				/>
+			) ) }
+			{ help && (
+				<p className="glitter-bomb-shape-picker__help">{ help }</p>
+			) }
+		</fieldset>
+	);
+}
@@ -0,0 +1,245 @@
+/**
+ * Glitter Bomb - Particle Shapes
+ *
+ * Registry of the shapes particles can be drawn as. Both renderers dispatch
+ * through it: the Canvas 2D sprite atlas and the WebGL mask texture each draw
+ * every shape once with its draw() function and reuse the result.
+ *
+ * Each entry has:
+ * - extent: Half-extent of the shape relative to the particle size
+ * - draw(ctx, radius): Fill the shape centered on the origin, fitting within radius
+ *
+ * Works on the main thread and in the render worker.
+ */
+
+/* global OffscreenCanvas */
+
+export const PARTICLE_SHAPES = {
+	circle: {
+		extent: 1,
+		draw( ctx, radius ) {
+			ctx.beginPath();
+			ctx.arc( 0, 0, radius, 0, Math.PI * 2 );
+			ctx.fill();
+		},
+	},
+	sparkle: {
+		// Spokes reach 1.5x the particle size
+		extent: 1.5,
+		draw( ctx, radius ) {
+			const size = radius / 1.5;
+			const elements = 5;
+			for ( let i = 0; i < elements; i++ ) {
+				const angle = ( Math.PI * 2 * i ) / elements;
+				const length = size * 1.5;
+
+				// Diamond shape for each element
+				ctx.beginPath();
+				ctx.moveTo( 0, 0 );
+				ctx.lineTo(
+					Math.cos( angle ) * length,
+					Math.sin( angle ) * length
+				);
+				ctx.lineTo(
+					Math.cos( angle + 0.1 ) * ( length * 0.5 ),
+					Math.sin( angle + 0.1 ) * ( length * 0.5 )
+				);
+				ctx.closePath();
+				ctx.fill();
+			}
+
+			// Center glow
+			ctx.beginPath();
+			ctx.arc( 0, 0, size * 0.5, 0, Math.PI * 2 );
+			ctx.fill();
+		},
+	},
+	star: {
+		extent: 1.3,
+		draw( ctx, radius ) {
+			const points = 5;
+			ctx.beginPath();
+			for ( let i = 0; i < points * 2; i++ ) {
+				const angle = ( Math.PI * i ) / points - Math.PI / 2;
+				const length = i % 2 === 0 ? radius : radius * 0.45;
+				ctx.lineTo(
+					Math.cos( angle ) * length,
+					Math.sin( angle ) * length
+				);
+			}
+			ctx.closePath();
+			ctx.fill();
+		},
+	},
+	heart: {
+		extent: 1.2,
+		draw( ctx, radius ) {
+			ctx.beginPath();
+			ctx.moveTo( 0, radius * 0.9 );
+			ctx.bezierCurveTo(
+				-radius * 1.2,
+				radius * 0.1,
+				-radius * 0.75,
+				-radius,
+				0,
+				-radius * 0.45
+			);
+			ctx.bezierCurveTo(
+				radius * 0.75,
+				-radius,
+				radius * 1.2,
+				radius * 0.1,
+				0,
+				radius * 0.9
+			);
+			ctx.closePath();
+			ctx.fill();
+		},
+	},
+	diamond: {
+		extent: 1.3,
+		draw( ctx, radius ) {
+			ctx.beginPath();
+			ctx.moveTo( 0, -radius );
+			ctx.lineTo( radius * 0.65, 0 );
+			ctx.lineTo( 0, radius );
+			ctx.lineTo( -radius * 0.65, 0 );
+			ctx.closePath();
+			ctx.fill();
+		},
+	},
+	confetti: {
+		extent: 1.2,
+		draw( ctx, radius ) {
+			ctx.fillRect( -radius, -radius * 0.45, radius * 2, radius * 0.9 );
+		},
+	},
+	ring: {
+		extent: 1,
+		draw( ctx, radius ) {
+			ctx.beginPath();
+			ctx.arc( 0, 0, radius, 0, Math.PI * 2 );
+			ctx.arc( 0, 0, radius * 0.6, 0, Math.PI * 2, true );
+			ctx.fill();
+		},
+	},
+	twinkle: {
+		// Four-point star with concave sides
+		extent: 1.4,
+		draw( ctx, radius ) {
+			const waist = radius * 0.15;
+			ctx.beginPath();
+			ctx.moveTo( 0, -radius );
+			ctx.quadraticCurveTo( waist, -waist, radius, 0 );
+			ctx.quadraticCurveTo( waist, waist, 0, radius );
+			ctx.quadraticCurveTo( -waist, waist, -radius, 0 );
+			ctx.quadraticCurveTo( -waist, -waist, 0, -radius );
+			ctx.closePath();
+			ctx.fill();
+		},
+	},
+	snowflake: {
+		// Six arms, each with a pair of side branches
+		extent: 1.3,
+		draw( ctx, radius ) {
+			const arm = radius * 0.14;
+			const branch = radius * 0.38;
+			for ( let i = 0; i < 6; i++ ) {
+				ctx.save();
+				ctx.rotate( ( Math.PI * i ) / 3 );
+				ctx.fillRect( -arm / 2, -radius, arm, radius );
+				ctx.translate( 0, -radius * 0.6 );
+				ctx.rotate( Math.PI / 4 );
+				ctx.fillRect( -arm / 2, -branch, arm, branch );
+				ctx.rotate( -Math.PI / 2 );
+				ctx.fillRect( -arm / 2, -branch, arm, branch );
+				ctx.restore();
+			}
+		},
+	},
+	petal: {
+		// Teardrop, pointed end up
+		extent: 1.3,
+		draw( ctx, radius ) {
+			ctx.beginPath();
+			ctx.moveTo( 0, -radius );
+			ctx.bezierCurveTo(
+				radius * 0.75,
+				-radius * 0.35,
+				radius * 0.7,
+				radius,
+				0,
+				radius
+			);
+			ctx.bezierCurveTo(
+				-radius * 0.7,
+				radius,
+				-radius * 0.75,
+				-radius * 0.35,
+				0,
+				-radius
+			);
+			ctx.closePath();
+			ctx.fill();
+		},
+	},
+};
+
+export const SHAPE_IDS = Object.keys( PARTICLE_SHAPES );
+
+/**
+ * Parse a shape set from a comma-separated string or an array of shape ids
+ * Unknown ids are dropped; an empty result falls back
+ * @param {string|Array} value    Raw value (data attribute string or attribute value)
+ * @param {Array}        fallback Shapes to use when nothing valid is given
+ * @return {Array} Shape ids
+ */
+export function parseShapes( value, fallback ) {
+	if ( value === undefined || value === null ) {
+		return fallback;
+	}
+
+	const list = Array.isArray( value ) ? value : String( value ).split( ',' );
+	const shapes = [];
+	list.forEach( function ( shape ) {
+		shape = String( shape ).trim();
+		if (
+			PARTICLE_SHAPES.hasOwnProperty( shape ) &&
+			shapes.indexOf( shape ) === -1
+		) {
+			shapes.push( shape );
+		}
+	} );
+
+	return shapes.length > 0 ? shapes : fallback;
+}
+
+/**
+ * Pick a shape for a new particle; mixed sets pick at random
+ * @param {Array}    shapes Shape ids from parseShapes()
+ * @param {Function} random Random number function (defaults to Math.random)
+ * @return {string} Shape id
+ */
+export function pickShape( shapes, random ) {
+	random = random || Math.random;
+	return shapes.length === 1
+		? shapes[ 0 ]
+		: shapes[ Math.floor( random() * shapes.length ) ];
+}
+
+/**
+ * Create a canvas that works on the main thread and in a worker
+ * @param {number} width  Width in pixels
+ * @param {number} height Height in pixels
+ * @return {OffscreenCanvas|HTMLCanvasElement} Canvas
+ */
+export function createCanvas( width, height ) {
+	if ( typeof OffscreenCanvas !== 'undefined' ) {
+		return new OffscreenCanvas( width, height );
+	}
+
+	const canvas = document.createElement( 'canvas' );
+	canvas.width = width;
+	canvas.height = height;
+	return canvas;
+}
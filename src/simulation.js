@@ -0,0 +1,2062 @@
+/**
+ * Glitter Bomb - Particle Simulation
+ *
+ * The DOM-free core of the particle engine: config parsing, the particle pool,
+ * spawning, physics and canvas drawing. It only needs a 2D context to draw
+ * into, so the same code runs on the main thread (as the base class of
+ * GlitterBombParticles) and inside the OffscreenCanvas render worker.
+ *
+ * Nothing in this module may touch window or document. With the headless
+ * option and a seed it runs in Node as well, stepped with step(), and the same
+ * seed replays the same run.
+ */
+
+import { SpatialHash } from './spatial-hash';
+import { WebGLRenderer } from './webgl-renderer';
+import { SpriteAtlas } from './sprite-atlas';
+import { pickShape } from './shapes';
+import { createRandom } from './random';
+import {
+	COLOR_PALETTES,
+	QUALITY_LEVELS,
+	FALLING_PRESETS,
+	FIREWORK_PATTERNS,
+	getPaletteColors,
+} from './config';
+
+export { parseConfig } from './config';
+
+// FIXED TIMESTEP: Physics always advances in steps of 1/60 s. Every per-step
+// constant (damping, drift, decay, timers) is tied to that step, so motion runs
+// at the same real-time speed whatever the display's frame rate
+const TARGET_FPS = 60;
+const FRAME_DURATION = 1000 / TARGET_FPS; // ~16.67ms per physics step
+
+// Catch-up limit: after jank or on very slow devices, at most this many steps
+// run per frame and the rest of the backlog is dropped, so one slow frame
+// can't snowball into ever longer ones
+const MAX_STEPS_PER_FRAME = 4;
+
+// Particles that moved further than this in one step (wrapped around an edge,
+// respawned) are drawn where they are instead of being interpolated across
+const MAX_INTERPOLATION_DISTANCE = 100;
+
+// Quality levels from lowest to highest (see QUALITY_LEVELS in config.js)
+const QUALITY_ORDER = [ 'low', 'balanced', 'high' ];
+
+// Adaptive quality: the time renderFrame() spends on physics and drawing is
+// compared with the time that passed between frames, over one-second windows.
+// Timing the work instead of the gap between frames keeps 30, 48 or 50 Hz
+// displays and power-saving frame caps from reading as slowness. A window
+// busier than the slow share steps quality down right away; stepping back up
+// needs several quiet windows in a row, twice as many after each step down so
+// it settles instead of bouncing between two levels. Longer gaps are pauses.
+const QUALITY_WINDOW = 1000;
+const QUALITY_SLOW_LOAD = 0.5;
+const QUALITY_FAST_LOAD = 0.25;
+const QUALITY_HEADROOM_WINDOWS = 3;
+const QUALITY_MAX_HEADROOM_WINDOWS = 48;
+const QUALITY_MAX_FRAME = 250;
+
+// Sprinkle trail speed response: strokes slower than TRAIL_SLOW_SPEED (pixels
+// per millisecond) count as slow, at TRAIL_FAST_SPEED and above as fully fast.
+// At full speed sensitivity, slow strokes space particles up to 60% closer,
+// live 50% longer and twinkle; fast ones are up to 50% smaller, fade 60% sooner
+// and get streaks of up to TRAIL_MAX_STREAK particles
+const TRAIL_SLOW_SPEED = 0.15;
+const TRAIL_FAST_SPEED = 1.5;
+const TRAIL_SPEED_SMOOTHING = 0.3;
+const TRAIL_SLOW_DENSITY = 0.6;
+const TRAIL_SLOW_LINGER = 0.5;
+const TRAIL_FAST_THINNING = 0.5;
+const TRAIL_FAST_FADE = 0.6;
+const TRAIL_MAX_STREAK = 6;
+const TRAIL_TWINKLE_RATE = 0.012; // Radians per millisecond (about two flickers per second)
+
+// Particle field separation: particles closer than this push each other apart
+const SEPARATION_RADIUS = 30;
+
+// Confetti: physics steps between repeated bursts (~1.5s), per-step air drag,
+// and a gravity floor so every piece eventually falls off screen
+const CONFETTI_BURST_INTERVAL = 90;
+const CONFETTI_DRAG = 0.97;
+const CONFETTI_MIN_GRAVITY = 0.01;
+
+// Falling: gusts pick a new target strength every 2-6s and ease towards it
+const FALLING_GUST_MIN_STEPS = 120;
+const FALLING_GUST_MAX_STEPS = 360;
+
+// Fireworks: rockets fly without drag, so their apex can be aimed exactly;
+// crossette stars split into four once their life drops below the split point
+const FIREWORK_ROCKET_GRAVITY = 0.06;
+const FIREWORK_CROSSETTE_SPLIT = 0.6;
+
+// Particle Pool for object reuse
+export class ParticlePool {
+	constructor( initialSize ) {
+		initialSize = initialSize || 100;
+		this.pool = [];
+		this.activeParticles = [];
+
+		// Pre-allocate particles
+		for ( let i = 0; i < initialSize; i++ ) {
+			this.pool.push( this.createParticleObject() );
+		}
+	}
+
+	createParticleObject() {
+		// Create a reusable particle object with all possible properties
+		return {
+			x: 0,
+			y: 0,
+			prevX: 0, // Position before the last physics step
+			prevY: 0,
+			drawX: 0, // Position to draw at, between the previous and current one
+			drawY: 0,
+			hasPrevious: false,
+			homX: 0,
+			homY: 0,
+			vx: 0,
+			vy: 0,
+			baseSize: 0,
+			size: 0,
+			opacity: 0,
+			color: '',
+			birthTime: 0,
+			maxLife: 0,
+			shimmerPhase: 0,
+			shimmerSpeed: 0,
+			twinkle: 0, // Trail particles: how much the opacity flickers (slow strokes)
+			rotation: 0,
+			rotationSpeed: 0,
+			colorIndex: 0,
+			colorCycleSpeed: 0,
+			isExplosion: false,
+			explosionLife: 0,
+			driftAngle: 0,
+			driftSpeed: 0,
+			driftPhase: 0,
+			rgb: { r: 0, g: 0, b: 0 },
+			tint: 0,
+			shape: 'circle',
+			depth: 1,
+			kind: '',
+			pattern: '',
+			decay: 0,
+			drag: 1,
+			stage: 0,
+			active: false,
+		};
+	}
+
+	acquire() {
+		// Get particle from pool or create new one if pool is empty
+		let particle;
+		if ( this.pool.length > 0 ) {
+			particle = this.pool.pop();
+		} else {
+			particle = this.createParticleObject();
+		}
+		particle.active = true;
+		particle.hasPrevious = false;
+		this.activeParticles.push( particle );
+		return particle;
+	}
+
+	release( particle ) {
+		// Return particle to pool for reuse
+		const index = this.activeParticles.indexOf( particle );
+		if ( index > -1 ) {
+			this.activeParticles.splice( index, 1 );
+		}
+		particle.active = false;
+		this.pool.push( particle );
+	}
+
+	releaseAll() {
+		// Return all active particles to pool
+		while ( this.activeParticles.length > 0 ) {
+			const particle = this.activeParticles.pop();
+			particle.active = false;
+			this.pool.push( particle );
+		}
+	}
+
+	getActive() {
+		return this.activeParticles;
+	}
+
+	getPoolSize() {
+		return this.pool.length;
+	}
+
+	getActiveCount() {
+		return this.activeParticles.length;
+	}
+}
+
+/**
+ * Particle simulation and drawing
+ *
+ * Options:
+ * - isMobile: Use the mobile particle sizes and trail spacing.
+ * - isContained: The area is a container's box instead of the viewport. Trail
+ *   particles and explosion sparks are dropped as soon as they leave it.
+ * - random: Random number function to use instead of one seeded from the
+ *   config's seed (Math.random when the seed is 0).
+ * - headless: Time comes from step() instead of the wall clock, for running
+ *   without a canvas or animation frames. Set logicalWidth and logicalHeight
+ *   before spawning.
+ */
+export class ParticleSimulation {
+	constructor( config, options ) {
+		options = options || {};
+		this.config = config;
+		this.isMobile = !! options.isMobile;
+		this.isContained = !! options.isContained;
+		this.hasFixedRandom = !! options.random;
+		this.random = options.random || createRandom( config.seed );
+		this.stepTime = 0; // Simulated time of the last step() in headless runs
+		this.now = options.headless
+			? () => this.stepTime
+			: () => performance.now();
+		this.ctx = null;
+		this.renderer = null; // WebGL renderer, when in use instead of this.ctx
+		this.spriteAtlas = null; // Pre-rendered sprites for the 2D context
+		this.scratchRgb = { r: 0, g: 0, b: 0 };
+		this.lastUpdateTime = 0; // FIXED TIMESTEP: Time of the last renderFrame() call
+		this.stepAccumulator = 0; // Time not yet covered by a physics step
+		this.interpolation = 1; // How far the clock is into the next step (0-1)
+		this.paletteIndex = 0; // Position in the trail palette of the last trail color
+		this.trailCycle = 0;
+		// POINTER EVENTS: Active pointers (the mouse, a pen, each finger) with their
+		// position and the position of their trail's last particle, see updatePointer()
+		this.pointers = [];
+		this.lastParticleX = 0;
+		this.lastParticleY = 0;
+
+		// Logical (CSS pixel) size of the simulation area
+		this.logicalWidth = 0;
+		this.logicalHeight = 0;
+
+		// Color palettes with cycling support
+		this.colorPalettes = Object.assign(
+			{ custom: [], theme: [] },
+			COLOR_PALETTES
+		);
+		this.customPaletteEnds = []; // Cumulative share of the cycle where each custom color ends
+		this.updateCustomPalette();
+		this.updateThemePalette();
+
+		// Quality level, fixed or picked by the adaptive governor (see measureFrameLoad())
+		this.qualityLevel = this.getStartQuality();
+		this.qualityFrameTotal = 0;
+		this.qualityWorkTotal = 0;
+		this.qualityHeadroom = 0;
+		this.qualityHeadroomNeeded = QUALITY_HEADROOM_WINDOWS;
+		this.separationTick = 0;
+
+		// Initialize particle pool with appropriate size
+		let poolSize = Math.max( this.config.maxParticles + 20, 70 );
+		if ( this.config.experienceMode === 'particle-field' ) {
+			poolSize = Math.max( this.config.fieldParticleCount + 100, 300 ); // Extra for explosions
+		} else if ( this.config.experienceMode === 'confetti' ) {
+			poolSize = this.config.confettiBurstSize + 20;
+		} else if ( this.config.experienceMode === 'falling' ) {
+			poolSize = this.config.fallingDensity + 20;
+		} else if ( this.config.experienceMode === 'fireworks' ) {
+			poolSize = Math.max(
+				this.config.fireworksBurstSize * 4 + 100,
+				300
+			); // Several bursts can overlap
+		}
+		this.particlePool = new ParticlePool( poolSize );
+
+		// Confetti celebration state
+		this.isCelebrating = false;
+		this.confettiBurstsLeft = 0;
+		this.confettiBurstTimer = 0;
+
+		// Falling weather state: spawn accumulator and the current gust
+		this.fallingSpawnCredit = 0;
+		this.gust = 0;
+		this.gustTarget = 0;
+		this.gustTimer = 0;
+
+		// Physics steps until the next scheduled firework
+		this.fireworkLaunchTimer = 0;
+
+		// Neighbor lookup for the field separation pass
+		this.spatialHash = new SpatialHash( SEPARATION_RADIUS );
+	}
+
+	/**
+	 * Set up drawing on a canvas (HTMLCanvasElement or OffscreenCanvas)
+	 * Uses the WebGL renderer unless the config asks for Canvas 2D or WebGL is
+	 * unavailable, in which case the 2D context code draws instead
+	 * @param {HTMLCanvasElement|OffscreenCanvas} canvas Canvas to draw into
+	 */
+	attachCanvas( canvas ) {
+		this.renderer =
+			this.config.renderer === 'canvas'
+				? null
+				: WebGLRenderer.create( canvas );
+		if ( this.renderer ) {
+			return;
+		}
+
+		// SAFARI PRIVACY: Get context with explicit non-fingerprinting attributes
+		// Setting willReadFrequently: false signals this is purely visual rendering
+		// Setting alpha: true is standard for transparency (not fingerprinting)
+		// Setting desynchronized: true can improve performance and signals animation intent
+		this.ctx = canvas.getContext( '2d', {
+			alpha: true,
+			willReadFrequently: false,
+			desynchronized: true,
+		} );
+		this.spriteAtlas = new SpriteAtlas();
+		this.spriteAtlas.maxExtent =
+			QUALITY_LEVELS[ this.qualityLevel ].spriteExtent;
+	}
+
+	// Apply pixel scaling after the canvas was resized (resizing resets the context)
+	applyCanvasScale( scale ) {
+		if ( this.renderer ) {
+			this.renderer.resize( this.logicalWidth, this.logicalHeight );
+		} else if ( this.ctx ) {
+			this.ctx.scale( scale, scale );
+			this.spriteAtlas.scale = scale;
+		}
+	}
+
+	clearCanvas() {
+		if ( this.renderer ) {
+			this.renderer.clear();
+		} else {
+			this.ctx.clearRect( 0, 0, this.logicalWidth, this.logicalHeight );
+		}
+	}
+
+	// Swap in a new config, keeping the custom and theme palettes in sync
+	setConfig( config ) {
+		// A new seed restarts the sequence, so the next field layout matches a fresh load
+		if ( ! this.hasFixedRandom && config.seed !== this.config.seed ) {
+			this.random = createRandom( config.seed );
+		}
+		const previousQuality = this.config.quality;
+		this.config = config;
+		this.updateCustomPalette();
+		this.updateThemePalette();
+
+		if ( config.quality !== previousQuality ) {
+			this.qualityHeadroomNeeded = QUALITY_HEADROOM_WINDOWS;
+			this.setQualityLevel( this.getStartQuality() );
+		}
+	}
+
+	// Level to start at: the fixed setting, or for auto a guess the governor corrects from measured frame load
+	getStartQuality() {
+		if ( this.config.quality !== 'auto' ) {
+			return this.config.quality;
+		}
+		return this.isMobile ? 'balanced' : 'high';
+	}
+
+	/**
+	 * Switch the quality level
+	 * Sprite detail changes right away, the particle field gains or loses
+	 * particles to match its new budget, and onQualityChange() lets the owner
+	 * of the canvas resize it for the new pixel scale
+	 * @param {string} level Quality level
+	 */
+	setQualityLevel( level ) {
+		if ( level === this.qualityLevel ) {
+			return;
+		}
+
+		this.qualityLevel = level;
+		if ( this.spriteAtlas ) {
+			this.spriteAtlas.maxExtent = QUALITY_LEVELS[ level ].spriteExtent;
+		}
+		this.fitFieldToBudget();
+		this.onQualityChange();
+	}
+
+	// Called after the quality level changed; the DOM layer and the worker resize the canvas here
+	onQualityChange() {}
+
+	/**
+	 * Canvas pixel scale for the current quality level
+	 * @param {number} devicePixelRatio The display's device pixel ratio
+	 * @return {number} Canvas pixels per logical pixel
+	 */
+	getCanvasScale( devicePixelRatio ) {
+		return Math.min(
+			devicePixelRatio,
+			QUALITY_LEVELS[ this.qualityLevel ].maxScale
+		);
+	}
+
+	/**
+	 * Number of particles to use for a configured count at the current quality level
+	 * @param {number} count Configured particle count
+	 * @return {number} Particle count
+	 */
+	getParticleBudget( count ) {
+		return Math.max(
+			1,
+			Math.round( count * QUALITY_LEVELS[ this.qualityLevel ].particles )
+		);
+	}
+
+	// Add or remove field particles so a running field matches its particle budget
+	fitFieldToBudget() {
+		if ( this.config.experienceMode !== 'particle-field' ) {
+			return;
+		}
+
+		const activeParticles = this.particlePool.getActive();
+		let count = 0;
+		for ( let i = 0; i < activeParticles.length; i++ ) {
+			if ( ! activeParticles[ i ].isExplosion ) {
+				count++;
+			}
+		}
+
+		// Nothing to fit before the field is built
+		if ( count === 0 ) {
+			return;
+		}
+
+		const budget = this.getParticleBudget( this.config.fieldParticleCount );
+		for (
+			let i = activeParticles.length - 1;
+			i >= 0 && count > budget;
+			i--
+		) {
+			if ( ! activeParticles[ i ].isExplosion ) {
+				this.particlePool.release( activeParticles[ i ] );
+				count--;
+			}
+		}
+		for ( ; count < budget; count++ ) {
+			this.createFieldParticle();
+		}
+	}
+
+	/**
+	 * Adaptive quality governor
+	 * Collects frame and work times and, once per window, steps the quality
+	 * level down when the work takes too large a share of the time or up when
+	 * there is headroom
+	 * @param {number} frameTime Time since the previous frame in milliseconds
+	 * @param {number} workTime  Time spent on this frame's physics and drawing in milliseconds
+	 */
+	measureFrameLoad( frameTime, workTime ) {
+		if ( frameTime <= 0 || frameTime > QUALITY_MAX_FRAME ) {
+			return;
+		}
+
+		this.qualityFrameTotal += frameTime;
+		this.qualityWorkTotal += workTime;
+		if ( this.qualityFrameTotal < QUALITY_WINDOW ) {
+			return;
+		}
+
+		const load = this.qualityWorkTotal / this.qualityFrameTotal;
+		const index = QUALITY_ORDER.indexOf( this.qualityLevel );
+		this.qualityFrameTotal = 0;
+		this.qualityWorkTotal = 0;
+
+		if ( load > QUALITY_SLOW_LOAD ) {
+			this.qualityHeadroom = 0;
+			if ( index > 0 ) {
+				this.qualityHeadroomNeeded = Math.min(
+					QUALITY_MAX_HEADROOM_WINDOWS,
+					this.qualityHeadroomNeeded * 2
+				);
+				this.setQualityLevel( QUALITY_ORDER[ index - 1 ] );
+			}
+		} else if ( load < QUALITY_FAST_LOAD ) {
+			this.qualityHeadroom++;
+			if (
+				this.qualityHeadroom >= this.qualityHeadroomNeeded &&
+				index < QUALITY_ORDER.length - 1
+			) {
+				this.qualityHeadroom = 0;
+				this.setQualityLevel( QUALITY_ORDER[ index + 1 ] );
+			}
+		} else {
+			this.qualityHeadroom = 0;
+		}
+	}
+
+	// Theme palette from the resolved preset colors (rainbow until any resolve)
+	updateThemePalette() {
+		this.colorPalettes.theme = getPaletteColors( this.config, 'theme' );
+	}
+
+	// Rebuild the custom palette from the config (the single custom color when no palette was built)
+	updateCustomPalette() {
+		const entries =
+			this.config.customColors.length > 0
+				? this.config.customColors
+				: [ { color: this.config.customColor, weight: 1 } ];
+
+		let total = 0;
+		entries.forEach( function ( entry ) {
+			total += entry.weight;
+		} );
+
+		let end = 0;
+		this.colorPalettes.custom = entries.map( function ( entry ) {
+			return entry.color;
+		} );
+		this.customPaletteEnds = entries.map( function ( entry ) {
+			end += entry.weight / total;
+			return end;
+		} );
+	}
+
+	/**
+	 * Position in a palette for a point in its color cycle
+	 * Built-in palettes give every color an equal share of the cycle; custom
+	 * palette colors get a share proportional to their weight
+	 * @param {string} palette Palette name
+	 * @param {number} cycle   Point in the cycle, from 0 to 1
+	 * @return {number} Color index plus the blend towards the next color
+	 */
+	getPalettePosition( palette, cycle ) {
+		if ( palette !== 'custom' ) {
+			return cycle * this.colorPalettes[ palette ].length;
+		}
+
+		const ends = this.customPaletteEnds;
+		let index = 0;
+		while ( index < ends.length - 1 && cycle >= ends[ index ] ) {
+			index++;
+		}
+		const start = index > 0 ? ends[ index - 1 ] : 0;
+		return (
+			index +
+			Math.min( 0.999, ( cycle - start ) / ( ends[ index ] - start ) )
+		);
+	}
+
+	// Whether particles step through the palette (custom palettes can pick one color per particle instead)
+	isPaletteCycling( palette ) {
+		return (
+			palette !== 'custom' || this.config.customPaletteMode !== 'random'
+		);
+	}
+
+	/**
+	 * Starting point in the color cycle for a new particle
+	 * In random mode the particle sits on one weighted-random color for its whole life
+	 * @param {string} palette Palette name
+	 * @return {number} Point in the cycle, from 0 to 1
+	 */
+	pickColorCycle( palette ) {
+		const cycle = this.random();
+		if ( this.isPaletteCycling( palette ) ) {
+			return cycle;
+		}
+
+		const index = Math.floor( this.getPalettePosition( palette, cycle ) );
+		return index > 0 ? this.customPaletteEnds[ index - 1 ] : 0;
+	}
+
+	// Random color index in the fixed palette, weighted for the custom palette
+	pickFixedTint() {
+		const colors = this.getFixedPalette();
+		if ( colors === this.colorPalettes.custom ) {
+			return Math.floor(
+				this.getPalettePosition( 'custom', this.random() )
+			);
+		}
+		return Math.floor( this.random() * colors.length );
+	}
+
+	// Initialize particle field with hundreds of particles
+	initializeParticleField() {
+		// Return all particles to pool first
+		this.particlePool.releaseAll();
+
+		const count = this.getParticleBudget( this.config.fieldParticleCount );
+
+		for ( let i = 0; i < count; i++ ) {
+			this.createFieldParticle();
+		}
+	}
+
+	// Create a single field particle with physics properties
+	createFieldParticle() {
+		// Use mobile size if on mobile device
+		const baseSize = this.isMobile
+			? this.config.fieldParticleSizeMobile
+			: this.config.fieldParticleSize;
+		const x = this.random() * this.logicalWidth;
+		const y = this.random() * this.logicalHeight;
+
+		// Acquire particle from pool
+		const particle = this.particlePool.acquire();
+
+		// Initialize properties
+		particle.x = x;
+		particle.y = y;
+		particle.homeX = x;
+		particle.homeY = y;
+		particle.vx = ( this.random() - 0.5 ) * 0.5;
+		particle.vy = ( this.random() - 0.5 ) * 0.5;
+		particle.baseSize = baseSize * ( 0.7 + this.random() * 0.6 );
+		particle.size = particle.baseSize;
+		particle.opacity = 0.6 + this.random() * 0.4;
+		particle.shimmerPhase = this.random() * Math.PI * 2;
+		particle.shimmerSpeed = 0.02 + this.random() * 0.03;
+		particle.rotation = this.random() * Math.PI * 2;
+		particle.rotationSpeed = ( this.random() - 0.5 ) * 0.02;
+		particle.shape = pickShape(
+			this.config.fieldParticleShape,
+			this.random
+		);
+		particle.colorIndex = this.pickColorCycle(
+			this.config.fieldColorPalette
+		);
+		particle.colorCycleSpeed = 0.001 + this.random() * 0.002;
+		particle.isExplosion = false;
+		particle.explosionLife = 0;
+		particle.driftAngle = this.random() * Math.PI * 2;
+		particle.driftSpeed = 0.2 + this.random() * 0.3;
+		particle.driftPhase = this.random() * Math.PI * 2;
+	}
+
+	// Create powerful ripple explosion effect on click
+	createExplosion( x, y ) {
+		// Much larger explosion radius to clear the area
+		const explosionRadius = 250;
+		const explosionForce = 8;
+
+		// Push away all particles within radius
+		const activeParticles = this.particlePool.getActive();
+		activeParticles.forEach( function ( particle ) {
+			if ( particle.isExplosion ) {
+				return;
+			}
+
+			const dx = particle.x - x;
+			const dy = particle.y - y;
+			const distance = Math.sqrt( dx * dx + dy * dy );
+
+			// Apply force based on distance (closer = stronger push)
+			if ( distance < explosionRadius && distance > 0 ) {
+				const force =
+					( 1 - distance / explosionRadius ) * explosionForce;
+				const angle = Math.atan2( dy, dx );
+
+				// Add velocity away from explosion center
+				particle.vx += Math.cos( angle ) * force;
+				particle.vy += Math.sin( angle ) * force;
+			}
+		} );
+
+		// Create sparkle burst at click point
+		const sparkleCount = 40;
+		const baseSize = this.isMobile
+			? this.config.fieldParticleSizeMobile
+			: this.config.fieldParticleSize;
+
+		for ( let i = 0; i < sparkleCount; i++ ) {
+			const angle = ( Math.PI * 2 * i ) / sparkleCount;
+			const speed = 3 + this.random() * 5;
+
+			// Acquire particle from pool
+			const particle = this.particlePool.acquire();
+
+			// Initialize explosion particle
+			particle.x = x;
+			particle.y = y;
+			particle.homeX = x;
+			particle.homeY = y;
+			particle.vx = Math.cos( angle ) * speed;
+			particle.vy = Math.sin( angle ) * speed;
+			particle.baseSize = baseSize * ( 1 + this.random() * 0.8 );
+			particle.size = particle.baseSize;
+			particle.opacity = 1;
+			particle.shimmerPhase = this.random() * Math.PI * 2;
+			particle.shimmerSpeed = 0.05 + this.random() * 0.05;
+			particle.rotation = this.random() * Math.PI * 2;
+			particle.rotationSpeed = ( this.random() - 0.5 ) * 0.1;
+			particle.shape = pickShape(
+				this.config.fieldParticleShape,
+				this.random
+			);
+			particle.colorIndex = this.pickColorCycle(
+				this.config.fieldColorPalette
+			);
+			particle.colorCycleSpeed = 0.002;
+			particle.isExplosion = true;
+			particle.explosionLife = 1;
+			particle.driftAngle = 0;
+			particle.driftSpeed = 0;
+			particle.driftPhase = 0;
+		}
+	}
+
+	getParticleColor( particle ) {
+		// For particle field, use particle's cycling colorIndex
+		if ( this.config.experienceMode === 'particle-field' && particle ) {
+			const rgb = this.getParticleRgb( particle );
+			return (
+				'rgba(' +
+				rgb.r +
+				', ' +
+				rgb.g +
+				', ' +
+				rgb.b +
+				', ' +
+				particle.opacity +
+				')'
+			);
+		}
+
+		// For sprinkle trail, cycle through colors
+		return this.hexToRgba(
+			this.nextTrailColor(),
+			this.config.particleOpacity
+		);
+	}
+
+	/**
+	 * Current color of a field particle as 0-255 channels
+	 * The returned object is reused between calls
+	 * @param {Object} particle Field particle
+	 * @return {Object} Color with r, g and b
+	 */
+	getParticleRgb( particle ) {
+		const rgb = this.scratchRgb;
+		const palette = this.config.fieldColorPalette;
+		const colors = this.colorPalettes[ palette ];
+		const colorCount = colors.length;
+		const position = this.getPalettePosition(
+			palette,
+			particle.colorIndex
+		);
+		const currentIndex = Math.floor( position ) % colorCount;
+		const nextIndex = ( currentIndex + 1 ) % colorCount;
+
+		// Calculate blend factor for smooth transition
+		const blendFactor = position % 1;
+
+		// Blend between current and next color
+		const currentColor = this.hexToRgb( colors[ currentIndex ] );
+		const nextColor = this.hexToRgb( colors[ nextIndex ] );
+
+		rgb.r = Math.round(
+			currentColor.r + ( nextColor.r - currentColor.r ) * blendFactor
+		);
+		rgb.g = Math.round(
+			currentColor.g + ( nextColor.g - currentColor.g ) * blendFactor
+		);
+		rgb.b = Math.round(
+			currentColor.b + ( nextColor.b - currentColor.b ) * blendFactor
+		);
+		return rgb;
+	}
+
+	// Colors for particles that keep the color they were created with (trail, confetti, falling)
+	getFixedPalette() {
+		if ( this.config.experienceMode === 'falling' ) {
+			const preset = FALLING_PRESETS[ this.config.fallingPreset ];
+			if ( preset.colors ) {
+				return preset.colors;
+			}
+		}
+		return this.colorPalettes[ this.config.colorPalette ];
+	}
+
+	// Next hex color for the sprinkle trail, stepping through the palette (or picked at random)
+	nextTrailColor() {
+		const palette = this.config.colorPalette;
+		const colors = this.colorPalettes[ palette ];
+
+		if ( this.isPaletteCycling( palette ) ) {
+			// Each color lasts for about 20 particles (custom palettes: scaled by weight)
+			this.trailCycle = ( this.trailCycle + 0.05 / colors.length ) % 1;
+			this.paletteIndex = this.getPalettePosition(
+				palette,
+				this.trailCycle
+			);
+		} else {
+			this.paletteIndex = this.getPalettePosition(
+				palette,
+				this.random()
+			);
+		}
+		return colors[ Math.floor( this.paletteIndex ) ];
+	}
+
+	/**
+	 * Parse a #RRGGBB color
+	 * @param {string} hex Hex color
+	 * @param {Object} out Optional object to write into instead of allocating
+	 * @return {Object} Color with r, g and b
+	 */
+	hexToRgb( hex, out ) {
+		out = out || {};
+		out.r = parseInt( hex.slice( 1, 3 ), 16 );
+		out.g = parseInt( hex.slice( 3, 5 ), 16 );
+		out.b = parseInt( hex.slice( 5, 7 ), 16 );
+		return out;
+	}
+
+	hexToRgba( hex, opacity ) {
+		const rgb = this.hexToRgb( hex );
+		return (
+			'rgba(' + rgb.r + ', ' + rgb.g + ', ' + rgb.b + ', ' + opacity + ')'
+		);
+	}
+
+	/**
+	 * Find an active pointer
+	 * @param {number} id Pointer id
+	 * @return {Object|null} Pointer with id, x and y, or null
+	 */
+	getPointer( id ) {
+		for ( let i = 0; i < this.pointers.length; i++ ) {
+			if ( this.pointers[ i ].id === id ) {
+				return this.pointers[ i ];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Move a pointer, adding it when it is new
+	 * Every active pointer attracts the field and stirs up falling particles,
+	 * and its speed and pressure shape its sprinkle trail
+	 * @param {number} id       Pointer id
+	 * @param {number} x        Canvas x position
+	 * @param {number} y        Canvas y position
+	 * @param {number} pressure Pen pressure or touch size from 0 to 1 (default 0.5)
+	 */
+	updatePointer( id, x, y, pressure ) {
+		const now = this.now();
+		let pointer = this.getPointer( id );
+		if ( ! pointer ) {
+			// No trail particle yet, so the first move starts the trail right away
+			pointer = {
+				id,
+				x,
+				y,
+				lastParticleX: -Infinity,
+				lastParticleY: -Infinity,
+				speed: 0,
+				moveTime: now,
+				pressure: 0.5,
+			};
+			this.pointers.push( pointer );
+		}
+
+		// Speed in pixels per millisecond, smoothed so one jittery event doesn't change the trail's look
+		const elapsed = now - pointer.moveTime;
+		if ( elapsed > 0 ) {
+			const dx = x - pointer.x;
+			const dy = y - pointer.y;
+			pointer.speed +=
+				( Math.sqrt( dx * dx + dy * dy ) / elapsed - pointer.speed ) *
+				TRAIL_SPEED_SMOOTHING;
+			pointer.moveTime = now;
+		}
+
+		pointer.x = x;
+		pointer.y = y;
+		pointer.pressure = typeof pressure === 'number' ? pressure : 0.5;
+	}
+
+	/**
+	 * Forget a pointer that left the area or was lifted
+	 * @param {number} id Pointer id
+	 */
+	removePointer( id ) {
+		const pointer = this.getPointer( id );
+		if ( pointer ) {
+			this.pointers.splice( this.pointers.indexOf( pointer ), 1 );
+		}
+	}
+
+	/**
+	 * Create sprinkle trail particles with distance-based spacing
+	 * Each pointer draws its own trail, spaced from its own last particle.
+	 * With speed sensitivity, fast strokes fill the gap to the last particle
+	 * with a streak of smaller, shorter-lived particles lined up with the
+	 * stroke, and slow strokes lay them down closer together and twinkling.
+	 * With pressure sensitivity, pen pressure or touch size scales them.
+	 * @param {number} x         Canvas x position
+	 * @param {number} y         Canvas y position
+	 * @param {number} pointerId Pointer drawing the trail (optional)
+	 */
+	createParticle( x, y, pointerId ) {
+		const pointer = this.getPointer( pointerId );
+		const trail = pointer || this;
+
+		// How fast (0-1) or slow (0-1) the stroke is, scaled by the speed sensitivity
+		let fast = 0;
+		let slow = 0;
+		let pressureScale = 1;
+		if ( pointer ) {
+			const sensitivity = this.config.trailSpeedSensitivity;
+			fast =
+				sensitivity *
+				Math.min(
+					1,
+					Math.max(
+						0,
+						( pointer.speed - TRAIL_SLOW_SPEED ) /
+							( TRAIL_FAST_SPEED - TRAIL_SLOW_SPEED )
+					)
+				);
+			slow =
+				sensitivity *
+				Math.max( 0, 1 - pointer.speed / TRAIL_SLOW_SPEED );
+			pressureScale = Math.max(
+				0.25,
+				1 +
+					( pointer.pressure - 0.5 ) *
+						2 *
+						this.config.trailPressureSensitivity
+			);
+		}
+
+		// Calculate distance from last particle
+		const dx = x - trail.lastParticleX;
+		const dy = y - trail.lastParticleY;
+		const distance = Math.sqrt( dx * dx + dy * dy );
+
+		// Minimum spacing between particles (adjust this value for desired spacing)
+		// Use larger spacing for mobile, smaller for desktop; slow strokes pack them closer
+		const minSpacing =
+			( this.isMobile ? 12 : 8 ) * ( 1 - TRAIL_SLOW_DENSITY * slow );
+
+		// Only create particle if we've moved far enough
+		if ( distance < minSpacing ) {
+			return;
+		}
+
+		// Fast strokes: a streak back towards the last particle (a new trail has none yet)
+		const count =
+			fast > 0 && isFinite( distance )
+				? Math.min(
+						TRAIL_MAX_STREAK,
+						Math.floor( distance / minSpacing )
+				  )
+				: 1;
+		const angle = Math.atan2( dy, dx );
+		const size =
+			( this.isMobile
+				? this.config.particleSizeMobile
+				: this.config.particleSize ) *
+			( 1 - TRAIL_FAST_THINNING * fast ) *
+			pressureScale;
+		const maxLife =
+			this.config.animationDuration *
+			( 1 - TRAIL_FAST_FADE * fast + TRAIL_SLOW_LINGER * slow );
+
+		for ( let i = count - 1; i >= 0; i-- ) {
+			this.emitTrailParticle(
+				x - ( dx * i ) / count,
+				y - ( dy * i ) / count,
+				size,
+				maxLife,
+				angle,
+				fast,
+				slow
+			);
+		}
+
+		// Update last particle position
+		trail.lastParticleX = x;
+		trail.lastParticleY = y;
+	}
+
+	/**
+	 * Add one sprinkle trail particle
+	 * @param {number} x       Canvas x position
+	 * @param {number} y       Canvas y position
+	 * @param {number} size    Particle size
+	 * @param {number} maxLife Lifetime in milliseconds
+	 * @param {number} angle   Direction of the stroke in radians
+	 * @param {number} fast    How fast the stroke is (0-1); fast particles line up with it
+	 * @param {number} slow    How slow the stroke is (0-1); slow particles twinkle
+	 */
+	emitTrailParticle( x, y, size, maxLife, angle, fast, slow ) {
+		// Enforce particle limit
+		const activeParticles = this.particlePool.getActive();
+		if (
+			activeParticles.length >=
+			this.getParticleBudget( this.config.maxParticles )
+		) {
+			// Release oldest particle
+			this.particlePool.release( activeParticles[ 0 ] );
+		}
+
+		const isCompact = this.config.displayBehavior === 'compact';
+		const timestamp = this.now();
+
+		// Acquire particle from pool
+		const particle = this.particlePool.acquire();
+
+		// Initialize properties
+		particle.x = x;
+		particle.y = y;
+		particle.size = size;
+		// Pick the next trail color, kept as channels for WebGL and as a string for Canvas 2D
+		const hex = this.nextTrailColor();
+		this.hexToRgb( hex, particle.rgb );
+		particle.color = this.hexToRgba( hex, this.config.particleOpacity );
+		particle.tint = Math.floor( this.paletteIndex );
+		particle.shape = pickShape( this.config.particleShape, this.random );
+		// Slight random tilt so shapes like confetti don't all line up, turning along fast strokes
+		particle.rotation =
+			( this.random() - 0.5 ) * Math.PI * 0.5 * ( 1 - fast ) +
+			angle * fast;
+		particle.opacity = this.config.particleOpacity;
+		particle.birthTime = timestamp;
+		particle.maxLife = maxLife;
+		particle.twinkle = slow;
+		particle.shimmerPhase = this.random() * Math.PI * 2;
+		particle.vx = isCompact ? 0 : ( this.random() - 0.5 ) * 2;
+		particle.vy = isCompact ? 0 : ( this.random() - 0.5 ) * 2;
+	}
+
+	// Update sprinkle trail particles
+	updateSprinkleParticles( currentTime ) {
+		const isCompact = this.config.displayBehavior === 'compact';
+		const activeParticles = this.particlePool.getActive();
+		const particleCount = activeParticles.length;
+
+		// Process particles in reverse to safely remove dead ones
+		for ( let i = activeParticles.length - 1; i >= 0; i-- ) {
+			const particle = activeParticles[ i ];
+
+			// Calculate age and life ratio
+			const age = currentTime - particle.birthTime;
+			const lifeRatio = Math.max( 0, 1 - age / particle.maxLife );
+
+			// Update position for scattered behavior
+			if ( ! isCompact ) {
+				particle.x += particle.vx;
+				particle.y += particle.vy;
+			}
+
+			// Sequential fade using both age and position in trail
+			// positionRatio: oldest particle (index 0) is dimmest, newest is brightest
+			const positionRatio =
+				particleCount > 1 ? ( i + 1 ) / particleCount : 1;
+
+			// Use the lower of age-based or position-based fade:
+			// - Slow movement: lifeRatio naturally varies, creating gradient
+			// - Fast movement: lifeRatio is similar for all, positionRatio creates gradient
+			particle.opacity =
+				this.config.particleOpacity *
+				Math.min( lifeRatio, positionRatio );
+
+			// Particles from slow strokes twinkle: their opacity keeps dipping and recovering
+			if ( particle.twinkle > 0 ) {
+				particle.opacity *=
+					1 -
+					particle.twinkle *
+						0.6 *
+						( 0.5 +
+							0.5 *
+								Math.sin(
+									age * TRAIL_TWINKLE_RATE +
+										particle.shimmerPhase
+								) );
+			}
+
+			// Remove dead particles or particles that went too far off-screen
+			if (
+				age >= particle.maxLife ||
+				particle.opacity <= 0.01 ||
+				this.isOutOfBounds( particle )
+			) {
+				this.particlePool.release( particle );
+			}
+		}
+	}
+
+	/**
+	 * Whether a particle left the simulation area
+	 * The viewport allows some slack off-screen; a container's box is a hard edge
+	 * @param {Object} particle Particle to check
+	 * @return {boolean} Whether it is out of bounds
+	 */
+	isOutOfBounds( particle ) {
+		if ( this.isContained ) {
+			const margin = particle.size * 2;
+			return (
+				particle.x < -margin ||
+				particle.x > this.logicalWidth + margin ||
+				particle.y < -margin ||
+				particle.y > this.logicalHeight + margin
+			);
+		}
+
+		return (
+			Math.abs( particle.x ) > this.logicalWidth * 2 ||
+			Math.abs( particle.y ) > this.logicalHeight * 2
+		);
+	}
+
+	// Update particle field particles with physics
+	updateFieldParticles() {
+		const activeParticles = this.particlePool.getActive();
+
+		// Bucket field particles into a grid keyed on the separation radius, so each
+		// particle only checks nearby cells instead of every other particle.
+		// Each pair is visited from both sides, so each side gets half the push.
+		// Lower quality levels run the pass less often, with a stronger push to match.
+		const separationEvery =
+			QUALITY_LEVELS[ this.qualityLevel ].separationEvery;
+		const runSeparation =
+			separationEvery > 0 &&
+			this.separationTick++ % separationEvery === 0;
+		const spreadForce = runSeparation
+			? this.config.fieldSpreadStrength * 0.05 * 0.5 * separationEvery
+			: 0;
+		const grid = this.spatialHash;
+		grid.clear();
+		if ( spreadForce > 0 ) {
+			grid.resize( this.logicalWidth, this.logicalHeight );
+			for ( let i = 0; i < activeParticles.length; i++ ) {
+				if ( ! activeParticles[ i ].isExplosion ) {
+					grid.insert( activeParticles[ i ] );
+				}
+			}
+		}
+
+		// Process particles in reverse to safely remove dead ones
+		for ( let i = activeParticles.length - 1; i >= 0; i-- ) {
+			const particle = activeParticles[ i ];
+
+			// Update color cycling (random-pick custom palettes keep their color)
+			if ( this.isPaletteCycling( this.config.fieldColorPalette ) ) {
+				particle.colorIndex =
+					( particle.colorIndex + particle.colorCycleSpeed ) % 1;
+			}
+
+			// Handle explosion particles
+			if ( particle.isExplosion ) {
+				particle.explosionLife -= 0.02;
+				particle.opacity = Math.max( 0, particle.explosionLife );
+
+				// Apply velocity with decay
+				particle.x += particle.vx;
+				particle.y += particle.vy;
+				particle.vx *= 0.95;
+				particle.vy *= 0.95;
+
+				// Contained sparks don't wrap around the edges, they just leave
+				if (
+					particle.explosionLife <= 0 ||
+					( this.isContained && this.isOutOfBounds( particle ) )
+				) {
+					this.particlePool.release( particle );
+					continue;
+				}
+			} else {
+				// Add gentle ambient drift movement - increased for more visible motion
+				particle.driftPhase += 0.015;
+				const driftX =
+					Math.cos( particle.driftAngle + particle.driftPhase ) *
+					particle.driftSpeed;
+				const driftY =
+					Math.sin(
+						particle.driftAngle + particle.driftPhase * 0.7
+					) * particle.driftSpeed;
+
+				particle.vx += driftX * 0.03;
+				particle.vy += driftY * 0.03;
+
+				// Attraction to every pointer, or return home force
+				if ( this.pointers.length > 0 ) {
+					for ( let p = 0; p < this.pointers.length; p++ ) {
+						this.applyPointerAttraction(
+							particle,
+							this.pointers[ p ],
+							this.config.fieldMouseAttraction
+						);
+					}
+				} else {
+					// Gentle return home force when no pointer is in the viewport
+					const homeX = particle.homeX;
+					const homeY = particle.homeY;
+					const dx = homeX - particle.x;
+					const dy = homeY - particle.y;
+					const distance = Math.sqrt( dx * dx + dy * dy );
+
+					if ( distance > 1 ) {
+						// Gentle elastic force pulling toward home position
+						const returnForce = 0.002;
+						particle.vx +=
+							( dx / distance ) * returnForce * distance * 0.05;
+						particle.vy +=
+							( dy / distance ) * returnForce * distance * 0.05;
+					}
+				}
+
+				// Particle spreading (separation) - neighbors come from the spatial hash
+				if ( spreadForce > 0 ) {
+					const cells = grid.getNeighborCells(
+						particle.x,
+						particle.y
+					);
+					for ( let c = 0; c < cells.length; c++ ) {
+						const cell = cells[ c ];
+						for ( let j = 0; j < cell.length; j++ ) {
+							const other = cell[ j ];
+							if ( other === particle ) {
+								continue;
+							}
+
+							const dx2 = other.x - particle.x;
+							const dy2 = other.y - particle.y;
+							const dist2 = Math.sqrt( dx2 * dx2 + dy2 * dy2 );
+
+							if ( dist2 > 0 && dist2 < SEPARATION_RADIUS ) {
+								const force =
+									( ( SEPARATION_RADIUS - dist2 ) /
+										SEPARATION_RADIUS ) *
+									spreadForce;
+								particle.vx -= ( dx2 / dist2 ) * force;
+								particle.vy -= ( dy2 / dist2 ) * force;
+							}
+						}
+					}
+				}
+			}
+
+			// Apply velocity
+			particle.x += particle.vx;
+			particle.y += particle.vy;
+
+			// Damping
+			if ( ! particle.isExplosion ) {
+				particle.vx *= 0.95;
+				particle.vy *= 0.95;
+			}
+
+			// Wrap around screen edges
+			if ( particle.x < 0 ) {
+				particle.x = this.logicalWidth;
+			}
+			if ( particle.x > this.logicalWidth ) {
+				particle.x = 0;
+			}
+			if ( particle.y < 0 ) {
+				particle.y = this.logicalHeight;
+			}
+			if ( particle.y > this.logicalHeight ) {
+				particle.y = 0;
+			}
+
+			// Update shimmer animation
+			particle.shimmerPhase += particle.shimmerSpeed;
+			const shimmer = ( Math.sin( particle.shimmerPhase ) + 1 ) / 2;
+			particle.size = particle.baseSize * ( 0.7 + shimmer * 0.3 );
+
+			// Update rotation
+			particle.rotation += particle.rotationSpeed;
+		}
+	}
+
+	/**
+	 * Pull a particle towards a pointer
+	 * Affects the whole screen, with a cubic falloff so distant particles barely move
+	 * @param {Object} particle Particle to accelerate
+	 * @param {Object} pointer  Pointer with x and y
+	 * @param {number} strength Attraction strength (0-1)
+	 */
+	applyPointerAttraction( particle, pointer, strength ) {
+		const dx = pointer.x - particle.x;
+		const dy = pointer.y - particle.y;
+		const distance = Math.sqrt( dx * dx + dy * dy );
+
+		// Larger attraction range - affects whole screen but more subtle
+		const maxAttractionDistance = Math.max(
+			this.logicalWidth,
+			this.logicalHeight
+		);
+
+		if ( distance > 0 && distance < maxAttractionDistance ) {
+			// Use exponential falloff (^3) for much slower movement at distance
+			const normalizedDistance = distance / maxAttractionDistance;
+			const attractionStrength = Math.pow( 1 - normalizedDistance, 3 );
+			const force = attractionStrength * strength * 0.08;
+
+			particle.vx += ( dx / distance ) * force;
+			particle.vy += ( dy / distance ) * force;
+		}
+	}
+
+	// Start a confetti celebration; the first burst fires on the next physics step
+	startCelebration() {
+		this.particlePool.releaseAll();
+		this.isCelebrating = true;
+		this.confettiBurstsLeft = Math.max(
+			1,
+			Math.round( this.config.confettiRepeat )
+		);
+		this.confettiBurstTimer = 0;
+	}
+
+	/**
+	 * Whether a celebration has just finished: every burst fired and every piece fell off screen
+	 * Only true once per celebration
+	 * @return {boolean} Whether the celebration ended
+	 */
+	celebrationEnded() {
+		if (
+			! this.isCelebrating ||
+			this.config.experienceMode !== 'confetti' ||
+			this.confettiBurstsLeft > 0 ||
+			this.particlePool.getActiveCount() > 0
+		) {
+			return false;
+		}
+
+		this.isCelebrating = false;
+		return true;
+	}
+
+	// Launch one burst of confetti from the configured origin
+	launchConfetti() {
+		const count = this.getParticleBudget( this.config.confettiBurstSize );
+		const width = this.logicalWidth;
+		const height = this.logicalHeight;
+
+		if ( this.config.confettiOrigin === 'top-edge' ) {
+			// Rain down across the whole top edge
+			for ( let i = 0; i < count; i++ ) {
+				this.createConfettiPiece(
+					this.random() * width,
+					-this.random() * height * 0.2,
+					( this.random() - 0.5 ) * 4,
+					this.random() * 3
+				);
+			}
+			return;
+		}
+
+		// Bottom corners: alternate sides, fired up and inwards into the upper half
+		const baseSpeed = this.getConfettiLaunchSpeed( height * 0.75 );
+		for ( let i = 0; i < count; i++ ) {
+			const fromLeft = i % 2 === 0;
+			const angle =
+				-Math.PI / 2 +
+				( fromLeft ? 1 : -1 ) * ( 0.2 + this.random() * 0.5 );
+			const speed = baseSpeed * ( 0.75 + this.random() * 0.45 );
+			this.createConfettiPiece(
+				fromLeft ? 0 : width,
+				height,
+				Math.cos( angle ) * speed,
+				Math.sin( angle ) * speed
+			);
+		}
+	}
+
+	/**
+	 * Launch speed that carries a piece straight up by the given height
+	 * Found by bisection against the same gravity and drag the update uses,
+	 * so bursts reach the same height whatever the gravity setting
+	 * @param {number} rise Height in pixels
+	 * @return {number} Speed in pixels per physics step
+	 */
+	getConfettiLaunchSpeed( rise ) {
+		const gravity = Math.max(
+			CONFETTI_MIN_GRAVITY,
+			this.config.confettiGravity
+		);
+		let low = 0;
+		let high = rise;
+
+		for ( let i = 0; i < 20; i++ ) {
+			const speed = ( low + high ) / 2;
+			let vy = -speed;
+			let climbed = 0;
+			while ( vy < 0 ) {
+				vy = ( vy + gravity ) * CONFETTI_DRAG;
+				climbed -= vy;
+			}
+
+			if ( climbed < rise ) {
+				low = speed;
+			} else {
+				high = speed;
+			}
+		}
+
+		return high;
+	}
+
+	// Create a single confetti piece in a random palette color
+	createConfettiPiece( x, y, vx, vy ) {
+		const size = this.isMobile
+			? this.config.particleSizeMobile
+			: this.config.particleSize;
+		const colors = this.getFixedPalette();
+		const tint = this.pickFixedTint();
+
+		// Acquire particle from pool
+		const particle = this.particlePool.acquire();
+
+		particle.x = x;
+		particle.y = y;
+		particle.vx = vx;
+		particle.vy = vy;
+		particle.baseSize = size * ( 0.6 + this.random() * 0.6 );
+		particle.size = particle.baseSize;
+		particle.opacity = this.config.particleOpacity;
+		particle.rotation = this.random() * Math.PI * 2;
+		particle.rotationSpeed = ( this.random() - 0.5 ) * 0.3;
+		// Shimmer phase drives the flutter (sideways sway and tumble)
+		particle.shimmerPhase = this.random() * Math.PI * 2;
+		particle.shimmerSpeed = 0.08 + this.random() * 0.1;
+		particle.shape = pickShape( this.config.confettiShape, this.random );
+		particle.tint = tint;
+		this.hexToRgb( colors[ tint ], particle.rgb );
+	}
+
+	// Update confetti: scheduled bursts, gravity, air drag and flutter
+	updateConfettiParticles() {
+		if ( this.confettiBurstsLeft > 0 ) {
+			if ( this.confettiBurstTimer <= 0 ) {
+				this.launchConfetti();
+				this.confettiBurstsLeft--;
+				this.confettiBurstTimer = CONFETTI_BURST_INTERVAL;
+			} else {
+				this.confettiBurstTimer--;
+			}
+		}
+
+		const gravity = Math.max(
+			CONFETTI_MIN_GRAVITY,
+			this.config.confettiGravity
+		);
+		const activeParticles = this.particlePool.getActive();
+
+		// Process particles in reverse to safely remove dead ones
+		for ( let i = activeParticles.length - 1; i >= 0; i-- ) {
+			const particle = activeParticles[ i ];
+
+			particle.vy += gravity;
+			particle.vx *= CONFETTI_DRAG;
+			particle.vy *= CONFETTI_DRAG;
+
+			// Flutter: sway sideways and flip (shown as a squash in size) while falling
+			particle.shimmerPhase += particle.shimmerSpeed;
+			particle.x += particle.vx + Math.sin( particle.shimmerPhase ) * 0.8;
+			particle.y += particle.vy;
+			particle.rotation += particle.rotationSpeed;
+			particle.size =
+				particle.baseSize *
+				( 0.55 + 0.45 * Math.abs( Math.cos( particle.shimmerPhase ) ) );
+
+			// Gone once it fell below the bottom edge or drifted far out the sides
+			if (
+				particle.y > this.logicalHeight + particle.baseSize * 2 ||
+				particle.x < -this.logicalWidth * 0.5 ||
+				particle.x > this.logicalWidth * 1.5
+			) {
+				this.particlePool.release( particle );
+			}
+		}
+	}
+
+	// Start falling weather from an empty sky; particles spawn in along the top edge
+	startFalling() {
+		this.particlePool.releaseAll();
+		this.fallingSpawnCredit = 0;
+		this.gust = 0;
+		this.gustTarget = 0;
+		this.gustTimer = 0;
+	}
+
+	// Create a falling particle just above the top edge
+	createFallingParticle() {
+		const particle = this.particlePool.acquire();
+		this.spawnFallingParticle( particle );
+		particle.x = this.random() * this.logicalWidth;
+	}
+
+	/**
+	 * (Re)spawn a falling particle above the top edge, keeping its x position
+	 * Depth is picked per spawn: nearer particles are bigger, brighter, faster
+	 * and pushed harder by the wind, which gives the layers some parallax
+	 * @param {Object} particle Particle to reset
+	 */
+	spawnFallingParticle( particle ) {
+		const preset = FALLING_PRESETS[ this.config.fallingPreset ];
+		const colors = this.getFixedPalette();
+		const tint = this.pickFixedTint();
+		const depth = 0.3 + this.random() * 0.7;
+		const size = preset.size * ( this.isMobile ? 0.75 : 1 );
+
+		particle.depth = depth;
+		particle.baseSize = size * depth * ( 0.8 + this.random() * 0.4 );
+		particle.size = particle.baseSize;
+		particle.y = -particle.baseSize * 2;
+		particle.vx = this.getWindSpeed() * depth;
+		particle.vy = 0;
+		particle.driftSpeed =
+			preset.speed * depth * ( 0.8 + this.random() * 0.4 );
+		particle.driftPhase = this.random() * Math.PI * 2;
+		particle.shimmerSpeed = 0.01 + this.random() * 0.03;
+		particle.opacity = this.config.particleOpacity * ( 0.5 + depth * 0.5 );
+		particle.rotation = this.random() * Math.PI * 2;
+		particle.rotationSpeed = ( this.random() - 0.5 ) * 2 * preset.spin;
+		particle.shape = pickShape( preset.shapes, this.random );
+		particle.tint = tint;
+		this.hexToRgb( colors[ tint ], particle.rgb );
+	}
+
+	// Horizontal wind in pixels per physics step, including the current gust
+	getWindSpeed() {
+		return ( this.config.fallingWind + this.gust ) * 2;
+	}
+
+	// Ease the gust towards a target that changes every few seconds
+	updateGust() {
+		if ( --this.gustTimer <= 0 ) {
+			this.gustTarget = this.config.fallingGusts
+				? ( this.random() * 2 - 1 ) * 0.6
+				: 0;
+			this.gustTimer =
+				FALLING_GUST_MIN_STEPS +
+				this.random() *
+					( FALLING_GUST_MAX_STEPS - FALLING_GUST_MIN_STEPS );
+		}
+		this.gust += ( this.gustTarget - this.gust ) * 0.01;
+	}
+
+	// Update falling weather: spawning, wind, sway and respawn at the top
+	updateFallingParticles() {
+		const preset = FALLING_PRESETS[ this.config.fallingPreset ];
+		const density = this.getParticleBudget( this.config.fallingDensity );
+		const height = this.logicalHeight;
+		const width = this.logicalWidth;
+		const activeParticles = this.particlePool.getActive();
+
+		this.updateGust();
+		const wind = this.getWindSpeed();
+
+		// Spawn at the rate that keeps `density` particles on screen once the first
+		// ones reach the bottom (average depth is 0.65)
+		if ( activeParticles.length < density && height > 0 ) {
+			this.fallingSpawnCredit +=
+				( density * preset.speed * 0.65 * this.config.fallingSpeed ) /
+				height;
+			while (
+				this.fallingSpawnCredit >= 1 &&
+				activeParticles.length < density
+			) {
+				this.createFallingParticle();
+				this.fallingSpawnCredit--;
+			}
+		}
+
+		const cursorGust = this.config.fallingCursorGust;
+
+		// Process particles in reverse to safely remove dead ones
+		for ( let i = activeParticles.length - 1; i >= 0; i-- ) {
+			const particle = activeParticles[ i ];
+
+			// Drift towards the wind speed for this depth
+			particle.vx += ( wind * particle.depth - particle.vx ) * 0.02;
+			if ( cursorGust > 0 ) {
+				for ( let p = 0; p < this.pointers.length; p++ ) {
+					this.applyPointerAttraction(
+						particle,
+						this.pointers[ p ],
+						cursorGust
+					);
+				}
+			}
+			particle.vy *= 0.95;
+
+			// Sway from side to side while falling
+			particle.driftPhase += particle.shimmerSpeed;
+			particle.x +=
+				particle.vx +
+				Math.sin( particle.driftPhase ) * preset.sway * particle.depth;
+			particle.y +=
+				particle.driftSpeed * this.config.fallingSpeed + particle.vy;
+			particle.rotation += particle.rotationSpeed;
+
+			// Wrap around the sides
+			const margin = particle.baseSize * 2;
+			if ( particle.x < -margin ) {
+				particle.x = width + margin;
+			}
+			if ( particle.x > width + margin ) {
+				particle.x = -margin;
+			}
+
+			// Respawn at the top after leaving the bottom, unless the density was lowered
+			if ( particle.y > height + margin ) {
+				if ( activeParticles.length > density ) {
+					this.particlePool.release( particle );
+				} else {
+					this.spawnFallingParticle( particle );
+				}
+			}
+		}
+	}
+
+	// Start a fireworks show; the first rocket launches on the next physics step
+	startFireworks() {
+		this.particlePool.releaseAll();
+		this.fireworkLaunchTimer = 0;
+	}
+
+	/**
+	 * Launch a rocket from the bottom edge
+	 * Without a target it picks a random spot in the upper half of the area
+	 * @param {number} targetX Optional x position to burst at
+	 * @param {number} targetY Optional y position to burst at
+	 */
+	launchRocket( targetX, targetY ) {
+		const width = this.logicalWidth;
+		const height = this.logicalHeight;
+		const isAimed = targetX !== undefined && targetY !== undefined;
+
+		if ( ! isAimed ) {
+			targetX = width * ( 0.15 + this.random() * 0.7 );
+			targetY = height * ( 0.15 + this.random() * 0.3 );
+		}
+
+		// Start somewhere below the target and fly a ballistic arc that peaks on it
+		const startX = Math.min(
+			width,
+			Math.max( 0, targetX + ( this.random() - 0.5 ) * width * 0.3 )
+		);
+		const rise = Math.max( 20, height - targetY );
+		const vy = -Math.sqrt( 2 * FIREWORK_ROCKET_GRAVITY * rise );
+		const steps = -vy / FIREWORK_ROCKET_GRAVITY;
+
+		const colors = this.getFixedPalette();
+		const tint = this.pickFixedTint();
+		const size = this.isMobile
+			? this.config.particleSizeMobile
+			: this.config.particleSize;
+		const patterns = this.config.fireworksPatterns;
+
+		// Acquire particle from pool
+		const particle = this.particlePool.acquire();
+
+		particle.kind = 'rocket';
+		particle.pattern =
+			patterns[ Math.floor( this.random() * patterns.length ) ];
+		particle.x = startX;
+		particle.y = height;
+		particle.vx = ( targetX - startX ) / steps;
+		particle.vy = vy;
+		particle.baseSize = size * 0.4;
+		particle.size = particle.baseSize;
+		particle.opacity = this.config.particleOpacity;
+		particle.rotation = 0;
+		particle.rotationSpeed = 0;
+		particle.shape = 'circle';
+		particle.tint = tint;
+		this.hexToRgb( colors[ tint ], particle.rgb );
+	}
+
+	/**
+	 * Create one firework spark
+	 * @param {Object} source Rocket or spark the spark comes from (position, color and pattern)
+	 * @param {number} vx     Horizontal velocity
+	 * @param {number} vy     Vertical velocity
+	 * @param {string} kind   'spark' for burst sparks, 'trail' for rocket trail sparks
+	 * @param {number} tint   Palette color index
+	 * @return {Object} Spark
+	 */
+	createFireworkSpark( source, vx, vy, kind, tint ) {
+		const pattern = FIREWORK_PATTERNS[ source.pattern ];
+		const colors = this.getFixedPalette();
+		const size = this.isMobile
+			? this.config.particleSizeMobile
+			: this.config.particleSize;
+		const isTrail = kind === 'trail';
+		tint = tint % colors.length;
+
+		// Acquire particle from pool
+		const particle = this.particlePool.acquire();
+
+		particle.kind = kind;
+		particle.pattern = source.pattern;
+		particle.stage = 0;
+		particle.x = source.x;
+		particle.y = source.y;
+		particle.vx = vx;
+		particle.vy = vy;
+		particle.drag = isTrail ? 0.9 : pattern.drag;
+		particle.decay = isTrail
+			? 0.04 + this.random() * 0.03
+			: pattern.decay * ( 0.8 + this.random() * 0.4 );
+		particle.explosionLife = 1;
+		particle.isExplosion = true;
+		particle.baseSize =
+			size * ( isTrail ? 0.25 : 0.35 + this.random() * 0.15 );
+		particle.size = particle.baseSize;
+		particle.opacity = this.config.particleOpacity;
+		particle.rotation = this.random() * Math.PI * 2;
+		particle.rotationSpeed = ( this.random() - 0.5 ) * 0.2;
+		particle.shape = isTrail ? 'circle' : pattern.shape;
+		particle.tint = tint;
+		this.hexToRgb( colors[ tint ], particle.rgb );
+		return particle;
+	}
+
+	// Burst a rocket at its apex in its pattern
+	burstFirework( rocket ) {
+		const pattern = FIREWORK_PATTERNS[ rocket.pattern ];
+		const count = this.getParticleBudget( this.config.fireworksBurstSize );
+		// Bursts scale with the area so they fill a phone screen without overflowing a desktop
+		const scale = Math.min(
+			1.5,
+			Math.max(
+				0.5,
+				Math.min( this.logicalWidth, this.logicalHeight ) / 800
+			)
+		);
+		const speed = pattern.speed * scale;
+
+		switch ( rocket.pattern ) {
+			case 'ring': {
+				// Tilted circle, every other spark in the next palette color
+				const tilt = 0.3 + this.random() * 0.7;
+				const turn = this.random() * Math.PI;
+				const cos = Math.cos( turn );
+				const sin = Math.sin( turn );
+				for ( let i = 0; i < count; i++ ) {
+					const angle = ( Math.PI * 2 * i ) / count;
+					const x = Math.cos( angle ) * speed;
+					const y = Math.sin( angle ) * speed * tilt;
+					this.createFireworkSpark(
+						rocket,
+						x * cos - y * sin,
+						x * sin + y * cos,
+						'spark',
+						rocket.tint + ( i % 2 )
+					);
+				}
+				break;
+			}
+			case 'crossette': {
+				// A few stars that split into crosses on the way out
+				const stars = Math.max( 6, Math.round( count / 10 ) );
+				for ( let i = 0; i < stars; i++ ) {
+					const angle =
+						( Math.PI * 2 * ( i + this.random() * 0.5 ) ) / stars;
+					const spark = this.createFireworkSpark(
+						rocket,
+						Math.cos( angle ) * speed,
+						Math.sin( angle ) * speed,
+						'spark',
+						rocket.tint
+					);
+					spark.stage = 1;
+				}
+				break;
+			}
+			default: {
+				// Peony and willow: filled sphere; willow sparks are fewer and hang longer
+				const sparks =
+					rocket.pattern === 'willow'
+						? Math.round( count * 0.6 )
+						: count;
+				for ( let i = 0; i < sparks; i++ ) {
+					const angle = this.random() * Math.PI * 2;
+					const velocity =
+						speed *
+						( rocket.pattern === 'willow'
+							? 0.3 + this.random() * 0.7
+							: 0.6 + this.random() * 0.4 );
+					this.createFireworkSpark(
+						rocket,
+						Math.cos( angle ) * velocity,
+						Math.sin( angle ) * velocity,
+						'spark',
+						rocket.tint
+					);
+				}
+			}
+		}
+	}
+
+	// Second stage of a crossette star: four sparks flying off at right angles
+	splitCrossette( star ) {
+		const turn = ( this.random() * Math.PI ) / 2;
+		const speed = Math.sqrt( star.vx * star.vx + star.vy * star.vy ) + 1.5;
+		for ( let i = 0; i < 4; i++ ) {
+			const angle = turn + ( Math.PI * i ) / 2;
+			const spark = this.createFireworkSpark(
+				star,
+				star.vx + Math.cos( angle ) * speed,
+				star.vy + Math.sin( angle ) * speed,
+				'spark',
+				star.tint + 1
+			);
+			spark.explosionLife = star.explosionLife;
+		}
+	}
+
+	// Update fireworks: scheduled launches, rockets with trails, bursts, spark gravity and fade
+	updateFireworkParticles() {
+		if ( this.config.fireworksFrequency > 0 ) {
+			if ( this.fireworkLaunchTimer <= 0 ) {
+				this.launchRocket();
+				// Average gap matches the frequency, with some jitter so the show isn't metronomic
+				this.fireworkLaunchTimer =
+					( TARGET_FPS / this.config.fireworksFrequency ) *
+					( 0.7 + this.random() * 0.6 );
+			} else {
+				this.fireworkLaunchTimer--;
+			}
+		}
+
+		const activeParticles = this.particlePool.getActive();
+
+		// Process particles in reverse to safely remove dead ones;
+		// new sparks are appended and first move on the next step
+		for ( let i = activeParticles.length - 1; i >= 0; i-- ) {
+			const particle = activeParticles[ i ];
+
+			if ( particle.kind === 'rocket' ) {
+				particle.vy += FIREWORK_ROCKET_GRAVITY;
+				particle.x += particle.vx;
+				particle.y += particle.vy;
+				this.createFireworkSpark(
+					particle,
+					( this.random() - 0.5 ) * 0.6,
+					this.random() * 0.8,
+					'trail',
+					particle.tint
+				);
+
+				if ( particle.vy >= 0 ) {
+					this.burstFirework( particle );
+					this.particlePool.release( particle );
+				}
+				continue;
+			}
+
+			const pattern = FIREWORK_PATTERNS[ particle.pattern ];
+			particle.vy += particle.kind === 'trail' ? 0 : pattern.gravity;
+			particle.vx *= particle.drag;
+			particle.vy *= particle.drag;
+			particle.x += particle.vx;
+			particle.y += particle.vy;
+			particle.rotation += particle.rotationSpeed;
+
+			particle.explosionLife -= particle.decay;
+			if (
+				particle.stage === 1 &&
+				particle.explosionLife < FIREWORK_CROSSETTE_SPLIT
+			) {
+				this.splitCrossette( particle );
+				this.particlePool.release( particle );
+				continue;
+			}
+
+			// Willow sparks stay bright for longer before fading out
+			const life = Math.max( 0, particle.explosionLife );
+			particle.opacity =
+				this.config.particleOpacity *
+				( particle.pattern === 'willow' ? Math.sqrt( life ) : life );
+			particle.size = particle.baseSize * ( 0.5 + life * 0.5 );
+
+			if (
+				particle.explosionLife <= 0 ||
+				particle.y > this.logicalHeight + particle.baseSize * 2
+			) {
+				this.particlePool.release( particle );
+			}
+		}
+	}
+
+	// Advance the current mode's particles by one physics step
+	updateParticles( currentTime ) {
+		switch ( this.config.experienceMode ) {
+			case 'sprinkle-trail':
+				this.updateSprinkleParticles( currentTime );
+				break;
+			case 'confetti':
+				this.updateConfettiParticles();
+				break;
+			case 'falling':
+				this.updateFallingParticles();
+				break;
+			case 'fireworks':
+				this.updateFireworkParticles();
+				break;
+			default:
+				this.updateFieldParticles();
+		}
+	}
+
+	// Draw the current mode's particles
+	drawParticles() {
+		if ( this.config.experienceMode === 'particle-field' ) {
+			this.drawFieldParticles();
+		} else {
+			// Confetti, falling and firework particles keep the color they were created with, like the trail
+			this.drawSprinkleParticles();
+		}
+	}
+
+	// Draw sprinkle trail particles
+	drawSprinkleParticles() {
+		this.updateDrawPositions();
+
+		if ( this.renderer ) {
+			this.renderer.drawSprinkle( this );
+			return;
+		}
+
+		this.ctx.clearRect( 0, 0, this.logicalWidth, this.logicalHeight );
+
+		// Each particle is a sprite in the color picked when it was created
+		const atlas = this.spriteAtlas;
+		const sheet = atlas.getSheet( this.getFixedPalette(), false );
+		const activeParticles = this.particlePool.getActive();
+		activeParticles.forEach( ( particle ) => {
+			atlas.draw(
+				this.ctx,
+				sheet,
+				particle.shape,
+				particle.tint,
+				particle
+			);
+		} );
+		atlas.resetTransform( this.ctx );
+	}
+
+	// Draw particle field with glitter effect
+	drawFieldParticles() {
+		this.updateDrawPositions();
+
+		if ( this.renderer ) {
+			this.renderer.drawField( this );
+			return;
+		}
+
+		this.ctx.clearRect( 0, 0, this.logicalWidth, this.logicalHeight );
+
+		// Particles are sprites; color cycling steps through the sheet's tints
+		const atlas = this.spriteAtlas;
+		const palette = this.config.fieldColorPalette;
+		const sheet = atlas.getSheet( this.colorPalettes[ palette ], true );
+		const activeParticles = this.particlePool.getActive();
+		activeParticles.forEach( ( particle ) => {
+			const tint = atlas.getTint(
+				sheet,
+				this.getPalettePosition( palette, particle.colorIndex )
+			);
+			atlas.draw( this.ctx, sheet, particle.shape, tint, particle );
+		} );
+		atlas.resetTransform( this.ctx );
+	}
+
+	/**
+	 * Advance physics by whole steps without drawing
+	 * For headless runs: each step moves the simulated time on by one physics
+	 * step, so a run depends only on the seed and the calls made, not on timing
+	 * @param {number} steps Number of physics steps
+	 */
+	step( steps ) {
+		for ( let i = 0; i < steps; i++ ) {
+			this.stepTime += FRAME_DURATION;
+			this.physicsStep( this.stepTime );
+		}
+		this.interpolation = 1;
+	}
+
+	// Advance one fixed physics step, remembering where every particle was before it
+	physicsStep( currentTime ) {
+		const activeParticles = this.particlePool.getActive();
+		for ( let i = 0; i < activeParticles.length; i++ ) {
+			const particle = activeParticles[ i ];
+			particle.prevX = particle.x;
+			particle.prevY = particle.y;
+			particle.hasPrevious = true;
+		}
+
+		this.updateParticles( currentTime );
+	}
+
+	/**
+	 * Set the positions to draw at, blending the last two physics states
+	 * Lets high-refresh displays show motion between steps instead of
+	 * repeating the same frame. Particles spawned since the last step, and
+	 * ones that jumped, are drawn where they are.
+	 */
+	updateDrawPositions() {
+		const alpha = this.interpolation;
+		const activeParticles = this.particlePool.getActive();
+		for ( let i = 0; i < activeParticles.length; i++ ) {
+			const particle = activeParticles[ i ];
+			const dx = particle.x - particle.prevX;
+			const dy = particle.y - particle.prevY;
+			if (
+				particle.hasPrevious &&
+				Math.abs( dx ) < MAX_INTERPOLATION_DISTANCE &&
+				Math.abs( dy ) < MAX_INTERPOLATION_DISTANCE
+			) {
+				particle.drawX = particle.prevX + dx * alpha;
+				particle.drawY = particle.prevY + dy * alpha;
+			} else {
+				particle.drawX = particle.x;
+				particle.drawY = particle.y;
+			}
+		}
+	}
+
+	/**
+	 * Advance physics and draw one frame
+	 * FIXED TIMESTEP: Elapsed time is collected and spent in whole physics
+	 * steps (several on slow displays, none on some frames of fast ones). The
+	 * draw then interpolates by the time left over, so every call shows new
+	 * positions and motion stays smooth on high-Hz displays
+	 * @param {number} currentTime Timestamp from performance.now()
+	 * @return {boolean} Whether physics was updated this frame
+	 */
+	renderFrame( currentTime ) {
+		const frameTime = currentTime - this.lastUpdateTime;
+		this.stepAccumulator += Math.max( 0, frameTime );
+		this.lastUpdateTime = currentTime;
+
+		let steps = 0;
+		while (
+			this.stepAccumulator >= FRAME_DURATION &&
+			steps < MAX_STEPS_PER_FRAME
+		) {
+			this.physicsStep( currentTime );
+			this.stepAccumulator -= FRAME_DURATION;
+			steps++;
+		}
+
+		// Drop whatever the catch-up limit left over; the effect slows down instead of stalling
+		if ( this.stepAccumulator >= FRAME_DURATION ) {
+			this.stepAccumulator %= FRAME_DURATION;
+		}
+
+		this.interpolation = this.stepAccumulator / FRAME_DURATION;
+		this.drawParticles();
+
+		if ( this.config.quality === 'auto' ) {
+			this.measureFrameLoad( frameTime, this.now() - currentTime );
+		}
+		return steps > 0;
+	}
+}
@@ -0,0 +1,113 @@
+/**
+ * Glitter Bomb - Spatial Hash
+ *
+ * Uniform grid used for neighbor lookups in the particle field. Particles are
+ * bucketed into square cells; with the cell size equal to the interaction
+ * radius, every neighbor of a point lies in its own cell or one of the eight
+ * surrounding cells, so lookups cost the same no matter how many particles
+ * are on screen.
+ *
+ * Cells are plain arrays that are emptied and refilled every frame rather than
+ * reallocated, to keep garbage collection out of the animation loop.
+ */
+
+export class SpatialHash {
+	constructor( cellSize ) {
+		this.cellSize = cellSize;
+		this.cols = 0;
+		this.rows = 0;
+		this.cells = [];
+		this.usedCells = [];
+		this.neighborCells = [];
+	}
+
+	// Match the grid to the simulation area (cheap when the size is unchanged)
+	resize( width, height ) {
+		const cols = Math.max( 1, Math.ceil( width / this.cellSize ) );
+		const rows = Math.max( 1, Math.ceil( height / this.cellSize ) );
+
+		if ( cols === this.cols && rows === this.rows ) {
+			return;
+		}
+
+		this.cols = cols;
+		this.rows = rows;
+		this.cells = [];
+		for ( let i = 0; i < cols * rows; i++ ) {
+			this.cells.push( [] );
+		}
+		this.usedCells.length = 0;
+	}
+
+	// Empty every cell that was filled since the last clear
+	clear() {
+		for ( let i = 0; i < this.usedCells.length; i++ ) {
+			this.usedCells[ i ].length = 0;
+		}
+		this.usedCells.length = 0;
+	}
+
+	// Column for an x position, clamped so off-screen items land in edge cells
+	getColumn( x ) {
+		return Math.min(
+			this.cols - 1,
+			Math.max( 0, Math.floor( x / this.cellSize ) )
+		);
+	}
+
+	// Row for a y position, clamped so off-screen items land in edge cells
+	getRow( y ) {
+		return Math.min(
+			this.rows - 1,
+			Math.max( 0, Math.floor( y / this.cellSize ) )
+		);
+	}
+
+	/**
+	 * Add an item at its current position
+	 * @param {Object} item Anything with x and y properties
+	 */
+	insert( item ) {
+		const cell =
+			this.cells[
+				this.getRow( item.y ) * this.cols + this.getColumn( item.x )
+			];
+		if ( cell.length === 0 ) {
+			this.usedCells.push( cell );
+		}
+		cell.push( item );
+	}
+
+	/**
+	 * Get the non-empty cells in the 3x3 block around a point
+	 * The returned array is reused and only valid until the next call
+	 * @param {number} x Horizontal position
+	 * @param {number} y Vertical position
+	 * @return {Array} Arrays of items near the point
+	 */
+	getNeighborCells( x, y ) {
+		const col = this.getColumn( x );
+		const row = this.getRow( y );
+		const result = this.neighborCells;
+		result.length = 0;
+
+		for ( let r = row - 1; r <= row + 1; r++ ) {
+			if ( r < 0 || r >= this.rows ) {
+				continue;
+			}
+
+			for ( let c = col - 1; c <= col + 1; c++ ) {
+				if ( c < 0 || c >= this.cols ) {
+					continue;
+				}
+
+				const cell = this.cells[ r * this.cols + c ];
+				if ( cell.length > 0 ) {
+					result.push( cell );
+				}
+			}
+		}
+
+		return result;
+	}
+}
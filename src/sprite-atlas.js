@@ -0,0 +1,200 @@
+/**
+ * Glitter Bomb - Sprite Atlas
+ *
+ * Pre-renders particle shapes for the Canvas 2D path. Instead of tracing the
+ * shape and building a color string for every particle on every frame, each
+ * palette is drawn once into offscreen sheets: one cell per tint and size
+ * bucket. Drawing a particle is then a single drawImage call, with opacity
+ * applied through globalAlpha.
+ *
+ * A palette sheet holds one grid per shape, rendered the first time a
+ * particle with that shape is drawn. Grid layout: one row per size bucket,
+ * one column per tint. Tints are the palette colors plus evenly spaced blends
+ * towards the next color, so color cycling steps through atlas entries
+ * instead of blending per frame.
+ */
+
+import { PARTICLE_SHAPES, createCanvas } from './shapes';
+
+// Blended tints per palette color for cycling particles
+const TINT_STEPS = 3;
+
+// Sprite half-extents in device pixels; larger particles scale up the biggest
+const SIZE_BUCKETS = [ 8, 16, 32, 64 ];
+
+// Transparent gap around each cell so filtering doesn't bleed between sprites
+const CELL_PADDING = 1;
+
+// Sheets kept at once (palettes change rarely, custom colors can change often in the editor)
+const MAX_SHEETS = 8;
+
+function parseHex( hex ) {
+	return [
+		parseInt( hex.slice( 1, 3 ), 16 ),
+		parseInt( hex.slice( 3, 5 ), 16 ),
+		parseInt( hex.slice( 5, 7 ), 16 ),
+	];
+}
+
+// CSS color between two hex colors
+function mixColor( from, to, amount ) {
+	const a = parseHex( from );
+	const b = parseHex( to );
+	return (
+		'rgb(' +
+		Math.round( a[ 0 ] + ( b[ 0 ] - a[ 0 ] ) * amount ) +
+		', ' +
+		Math.round( a[ 1 ] + ( b[ 1 ] - a[ 1 ] ) * amount ) +
+		', ' +
+		Math.round( a[ 2 ] + ( b[ 2 ] - a[ 2 ] ) * amount ) +
+		')'
+	);
+}
+
+export class SpriteAtlas {
+	constructor() {
+		this.sheets = new Map();
+		this.scale = 1; // Device pixels per logical pixel of the target canvas
+		this.maxExtent = Infinity; // Largest sprite used, in device pixels; lower quality levels scale up smaller ones
+	}
+
+	/**
+	 * Get the sheet for a palette
+	 * @param {Array}   colors Hex colors of the palette
+	 * @param {boolean} blend  Whether to add blended tints between colors
+	 * @return {Object} Sheet
+	 */
+	getSheet( colors, blend ) {
+		const steps = blend && colors.length > 1 ? TINT_STEPS : 1;
+		const key = steps + '|' + colors.join( ',' );
+
+		let sheet = this.sheets.get( key );
+		if ( ! sheet ) {
+			if ( this.sheets.size >= MAX_SHEETS ) {
+				this.sheets.clear();
+			}
+			sheet = {
+				colors: colors.slice(),
+				steps,
+				tintCount: colors.length * steps,
+				grids: {},
+			};
+			this.sheets.set( key, sheet );
+		}
+		return sheet;
+	}
+
+	// Render every tint and size of one shape for a sheet
+	createGrid( sheet, shape ) {
+		const largest = SIZE_BUCKETS[ SIZE_BUCKETS.length - 1 ];
+		const width = sheet.tintCount * ( largest * 2 + CELL_PADDING * 2 );
+
+		const rows = [];
+		let height = 0;
+		SIZE_BUCKETS.forEach( ( extent ) => {
+			const cell = extent * 2 + CELL_PADDING * 2;
+			rows.push( { extent, cell, y: height } );
+			height += cell;
+		} );
+
+		const canvas = createCanvas( width, height );
+		const ctx = canvas.getContext( '2d' );
+		const colors = sheet.colors;
+
+		for ( let tint = 0; tint < sheet.tintCount; tint++ ) {
+			const colorIndex = Math.floor( tint / sheet.steps );
+			const nextColor = colors[ ( colorIndex + 1 ) % colors.length ];
+			ctx.fillStyle = mixColor(
+				colors[ colorIndex ],
+				nextColor,
+				( tint % sheet.steps ) / sheet.steps
+			);
+
+			rows.forEach( ( row ) => {
+				ctx.setTransform(
+					1,
+					0,
+					0,
+					1,
+					tint * row.cell + row.cell / 2,
+					row.y + row.cell / 2
+				);
+				PARTICLE_SHAPES[ shape ].draw( ctx, row.extent );
+			} );
+		}
+
+		return {
+			canvas,
+			rows,
+		};
+	}
+
+	/**
+	 * Tint for a position in the palette
+	 * @param {Object} sheet    Sheet from getSheet()
+	 * @param {number} position Color index plus the blend towards the next color
+	 * @return {number} Tint index
+	 */
+	getTint( sheet, position ) {
+		return Math.floor( position * sheet.steps ) % sheet.tintCount;
+	}
+
+	/**
+	 * Draw one sprite
+	 * Leaves the context transform modified; call resetTransform() after a batch.
+	 * @param {CanvasRenderingContext2D} ctx      Target context
+	 * @param {Object}                   sheet    Sheet from getSheet()
+	 * @param {string}                   shape    Shape id from the registry
+	 * @param {number}                   tint     Tint index
+	 * @param {Object}                   particle Particle with drawX, drawY, size, rotation and opacity
+	 */
+	draw( ctx, sheet, shape, tint, particle ) {
+		const grid =
+			sheet.grids[ shape ] ||
+			( sheet.grids[ shape ] = this.createGrid( sheet, shape ) );
+		const scale = this.scale;
+		const extent = particle.size * PARTICLE_SHAPES[ shape ].extent;
+
+		// Smallest bucket that covers the on-screen size, up to the detail limit
+		const deviceExtent = Math.min( extent * scale, this.maxExtent );
+		let row = grid.rows[ grid.rows.length - 1 ];
+		for ( let i = 0; i < grid.rows.length; i++ ) {
+			if ( grid.rows[ i ].extent >= deviceExtent ) {
+				row = grid.rows[ i ];
+				break;
+			}
+		}
+
+		const cos = Math.cos( particle.rotation ) * scale;
+		const sin = Math.sin( particle.rotation ) * scale;
+		ctx.setTransform(
+			cos,
+			sin,
+			-sin,
+			cos,
+			particle.drawX * scale,
+			particle.drawY * scale
+		);
+		ctx.globalAlpha = particle.opacity;
+
+		// Padding scales with the sprite so the shape lands exactly on the extent
+		const drawExtent = ( extent * ( row.cell / 2 ) ) / row.extent;
+		ctx.drawImage(
+			grid.canvas,
+			( tint % sheet.tintCount ) * row.cell,
+			row.y,
+			row.cell,
+			row.cell,
+			-drawExtent,
+			-drawExtent,
+			drawExtent * 2,
+			drawExtent * 2
+		);
+	}
+
+	// Restore the plain pixel-scaled transform and full opacity
+	resetTransform( ctx ) {
+		ctx.setTransform( this.scale, 0, 0, this.scale, 0, 0 );
+		ctx.globalAlpha = 1;
+	}
+}
@@ -0,0 +1,151 @@
+/**
+ * Internal dependencies
+ */
+import { getScheduleStatus, hasSchedule } from '../schedule';
+
+// 2026-03-04 is a Wednesday
+const WEDNESDAY = 3;
+
+describe( 'hasSchedule', () => {
+	it( 'is false without any rules', () => {
+		expect(
+			hasSchedule( {
+				scheduleStart: '',
+				scheduleEnd: '',
+				scheduleTimeStart: '',
+				scheduleTimeEnd: '',
+				scheduleDays: [],
+			} )
+		).toBe( false );
+	} );
+
+	it( 'counts weekdays alone as a schedule', () => {
+		expect( hasSchedule( { scheduleDays: [ 1 ] } ) ).toBe( true );
+	} );
+} );
+
+describe( 'getScheduleStatus', () => {
+	it( 'is always on without a schedule', () => {
+		expect( getScheduleStatus( {}, '2026-03-04T12:00', WEDNESDAY ) ).toBe(
+			'always'
+		);
+	} );
+
+	describe( 'date window', () => {
+		const schedule = {
+			scheduleStart: '2026-03-01T09:00',
+			scheduleEnd: '2026-03-10T18:00',
+		};
+
+		it( 'is live inside the window', () => {
+			expect(
+				getScheduleStatus( schedule, '2026-03-04T12:00', WEDNESDAY )
+			).toBe( 'live' );
+		} );
+
+		it( 'is waiting before the window opens', () => {
+			expect( getScheduleStatus( schedule, '2026-03-01T08:59', 0 ) ).toBe(
+				'waiting'
+			);
+		} );
+
+		it( 'has ended once the end has passed', () => {
+			expect( getScheduleStatus( schedule, '2026-03-10T18:00', 2 ) ).toBe(
+				'ended'
+			);
+		} );
+
+		it( 'never ends when repeated every year', () => {
+			const yearly = { ...schedule, scheduleYearly: true };
+
+			expect( getScheduleStatus( yearly, '2027-03-20T12:00', 6 ) ).toBe(
+				'waiting'
+			);
+			expect( getScheduleStatus( yearly, '2027-03-04T12:00', 4 ) ).toBe(
+				'live'
+			);
+		} );
+
+		it( 'wraps a yearly window over the new year', () => {
+			const yearly = {
+				scheduleStart: '2026-12-20T00:00',
+				scheduleEnd: '2027-01-05T00:00',
+				scheduleYearly: true,
+			};
+
+			expect( getScheduleStatus( yearly, '2027-12-31T23:00', 5 ) ).toBe(
+				'live'
+			);
+			expect( getScheduleStatus( yearly, '2028-01-02T10:00', 0 ) ).toBe(
+				'live'
+			);
+			expect( getScheduleStatus( yearly, '2028-01-05T00:00', 3 ) ).toBe(
+				'waiting'
+			);
+		} );
+	} );
+
+	describe( 'weekdays', () => {
+		it( 'is waiting on other days', () => {
+			const schedule = { scheduleDays: [ 1, 5 ] };
+
+			expect(
+				getScheduleStatus( schedule, '2026-03-04T12:00', WEDNESDAY )
+			).toBe( 'waiting' );
+			expect( getScheduleStatus( schedule, '2026-03-06T12:00', 5 ) ).toBe(
+				'live'
+			);
+		} );
+	} );
+
+	describe( 'daily window', () => {
+		it( 'is live inside the hours and waiting outside them', () => {
+			const schedule = {
+				scheduleTimeStart: '09:00',
+				scheduleTimeEnd: '17:00',
+			};
+
+			expect(
+				getScheduleStatus( schedule, '2026-03-04T09:00', WEDNESDAY )
+			).toBe( 'live' );
+			expect(
+				getScheduleStatus( schedule, '2026-03-04T17:00', WEDNESDAY )
+			).toBe( 'waiting' );
+		} );
+
+		it( 'wraps an overnight window past midnight', () => {
+			const schedule = {
+				scheduleTimeStart: '22:00',
+				scheduleTimeEnd: '02:00',
+			};
+
+			expect(
+				getScheduleStatus( schedule, '2026-03-04T23:30', WEDNESDAY )
+			).toBe( 'live' );
+			expect( getScheduleStatus( schedule, '2026-03-05T01:59', 4 ) ).toBe(
+				'live'
+			);
+			expect( getScheduleStatus( schedule, '2026-03-05T02:00', 4 ) ).toBe(
+				'waiting'
+			);
+			expect(
+				getScheduleStatus( schedule, '2026-03-04T12:00', WEDNESDAY )
+			).toBe( 'waiting' );
+		} );
+
+		it( 'only opens inside the date window', () => {
+			const schedule = {
+				scheduleEnd: '2026-03-10T00:00',
+				scheduleTimeStart: '22:00',
+				scheduleTimeEnd: '02:00',
+			};
+
+			expect( getScheduleStatus( schedule, '2026-03-09T23:00', 1 ) ).toBe(
+				'live'
+			);
+			expect( getScheduleStatus( schedule, '2026-03-10T01:00', 2 ) ).toBe(
+				'ended'
+			);
+		} );
+	} );
+} );
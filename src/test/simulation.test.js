@@ -0,0 +1,304 @@
+/**
+ * Internal dependencies
+ */
+import { ParticlePool, ParticleSimulation, parseConfig } from '../simulation';
+
+/**
+ * Headless simulation on a 1000x1000 area.
+ *
+ * @param {Object} values Block attributes to override.
+ * @return {ParticleSimulation} Simulation.
+ */
+function createSimulation( values ) {
+	const simulation = new ParticleSimulation(
+		parseConfig( { seed: 1, ...values } ),
+		{ headless: true }
+	);
+	simulation.logicalWidth = 1000;
+	simulation.logicalHeight = 1000;
+	return simulation;
+}
+
+/**
+ * Add a field particle that sits still: no drift, shimmer or pull towards its home.
+ *
+ * @param {ParticleSimulation} simulation Simulation.
+ * @param {number}             x          Horizontal position.
+ * @param {number}             y          Vertical position.
+ * @return {Object} Particle.
+ */
+function addStillParticle( simulation, x, y ) {
+	return Object.assign( simulation.particlePool.acquire(), {
+		x,
+		y,
+		homeX: x,
+		homeY: y,
+		vx: 0,
+		vy: 0,
+		baseSize: 4,
+		size: 4,
+		isExplosion: false,
+		driftSpeed: 0,
+		shimmerSpeed: 0,
+		colorCycleSpeed: 0,
+		rotationSpeed: 0,
+	} );
+}
+
+/**
+ * Distance between two particles.
+ *
+ * @param {Object} a Particle.
+ * @param {Object} b Particle.
+ * @return {number} Distance.
+ */
+function distanceBetween( a, b ) {
+	return Math.hypot( a.x - b.x, a.y - b.y );
+}
+
+describe( 'ParticlePool', () => {
+	it( 'moves particles between the pool and the active list', () => {
+		const pool = new ParticlePool( 5 );
+		const first = pool.acquire();
+		pool.acquire();
+
+		expect( pool.getActiveCount() ).toBe( 2 );
+		expect( pool.getPoolSize() ).toBe( 3 );
+		expect( first.active ).toBe( true );
+
+		pool.release( first );
+
+		expect( pool.getActiveCount() ).toBe( 1 );
+		expect( pool.getPoolSize() ).toBe( 4 );
+		expect( first.active ).toBe( false );
+
+		pool.releaseAll();
+
+		expect( pool.getActiveCount() ).toBe( 0 );
+		expect( pool.getPoolSize() ).toBe( 5 );
+	} );
+
+	it( 'creates particles once the pool runs out', () => {
+		const pool = new ParticlePool( 2 );
+		for ( let i = 0; i < 4; i++ ) {
+			pool.acquire();
+		}
+
+		expect( pool.getActiveCount() ).toBe( 4 );
+		expect( pool.getPoolSize() ).toBe( 0 );
+
+		pool.releaseAll();
+
+		expect( pool.getPoolSize() ).toBe( 4 );
+	} );
+
+	it( 'reuses released particles', () => {
+		const pool = new ParticlePool( 1 );
+		const particle = pool.acquire();
+		pool.release( particle );
+
+		expect( pool.acquire() ).toBe( particle );
+	} );
+} );
+
+describe( 'ParticleSimulation', () => {
+	describe( 'explosions', () => {
+		it( 'push harder the closer a particle is, and not at all out of range', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'particle-field',
+			} );
+			const near = addStillParticle( simulation, 550, 500 );
+			const far = addStillParticle( simulation, 700, 500 );
+			const outside = addStillParticle( simulation, 800, 500 );
+
+			simulation.createExplosion( 500, 500 );
+
+			expect( near.vx ).toBeGreaterThan( far.vx );
+			expect( far.vx ).toBeGreaterThan( 0 );
+			expect( near.vy ).toBeCloseTo( 0 );
+			expect( outside.vx ).toBe( 0 );
+		} );
+
+		it( 'add a burst of sparks', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'particle-field',
+			} );
+
+			simulation.createExplosion( 500, 500 );
+
+			const sparks = simulation.particlePool
+				.getActive()
+				.filter( ( particle ) => particle.isExplosion );
+			expect( sparks.length ).toBeGreaterThan( 0 );
+		} );
+	} );
+
+	describe( 'field separation', () => {
+		it( 'pushes close particles apart', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'particle-field',
+				fieldSpreadStrength: 1,
+			} );
+			const a = addStillParticle( simulation, 500, 500 );
+			const b = addStillParticle( simulation, 510, 500 );
+
+			simulation.step( 5 );
+
+			expect( distanceBetween( a, b ) ).toBeGreaterThan( 10 );
+		} );
+
+		it( 'leaves particles alone without spread strength', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'particle-field',
+				fieldSpreadStrength: 0,
+			} );
+			const a = addStillParticle( simulation, 500, 500 );
+			const b = addStillParticle( simulation, 510, 500 );
+
+			simulation.step( 5 );
+
+			expect( distanceBetween( a, b ) ).toBeCloseTo( 10 );
+		} );
+
+		it( 'leaves particles beyond the separation radius alone', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'particle-field',
+				fieldSpreadStrength: 1,
+			} );
+			const a = addStillParticle( simulation, 500, 500 );
+			const b = addStillParticle( simulation, 600, 500 );
+
+			simulation.step( 5 );
+
+			expect( distanceBetween( a, b ) ).toBeCloseTo( 100 );
+		} );
+	} );
+
+	describe( 'field edges', () => {
+		it( 'wrap particles around to the opposite side', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'particle-field',
+			} );
+			const right = addStillParticle( simulation, 998, 500 );
+			right.vx = 5;
+			const top = addStillParticle( simulation, 500, 2 );
+			top.vy = -5;
+
+			simulation.step( 1 );
+
+			expect( right.x ).toBeLessThan( 10 );
+			expect( top.y ).toBeGreaterThan( 990 );
+		} );
+	} );
+
+	describe( 'sprinkle trail', () => {
+		it( 'fades particles until they are released', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'sprinkle-trail',
+				displayBehavior: 'compact',
+				animationDuration: 1000,
+			} );
+			simulation.updatePointer( 1, 100, 100 );
+			simulation.createParticle( 100, 100, 1 );
+			const [ particle ] = simulation.particlePool.getActive();
+
+			simulation.step( 1 );
+			const opacity = particle.opacity;
+			simulation.step( 20 );
+
+			expect( particle.opacity ).toBeLessThan( opacity );
+			expect( simulation.particlePool.getActiveCount() ).toBe( 1 );
+
+			// 1000ms are 60 physics steps
+			simulation.step( 40 );
+
+			expect( simulation.particlePool.getActiveCount() ).toBe( 0 );
+		} );
+
+		it( 'spaces particles along the pointer path', () => {
+			const simulation = createSimulation( {
+				experienceMode: 'sprinkle-trail',
+			} );
+			simulation.updatePointer( 1, 100, 100 );
+			simulation.createParticle( 100, 100, 1 );
+			simulation.updatePointer( 1, 102, 100 );
+			simulation.createParticle( 102, 100, 1 );
+			simulation.updatePointer( 1, 120, 100 );
+			simulation.createParticle( 120, 100, 1 );
+
+			expect( simulation.particlePool.getActiveCount() ).toBe( 2 );
+		} );
+	} );
+
+	describe( 'adaptive quality', () => {
+		/**
+		 * Feed the governor frames at a fixed rate.
+		 *
+		 * @param {ParticleSimulation} simulation Simulation.
+		 * @param {number}             frameTime  Time between frames in milliseconds.
+		 * @param {number}             workTime   Time spent on each frame in milliseconds.
+		 * @param {number}             duration   Total time in milliseconds.
+		 */
+		function runFrames( simulation, frameTime, workTime, duration ) {
+			for ( let time = 0; time < duration; time += frameTime ) {
+				simulation.measureFrameLoad( frameTime, workTime );
+			}
+		}
+
+		it( 'keeps quality on a 30 Hz display with light work', () => {
+			const simulation = createSimulation( { quality: 'auto' } );
+
+			runFrames( simulation, 1000 / 30, 4, 5000 );
+
+			expect( simulation.qualityLevel ).toBe( 'high' );
+		} );
+
+		it( 'steps down when the work fills the frame', () => {
+			const simulation = createSimulation( { quality: 'auto' } );
+
+			runFrames( simulation, 1000 / 60, 12, 1100 );
+
+			expect( simulation.qualityLevel ).toBe( 'balanced' );
+		} );
+
+		it( 'steps back up after several quiet windows', () => {
+			const simulation = createSimulation( { quality: 'auto' } );
+			runFrames( simulation, 1000 / 60, 12, 1100 );
+
+			runFrames( simulation, 1000 / 60, 2, 7000 );
+
+			expect( simulation.qualityLevel ).toBe( 'high' );
+		} );
+	} );
+
+	describe( 'seeded runs', () => {
+		/**
+		 * Positions after a short field run with an explosion.
+		 *
+		 * @param {number} seed Seed.
+		 * @return {Array} Particle positions.
+		 */
+		function runField( seed ) {
+			const simulation = createSimulation( {
+				experienceMode: 'particle-field',
+				fieldParticleCount: 100,
+				seed,
+			} );
+			simulation.initializeParticleField();
+			simulation.step( 30 );
+			simulation.createExplosion( 500, 500 );
+			simulation.step( 30 );
+			return simulation.particlePool
+				.getActive()
+				.map( ( particle ) => [ particle.x, particle.y ] );
+		}
+
+		it( 'repeat exactly with the same seed', () => {
+			expect( runField( 42 ) ).toEqual( runField( 42 ) );
+		} );
+
+		it( 'differ with another seed', () => {
+			expect( runField( 42 ) ).not.toEqual( runField( 43 ) );
+		} );
+	} );
+} );
@@ -0,0 +1,120 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { useSettings, useSetting } from '@wordpress/block-editor';
+import { CheckboxControl, ColorIndicator } from '@wordpress/components';
+
+// useSettings() replaced useSetting() in WordPress 6.5
+const usePaletteSettings = useSettings
+	? () => useSettings( 'color.palette.theme', 'color.palette.custom' )
+	: () => [
+			useSetting( 'color.palette.theme' ),
+			useSetting( 'color.palette.custom' ),
+	  ];
+
+/**
+ * Color presets from the active theme and the user's Global Styles.
+ *
+ * User presets come last; a user preset with the same slug as a theme preset
+ * replaces it, matching the CSS custom property the page ends up with.
+ *
+ * @return {Array} Presets with slug, name and color.
+ */
+export function useThemePresets() {
+	const [ themePresets, userPresets ] = usePaletteSettings();
+	const presets = [];
+
+	[ themePresets, userPresets ].forEach( ( origin ) => {
+		( origin || [] ).forEach( ( preset ) => {
+			const index = presets.findIndex(
+				( existing ) => existing.slug === preset.slug
+			);
+			if ( index === -1 ) {
+				presets.push( preset );
+			} else {
+				presets[ index ] = preset;
+			}
+		} );
+	} );
+
+	return presets;
+}
+
+/**
+ * Checkbox list for picking which theme color presets the particles use.
+ *
+ * An empty value means every preset, so colors the theme adds later are
+ * picked up too. At least one preset always stays selected.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Array}    props.value    Selected preset slugs.
+ * @param {Function} props.onChange Called with the new list of slugs.
+ *
+ * @return {Element} Element to render.
+ */
+export default function ThemePalettePicker( { value, onChange } ) {
+	const presets = useThemePresets();
+	const isAll = ! Array.isArray( value ) || value.length === 0;
+
+	if ( presets.length === 0 ) {
+		return (
+			<p className="glitter-bomb-shape-picker__help">
+				{ __(
+					'The active theme has no color presets, so the Rainbow palette is used instead.',
+					'glitter-bomb'
+				) }
+			</p>
+		);
+	}
+
+	const isSelected = ( slug ) => isAll || value.includes( slug );
+	const selectedCount = presets.filter( ( preset ) =>
+		isSelected( preset.slug )
+	).length;
+
+	const togglePreset = ( slug, isChecked ) => {
+		const next = presets
+			.map( ( preset ) => preset.slug )
+			.filter( ( id ) => ( id === slug ? isChecked : isSelected( id ) ) );
+
+		if ( next.length === presets.length ) {
+			onChange( [] );
+		} else if ( next.length > 0 ) {
+			onChange( next );
+		}
+	};
+
+	return (
+		<fieldset className="glitter-bomb-shape-picker glitter-bomb-theme-palette">
+			<legend className="glitter-bomb-shape-picker__label">
+				{ __( 'Theme Colors', 'glitter-bomb' ) }
+			</legend>
+			{ presets.map( ( preset ) => {
+				const isChecked = isSelected( preset.slug );
+				return (
+					<CheckboxControl
+						key={ preset.slug }
+						label={
+							<>
+								<ColorIndicator colorValue={ preset.color } />
+								{ preset.name || preset.slug }
+							</>
+						}
+						checked={ isChecked }
+						disabled={ isChecked && selectedCount === 1 }
+						onChange={ ( checked ) =>
+							togglePreset( preset.slug, checked )
+						}
+					/>
+				);
+			} ) }
+			<p className="glitter-bomb-shape-picker__help">
+				{ __(
+					'Colors are read from the theme on the page, so the particles follow along when the brand colors change. With every color checked, colors added to the theme later are included too.',
+					'glitter-bomb'
+				) }
+			</p>
+		</fieldset>
+	);
+}
@@ -0,0 +1,162 @@
+/**
+ * Glitter Bomb - Toggle Button
+ *
+ * The on/off button and the screen reader announcement region. The view
+ * script's bootstrap creates them before the particle engine has loaded,
+ * and the engine takes them over once it runs (see LazyParticles).
+ */
+
+import { getPaletteColors } from './button-config';
+
+// Screen reader messages when the effect starts, by experience mode
+const MODE_ANNOUNCEMENTS = {
+	'particle-field': 'Magical glitter field activated.',
+	confetti: 'Confetti celebration launched.',
+	falling: 'Falling particles started.',
+	fireworks: 'Fireworks display started.',
+};
+
+export class ToggleButton {
+	/**
+	 * @param {Object}           config    Parsed config
+	 * @param {HTMLElement|null} container Element to keep the button in (the body when null)
+	 * @param {Function}         onToggle  Called when the visitor presses the button
+	 */
+	constructor( config, container, onToggle ) {
+		this.config = config;
+		this.onToggle = onToggle;
+
+		const button = document.createElement( 'button' );
+		button.className =
+			'glitter-bomb-toggle position-' + config.buttonPosition;
+		button.setAttribute( 'type', 'button' );
+
+		// Add screen reader announcement area
+		const srAnnouncement = document.createElement( 'div' );
+		srAnnouncement.className = 'glitter-bomb-sr-only';
+		srAnnouncement.setAttribute( 'role', 'status' );
+		srAnnouncement.setAttribute( 'aria-live', 'polite' );
+		srAnnouncement.id = 'glitter-bomb-announcement';
+		document.body.appendChild( srAnnouncement );
+
+		this.button = button;
+		this.srAnnouncement = srAnnouncement;
+
+		// Button click
+		button.addEventListener( 'click', () => this.onToggle() );
+
+		// Keyboard support
+		button.addEventListener( 'keydown', ( e ) => {
+			if ( e.key === 'Enter' || e.key === ' ' ) {
+				e.preventDefault();
+				this.onToggle();
+			}
+		} );
+
+		// A contained effect keeps its button inside the container
+		( container || document.body ).appendChild( button );
+	}
+
+	/**
+	 * Use new settings for the button's position, text and colors
+	 * @param {Object} config Parsed config
+	 */
+	setConfig( config ) {
+		this.config = config;
+		this.button.className =
+			'glitter-bomb-toggle position-' + config.buttonPosition;
+	}
+
+	/**
+	 * Show the button for the effect's state
+	 * @param {boolean} isActive Whether effects are running
+	 */
+	update( isActive ) {
+		this.button.setAttribute( 'aria-pressed', isActive );
+		this.button.textContent = isActive
+			? this.config.disableButtonText
+			: this.config.enableButtonText;
+		this.applyStyles( isActive );
+	}
+
+	/**
+	 * Tell screen reader users the effect was switched
+	 * @param {boolean} isActive Whether effects are now running
+	 */
+	announce( isActive ) {
+		this.srAnnouncement.textContent = isActive
+			? 'Sparkle effects enabled. ' +
+			  ( MODE_ANNOUNCEMENTS[ this.config.experienceMode ] ||
+					'Particles will follow your cursor.' )
+			: 'Sparkle effects disabled.';
+	}
+
+	// Tell screen reader users the effect couldn't be switched on (the engine failed to load)
+	announceFailure() {
+		this.srAnnouncement.textContent =
+			'Sparkle effects could not be loaded. Please try again.';
+	}
+
+	// Get gradient colors from palette
+	getPaletteGradient() {
+		const palette =
+			this.config.experienceMode === 'particle-field'
+				? this.config.fieldColorPalette
+				: this.config.colorPalette;
+
+		const colors = getPaletteColors( this.config, palette );
+
+		// Return first and last color for gradient (the same color for a one-color custom palette)
+		return {
+			start: colors[ 0 ],
+			end: colors[ colors.length - 1 ],
+		};
+	}
+
+	applyStyles( isActive ) {
+		const config = this.config;
+		const textColor = isActive
+			? config.disableButtonTextColor
+			: config.enableButtonTextColor;
+		const bgColor = isActive
+			? config.disableButtonBgColor
+			: config.enableButtonBgColor;
+		let gradientStart = isActive
+			? config.disableButtonGradientStart
+			: config.enableButtonGradientStart;
+		let gradientEnd = isActive
+			? config.disableButtonGradientEnd
+			: config.enableButtonGradientEnd;
+
+		this.button.style.color = textColor;
+
+		// If no custom gradient is set, use palette gradient
+		if ( ! gradientStart && ! gradientEnd ) {
+			const paletteGradient = this.getPaletteGradient();
+			gradientStart = paletteGradient.start;
+			gradientEnd = paletteGradient.end;
+		}
+
+		// Use gradient if both gradient colors are set, otherwise use solid color
+		if ( gradientStart && gradientEnd ) {
+			this.button.style.background =
+				'linear-gradient(135deg, ' +
+				gradientStart +
+				', ' +
+				gradientEnd +
+				')';
+		} else {
+			this.button.style.background = bgColor;
+		}
+	}
+
+	// Remove the button and the announcement region
+	destroy() {
+		if ( this.button.parentNode ) {
+			this.button.parentNode.removeChild( this.button );
+		}
+		if ( this.srAnnouncement.parentNode ) {
+			this.srAnnouncement.parentNode.removeChild( this.srAnnouncement );
+		}
+	}
+}
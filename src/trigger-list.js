@@ -0,0 +1,202 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	Button,
+	RangeControl,
+	SelectControl,
+	TextControl,
+} from '@wordpress/components';
+
+const TRIGGER_TYPES = {
+	scroll: __( 'Element scrolls into view', 'glitter-bomb' ),
+	time: __( 'Time on page', 'glitter-bomb' ),
+	'exit-intent': __( 'Exit intent', 'glitter-bomb' ),
+	click: __( 'Click on an element', 'glitter-bomb' ),
+	event: __( 'DOM event', 'glitter-bomb' ),
+};
+
+// Value a trigger starts with when its type is picked
+const DEFAULT_VALUES = {
+	scroll: '',
+	time: 10,
+	'exit-intent': '',
+	click: '',
+	event: '',
+};
+
+// render.php keeps the first ten triggers
+const MAX_TRIGGERS = 10;
+
+/**
+ * Input for the trigger's value, which depends on its type.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Object}   props.trigger  Trigger with type, value and duration.
+ * @param {Function} props.onChange Called with the new value.
+ *
+ * @return {Element} Element to render.
+ */
+function TriggerValueControl( { trigger, onChange } ) {
+	switch ( trigger.type ) {
+		case 'scroll':
+		case 'click':
+			return (
+				<TextControl
+					label={ __( 'CSS Selector', 'glitter-bomb' ) }
+					value={ trigger.value }
+					placeholder="#signup, .cta-button"
+					onChange={ onChange }
+					help={
+						trigger.type === 'scroll'
+							? __(
+									'Starts each time a matching element comes into view.',
+									'glitter-bomb'
+							  )
+							: __(
+									'Starts when a matching element (or anything inside it) is clicked.',
+									'glitter-bomb'
+							  )
+					}
+				/>
+			);
+		case 'time':
+			return (
+				<RangeControl
+					label={ __( 'Seconds on Page', 'glitter-bomb' ) }
+					value={ Number( trigger.value ) || 0 }
+					onChange={ onChange }
+					min={ 0 }
+					max={ 600 }
+					step={ 1 }
+				/>
+			);
+		case 'event':
+			return (
+				<TextControl
+					label={ __( 'Event Name', 'glitter-bomb' ) }
+					value={ trigger.value }
+					placeholder="wpcf7mailsent"
+					onChange={ onChange }
+					help={ __(
+						'Starts when this event is dispatched on the document or bubbles up to it, for example a form plugin’s success event.',
+						'glitter-bomb'
+					) }
+				/>
+			);
+		default:
+			return (
+				<p className="glitter-bomb-trigger__help">
+					{ __(
+						'Starts once when the pointer leaves through the top of the window. Desktop only.',
+						'glitter-bomb'
+					) }
+				</p>
+			);
+	}
+}
+
+/**
+ * Editable list of activation triggers.
+ *
+ * Each trigger starts the effect when it fires and, with a duration, stops
+ * it again after that many seconds. The runner lives in view.js.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Array}    props.value    Triggers with type, value and duration.
+ * @param {Function} props.onChange Called with the new list.
+ *
+ * @return {Element} Element to render.
+ */
+export default function TriggerList( { value, onChange } ) {
+	const triggers = Array.isArray( value ) ? value : [];
+
+	const updateTrigger = ( index, changes ) => {
+		onChange(
+			triggers.map( ( trigger, i ) =>
+				i === index ? { ...trigger, ...changes } : trigger
+			)
+		);
+	};
+
+	const removeTrigger = ( index ) => {
+		onChange( triggers.filter( ( trigger, i ) => i !== index ) );
+	};
+
+	const addTrigger = () => {
+		onChange( [ ...triggers, { type: 'scroll', value: '', duration: 0 } ] );
+	};
+
+	return (
+		<div className="glitter-bomb-trigger-list">
+			{ triggers.length === 0 && (
+				<p className="glitter-bomb-trigger__help">
+					{ __(
+						'No triggers yet. Without any, the effect only starts by default or from the toggle button.',
+						'glitter-bomb'
+					) }
+				</p>
+			) }
+			{ triggers.map( ( trigger, index ) => (
+				<fieldset key={ index } className="glitter-bomb-trigger">
+					<legend className="glitter-bomb-trigger__label">
+						{ sprintf(
+							/* translators: %d: Trigger number. */
+							__( 'Trigger %d', 'glitter-bomb' ),
+							index + 1
+						) }
+					</legend>
+					<SelectControl
+						label={ __( 'Start When', 'glitter-bomb' ) }
+						value={ trigger.type }
+						options={ Object.keys( TRIGGER_TYPES ).map(
+							( type ) => ( {
+								label: TRIGGER_TYPES[ type ],
+								value: type,
+							} )
+						) }
+						onChange={ ( type ) =>
+							updateTrigger( index, {
+								type,
+								value: DEFAULT_VALUES[ type ],
+							} )
+						}
+					/>
+					<TriggerValueControl
+						trigger={ trigger }
+						onChange={ ( newValue ) =>
+							updateTrigger( index, { value: newValue } )
+						}
+					/>
+					<RangeControl
+						label={ __( 'Run For (seconds)', 'glitter-bomb' ) }
+						value={ trigger.duration || 0 }
+						onChange={ ( duration ) =>
+							updateTrigger( index, { duration } )
+						}
+						min={ 0 }
+						max={ 600 }
+						step={ 1 }
+						help={ __(
+							'0 keeps the effect running until the visitor turns it off.',
+							'glitter-bomb'
+						) }
+					/>
+					<Button
+						variant="link"
+						isDestructive
+						onClick={ () => removeTrigger( index ) }
+					>
+						{ __( 'Remove trigger', 'glitter-bomb' ) }
+					</Button>
+				</fieldset>
+			) ) }
+			{ triggers.length < MAX_TRIGGERS && (
+				<Button variant="secondary" onClick={ addTrigger }>
+					{ __( 'Add trigger', 'glitter-bomb' ) }
+				</Button>
+			) }
+		</div>
+	);
+}
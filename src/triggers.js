@@ -0,0 +1,220 @@
+/**
+ * Glitter Bomb - Activation Triggers
+ *
+ * Starts a block's effect on scroll, time, exit intent, click or custom
+ * events, and removes the block when its schedule window closes mid-visit.
+ * The view script only fetches this chunk for blocks that have triggers or a
+ * schedule end, so pages without them never download it.
+ */
+
+import { prefersReducedData, prefersReducedMotion } from './environment';
+
+/**
+ * Read the block's trigger list (validated by render.php)
+ * @param {HTMLElement} block The block element
+ * @return {Array} Triggers with type, value and duration
+ */
+function parseTriggers( block ) {
+	try {
+		const triggers = JSON.parse( block.dataset.triggers || '[]' );
+		return Array.isArray( triggers ) ? triggers : [];
+	} catch ( error ) {
+		return [];
+	}
+}
+
+/**
+ * Check a CSS selector before listening for it
+ * Triggers with a selector the browser rejects are skipped.
+ * @param {string} selector Selector from the trigger
+ * @return {boolean} Whether the browser accepts it
+ */
+function isValidSelector( selector ) {
+	try {
+		document.querySelector( selector );
+		return true;
+	} catch ( error ) {
+		return false;
+	}
+}
+
+/**
+ * Start the effect when one of the block's triggers fires
+ *
+ * Triggered runs are not saved as the visitor's preference, and stop on
+ * their own after the trigger's duration (0 keeps them running until the
+ * visitor turns them off). Triggers never start an effect that is already
+ * running by choice, and are skipped entirely for reduced motion and with
+ * Data Saver on, where only the visitor starts the effect.
+ *
+ * @param {HTMLElement} block    The block element
+ * @param {Object}      instance The block's particle engine (LazyParticles)
+ * @return {Function} Removes all trigger listeners and timers
+ */
+export function setupTriggers( block, instance ) {
+	const triggers = parseTriggers( block );
+	const cleanups = [];
+	let isTriggered = false; // Whether the current run was started by a trigger
+	let stopTimer = null;
+
+	if (
+		triggers.length === 0 ||
+		prefersReducedMotion ||
+		prefersReducedData()
+	) {
+		return function () {};
+	}
+
+	function fire( trigger ) {
+		if ( instance.isActive && ! isTriggered ) {
+			return;
+		}
+
+		if ( ! instance.isActive ) {
+			instance.setActive( true, false );
+			// Still off if the engine didn't start (e.g. disabled on mobile)
+			if ( ! instance.isActive ) {
+				return;
+			}
+			isTriggered = true;
+		}
+
+		// Firing again while a triggered run is going restarts its countdown
+		clearTimeout( stopTimer );
+		stopTimer = null;
+		const duration = parseFloat( trigger.duration ) || 0;
+		if ( duration > 0 ) {
+			stopTimer = setTimeout( function () {
+				stopTimer = null;
+				instance.setActive( false, false );
+			}, duration * 1000 );
+		}
+	}
+
+	// However the effect stops (timer, button, API), the next start is a fresh one
+	function handleDisabled() {
+		isTriggered = false;
+		clearTimeout( stopTimer );
+		stopTimer = null;
+	}
+	block.addEventListener( 'glitterbomb:disabled', handleDisabled );
+	cleanups.push( function () {
+		block.removeEventListener( 'glitterbomb:disabled', handleDisabled );
+		clearTimeout( stopTimer );
+	} );
+
+	// Listen on the document and remember how to stop listening
+	function listen( type, handler ) {
+		document.addEventListener( type, handler );
+		cleanups.push( function () {
+			document.removeEventListener( type, handler );
+		} );
+	}
+
+	triggers.forEach( function ( trigger ) {
+		switch ( trigger.type ) {
+			case 'scroll': {
+				// Fires each time a matching element scrolls into view
+				if (
+					! window.IntersectionObserver ||
+					! isValidSelector( trigger.value )
+				) {
+					break;
+				}
+				const observer = new window.IntersectionObserver( function (
+					entries
+				) {
+					if (
+						entries.some( function ( entry ) {
+							return entry.isIntersecting;
+						} )
+					) {
+						fire( trigger );
+					}
+				} );
+				document
+					.querySelectorAll( trigger.value )
+					.forEach( function ( element ) {
+						observer.observe( element );
+					} );
+				cleanups.push( function () {
+					observer.disconnect();
+				} );
+				break;
+			}
+			case 'time': {
+				const timer = setTimeout(
+					function () {
+						fire( trigger );
+					},
+					( parseFloat( trigger.value ) || 0 ) * 1000
+				);
+				cleanups.push( function () {
+					clearTimeout( timer );
+				} );
+				break;
+			}
+			case 'exit-intent': {
+				// Pointer leaving through the top of the window, once per page view
+				let hasFired = false;
+				listen( 'mouseout', function ( e ) {
+					if ( ! hasFired && ! e.relatedTarget && e.clientY <= 0 ) {
+						hasFired = true;
+						fire( trigger );
+					}
+				} );
+				break;
+			}
+			case 'click': {
+				if ( ! isValidSelector( trigger.value ) ) {
+					break;
+				}
+				listen( 'click', function ( e ) {
+					if (
+						e.target.closest &&
+						e.target.closest( trigger.value )
+					) {
+						fire( trigger );
+					}
+				} );
+				break;
+			}
+			case 'event': {
+				// Custom events must be dispatched on, or bubble up to, the document
+				listen( trigger.value, function () {
+					fire( trigger );
+				} );
+				break;
+			}
+		}
+	} );
+
+	return function () {
+		cleanups.forEach( function ( cleanup ) {
+			cleanup();
+		} );
+	};
+}
+
+/**
+ * Call back when the block's schedule window closes
+ * render.php passes the closing time (Unix seconds) when the window closes
+ * within a week; the view script skips blocks whose window already closed.
+ * @param {HTMLElement} block The block element
+ * @param {Function}    onEnd Called when the window closes
+ * @return {Function} Cancels the timer
+ */
+export function setupScheduleEnd( block, onEnd ) {
+	const end = parseInt( block.dataset.scheduleEnd, 10 );
+	const timeLeft = Math.max( 0, end * 1000 - Date.now() );
+
+	// Timers can't run past ~24 days
+	if ( ! end || timeLeft >= 0x7fffffff ) {
+		return function () {};
+	}
+
+	const timer = setTimeout( onEnd, timeLeft );
+	return function () {
+		clearTimeout( timer );
+	};
+}
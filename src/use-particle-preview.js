@@ -0,0 +1,51 @@
+/**
+ * WordPress dependencies
+ */
+import { useEffect, useRef } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { GlitterBombParticles } from './particles';
+
+/**
+ * Runs the frontend particle engine inside the block's editor placeholder.
+ *
+ * The engine is created once per enable and confined to the referenced
+ * element; later attribute changes are pushed into the running instance
+ * instead of recreating it. The renderer is picked when the canvas is
+ * created, so changing it starts a fresh engine.
+ *
+ * @param {Object}  ref        Ref to the element the effect is confined to.
+ * @param {Object}  attributes Block attributes.
+ * @param {boolean} isEnabled  Whether the preview should run.
+ */
+export default function useParticlePreview( ref, attributes, isEnabled ) {
+	const engineRef = useRef( null );
+
+	useEffect( () => {
+		if ( ! isEnabled || ! ref.current ) {
+			return;
+		}
+
+		const engine = new GlitterBombParticles( ref.current, {
+			container: ref.current,
+			preview: true,
+			config: attributes,
+		} );
+		engineRef.current = engine;
+
+		return () => {
+			engine.destroy();
+			engineRef.current = null;
+		};
+		// Attribute changes are applied by the effect below.
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [ isEnabled, attributes.renderer ] );
+
+	useEffect( () => {
+		if ( engineRef.current ) {
+			engineRef.current.updateConfig( attributes );
+		}
+	}, [ attributes ] );
+}
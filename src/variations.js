@@ -0,0 +1,114 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { SVG, Path } from '@wordpress/primitives';
+import { cover, gift, starFilled } from '@wordpress/icons';
+
+// Three waves; @wordpress/icons has no water icon
+const waves = (
+	<SVG xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">
+		<Path d="M3 6.5C4.6 6.5 5.4 5 7.5 5s2.9 1.5 4.5 1.5S14.4 5 16.5 5s2.9 1.5 4.5 1.5V8c-1.6 0-2.4-1.5-4.5-1.5S13.6 8 12 8s-2.4-1.5-4.5-1.5S4.6 8 3 8V6.5Zm0 5C4.6 11.5 5.4 10 7.5 10s2.9 1.5 4.5 1.5 2.4-1.5 4.5-1.5 2.9 1.5 4.5 1.5V13c-1.6 0-2.4-1.5-4.5-1.5S13.6 13 12 13s-2.4-1.5-4.5-1.5S4.6 13 3 13v-1.5Zm0 5C4.6 16.5 5.4 15 7.5 15s2.9 1.5 4.5 1.5 2.4-1.5 4.5-1.5 2.9 1.5 4.5 1.5V18c-1.6 0-2.4-1.5-4.5-1.5S13.6 18 12 18s-2.4-1.5-4.5-1.5S4.6 18 3 18v-1.5Z" />
+	</SVG>
+);
+
+/**
+ * Curated starting points, shown in the inserter, the block variation picker
+ * and the block's variation switcher.
+ *
+ * Each one is a tuned set of existing attributes; everything else keeps the
+ * block.json defaults. A variation counts as active while its experience
+ * mode and palette still match.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-variations/
+ */
+const variations = [
+	{
+		name: 'hero-shimmer',
+		title: __( 'Subtle Hero Shimmer', 'glitter-bomb' ),
+		description: __(
+			'A light, slow metallic twinkle confined to its own box. Nest a cover or group inside for a hero section that sparkles without stealing the show.',
+			'glitter-bomb'
+		),
+		icon: cover,
+		attributes: {
+			experienceMode: 'particle-field',
+			scope: 'container',
+			fieldColorPalette: 'neutral-spectrum',
+			fieldParticleShape: 'twinkle,sparkle',
+			fieldParticleCount: 120,
+			fieldParticleSize: 4,
+			fieldParticleSizeMobile: 2.5,
+			fieldMouseAttraction: 0.3,
+			fieldSpreadStrength: 0.2,
+			fieldClickExplosion: false,
+		},
+		isActive: [ 'experienceMode', 'fieldColorPalette', 'scope' ],
+		scope: [ 'inserter', 'block', 'transform' ],
+	},
+	{
+		name: 'birthday-sprinkle',
+		title: __( 'Birthday Sprinkle', 'glitter-bomb' ),
+		description: __(
+			'Rainbow confetti, stars and hearts that follow the cursor or a finger around the page.',
+			'glitter-bomb'
+		),
+		icon: gift,
+		attributes: {
+			experienceMode: 'sprinkle-trail',
+			colorPalette: 'rainbow-cycling',
+			particleShape: 'confetti,star,heart,circle',
+			displayBehavior: 'scattered',
+			particleSize: 12,
+			particleSizeMobile: 9,
+			maxParticles: 80,
+			animationDuration: 1800,
+		},
+		isActive: [ 'experienceMode', 'colorPalette' ],
+		scope: [ 'inserter', 'block', 'transform' ],
+	},
+	{
+		name: 'new-years-burst',
+		title: __( 'New Year’s Burst', 'glitter-bomb' ),
+		description: __(
+			'Gold and silver fireworks in every burst pattern, with an extra rocket wherever visitors click.',
+			'glitter-bomb'
+		),
+		icon: starFilled,
+		attributes: {
+			experienceMode: 'fireworks',
+			colorPalette: 'metallic',
+			fireworksPatterns: 'peony,willow,ring,crossette',
+			fireworksFrequency: 1.2,
+			fireworksBurstSize: 120,
+			fireworksClickLaunch: true,
+		},
+		isActive: [ 'experienceMode', 'colorPalette' ],
+		scope: [ 'inserter', 'block', 'transform' ],
+	},
+	{
+		name: 'ocean-calm',
+		title: __( 'Ocean Calm', 'glitter-bomb' ),
+		description: __(
+			'Sparse blue and teal bubbles drifting slowly across the page, barely reacting to the cursor.',
+			'glitter-bomb'
+		),
+		icon: waves,
+		attributes: {
+			experienceMode: 'particle-field',
+			scope: 'viewport',
+			fieldColorPalette: 'cool-ocean',
+			fieldParticleShape: 'circle,ring',
+			fieldParticleCount: 150,
+			fieldParticleSize: 5,
+			fieldParticleSizeMobile: 3,
+			fieldMouseAttraction: 0.15,
+			fieldSpreadStrength: 0.1,
+			fieldClickExplosion: false,
+		},
+		isActive: [ 'experienceMode', 'fieldColorPalette' ],
+		scope: [ 'inserter', 'block', 'transform' ],
+	},
+];
+
+export default variations;
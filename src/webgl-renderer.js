@@ -0,0 +1,382 @@
+/**
+ * Glitter Bomb - WebGL Renderer
+ *
+ * Draws every particle in a single instanced draw call. Each particle is a
+ * quad that samples its shape from a mask texture holding every shape in the
+ * registry (drawn in white once at startup) and tints it with the particle's
+ * color, so all shapes and mixed-shape sets cost the same single pass.
+ *
+ * The renderer holds no particle state of its own; it reads the simulation's
+ * active particles every frame, so physics stays shared with the 2D path.
+ * Works with both HTMLCanvasElement and OffscreenCanvas.
+ */
+
+import { PARTICLE_SHAPES, SHAPE_IDS, createCanvas } from './shapes';
+
+// Floats per instance: x, y, extent, rotation, r, g, b, a, shape index
+const INSTANCE_FLOATS = 9;
+
+// Mask texture cell size and the shape's half-extent within it (the rest is padding)
+const MASK_CELL = 128;
+const MASK_EXTENT = 62;
+
+// Texture row index of each shape id
+const SHAPE_INDEX = {};
+SHAPE_IDS.forEach( function ( shape, index ) {
+	SHAPE_INDEX[ shape ] = index;
+} );
+
+const VERTEX_SHADER = [
+	'attribute vec2 aCorner;',
+	'attribute vec4 aTransform;', // x, y, extent, rotation
+	'attribute vec4 aColor;',
+	'attribute float aShape;',
+	'uniform vec2 uResolution;',
+	'uniform float uShapeCount;',
+	'uniform float uMaskFill;',
+	'varying vec2 vUv;',
+	'varying vec4 vColor;',
+	'void main() {',
+	'	vec2 local = aCorner * aTransform.z;',
+	'	float c = cos(aTransform.w);',
+	'	float s = sin(aTransform.w);',
+	'	vec2 world = aTransform.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);',
+	'	gl_Position = vec4(world.x / uResolution.x * 2.0 - 1.0, 1.0 - world.y / uResolution.y * 2.0, 0.0, 1.0);',
+	// Sample the shape's cell, skipping its padding
+	'	vUv = vec2((aShape + 0.5 + aCorner.x * 0.5 * uMaskFill) / uShapeCount, 0.5 + aCorner.y * 0.5 * uMaskFill);',
+	'	vColor = aColor;',
+	'}',
+].join( '\n' );
+
+const FRAGMENT_SHADER = [
+	'precision mediump float;',
+	'uniform sampler2D uShapes;',
+	'varying vec2 vUv;',
+	'varying vec4 vColor;',
+	'void main() {',
+	'	float alpha = texture2D(uShapes, vUv).a * vColor.a;',
+	'	if (alpha <= 0.0) {',
+	'		discard;',
+	'	}',
+	// Premultiplied alpha output
+	'	gl_FragColor = vec4(vColor.rgb * alpha, alpha);',
+	'}',
+].join( '\n' );
+
+function compileShader( gl, type, source ) {
+	const shader = gl.createShader( type );
+	gl.shaderSource( shader, source );
+	gl.compileShader( shader );
+	if ( ! gl.getShaderParameter( shader, gl.COMPILE_STATUS ) ) {
+		gl.deleteShader( shader );
+		return null;
+	}
+	return shader;
+}
+
+export class WebGLRenderer {
+	/**
+	 * Create a renderer for a canvas, or null when instanced WebGL is unavailable
+	 * Context creation failing leaves the canvas free for a 2D context.
+	 * @param {HTMLCanvasElement|OffscreenCanvas} canvas Canvas to draw into
+	 * @return {WebGLRenderer|null} Renderer or null
+	 */
+	static create( canvas ) {
+		// SAFARI PRIVACY: Request only what we need; no preserved buffers to read back
+		const attributes = {
+			alpha: true,
+			premultipliedAlpha: true,
+			antialias: false,
+			preserveDrawingBuffer: false,
+			desynchronized: true,
+		};
+
+		try {
+			let gl = canvas.getContext( 'webgl2', attributes );
+			let instancing = null;
+
+			if ( gl ) {
+				instancing = {
+					vertexAttribDivisor: ( index, divisor ) =>
+						gl.vertexAttribDivisor( index, divisor ),
+					drawArraysInstanced: ( mode, first, count, instances ) =>
+						gl.drawArraysInstanced( mode, first, count, instances ),
+				};
+			} else {
+				gl = canvas.getContext( 'webgl', attributes );
+				const extension =
+					gl && gl.getExtension( 'ANGLE_instanced_arrays' );
+				if ( ! extension ) {
+					return null;
+				}
+
+				instancing = {
+					vertexAttribDivisor: ( index, divisor ) =>
+						extension.vertexAttribDivisorANGLE( index, divisor ),
+					drawArraysInstanced: ( mode, first, count, instances ) =>
+						extension.drawArraysInstancedANGLE(
+							mode,
+							first,
+							count,
+							instances
+						),
+				};
+			}
+
+			const renderer = new WebGLRenderer( gl, instancing );
+			return renderer.program ? renderer : null;
+		} catch ( error ) {
+			return null;
+		}
+	}
+
+	constructor( gl, instancing ) {
+		this.gl = gl;
+		this.instancing = instancing;
+		this.width = 0;
+		this.height = 0;
+		this.instanceData = new Float32Array( INSTANCE_FLOATS * 256 );
+		this.program = this.createProgram();
+
+		if ( this.program ) {
+			this.setupBuffers();
+			this.setupShapeMask();
+		}
+	}
+
+	createProgram() {
+		const gl = this.gl;
+		const vertexShader = compileShader(
+			gl,
+			gl.VERTEX_SHADER,
+			VERTEX_SHADER
+		);
+		const fragmentShader = compileShader(
+			gl,
+			gl.FRAGMENT_SHADER,
+			FRAGMENT_SHADER
+		);
+		if ( ! vertexShader || ! fragmentShader ) {
+			return null;
+		}
+
+		const program = gl.createProgram();
+		gl.attachShader( program, vertexShader );
+		gl.attachShader( program, fragmentShader );
+		gl.linkProgram( program );
+		if ( ! gl.getProgramParameter( program, gl.LINK_STATUS ) ) {
+			return null;
+		}
+
+		return program;
+	}
+
+	setupBuffers() {
+		const gl = this.gl;
+		const program = this.program;
+		gl.useProgram( program );
+
+		this.resolutionLocation = gl.getUniformLocation(
+			program,
+			'uResolution'
+		);
+
+		// Shared unit quad, drawn as a triangle strip
+		this.cornerBuffer = gl.createBuffer();
+		gl.bindBuffer( gl.ARRAY_BUFFER, this.cornerBuffer );
+		gl.bufferData(
+			gl.ARRAY_BUFFER,
+			new Float32Array( [ -1, -1, 1, -1, -1, 1, 1, 1 ] ),
+			gl.STATIC_DRAW
+		);
+		const cornerLocation = gl.getAttribLocation( program, 'aCorner' );
+		gl.enableVertexAttribArray( cornerLocation );
+		gl.vertexAttribPointer( cornerLocation, 2, gl.FLOAT, false, 0, 0 );
+
+		// Per-instance particle data
+		this.instanceBuffer = gl.createBuffer();
+		gl.bindBuffer( gl.ARRAY_BUFFER, this.instanceBuffer );
+		gl.bufferData(
+			gl.ARRAY_BUFFER,
+			this.instanceData.byteLength,
+			gl.DYNAMIC_DRAW
+		);
+
+		const stride = INSTANCE_FLOATS * 4;
+		const layout = [
+			{ name: 'aTransform', size: 4, offset: 0 },
+			{ name: 'aColor', size: 4, offset: 4 },
+			{ name: 'aShape', size: 1, offset: 8 },
+		];
+		layout.forEach( ( attribute ) => {
+			const location = gl.getAttribLocation( program, attribute.name );
+			gl.enableVertexAttribArray( location );
+			gl.vertexAttribPointer(
+				location,
+				attribute.size,
+				gl.FLOAT,
+				false,
+				stride,
+				attribute.offset * 4
+			);
+			this.instancing.vertexAttribDivisor( location, 1 );
+		} );
+
+		gl.uniform1f(
+			gl.getUniformLocation( program, 'uShapeCount' ),
+			SHAPE_IDS.length
+		);
+		gl.uniform1f(
+			gl.getUniformLocation( program, 'uMaskFill' ),
+			MASK_EXTENT / ( MASK_CELL / 2 )
+		);
+
+		gl.enable( gl.BLEND );
+		gl.blendFunc( gl.ONE, gl.ONE_MINUS_SRC_ALPHA );
+		gl.clearColor( 0, 0, 0, 0 );
+	}
+
+	// Draw every registered shape in white into one row and upload it as the mask texture
+	setupShapeMask() {
+		const gl = this.gl;
+		const canvas = createCanvas( MASK_CELL * SHAPE_IDS.length, MASK_CELL );
+		const ctx = canvas.getContext( '2d' );
+		ctx.fillStyle = '#ffffff';
+		SHAPE_IDS.forEach( function ( shape, index ) {
+			ctx.setTransform(
+				1,
+				0,
+				0,
+				1,
+				index * MASK_CELL + MASK_CELL / 2,
+				MASK_CELL / 2
+			);
+			PARTICLE_SHAPES[ shape ].draw( ctx, MASK_EXTENT );
+		} );
+
+		this.shapeTexture = gl.createTexture();
+		gl.activeTexture( gl.TEXTURE0 );
+		gl.bindTexture( gl.TEXTURE_2D, this.shapeTexture );
+		// Non-power-of-two sizes need clamping and no mipmaps in WebGL 1
+		gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE );
+		gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE );
+		gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR );
+		gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR );
+		gl.texImage2D(
+			gl.TEXTURE_2D,
+			0,
+			gl.RGBA,
+			gl.RGBA,
+			gl.UNSIGNED_BYTE,
+			canvas
+		);
+		gl.uniform1i( gl.getUniformLocation( this.program, 'uShapes' ), 0 );
+	}
+
+	/**
+	 * Match the viewport to the canvas after it was resized
+	 * @param {number} width  Logical (CSS pixel) width
+	 * @param {number} height Logical (CSS pixel) height
+	 */
+	resize( width, height ) {
+		const gl = this.gl;
+		this.width = width;
+		this.height = height;
+		gl.viewport( 0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight );
+		gl.uniform2f( this.resolutionLocation, width, height );
+	}
+
+	clear() {
+		this.gl.clear( this.gl.COLOR_BUFFER_BIT );
+	}
+
+	// Grow the instance buffer (doubling) when there are more particles than fit
+	ensureCapacity( count ) {
+		if ( this.instanceData.length >= count * INSTANCE_FLOATS ) {
+			return;
+		}
+
+		let length = this.instanceData.length;
+		while ( length < count * INSTANCE_FLOATS ) {
+			length *= 2;
+		}
+		this.instanceData = new Float32Array( length );
+
+		const gl = this.gl;
+		gl.bindBuffer( gl.ARRAY_BUFFER, this.instanceBuffer );
+		gl.bufferData(
+			gl.ARRAY_BUFFER,
+			this.instanceData.byteLength,
+			gl.DYNAMIC_DRAW
+		);
+	}
+
+	/**
+	 * Write one particle into the instance data
+	 * Colors are 0-255 channels and 0-1 opacity, as used by the simulation
+	 * @param {number} index    Instance slot
+	 * @param {Object} particle Particle to draw
+	 * @param {Object} rgb      Color channels (r, g, b)
+	 */
+	writeInstance( index, particle, rgb ) {
+		const data = this.instanceData;
+		const offset = index * INSTANCE_FLOATS;
+		data[ offset ] = particle.drawX;
+		data[ offset + 1 ] = particle.drawY;
+		data[ offset + 2 ] =
+			particle.size * PARTICLE_SHAPES[ particle.shape ].extent;
+		data[ offset + 3 ] = particle.rotation;
+		data[ offset + 4 ] = rgb.r / 255;
+		data[ offset + 5 ] = rgb.g / 255;
+		data[ offset + 6 ] = rgb.b / 255;
+		data[ offset + 7 ] = particle.opacity;
+		data[ offset + 8 ] = SHAPE_INDEX[ particle.shape ];
+	}
+
+	// Upload the instance data and draw every particle in one call
+	flush( count ) {
+		const gl = this.gl;
+		this.clear();
+		if ( count === 0 ) {
+			return;
+		}
+
+		gl.bindBuffer( gl.ARRAY_BUFFER, this.instanceBuffer );
+		gl.bufferSubData(
+			gl.ARRAY_BUFFER,
+			0,
+			this.instanceData.subarray( 0, count * INSTANCE_FLOATS )
+		);
+		this.instancing.drawArraysInstanced( gl.TRIANGLE_STRIP, 0, 4, count );
+	}
+
+	// Particle Field: cycling palette colors
+	drawField( simulation ) {
+		const activeParticles = simulation.particlePool.getActive();
+		this.ensureCapacity( activeParticles.length );
+
+		for ( let i = 0; i < activeParticles.length; i++ ) {
+			const particle = activeParticles[ i ];
+			this.writeInstance(
+				i,
+				particle,
+				simulation.getParticleRgb( particle )
+			);
+		}
+
+		this.flush( activeParticles.length );
+	}
+
+	// Sprinkle Trail: the color picked when each particle was created
+	drawSprinkle( simulation ) {
+		const activeParticles = simulation.particlePool.getActive();
+		this.ensureCapacity( activeParticles.length );
+
+		for ( let i = 0; i < activeParticles.length; i++ ) {
+			const particle = activeParticles[ i ];
+			this.writeInstance( i, particle, particle.rgb );
+		}
+
+		this.flush( activeParticles.length );
+	}
+}
@@ -0,0 +1,13 @@
+/**
+ * Extends the default @wordpress/scripts config with the settings screen,
+ * which isn't part of the block and so isn't found through block.json.
+ */
+const defaultConfig = require( '@wordpress/scripts/config/webpack.config' );
+
+module.exports = {
+	...defaultConfig,
+	entry: () => ( {
+		...defaultConfig.entry(),
+		settings: './src/settings/index.js',
+	} ),
+};